@@ -4,15 +4,20 @@
  * Prompt Template Registry - Add Prompt CLI Tool
  *
  * Interactive tool for adding new prompts to the registry
- * Usage: node add-prompt.js [options]
+ * Usage: node add-prompt.js [options] [prompt-file]
  */
 
 import fs from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
 import readline from 'node:readline';
 import { validatePrompt } from './validate-prompt.js';
 import { suggestNextVersion, analyzePromptChanges, compareVersions } from './version-utils.js';
-import { generatePromptChangelog, updateMainChangelog } from './changelog-generator.js';
+import { isValidVersion } from './semver.js';
+import { writeRegistryChangelog } from './changelog-generator.js';
+import { writeFileAtomic } from './storage.js';
+import { resolveRegistryLocation, loadRegistry, saveRegistry } from './registry-layout.js';
+import { PROMPT_MARKDOWN_EXTENSION, formatPromptMarkdown, readPromptFile } from './prompt-markdown.js';
 
 // CLI Tool Version
 const CLI_VERSION = '1.0.0';
@@ -209,14 +214,13 @@ async function collectPromptData() {
   const tags = await askForTags(category);
 
   // Get version
-  let version = await ask('Version (semantic format)', '1.0.0', (value) => {
-    return /^[0-9]+\.[0-9]+\.[0-9]+$/.test(value);
-  });
+  let version = await ask('Version (semantic format)', '1.0.0', isValidVersion);
+  let suggestedNotes = ['Initial version'];
   
   // If this is an update to an existing prompt, suggest next version
-  const registryPath = path.join(process.cwd(), 'registry.json');
+  const registryPath = resolveRegistryLocation(process.cwd());
   if (fs.existsSync(registryPath)) {
-    const registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+    const registry = loadRegistry(registryPath);
     if (registry[id]) {
       const currentVersion = registry[id].latest;
       console.log(`\nℹ️  Current version of this prompt is ${currentVersion}`);
@@ -237,25 +241,32 @@ async function collectPromptData() {
       if (changes.hasBreakingChanges) console.log('   ⚠️  Contains breaking changes');
       if (changes.hasNewFeatures) console.log('   ✨ Contains new features');
       if (changes.hasBugFixes) console.log('   🐛 Contains bug fixes');
+      suggestedNotes = [...changes.breaking, ...changes.features, ...changes.fixes];
       
       const useSuggested = await confirm(`Use suggested version ${suggestedVersion}`, true);
       if (useSuggested) {
         version = suggestedVersion;
       } else {
-        version = await ask('Version (semantic format)', suggestedVersion, (value) => {
-          return /^[0-9]+\.[0-9]+\.[0-9]+$/.test(value);
-        });
+        version = await ask('Version (semantic format)', suggestedVersion, isValidVersion);
       }
     }
   }
 
+  // Get release notes, recorded on the version and used to regenerate CHANGELOG.md
+  console.log('\n📋 Release notes for this version (separate notes with ";")');
+  const notes = await ask('Changelog', suggestedNotes.join('; '));
+  const author = await ask('Author', process.env.GIT_AUTHOR_NAME || os.userInfo().username);
+
   const promptData = {
     id,
     description,
     prompt,
     category,
     tags,
-    version
+    version,
+    changelog: notes.split(';').map(note => note.trim()).filter(Boolean),
+    author,
+    releasedAt: new Date().toISOString()
   };
 
   return promptData;
@@ -299,16 +310,17 @@ async function validateAndFix(promptData) {
 }
 
 /**
- * Saves prompt data to JSON file
+ * Saves prompt data to a JSON or Markdown (.prompt.md) file
  * @param {object} promptData - The prompt data to save
+ * @param {string} format - File format (json or md)
  * @returns {Promise<string>} Path to saved file
  */
-async function saveToFile(promptData) {
-  const filename = `${promptData.id}.json`;
+async function saveToFile(promptData, format = 'json') {
+  const filename = format === 'md' ? `${promptData.id}${PROMPT_MARKDOWN_EXTENSION}` : `${promptData.id}.json`;
   const filepath = path.join(process.cwd(), filename);
 
   try {
-    fs.writeFileSync(filepath, JSON.stringify(promptData, null, 2), 'utf8');
+    writeFileAtomic(filepath, format === 'md' ? formatPromptMarkdown(promptData) : JSON.stringify(promptData, null, 2));
     console.log(`💾 Saved prompt to: ${filename}`);
     return filepath;
   } catch (error) {
@@ -318,15 +330,28 @@ async function saveToFile(promptData) {
 }
 
 /**
- * Adds prompt directly to registry.json
+ * Builds the registry version entry for collected prompt data
+ * @param {object} promptData - The collected prompt data
+ * @returns {object} Version data (without the id)
+ */
+function createVersionData(promptData) {
+  const { id, ...versionData } = promptData;
+  return versionData;
+}
+
+/**
+ * Adds prompt directly to the registry (registry.json, or prompts/<id>/<version>.yaml)
  * @param {object} promptData - The prompt data to add
  * @returns {Promise<void>}
  */
 async function addToRegistry(promptData) {
-  const registryPath = path.join(process.cwd(), 'registry.json');
+  const registryPath = resolveRegistryLocation(process.cwd());
+  const registryName = path.basename(registryPath);
 
   try {
-    const registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+    const registry = loadRegistry(registryPath);
+    // Kept to merge in changes another process (such as a sync) makes while we ask questions
+    const base = JSON.parse(JSON.stringify(registry));
 
     // Check for existing prompt
     if (registry[promptData.id]) {
@@ -343,32 +368,14 @@ async function addToRegistry(promptData) {
         }
       }
       
-      // Get the current latest version for changelog generation
-      const oldPrompt = existingEntry.versions[existingEntry.latest];
-      const newPrompt = {
-        description: promptData.description,
-        prompt: promptData.prompt,
-        category: promptData.category,
-        tags: promptData.tags,
-        version: promptData.version
-      };
-      
-      // Generate changelog
-      const changelogEntry = generatePromptChangelog(promptData.id, oldPrompt, newPrompt, promptData.version);
-      
       // Add the new version
-      existingEntry.versions[promptData.version] = newPrompt;
+      existingEntry.versions[promptData.version] = createVersionData(promptData);
       
       // Update latest if this is a newer version
       const versionComparison = compareVersions(promptData.version, existingEntry.latest);
       if (versionComparison > 0) {
-        const previousLatest = existingEntry.latest;
         existingEntry.latest = promptData.version;
         console.log(`🆕 Updated "${promptData.id}" to version ${promptData.version} (new latest)`);
-        
-        // Update main changelog
-        updateMainChangelog(changelogEntry);
-        console.log(`📝 Changelog updated for version ${promptData.version}`);
       } else {
         console.log(`➕ Added version ${promptData.version} to "${promptData.id}"`);
       }
@@ -377,19 +384,20 @@ async function addToRegistry(promptData) {
       registry[promptData.id] = {
         latest: promptData.version,
         versions: {
-          [promptData.version]: {
-            description: promptData.description,
-            prompt: promptData.prompt,
-            category: promptData.category,
-            tags: promptData.tags,
-            version: promptData.version
-          }
+          [promptData.version]: createVersionData(promptData)
         }
       };
-      console.log(`➕ Added new prompt "${promptData.id}" version ${promptData.version} to registry.json`);
+      console.log(`➕ Added new prompt "${promptData.id}" version ${promptData.version} to ${registryName}`);
+    }
+
+    const { data, merged } = saveRegistry(registryPath, registry, { base });
+    if (merged) {
+      console.log(`🔀 ${registryName} changed while adding; the other changes were merged in`);
     }
 
-    fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2), 'utf8');
+    // The changelog is regenerated from the release notes stored on each version
+    writeRegistryChangelog(data);
+    console.log(`📝 Changelog updated for version ${promptData.version}`);
   } catch (error) {
     console.error(`❌ Failed to add to registry: ${error.message}`);
   }
@@ -399,13 +407,23 @@ async function addToRegistry(promptData) {
  * Main function
  */
 async function main() {
+  const args = process.argv.slice(2);
+  const formatIndex = args.indexOf('--format');
+  const format = formatIndex !== -1 ? args[formatIndex + 1] : 'json';
+  const importPath = args.find((arg, i) => !arg.startsWith('-') && args[i - 1] !== '--format');
+
   try {
-    const promptData = await collectPromptData();
+    if (!['json', 'md'].includes(format)) {
+      throw new Error(`Unknown format "${format}" (expected json or md)`);
+    }
+
+    // An existing prompt file is validated and added as it is
+    const promptData = importPath ? readPromptFile(importPath) : await collectPromptData();
     const validatedData = await validateAndFix(promptData);
 
-    const savedPath = await saveToFile(validatedData);
+    const savedPath = importPath ? path.resolve(importPath) : await saveToFile(validatedData, format);
 
-    const addToRegistryNow = await confirm('Add this prompt to registry.json now', true);
+    const addToRegistryNow = await confirm(`Add this prompt to ${path.basename(resolveRegistryLocation(process.cwd()))} now`, true);
     if (addToRegistryNow) {
       await addToRegistry(validatedData);
     }
@@ -454,19 +472,24 @@ process.on('unhandledRejection', (error) => {
 if (process.argv.includes('--help') || process.argv.includes('-h')) {
   console.log(`
 Prompt Template Registry - Add Prompt Tool v${CLI_VERSION}
-Usage: node add-prompt.js [options]
+Usage: node add-prompt.js [options] [prompt-file]
+
+Arguments:
+  prompt-file      Existing .json or .prompt.md prompt to add instead of answering questions
 
 Options:
-  -h, --help     Show this help message
-  -v, --version  Show version information
+  --format <fmt>   File to save the new prompt as: json (default) or md (.prompt.md)
+  -h, --help       Show this help message
+  -v, --version    Show version information
 
 This tool will interactively guide you through creating a new prompt template.
 
 Examples:
   node add-prompt.js
-  node add-prompt.js --help
+  node add-prompt.js --format md
+  node add-prompt.js sql_query_generation.prompt.md
 
-The created prompt will be saved as a JSON file and can optionally be added
+The created prompt will be saved as a JSON or Markdown file and can optionally be added
 directly to the registry. Remember to run the validator to ensure quality!
 `);
   process.exit(0);
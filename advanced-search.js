@@ -4,6 +4,18 @@
  * Implements advanced search capabilities including semantic search and recommendations
  */
 
+import { resolvePromptVersion, getDeprecation } from './version-utils.js';
+import { STOP_WORDS, getSearchIndex } from './search-index.js';
+import { parseSearchQuery, filtersToSearchQuery, createQueryTarget, matchesSearchQuery } from './search-query.js';
+import { getEmbeddingIndex } from './embedding-index.js';
+import { createSearchPage, sortSearchHits } from './search-results.js';
+
+// Ranking modes of semanticSearchAsync() (semanticSearch() only ranks lexically)
+export const SEMANTIC_MODES = ['lexical', 'embedding', 'hybrid'];
+
+// Share of the embedding similarity in hybrid scores (the rest is the normalized BM25 score)
+export const DEFAULT_SEMANTIC_WEIGHT = 0.5;
+
 /**
  * Calculates text similarity using a simple approach
  * @param {string} text1 - First text
@@ -11,22 +23,31 @@
  * @returns {number} Similarity score between 0 and 1
  */
 export function calculateSimilarity(text1, text2) {
-  // Convert to lowercase and remove punctuation
-  const clean1 = text1.toLowerCase().replace(/[^\w\s]/g, '');
-  const clean2 = text2.toLowerCase().replace(/[^\w\s]/g, '');
-  
-  // Split into words
-  const words1 = clean1.split(/\s+/);
-  const words2 = clean2.split(/\s+/);
-  
-  // Calculate Jaccard similarity
-  const set1 = new Set(words1);
-  const set2 = new Set(words2);
-  
-  const intersection = new Set([...set1].filter(x => set2.has(x)));
-  const union = new Set([...set1, ...set2]);
-  
-  return union.size === 0 ? 0 : intersection.size / union.size;
+  return jaccardSimilarity(getWordSet(text1), getWordSet(text2));
+}
+
+/**
+ * Splits text into the set of words calculateSimilarity() compares
+ * @param {string} text - Input text
+ * @returns {Set<string>} Lowercase words without punctuation
+ */
+function getWordSet(text) {
+  return new Set(text.toLowerCase().replace(/[^\w\s]/g, '').split(/\s+/));
+}
+
+/**
+ * Calculates the Jaccard similarity of two word sets
+ * @param {Set<string>} set1 - First word set
+ * @param {Set<string>} set2 - Second word set
+ * @returns {number} Similarity score between 0 and 1
+ */
+function jaccardSimilarity(set1, set2) {
+  let intersection = 0;
+  for (const word of set1) {
+    if (set2.has(word)) intersection++;
+  }
+  const union = set1.size + set2.size - intersection;
+  return union === 0 ? 0 : intersection / union;
 }
 
 /**
@@ -39,69 +60,208 @@ export function extractKeywords(text) {
   const cleanText = text.toLowerCase().replace(/[^\w\s]/g, '');
   
   // Split into words and filter common stop words
-  const stopWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those']);
-  
-  return cleanText.split(/\s+/).filter(word => word.length > 2 && !stopWords.has(word));
+  return cleanText.split(/\s+/).filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+// Prompt indexes attached to registry objects (see attachPromptIndex())
+const attachedIndexes = new WeakMap();
+
+/**
+ * Makes advancedFilter() use a prompt index (see prompt-index.js) for a registry object
+ * instead of re-reading every prompt
+ * @param {object} registry - The prompt registry
+ * @param {object|null} index - Prompt index, or null to detach it
+ * @param {string} source - Source the registry's documents are indexed under
+ */
+export function attachPromptIndex(registry, index, source) {
+  if (index) {
+    attachedIndexes.set(registry, { index, source });
+  } else {
+    attachedIndexes.delete(registry);
+  }
 }
 
 /**
- * Performs semantic search on prompts
+ * Gets the prompt index attached to a registry, first indexing any prompts it is missing
+ * @param {object} registry - The prompt registry
+ * @returns {{index: object, source: string}|null} Attached index, or null
+ */
+function getAttachedIndex(registry) {
+  const attached = attachedIndexes.get(registry);
+  if (attached) {
+    for (const [id, promptEntry] of Object.entries(registry)) {
+      if (!attached.index.getDocument(attached.source, id)) {
+        attached.index.updatePrompt(attached.source, id, promptEntry);
+      }
+    }
+  }
+  return attached || null;
+}
+
+/**
+ * Gets the search result of a prompt's default version
+ * @param {object} registry - The prompt registry
+ * @param {string} id - Prompt id
+ * @param {object} options - Search options ({includeDeprecated})
+ * @returns {{result: object, versionData: object}|null} Result, with the version it describes,
+ *   or null if every version is yanked or it is deprecated
+ */
+function getSemanticHit(registry, id, options) {
+  // Skip yanked versions (resolution falls back past them) and, by default, deprecated ones
+  const promptEntry = registry[id];
+  const version = resolvePromptVersion(promptEntry);
+  const latestVersion = version && promptEntry.versions[version];
+  if (!latestVersion || (getDeprecation(latestVersion) && !options.includeDeprecated)) {
+    return null;
+  }
+  const result = {
+    id,
+    description: latestVersion.description,
+    category: latestVersion.category,
+    tags: latestVersion.tags,
+    version: latestVersion.version
+  };
+  return { result, versionData: latestVersion };
+}
+
+/**
+ * Returns search hits the way search() does (see search-results.js): a page with the facets
+ * of all hits with `paginate`, otherwise the results in `sort` order
+ * @param {Array<{result: object, versionData: object}>} hits - Results, best first
+ * @param {string|object} query - Search string or filter object the hits were found with
+ * @param {object} options - Search options ({paginate, sort, offset, cursor, limit})
+ * @param {number} limit - Results to return, or per page (default: all, or options.limit per page)
+ * @returns {Array|object} Results, or a page ({results, total, facets, cursor})
+ * @throws {SearchQueryError} If the sort order or page options are invalid
+ */
+function presentHits(hits, query, options, limit = undefined) {
+  if (options.paginate) {
+    return createSearchPage(hits, query, limit === undefined ? options : { ...options, limit });
+  }
+  const sorted = options.sort ? sortSearchHits(hits, options.sort) : hits;
+  return sorted.slice(0, limit).map(hit => hit.result);
+}
+
+/**
+ * Performs semantic search on prompts, ranking them with BM25 over their id, description,
+ * tags, category and template (see search-index.js). The embedding modes are searched with
+ * semanticSearchAsync(), as embedders may be asynchronous.
  * @param {object} registry - The prompt registry
  * @param {string} query - Search query
  * @param {number} limit - Maximum number of results to return
- * @returns {Array} Array of matching prompts with similarity scores
+ * @param {object} options - Search options
+ * @param {boolean} options.includeDeprecated - Include prompts whose latest version is deprecated
+ * @param {string} options.mode - 'lexical' (the only mode searched synchronously)
+ * @param {string} options.sort - Result order, one of SEARCH_SORTS (default 'relevance')
+ * @param {boolean} options.paginate - Return a page of `limit` results with the facets of all
+ *   of them, from `offset` or the `cursor` of the previous page (see search-results.js)
+ * @returns {Array|object} Array of matching prompts with scores and the fields each matched,
+ *   or a page of them
+ * @throws {Error} If the mode is unknown or needs semanticSearchAsync()
+ * @throws {SearchQueryError} If the sort order or page options are invalid
  */
-export function semanticSearch(registry, query, limit = 10) {
-  const results = [];
-  
-  // Extract keywords from query
-  const queryKeywords = extractKeywords(query);
-  const queryText = query.toLowerCase();
+export function semanticSearch(registry, query, limit = 10, options = {}) {
+  const mode = checkSemanticMode(options.mode);
+  if (mode !== 'lexical') {
+    throw new Error(`The "${mode}" search mode is asynchronous; use semanticSearchAsync()`);
+  }
+
+  // Other sort orders and pages need every result
+  const complete = options.paginate || options.sort;
+  const hits = [];
   
-  // Score each prompt
-  for (const [id, promptEntry] of Object.entries(registry)) {
-    const latestVersion = promptEntry.versions[promptEntry.latest];
-    
-    // Create a combined text for comparison
-    const combinedText = `
-      ${latestVersion.description} 
-      ${latestVersion.prompt} 
-      ${latestVersion.category} 
-      ${latestVersion.tags.join(' ')}
-    `.toLowerCase();
-    
-    // Calculate similarity score
-    const similarity = calculateSimilarity(query, combinedText);
-    
-    // Bonus for exact keyword matches
-    let bonus = 0;
-    const promptKeywords = extractKeywords(combinedText);
-    const matchingKeywords = queryKeywords.filter(keyword => 
-      promptKeywords.includes(keyword)
-    );
-    
-    if (matchingKeywords.length > 0) {
-      bonus = matchingKeywords.length / queryKeywords.length * 0.5;
+  for (const { id, score, matches } of getSearchIndex(registry).query(query)) {
+    const hit = getSemanticHit(registry, id, options);
+    if (!hit) {
+      continue;
     }
     
-    const finalScore = similarity + bonus;
-    
-    if (finalScore > 0.1) { // Only include results with some relevance
-      results.push({
-        id,
-        description: latestVersion.description,
-        category: latestVersion.category,
-        tags: latestVersion.tags,
-        version: latestVersion.version,
-        score: finalScore
-      });
+    hits.push({ result: { ...hit.result, score, matches }, versionData: hit.versionData });
+    if (!complete && hits.length === limit) {
+      break;
     }
   }
   
-  // Sort by score (descending) and limit results
-  return results
-    .sort((a, b) => b.score - a.score)
-    .slice(0, limit);
+  return presentHits(hits, query, options, limit);
+}
+
+/**
+ * Performs semantic search on prompts in any mode. The "embedding" mode ranks them by the
+ * similarity of their embedding to the query's (see embedding-index.js), and the "hybrid"
+ * mode by both that and their BM25 score, so prompts are found by related words as well as
+ * by the query's words. The "lexical" mode is semanticSearch().
+ * @param {object} registry - The prompt registry
+ * @param {string} query - Search query
+ * @param {number} limit - Maximum number of results to return
+ * @param {object} options - semanticSearch() options
+ * @param {string} options.mode - 'lexical' (default), 'embedding' or 'hybrid'
+ * @param {object} options.embedder - Embedder for the embedding modes (default: the one of the
+ *   index attached to the registry, or the offline hashed n-gram embedder)
+ * @param {number} options.semanticWeight - Share of the similarity in hybrid scores (default 0.5)
+ * @param {number} options.minSimilarity - Similarity below which prompts are not related
+ * @returns {Promise<Array|object>} Array of matching prompts with scores, the fields each
+ *   matched and their `similarity` in the embedding modes, or a page of them
+ * @throws {Error} If the mode is unknown
+ * @throws {SearchQueryError} If the sort order or page options are invalid
+ */
+export async function semanticSearchAsync(registry, query, limit = 10, options = {}) {
+  const mode = checkSemanticMode(options.mode);
+  if (mode === 'lexical') {
+    return semanticSearch(registry, query, limit, options);
+  }
+  return rankByEmbeddings(registry, query, limit, { ...options, mode });
+}
+
+/**
+ * Checks a semantic search mode
+ * @param {string} mode - Mode (default 'lexical')
+ * @returns {string} The mode
+ * @throws {Error} If it is not one of SEMANTIC_MODES
+ */
+function checkSemanticMode(mode = 'lexical') {
+  if (!SEMANTIC_MODES.includes(mode)) {
+    throw new Error(`Unknown search mode "${mode}" (expected ${SEMANTIC_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Ranks prompts by embedding similarity, combined with their BM25 score in hybrid mode
+ * @param {object} registry - The prompt registry
+ * @param {string} query - Search query
+ * @param {number} limit - Maximum number of results to return
+ * @param {object} options - semanticSearchAsync() options
+ * @returns {Promise<Array|object>} Matching prompts, best first (or in `sort` order), or a page of them
+ */
+async function rankByEmbeddings(registry, query, limit, options) {
+  const index = getEmbeddingIndex(registry, options.embedder);
+  await index.updatePrompts(registry);
+  const similar = await index.query(query, { minSimilarity: options.minSimilarity });
+
+  // BM25 scores are scaled to the best one, so both parts of a hybrid score range from 0 to 1
+  const weight = options.mode === 'hybrid' ? options.semanticWeight ?? DEFAULT_SEMANTIC_WEIGHT : 1;
+  const lexical = weight < 1 ? getSearchIndex(registry).query(query) : [];
+  const maxScore = lexical.length > 0 ? lexical[0].score : 0;
+
+  const ranked = new Map();
+  for (const { id, similarity } of similar) {
+    ranked.set(id, { id, similarity, lexicalScore: 0, matches: [] });
+  }
+  for (const { id, score, matches } of lexical) {
+    const entry = ranked.get(id) || { id, similarity: 0 };
+    ranked.set(id, { ...entry, lexicalScore: maxScore > 0 ? score / maxScore : 0, matches });
+  }
+
+  const hits = [];
+  for (const { id, similarity, lexicalScore, matches } of ranked.values()) {
+    const hit = getSemanticHit(registry, id, options);
+    if (hit) {
+      const score = weight * similarity + (1 - weight) * lexicalScore;
+      hits.push({ result: { ...hit.result, score, similarity, matches }, versionData: hit.versionData });
+    }
+  }
+  hits.sort((a, b) => b.result.score - a.result.score || a.result.id.localeCompare(b.result.id));
+  return presentHits(hits, query, options, limit);
 }
 
 /**
@@ -157,72 +317,53 @@ export function recommendPrompts(registry, promptId, limit = 5) {
 }
 
 /**
- * Filters prompts based on advanced criteria
+ * Filters prompts on their latest version, with a search string in the query language (see
+ * search-query.js) or a filter object
  * @param {object} registry - The prompt registry
- * @param {object} filters - Filter criteria
- * @returns {Array} Array of filtered prompts
+ * @param {string|object} filters - Search string ("tag:sql vars<=2 -is:deprecated"), or filter
+ *   criteria ({category, tags, minVariables, maxVariables, minLength, maxLength}, which may
+ *   hold the options too, as with search())
+ * @param {object} options - Options ({sort}: result order, one of SEARCH_SORTS; {paginate}: return
+ *   a page of `limit` results with the facets of all of them, from `offset` or `cursor`)
+ * @returns {Array|object} Array of filtered prompts, or a page of them
+ * @throws {SearchQueryError} If the search string is malformed, or the sort order or page
+ *   options are invalid
  */
-export function advancedFilter(registry, filters) {
-  const results = [];
+export function advancedFilter(registry, filters, options = {}) {
+  const query = typeof filters === 'string' ? parseSearchQuery(filters) : filtersToSearchQuery(filters);
+  const searchOptions = typeof filters === 'object' ? { ...filters, ...options } : options;
+  const hits = [];
+  const attached = getAttachedIndex(registry);
   
   for (const [id, promptEntry] of Object.entries(registry)) {
     const latestVersion = promptEntry.versions[promptEntry.latest];
+    // With an index, the latest version's length and variable count are precomputed
+    const precomputed = attached ? attached.index.getDocument(attached.source, id).latest : undefined;
+    const target = createQueryTarget(id, latestVersion, precomputed && { length: precomputed.length, variables: precomputed.variables });
     
-    let matches = true;
-    
-    // Category filter
-    if (filters.category && latestVersion.category !== filters.category) {
-      matches = false;
-    }
-    
-    // Tags filter (AND logic - all specified tags must be present)
-    if (filters.tags && Array.isArray(filters.tags)) {
-      const hasAllTags = filters.tags.every(tag => latestVersion.tags.includes(tag));
-      if (!hasAllTags) {
-        matches = false;
-      }
-    }
-    
-    // Variable count filter
-    if (filters.minVariables !== undefined || filters.maxVariables !== undefined) {
-      const variableCount = (latestVersion.prompt.match(/\{\{([^}]+)\}\}/g) || []).length;
-      
-      if (filters.minVariables !== undefined && variableCount < filters.minVariables) {
-        matches = false;
-      }
-      
-      if (filters.maxVariables !== undefined && variableCount > filters.maxVariables) {
-        matches = false;
-      }
-    }
-    
-    // Prompt length filter
-    if (filters.minLength !== undefined && latestVersion.prompt.length < filters.minLength) {
-      matches = false;
-    }
-    
-    if (filters.maxLength !== undefined && latestVersion.prompt.length > filters.maxLength) {
-      matches = false;
-    }
-    
-    if (matches) {
-      results.push({
+    if (matchesSearchQuery(query, target)) {
+      const result = {
         id,
         description: latestVersion.description,
         category: latestVersion.category,
         tags: latestVersion.tags,
         version: latestVersion.version
-      });
+      };
+      hits.push({ result, versionData: latestVersion });
     }
   }
   
-  return results;
+  return presentHits(hits, filters, searchOptions);
 }
 
 export default {
+  SEMANTIC_MODES,
+  DEFAULT_SEMANTIC_WEIGHT,
   calculateSimilarity,
   extractKeywords,
+  attachPromptIndex,
   semanticSearch,
+  semanticSearchAsync,
   recommendPrompts,
   advancedFilter
 };
\ No newline at end of file
@@ -3,12 +3,24 @@
 /**
  * Prompt Template Registry - Changelog Generator
  * 
- * Generates changelogs for prompt updates
+ * Generates changelogs for prompt updates. Release history is read from the
+ * `changelog`, `author` and `releasedAt` fields of each version, so CHANGELOG.md
+ * can be regenerated from the registry at any time.
+ * Usage: node changelog-generator.js [id] [options]
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
-import { generateChangelogEntry, analyzePromptChanges, compareVersions } from './version-utils.js';
+import { generateChangelogEntry, compareVersions, getDeprecation, isYanked } from './version-utils.js';
+import { diffPromptVersions, summarizePromptDiff } from './prompt-diff.js';
+import { sortVersions } from './semver.js';
+import { writeFileAtomic, withFileLock } from './storage.js';
+import { resolveRegistryLocation, loadRegistry } from './registry-layout.js';
+
+// CLI Tool Version
+const CLI_VERSION = '1.0.0';
+
+const CHANGELOG_HEADER = '# Changelog\n\nAll notable changes to prompt templates will be documented in this file.\n';
 
 /**
  * Generates a changelog for a prompt update
@@ -19,7 +31,7 @@ import { generateChangelogEntry, analyzePromptChanges, compareVersions } from '.
  * @returns {string} Formatted changelog entry
  */
 export function generatePromptChangelog(promptId, oldPrompt, newPrompt, version) {
-  const changes = analyzePromptChanges(oldPrompt, newPrompt);
+  const changes = summarizePromptDiff(diffPromptVersions(oldPrompt, newPrompt, { id: promptId, to: version }));
   const changeTypes = [];
   
   if (changes.hasBreakingChanges) changeTypes.push('breaking');
@@ -35,6 +47,15 @@ export function generatePromptChangelog(promptId, oldPrompt, newPrompt, version)
  */
 export function updateMainChangelog(changelogEntry) {
   const changelogPath = path.join(process.cwd(), 'CHANGELOG.md');
+  withFileLock(changelogPath, () => insertChangelogEntry(changelogPath, changelogEntry));
+}
+
+/**
+ * Inserts an entry after the header of a changelog file
+ * @param {string} changelogPath - Changelog path
+ * @param {string} changelogEntry - The changelog entry to add
+ */
+function insertChangelogEntry(changelogPath, changelogEntry) {
   let changelogContent = '';
   
   // Read existing changelog if it exists
@@ -44,7 +65,7 @@ export function updateMainChangelog(changelogEntry) {
   
   // If this is a new changelog, add header
   if (!changelogContent) {
-    changelogContent = '# Changelog\n\nAll notable changes to prompt templates will be documented in this file.\n\n';
+    changelogContent = `${CHANGELOG_HEADER}\n`;
   }
   
   // Insert new entry after the header
@@ -55,7 +76,7 @@ export function updateMainChangelog(changelogEntry) {
   lines.splice(headerEndIndex, 0, '\n' + changelogEntry);
   
   // Write back to file
-  fs.writeFileSync(changelogPath, lines.join('\n'), 'utf8');
+  writeFileAtomic(changelogPath, lines.join('\n'));
 }
 
 /**
@@ -76,8 +97,220 @@ export function generateVersionTree(promptEntry) {
   return tree;
 }
 
+/**
+ * Normalizes the `changelog` field of a version to a list of notes
+ * @param {string|string[]} changelog - Notes as an array, or a string with one note per line
+ * @returns {string[]} Notes
+ */
+function normalizeChangelog(changelog) {
+  if (Array.isArray(changelog)) {
+    return changelog;
+  }
+  if (typeof changelog === 'string') {
+    return changelog.split('\n').map(line => line.replace(/^\s*[-*]\s*/, '').trim()).filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Builds the release history of a prompt. Versions without `changelog` notes get
+ * notes summarized from their diff with the previous version.
+ * @param {object} promptEntry - Prompt entry from registry
+ * @returns {Array<object>} History entries, newest version first
+ * ({version, releasedAt, author, changelog, generated, latest, deprecated, yanked})
+ */
+export function buildPromptHistory(promptEntry) {
+  const versions = sortVersions(Object.keys(promptEntry.versions));
+
+  return versions.map((version, index) => {
+    const promptData = promptEntry.versions[version];
+    let changelog = normalizeChangelog(promptData.changelog);
+    const generated = changelog.length === 0;
+
+    if (generated && index === 0) {
+      changelog = ['Initial version'];
+    } else if (generated) {
+      const changes = summarizePromptDiff(diffPromptVersions(promptEntry.versions[versions[index - 1]], promptData));
+      changelog = [...changes.breaking, ...changes.features, ...changes.fixes];
+    }
+
+    return {
+      version,
+      // Older entries only carry the `last_updated` timestamp of their import
+      releasedAt: promptData.releasedAt || promptData.last_updated || null,
+      author: promptData.author || null,
+      changelog,
+      generated,
+      latest: version === promptEntry.latest,
+      deprecated: getDeprecation(promptData),
+      yanked: isYanked(promptData)
+    };
+  }).reverse();
+}
+
+/**
+ * Formats the date part of a release timestamp
+ * @param {string} releasedAt - ISO 8601 date
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function formatReleaseDate(releasedAt) {
+  return new Date(releasedAt).toISOString().split('T')[0];
+}
+
+/**
+ * Renders the status labels and notes of a history entry
+ * @param {string} heading - Markdown heading for the entry
+ * @param {object} release - Entry from buildPromptHistory()
+ * @returns {string} Markdown
+ */
+function renderRelease(heading, release) {
+  const labels = [release.latest && 'latest', release.deprecated && 'deprecated', release.yanked && 'yanked'].filter(Boolean);
+  let markdown = `${heading}${release.author ? ` by ${release.author}` : ''}${labels.length > 0 ? ` (${labels.join(', ')})` : ''}\n`;
+  if (release.deprecated) {
+    markdown += `> Deprecated: ${release.deprecated.message}${release.deprecated.replacement ? ` (use \`${release.deprecated.replacement}\`)` : ''}\n`;
+  }
+  release.changelog.forEach(note => {
+    markdown += `- ${note}\n`;
+  });
+  return markdown;
+}
+
+/**
+ * Renders the release history of one prompt as Markdown
+ * @param {string} promptId - The prompt ID
+ * @param {object} promptEntry - Prompt entry from registry
+ * @returns {string} Markdown changelog
+ */
+export function renderPromptChangelog(promptId, promptEntry) {
+  const releases = buildPromptHistory(promptEntry).map(release => {
+    const date = release.releasedAt ? ` - ${formatReleaseDate(release.releasedAt)}` : '';
+    return renderRelease(`## [${release.version}]${date}`, release);
+  });
+  return `# ${promptId} changelog\n\n${releases.join('\n')}`;
+}
+
+/**
+ * Renders a changelog for the whole registry, grouped by release date (newest first).
+ * Versions without `releasedAt` are listed last, under "Undated".
+ * @param {object} registry - The prompt registry
+ * @returns {string} Markdown changelog
+ */
+export function renderRegistryChangelog(registry) {
+  const byDate = new Map();
+  for (const id of Object.keys(registry).sort()) {
+    for (const release of buildPromptHistory(registry[id])) {
+      const date = release.releasedAt ? formatReleaseDate(release.releasedAt) : 'Undated';
+      if (!byDate.has(date)) byDate.set(date, []);
+      byDate.get(date).push(renderRelease(`### ${id} ${release.version}`, release));
+    }
+  }
+
+  const dates = [...byDate.keys()].filter(date => date !== 'Undated').sort().reverse();
+  if (byDate.has('Undated')) dates.push('Undated');
+
+  return `${CHANGELOG_HEADER}${dates.map(date => `\n## ${date}\n\n${byDate.get(date).join('\n')}`).join('')}`;
+}
+
+/**
+ * Regenerates CHANGELOG.md from the registry
+ * @param {object} registry - The prompt registry
+ * @param {string} changelogPath - Output path (defaults to CHANGELOG.md in the working directory)
+ */
+export function writeRegistryChangelog(registry, changelogPath = path.join(process.cwd(), 'CHANGELOG.md')) {
+  withFileLock(changelogPath, () => writeFileAtomic(changelogPath, renderRegistryChangelog(registry)));
+}
+
+/**
+ * Prints usage information
+ */
+function printUsage() {
+  console.log(`
+Prompt Template Registry Changelog Generator v${CLI_VERSION}
+Usage: node changelog-generator.js [id] [options]
+
+Without an id, regenerates CHANGELOG.md for the whole registry.
+With an id, prints the changelog of that prompt.
+
+Options:
+  --output <path>      Write to this file (default: CHANGELOG.md, or stdout for a single prompt)
+  --registry <path>    Registry file or prompts directory (default: ./prompts if present, else ./registry.json)
+  -h, --help           Show this help message
+  -v, --version        Show version information
+
+Examples:
+  node changelog-generator.js
+  node changelog-generator.js sql_query_generation
+`);
+}
+
+/**
+ * Reads the value of a "--name value" option
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name
+ * @param {string} defaultValue - Value if the option is absent
+ * @returns {string} Option value
+ */
+function getOption(args, name, defaultValue) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : defaultValue;
+}
+
+/**
+ * Main CLI function
+ */
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('-h') || args.includes('--help')) {
+    printUsage();
+    process.exit(0);
+  }
+
+  if (args.includes('-v') || args.includes('--version')) {
+    console.log(`changelog-generator.js v${CLI_VERSION}`);
+    process.exit(0);
+  }
+
+  const registryPath = path.resolve(getOption(args, '--registry', resolveRegistryLocation(process.cwd())));
+  const output = getOption(args, '--output', null);
+  const [id] = args.filter((arg, i) => !arg.startsWith('-') && !['--output', '--registry'].includes(args[i - 1]));
+  const registry = loadRegistry(registryPath);
+
+  if (!id) {
+    const changelogPath = path.resolve(output || 'CHANGELOG.md');
+    writeRegistryChangelog(registry, changelogPath);
+    console.log(`✅ Wrote ${path.relative(process.cwd(), changelogPath)}`);
+    return;
+  }
+
+  if (!registry[id]) {
+    console.error(`Error: Prompt "${id}" not found in ${registryPath}`);
+    process.exit(1);
+  }
+  const markdown = renderPromptChangelog(id, registry[id]);
+  if (output) {
+    writeFileAtomic(path.resolve(output), markdown);
+    console.log(`✅ Wrote ${output}`);
+  } else {
+    process.stdout.write(markdown);
+  }
+}
+
+// Run the CLI (the exception handler is only installed when run directly, since index.mjs imports this module)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.on('uncaughtException', (error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+  main();
+}
+
 export default {
   generatePromptChangelog,
   updateMainChangelog,
-  generateVersionTree
+  generateVersionTree,
+  buildPromptHistory,
+  renderPromptChangelog,
+  renderRegistryChangelog,
+  writeRegistryChangelog
 };
\ No newline at end of file
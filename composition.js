@@ -0,0 +1,171 @@
+/**
+ * Prompt Template Registry - Prompt Composition
+ *
+ * Resolves {{> id@range}} includes between registry entries so shared fragments
+ * (preambles, output-format instructions) are written once and reused.
+ *
+ * Example:
+ *   "prompt": "{{> shared/senior_engineer}}\n\nReview this code:\n{{code}}\n\n{{> shared/json_output@^1 schema=output_schema}}"
+ */
+
+import { renderTemplate, listTemplatePartials } from './template-engine.js';
+import { resolveVariables } from './variable-schema.js';
+import { getPromptVariant } from './multi-llm-variants.js';
+import { getPromptText, listPromptTemplates } from './messages.js';
+import { resolvePromptVersion } from './version-utils.js';
+
+// Maximum include depth, guards against runaway composition
+const MAX_INCLUDE_DEPTH = 10;
+
+/**
+ * Splits a prompt reference into id and version range
+ * @param {string} reference - Reference such as "shared/json_output@^1"
+ * @returns {{id: string, range: string|null}} Parsed reference
+ */
+export function parsePromptReference(reference) {
+  const at = reference.indexOf('@');
+  if (at === -1) {
+    return { id: reference, range: null };
+  }
+  return { id: reference.slice(0, at), range: reference.slice(at + 1) || null };
+}
+
+/**
+ * Resolves an included prompt reference to a concrete version
+ * @param {object} registry - The prompt registry
+ * @param {string} reference - Reference such as "shared/json_output@^1" (exact versions and dist-tags work too)
+ * @param {function} pin - Optional hook (id, range) returning a pinned version, e.g. from the lockfile
+ * @returns {{id: string, version: string, promptData: object}} Resolved include
+ * @throws {Error} If the prompt or a matching version does not exist
+ */
+export function resolveInclude(registry, reference, pin = null) {
+  const { id, range } = parsePromptReference(reference);
+  const entry = registry[id];
+
+  if (!entry) {
+    throw new Error(`Included prompt "${id}" not found`);
+  }
+
+  const version = (pin && pin(id, range)) || resolvePromptVersion(entry, range);
+  if (!version) {
+    throw new Error(`No version of included prompt "${id}" matches "${range}"`);
+  }
+
+  return { id, version, promptData: entry.versions[version] };
+}
+
+/**
+ * Creates the partial resolver handed to renderTemplate() for a prompt.
+ * Included prompts see the including prompt's variables plus any explicit parameters,
+ * have their own variable schema applied, and may include further prompts.
+ * @param {object} registry - The prompt registry
+ * @param {object} options - Resolver options
+ * @param {string[]} options.stack - Prompt ids already being rendered (for cycle detection)
+ * @param {string} options.model - Optional model used to pick variants of included prompts
+ * @param {function} options.pin - Optional hook (id, range) returning a pinned version
+ * @returns {function} Resolver called as (reference, variables)
+ */
+export function createIncludeResolver(registry, options = {}) {
+  const stack = options.stack || [];
+
+  return (reference, variables) => {
+    const { id, version, promptData } = resolveInclude(registry, reference, options.pin);
+
+    if (stack.includes(id)) {
+      throw new Error(`Circular include: ${[...stack, id].join(' -> ')}`);
+    }
+    if (stack.length >= MAX_INCLUDE_DEPTH) {
+      throw new Error(`Include depth exceeds ${MAX_INCLUDE_DEPTH} at "${reference}"`);
+    }
+
+    const template = options.model ? getPromptVariant(promptData, options.model) : getPromptText(promptData);
+    const values = promptData.variables && !Array.isArray(promptData.variables) ?
+      resolveVariables(promptData.variables, variables, `${id}@${version}`) : variables;
+
+    return renderTemplate(template, values, {
+      ...options.renderOptions,
+      resolvePartial: createIncludeResolver(registry, { ...options, stack: [...stack, id] })
+    });
+  };
+}
+
+/**
+ * Lists the includes used by every template of a prompt version (prompt or messages, and variants)
+ * @param {object} promptData - Prompt version data
+ * @returns {string[]} Unique include references
+ */
+export function findIncludes(promptData) {
+  const references = new Set();
+  for (const template of listPromptTemplates(promptData)) {
+    try {
+      listTemplatePartials(template).forEach(reference => references.add(reference));
+    } catch (error) {
+      // Template syntax errors are reported by the validator
+    }
+  }
+  return [...references];
+}
+
+/**
+ * Checks every version in a registry for dangling and circular includes
+ * @param {object} registry - The prompt registry
+ * @returns {string[]} Error messages (empty if all includes resolve)
+ */
+export function checkIncludes(registry) {
+  const errors = [];
+  const reported = new Set();
+
+  /**
+   * Walks includes depth-first from a prompt version, reporting cycles
+   * @param {string} id - Prompt id
+   * @param {string} version - Prompt version
+   * @param {string[]} path - Include chain so far
+   */
+  const walk = (id, version, path) => {
+    for (const reference of findIncludes(registry[id].versions[version])) {
+      let resolved;
+      try {
+        resolved = resolveInclude(registry, reference);
+      } catch (error) {
+        // Dangling includes are reported once per including version below
+        continue;
+      }
+
+      const chain = [...path, resolved.id];
+      if (path.includes(resolved.id)) {
+        const cycle = chain.slice(path.indexOf(resolved.id));
+        // Report each cycle once, whichever member it was reached from
+        const key = [...new Set(cycle)].sort().join(',');
+        if (!reported.has(key)) {
+          reported.add(key);
+          errors.push(`Circular include: ${cycle.join(' -> ')}`);
+        }
+        continue;
+      }
+      walk(resolved.id, resolved.version, chain);
+    }
+  };
+
+  for (const [id, entry] of Object.entries(registry)) {
+    for (const [version, promptData] of Object.entries(entry.versions || {})) {
+      for (const reference of findIncludes(promptData)) {
+        try {
+          resolveInclude(registry, reference);
+        } catch (error) {
+          errors.push(`${id}@${version}: ${error.message}`);
+        }
+      }
+      walk(id, version, [id]);
+    }
+  }
+
+  return errors;
+}
+
+export default {
+  parsePromptReference,
+  resolveInclude,
+  createIncludeResolver,
+  findIncludes,
+  checkIncludes
+};
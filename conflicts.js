@@ -0,0 +1,176 @@
+/**
+ * Prompt Template Registry - Merge Conflicts
+ *
+ * A conflict is a version that exists both locally and in a remote registry with
+ * different content (as hashed for the lockfile). Conflicts are resolved per prompt by
+ * the first matching rule in prompt-registry.conflicts.json, then by the sync's
+ * `mergeStrategy`:
+ *
+ * {
+ *   "default": "prefer-local",
+ *   "rules": {
+ *     "code_review": "prefer-remote",
+ *     "acme/*": "fork-as-new-version"
+ *   }
+ * }
+ *
+ * Rules match a prompt id exactly, or a namespace with "<namespace>/*" (the longest
+ * matching namespace wins); "*" matches every prompt.
+ */
+
+import fs from 'node:fs';
+import { hashPromptContent } from './lockfile.js';
+import { compareVersions } from './semver.js';
+
+export const CONFLICT_RULES_NAME = 'prompt-registry.conflicts.json';
+
+// How a conflicting version can be resolved
+export const CONFLICT_STRATEGIES = ['prefer-local', 'prefer-remote', 'fork-as-new-version'];
+
+/**
+ * Validates conflict rules
+ * @param {object} rules - Rules ({default, rules})
+ * @returns {string[]} Validation errors
+ */
+export function validateConflictRules(rules) {
+  const errors = [];
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return ['Conflict rules must be an object'];
+  }
+  if (rules.default !== undefined && !CONFLICT_STRATEGIES.includes(rules.default)) {
+    errors.push(`Invalid default strategy "${rules.default}" (expected one of: ${CONFLICT_STRATEGIES.join(', ')})`);
+  }
+  for (const [pattern, strategy] of Object.entries(rules.rules || {})) {
+    if (!CONFLICT_STRATEGIES.includes(strategy)) {
+      errors.push(`Invalid strategy "${strategy}" for "${pattern}" (expected one of: ${CONFLICT_STRATEGIES.join(', ')})`);
+    }
+    if (pattern.includes('*') && pattern !== '*' && !/^[^*]+\/\*$/.test(pattern)) {
+      errors.push(`Invalid pattern "${pattern}" (use an id, "<namespace>/*" or "*")`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Reads conflict rules from disk
+ * @param {string} filePath - Rules file path
+ * @returns {object|null} Rules, or null if the file does not exist
+ * @throws {Error} If the file is not valid JSON or contains invalid rules
+ */
+export function readConflictRules(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid conflict rules ${filePath}: ${error.message}`);
+  }
+  const errors = validateConflictRules(rules);
+  if (errors.length > 0) {
+    throw new Error(`Invalid conflict rules ${filePath}: ${errors.join('; ')}`);
+  }
+  return rules;
+}
+
+/**
+ * Finds the strategy the rules assign to a prompt
+ * @param {object|null} rules - Rules ({default, rules})
+ * @param {string} promptId - Prompt id
+ * @returns {{strategy: string, rule: string}|null} Strategy and the rule that chose it, or null if none applies
+ */
+export function getConflictRule(rules, promptId) {
+  if (!rules) {
+    return null;
+  }
+
+  const patterns = rules.rules || {};
+  if (patterns[promptId]) {
+    return { strategy: patterns[promptId], rule: promptId };
+  }
+
+  const namespace = Object.keys(patterns)
+    .filter(pattern => pattern.endsWith('/*') && promptId.startsWith(pattern.slice(0, -1)))
+    .sort((a, b) => b.length - a.length)[0];
+  if (namespace) {
+    return { strategy: patterns[namespace], rule: namespace };
+  }
+
+  if (patterns['*']) {
+    return { strategy: patterns['*'], rule: '*' };
+  }
+  return rules.default ? { strategy: rules.default, rule: 'default' } : null;
+}
+
+/**
+ * Finds versions that exist in both entries with different content
+ * @param {string} promptId - Prompt id
+ * @param {object} localEntry - Local registry entry
+ * @param {object} remoteEntry - Remote registry entry
+ * @returns {Array<{id: string, version: string, localHash: string, remoteHash: string}>} Conflicts, oldest version first
+ */
+export function findVersionConflicts(promptId, localEntry, remoteEntry) {
+  return Object.keys(remoteEntry.versions)
+    .filter(version => localEntry.versions[version])
+    .map(version => ({
+      id: promptId,
+      version,
+      localHash: hashPromptContent(localEntry.versions[version]),
+      remoteHash: hashPromptContent(remoteEntry.versions[version])
+    }))
+    .filter(conflict => conflict.localHash !== conflict.remoteHash)
+    .sort((a, b) => compareVersions(a.version, b.version));
+}
+
+/**
+ * Gets the first free fork version for a conflicting version ("2.0.0" -> "2.0.0-remote.1")
+ * @param {object} entry - Registry entry
+ * @param {string} version - Conflicting version
+ * @returns {string} Fork version
+ */
+export function getForkVersion(entry, version) {
+  let n = 1;
+  while (entry.versions[`${version}-remote.${n}`]) {
+    n++;
+  }
+  return `${version}-remote.${n}`;
+}
+
+/**
+ * Applies a resolution to a conflicting version of a local entry
+ * @param {object} localEntry - Local registry entry (updated in place)
+ * @param {object} remoteData - Remote data of the conflicting version
+ * @param {string} version - Conflicting version
+ * @param {string} strategy - One of CONFLICT_STRATEGIES
+ * @returns {string|null} Version the remote content was stored as, or null if it was discarded
+ */
+export function applyConflictResolution(localEntry, remoteData, version, strategy) {
+  switch (strategy) {
+    case 'prefer-remote':
+      localEntry.versions[version] = { ...remoteData };
+      return version;
+    case 'fork-as-new-version': {
+      // Keep the local version and store the remote content as a prerelease next to it
+      const fork = getForkVersion(localEntry, version);
+      localEntry.versions[fork] = { ...remoteData, version: fork };
+      return fork;
+    }
+    case 'prefer-local':
+      return null;
+    default:
+      throw new Error(`Unknown conflict strategy "${strategy}" (expected one of: ${CONFLICT_STRATEGIES.join(', ')})`);
+  }
+}
+
+export default {
+  CONFLICT_RULES_NAME,
+  CONFLICT_STRATEGIES,
+  validateConflictRules,
+  readConflictRules,
+  getConflictRule,
+  findVersionConflicts,
+  getForkVersion,
+  applyConflictResolution
+};
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt Template Registry - Registry Layout CLI Tool
+ *
+ * Converts between the monolithic registry.json and the prompts/<id>/<version>.yaml layout
+ * Usage: node convert-registry.js <split|bundle> [options]
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { REGISTRY_FILE, PROMPTS_DIRECTORY, LAYOUT_FORMATS, splitRegistry, bundleRegistry } from './registry-layout.js';
+
+// CLI Tool Version
+const CLI_VERSION = '1.0.0';
+
+/**
+ * Prints usage information
+ */
+function printUsage() {
+  console.log(`
+Prompt Template Registry Layout Tool v${CLI_VERSION}
+Usage: node convert-registry.js <command> [options]
+
+Commands:
+  split                  Write registry.json as one file per prompt version in prompts/
+  bundle                 Compile prompts/ into registry.json (e.g. before publishing)
+
+Options:
+  --registry <path>      Registry file (default: ./${REGISTRY_FILE})
+  --dir <path>           Prompts directory (default: ./${PROMPTS_DIRECTORY})
+  --format <format>      Format of new version files: ${LAYOUT_FORMATS.join(', ')} (default: yaml)
+  --force                Split into a prompts directory that already exists (it is made to match)
+  -h, --help             Show this help message
+  -v, --version          Show version information
+
+Examples:
+  node convert-registry.js split
+  node convert-registry.js split --format md --dir prompts
+  node convert-registry.js bundle --registry dist/registry.json
+`);
+}
+
+/**
+ * Reads the value of a "--name value" option
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name
+ * @param {string} defaultValue - Value if the option is absent
+ * @returns {string} Option value
+ */
+function getOption(args, name, defaultValue) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : defaultValue;
+}
+
+/**
+ * Main CLI function
+ */
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('-h') || args.includes('--help')) {
+    printUsage();
+    process.exit(0);
+  }
+
+  if (args.includes('-v') || args.includes('--version')) {
+    console.log(`convert-registry.js v${CLI_VERSION}`);
+    process.exit(0);
+  }
+
+  const registryPath = path.resolve(getOption(args, '--registry', REGISTRY_FILE));
+  const directory = path.resolve(getOption(args, '--dir', PROMPTS_DIRECTORY));
+  const [command] = args.filter((arg, i) => !arg.startsWith('-') && !['--registry', '--dir', '--format'].includes(args[i - 1]));
+
+  switch (command) {
+    case 'split': {
+      if (fs.existsSync(directory) && !args.includes('--force')) {
+        console.error(`Error: ${path.relative(process.cwd(), directory)} already exists (use --force to overwrite it, or bundle it first)`);
+        process.exit(1);
+      }
+      const result = splitRegistry(registryPath, directory, { format: getOption(args, '--format', 'yaml') });
+      console.log(`✅ Split ${result.prompts} prompts into ${path.relative(process.cwd(), directory)}/ (${result.written.length} files written, ${result.removed.length} removed)`);
+      console.log(`   The directory now takes precedence over ${path.basename(registryPath)}; run "node convert-registry.js bundle" to regenerate it for publishing.`);
+      break;
+    }
+
+    case 'bundle': {
+      const result = bundleRegistry(directory, registryPath);
+      console.log(`✅ Bundled ${result.prompts} prompts into ${path.relative(process.cwd(), registryPath)}`);
+      break;
+    }
+
+    default:
+      console.error(`Error: Unknown command "${command}"`);
+      printUsage();
+      process.exit(1);
+  }
+}
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
+
+// Run the CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt Template Registry - Prompt Diff CLI Tool
+ *
+ * Shows what changed between two versions of a prompt
+ * Usage: node diff-prompt.js <id> <from> [to] [options]
+ */
+
+import path from 'node:path';
+import { resolvePromptVersion } from './version-utils.js';
+import { resolveRegistryLocation, loadRegistry } from './registry-layout.js';
+import { DIFF_FORMATS, diffPromptVersions, summarizePromptDiff, formatPromptDiff } from './prompt-diff.js';
+
+// CLI Tool Version
+const CLI_VERSION = '1.0.0';
+
+/**
+ * Prints usage information
+ */
+function printUsage() {
+  console.log(`
+Prompt Template Registry Diff Tool v${CLI_VERSION}
+Usage: node diff-prompt.js <id> <from> [to] [options]
+
+Compares two versions of a prompt. <from> and [to] may be versions, ranges or
+dist-tags; [to] defaults to the latest version.
+
+Options:
+  --format <format>    Output format: ${DIFF_FORMATS.join(', ')} (default: terminal on a TTY, unified otherwise)
+  --no-color           Disable colors in terminal output
+  --summary            Print changelog bullets instead of the diff
+  --registry <path>    Registry file or prompts directory (default: ./prompts if present, else ./registry.json)
+  -h, --help           Show this help message
+  -v, --version        Show version information
+
+Examples:
+  node diff-prompt.js sql_query_generation 1.0.0
+  node diff-prompt.js sql_query_generation 1.0.0 2.0.0 --format json
+  node diff-prompt.js sql_query_generation ^1 next --summary
+`);
+}
+
+/**
+ * Reads the value of a "--name value" option
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name
+ * @param {string} defaultValue - Value if the option is absent
+ * @returns {string} Option value
+ */
+function getOption(args, name, defaultValue) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : defaultValue;
+}
+
+/**
+ * Main CLI function
+ */
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('-h') || args.includes('--help')) {
+    printUsage();
+    process.exit(0);
+  }
+
+  if (args.includes('-v') || args.includes('--version')) {
+    console.log(`diff-prompt.js v${CLI_VERSION}`);
+    process.exit(0);
+  }
+
+  const format = getOption(args, '--format', process.stdout.isTTY ? 'terminal' : 'unified');
+  const registryPath = path.resolve(getOption(args, '--registry', resolveRegistryLocation(process.cwd())));
+  const positional = args.filter((arg, i) => !arg.startsWith('-') && !['--format', '--registry'].includes(args[i - 1]));
+  const [id, fromSpec, toSpec] = positional;
+
+  if (!id || !fromSpec) {
+    console.error('Error: a prompt id and a version to compare from are required');
+    printUsage();
+    process.exit(1);
+  }
+  if (!DIFF_FORMATS.includes(format)) {
+    console.error(`Error: Unknown format "${format}" (expected one of: ${DIFF_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  const registry = loadRegistry(registryPath);
+  const entry = registry[id];
+  if (!entry) {
+    console.error(`Error: Prompt "${id}" not found in ${registryPath}`);
+    process.exit(1);
+  }
+
+  const from = resolvePromptVersion(entry, fromSpec);
+  const to = resolvePromptVersion(entry, toSpec);
+  for (const [spec, version] of [[fromSpec, from], [toSpec || 'latest', to]]) {
+    if (!version) {
+      console.error(`Error: Version "${spec}" not available for "${id}" (available: ${Object.keys(entry.versions).join(', ')})`);
+      process.exit(1);
+    }
+  }
+
+  const diff = diffPromptVersions(entry.versions[from], entry.versions[to], { id, from, to });
+
+  if (args.includes('--summary')) {
+    const changes = summarizePromptDiff(diff);
+    [['Breaking', changes.breaking], ['Features', changes.features], ['Fixes', changes.fixes]]
+      .filter(([, items]) => items.length > 0)
+      .forEach(([heading, items]) => {
+        console.log(`${heading}:`);
+        items.forEach(item => console.log(`  - ${item}`));
+      });
+    if (!diff.changed) {
+      console.log(`No changes between ${id}@${from} and ${id}@${to}`);
+    }
+    return;
+  }
+
+  process.stdout.write(formatPromptDiff(diff, format, { color: !args.includes('--no-color') }));
+}
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
+
+// Run the CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,405 @@
+/**
+ * Prompt Template Registry - Embedding Index
+ *
+ * Retrieves prompts by the cosine similarity of vector embeddings of their text to a query's,
+ * for semanticSearchAsync() in the "embedding" and "hybrid" modes. Embeddings come from an
+ * embedder: any object with a `name` and an `embed(texts)` method returning one vector per
+ * text (or a promise of them), so a local model or an embeddings API can be plugged in.
+ *
+ * The default embedder works offline: it hashes the stemmed words of a text and the
+ * trigrams of those words into a fixed-size vector. It matches words that share a stem or
+ * letters ("summarise" and "summarizer") but not synonyms, which need a model embedder.
+ *
+ * Vectors are kept with a hash of the text they were computed from, so only prompts that
+ * changed are embedded again. An index can be persisted as one JSON file next to the cache;
+ * a file written with another embedder is ignored.
+ */
+
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { getPromptText } from './messages.js';
+import { resolvePromptVersion } from './version-utils.js';
+import { tokenize } from './search-index.js';
+import { writeFileAtomic } from './storage.js';
+
+// Format of embedding index files; files in another format are rebuilt
+export const EMBEDDING_INDEX_FORMAT = 1;
+
+// Size of the default embedder's vectors
+export const DEFAULT_DIMENSIONS = 512;
+
+// Cosine similarity from which a prompt is considered related to a query
+export const MIN_SIMILARITY = 0.15;
+
+// Weight of a word trigram in the default embedder, relative to a whole word
+const TRIGRAM_WEIGHT = 0.5;
+
+// Characters of a template included in the text to embed (model embedders have input limits)
+const MAX_TEMPLATE_LENGTH = 1000;
+
+// Texts per embed() call
+const EMBED_BATCH_SIZE = 64;
+
+/**
+ * Error thrown by invalid embedders and embeddings
+ */
+export class EmbeddingError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'EmbeddingError';
+    this.details = details;
+  }
+}
+
+/**
+ * Hashes a feature of a text (FNV-1a)
+ * @param {string} feature - Feature
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash = Math.imul(hash ^ feature.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Scales a vector to unit length
+ * @param {ArrayLike<number>} vector - Vector
+ * @returns {Float32Array} Unit vector (all zeros for a zero vector)
+ */
+function normalizeVector(vector) {
+  const normalized = Float32Array.from(vector);
+  let norm = 0;
+  for (const value of normalized) {
+    norm += value * value;
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < normalized.length; i++) {
+      normalized[i] /= norm;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Creates the default offline embedder, a hashed n-gram vectorizer: each stemmed word of a
+ * text and each trigram of its words adds to one of `dimensions` components (with a sign,
+ * so collisions tend to cancel out)
+ * @param {object} options - Options ({dimensions}: vector size, default DEFAULT_DIMENSIONS)
+ * @returns {{name: string, dimensions: number, embed: function(string[]): Float32Array[]}} Embedder
+ */
+export function createHashedEmbedder(options = {}) {
+  const dimensions = options.dimensions ?? DEFAULT_DIMENSIONS;
+  if (!Number.isInteger(dimensions) || dimensions < 1) {
+    throw new EmbeddingError(`Invalid number of dimensions "${dimensions}"`, { dimensions });
+  }
+
+  const addFeature = (vector, feature, weight) => {
+    const hash = hashFeature(feature);
+    vector[hash % dimensions] += hash & 0x80000000 ? -weight : weight;
+  };
+
+  return {
+    name: `hashed-ngram-${dimensions}`,
+    dimensions,
+    embed(texts) {
+      return texts.map(text => {
+        const vector = new Float32Array(dimensions);
+        for (const { term, word } of tokenize(text)) {
+          addFeature(vector, `w:${term}`, 1);
+          const padded = `<${word}>`;
+          for (let i = 0; i + 3 <= padded.length; i++) {
+            addFeature(vector, `t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+          }
+        }
+        return normalizeVector(vector);
+      });
+    }
+  };
+}
+
+/**
+ * Checks that an object can be used as an embedder
+ * @param {object} embedder - Embedder
+ * @throws {EmbeddingError} If it has no name or embed() method
+ */
+export function assertEmbedder(embedder) {
+  if (!embedder || typeof embedder.name !== 'string' || !embedder.name || typeof embedder.embed !== 'function') {
+    throw new EmbeddingError('An embedder needs a name and an embed(texts) method', { embedder });
+  }
+}
+
+/**
+ * Measures the cosine similarity of two vectors
+ * @param {ArrayLike<number>} a - First vector
+ * @param {ArrayLike<number>} b - Second vector (same length)
+ * @returns {number} Similarity from -1 to 1 (0 if either is a zero vector)
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * Gets the text of a prompt version that is embedded: its id, description, tags, category
+ * and the start of its template
+ * @param {string} id - Prompt id
+ * @param {object} versionData - Prompt version data
+ * @returns {string} Text
+ */
+export function getEmbeddingText(id, versionData) {
+  return [
+    id.replace(/[_\-./]+/g, ' '),
+    versionData.description,
+    (versionData.tags || []).join(', '),
+    versionData.category,
+    getPromptText(versionData).slice(0, MAX_TEMPLATE_LENGTH)
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Reads the documents of an embedding index file
+ * @param {string} filePath - Index file
+ * @param {string} embedderName - Name of the index's embedder
+ * @returns {Array<{id: string, hash: string, vector: Float32Array}>} Documents (none if the
+ *   file is missing, corrupt, or was written with another embedder)
+ */
+function readIndexFile(filePath, embedderName) {
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.format !== EMBEDDING_INDEX_FORMAT || data.embedder !== embedderName || !Array.isArray(data.documents)) {
+      return [];
+    }
+    return data.documents.map(doc => {
+      // Copied, as a decoded buffer may not start at a multiple of 4 bytes
+      const bytes = Uint8Array.from(Buffer.from(doc.vector, 'base64'));
+      return { id: doc.id, hash: doc.hash, vector: new Float32Array(bytes.buffer) };
+    });
+  } catch (error) {
+    // A missing or corrupt index is rebuilt from the registry
+    return [];
+  }
+}
+
+/**
+ * Creates an embedding index for one collection of prompts
+ * @param {object} options - Options ({embedder}: default createHashedEmbedder(), {file} to
+ *   persist the index in; in memory only if omitted)
+ * @returns {object} Embedding index
+ * @throws {EmbeddingError} If the embedder is invalid
+ */
+export function createEmbeddingIndex(options = {}) {
+  const embedder = options.embedder || createHashedEmbedder();
+  assertEmbedder(embedder);
+  const file = options.file || null;
+
+  // Documents by prompt id: {id, hash, vector} (vectors have unit length)
+  const documents = new Map();
+  let changed = false;
+
+  // Size of the vectors, if the embedder does not say: that of the first vector seen
+  let dimensions = embedder.dimensions ?? null;
+
+  // Updates run one after the other, so concurrent searches do not embed a prompt twice
+  let updating = Promise.resolve();
+
+  /**
+   * Embeds texts in batches
+   * @param {string[]} texts - Texts
+   * @returns {Promise<Float32Array[]>} Unit vectors, one per text
+   * @throws {EmbeddingError} If the embedder returns the wrong number or size of vectors
+   */
+  async function embedTexts(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+      const batch = texts.slice(i, i + EMBED_BATCH_SIZE);
+      const embedded = await embedder.embed(batch);
+      if (!Array.isArray(embedded) || embedded.length !== batch.length) {
+        throw new EmbeddingError(`Embedder "${embedder.name}" returned ${embedded && embedded.length} vectors for ${batch.length} texts`, { embedder: embedder.name });
+      }
+      for (const vector of embedded) {
+        dimensions = dimensions ?? (vector && vector.length);
+        if (!vector || vector.length !== dimensions || vector.length === 0) {
+          throw new EmbeddingError(`Embedder "${embedder.name}" returned a vector of ${vector && vector.length} dimensions instead of ${dimensions}`, { embedder: embedder.name });
+        }
+        vectors.push(normalizeVector(vector));
+      }
+    }
+    return vectors;
+  }
+
+  /**
+   * Embeds the prompts whose text changed and removes those the collection no longer has
+   * @param {object} prompts - Registry entries keyed by prompt id
+   * @returns {Promise<{embedded: number, removed: number}>} Numbers of prompts embedded and removed
+   */
+  async function refresh(prompts) {
+    const pending = [];
+    for (const [id, promptEntry] of Object.entries(prompts)) {
+      const version = resolvePromptVersion(promptEntry);
+      const text = version ? getEmbeddingText(id, promptEntry.versions[version]) : '';
+      const hash = crypto.createHash('sha1').update(text).digest('base64');
+      const doc = documents.get(id);
+      if (!doc || doc.hash !== hash) {
+        pending.push({ id, hash, text });
+      }
+    }
+
+    const vectors = await embedTexts(pending.map(doc => doc.text));
+    pending.forEach(({ id, hash }, i) => documents.set(id, { id, hash, vector: vectors[i] }));
+
+    let removed = 0;
+    for (const id of [...documents.keys()]) {
+      if (!Object.prototype.hasOwnProperty.call(prompts, id)) {
+        documents.delete(id);
+        removed++;
+      }
+    }
+
+    changed = changed || pending.length > 0 || removed > 0;
+    try {
+      save();
+    } catch (error) {
+      // Index write failure - non-critical, the prompts are embedded again when next loaded
+    }
+    return { embedded: pending.length, removed };
+  }
+
+  /**
+   * Brings the index up to date with a collection of prompts (their default versions)
+   * @param {object} prompts - Registry entries keyed by prompt id
+   * @returns {Promise<{embedded: number, removed: number}>} Numbers of prompts embedded and removed
+   * @throws {EmbeddingError} If the embedder returns invalid vectors
+   */
+  function updatePrompts(prompts) {
+    const update = updating.then(() => refresh(prompts));
+    updating = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * Ranks the indexed prompts by similarity to a query
+   * @param {string} text - Query text
+   * @param {object} queryOptions - Options ({minSimilarity}: default MIN_SIMILARITY)
+   * @returns {Promise<Array<{id: string, similarity: number}>>} Prompts at least minSimilarity
+   *   similar to the query, most similar first
+   */
+  async function query(text, queryOptions = {}) {
+    const minSimilarity = queryOptions.minSimilarity ?? MIN_SIMILARITY;
+    const [vector] = await embedTexts([text]);
+    const results = [];
+    for (const doc of documents.values()) {
+      const similarity = cosineSimilarity(vector, doc.vector);
+      if (similarity >= minSimilarity) {
+        results.push({ id: doc.id, similarity });
+      }
+    }
+    return results.sort((a, b) => b.similarity - a.similarity || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Counts the embedded prompts
+   * @returns {number} Number of documents
+   */
+  function count() {
+    return documents.size;
+  }
+
+  /**
+   * Writes the index to its file, if it changed since it was read or last saved
+   * @returns {boolean} True if the file was written
+   */
+  function save() {
+    if (!file || !changed) {
+      return false;
+    }
+    const saved = [...documents.values()].map(({ id, hash, vector }) => ({
+      id,
+      hash,
+      vector: Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64')
+    }));
+    writeFileAtomic(file, JSON.stringify({ format: EMBEDDING_INDEX_FORMAT, embedder: embedder.name, documents: saved }));
+    changed = false;
+    return true;
+  }
+
+  if (file) {
+    for (const doc of readIndexFile(file, embedder.name)) {
+      if (doc.vector.length === (dimensions ?? doc.vector.length)) {
+        dimensions = doc.vector.length;
+        documents.set(doc.id, doc);
+      }
+    }
+  }
+
+  return {
+    embedder,
+    file,
+    updatePrompts,
+    query,
+    count,
+    save
+  };
+}
+
+// Embedding indexes of prompt collections: Map<embedder name, index> per collection
+const collectionIndexes = new WeakMap();
+
+/**
+ * Makes semanticSearchAsync() use an embedding index (for example one persisted next to the
+ * cache) for a collection of prompts and the index's embedder
+ * @param {object} prompts - Registry entries keyed by prompt id
+ * @param {object} index - Embedding index
+ */
+export function attachEmbeddingIndex(prompts, index) {
+  if (!collectionIndexes.has(prompts)) {
+    collectionIndexes.set(prompts, new Map());
+  }
+  collectionIndexes.get(prompts).set(index.embedder.name, index);
+}
+
+/**
+ * Gets the embedding index of a collection of prompts for an embedder, creating an
+ * in-memory one if none was built or attached
+ * @param {object} prompts - Registry entries keyed by prompt id
+ * @param {object} embedder - Embedder (default: the attached index's, or createHashedEmbedder())
+ * @returns {object} Embedding index (call updatePrompts() before querying it)
+ * @throws {EmbeddingError} If the embedder is invalid
+ */
+export function getEmbeddingIndex(prompts, embedder) {
+  if (embedder) {
+    assertEmbedder(embedder);
+  }
+  const indexes = collectionIndexes.get(prompts);
+  const existing = indexes && (embedder ? indexes.get(embedder.name) : indexes.values().next().value);
+  if (existing) {
+    return existing;
+  }
+  const index = createEmbeddingIndex({ embedder });
+  attachEmbeddingIndex(prompts, index);
+  return index;
+}
+
+export default {
+  EMBEDDING_INDEX_FORMAT,
+  DEFAULT_DIMENSIONS,
+  MIN_SIMILARITY,
+  EmbeddingError,
+  createHashedEmbedder,
+  assertEmbedder,
+  cosineSimilarity,
+  getEmbeddingText,
+  createEmbeddingIndex,
+  attachEmbeddingIndex,
+  getEmbeddingIndex
+};
@@ -0,0 +1,233 @@
+/**
+ * Prompt Template Registry - Fuzzy Matching
+ *
+ * Typo-tolerant matching of prompt ids, tags and description words. Words are compared by
+ * edit distance, counting a swap of two adjacent letters as one edit ("genreation"), and
+ * whole ids by trigram similarity too, which also finds ids whose words are in another order
+ * ("query_sql_generation"). The module only depends on version-utils.js, which runs in
+ * browsers too, so the playground and the VS Code extension can use it as well as search()
+ * and get().
+ */
+
+import { resolvePromptVersion, getDeprecation } from './version-utils.js';
+
+// Number of "did you mean" suggestions
+export const MAX_SUGGESTIONS = 3;
+
+// Trigram similarity from which an id is suggested whatever its edit distance
+const MIN_ID_SIMILARITY = 0.5;
+
+/**
+ * Counts the edits (insertions, deletions, substitutions and swaps of adjacent characters)
+ * that turn one string into another
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Distance above which counting stops
+ * @returns {number} Edit distance, or maxDistance + 1 if it is larger than maxDistance
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  // Rows of the distance matrix: two rows back (for swaps), the previous one and the current one
+  let before = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], before[j - 2] + 1);
+      }
+      rowMinimum = Math.min(rowMinimum, current[j]);
+    }
+    if (rowMinimum > maxDistance) {
+      return maxDistance + 1;
+    }
+    [before, previous] = [previous, current];
+  }
+  return Math.min(previous[b.length], maxDistance + 1);
+}
+
+/**
+ * Gets the number of typos tolerated in a word: none up to 3 letters, one up to 6, then two
+ * @param {string} word - Word
+ * @returns {number} Maximum edit distance
+ */
+export function getMaxEdits(word) {
+  if (word.length <= 3) {
+    return 0;
+  }
+  return word.length <= 6 ? 1 : 2;
+}
+
+/**
+ * Rates how close a word is to a query word, allowing getMaxEdits() typos
+ * @param {string} query - Query word (lowercase)
+ * @param {string} word - Word (lowercase)
+ * @param {object} options - Options ({prefix}: true to also accept words starting with the query)
+ * @returns {number} 1 for the same word (or a prefix match), less for each typo, 0 for no match
+ */
+export function wordSimilarity(query, word, options = {}) {
+  if (query === word || (options.prefix && word.startsWith(query))) {
+    return 1;
+  }
+  const maxEdits = getMaxEdits(query);
+  const distance = editDistance(query, word, maxEdits);
+  return distance > maxEdits ? 0 : 1 - distance / Math.max(query.length, word.length);
+}
+
+/**
+ * Lists the distinct trigrams of a string, padded so its start and end count
+ * @param {string} text - Text (lowercase)
+ * @returns {Set<string>} Trigrams
+ */
+function getTrigrams(text) {
+  const padded = `  ${text} `;
+  const trigrams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    trigrams.add(padded.slice(i, i + 3));
+  }
+  return trigrams;
+}
+
+/**
+ * Measures the share of trigrams two strings have in common (Dice coefficient)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity from 0 (nothing in common) to 1 (same trigrams)
+ */
+export function trigramSimilarity(a, b) {
+  const first = getTrigrams(a.toLowerCase());
+  const second = getTrigrams(b.toLowerCase());
+  let shared = 0;
+  for (const trigram of first) {
+    if (second.has(trigram)) {
+      shared++;
+    }
+  }
+  return (2 * shared) / (first.size + second.size);
+}
+
+/**
+ * Finds the ids closest to one that does not exist, for "did you mean" suggestions. Ids
+ * within a typo or two (one per four characters) or sharing half their trigrams qualify.
+ * @param {string} id - Id looked up
+ * @param {Iterable<string>} ids - Existing ids
+ * @param {object} options - Options ({limit}: maximum number of suggestions, default MAX_SUGGESTIONS)
+ * @returns {string[]} Suggested ids, closest first
+ */
+export function suggestIds(id, ids, options = {}) {
+  const limit = options.limit ?? MAX_SUGGESTIONS;
+  const query = id.toLowerCase();
+  const maxEdits = Math.max(1, Math.floor(query.length / 4));
+
+  const candidates = [];
+  for (const candidate of ids) {
+    const distance = editDistance(query, candidate.toLowerCase(), maxEdits);
+    const similarity = trigramSimilarity(query, candidate);
+    if (distance <= maxEdits || similarity >= MIN_ID_SIMILARITY) {
+      candidates.push({ id: candidate, distance, similarity });
+    }
+  }
+
+  return candidates
+    .sort((a, b) => a.distance - b.distance || b.similarity - a.similarity || a.id.localeCompare(b.id))
+    .slice(0, limit)
+    .map(candidate => candidate.id);
+}
+
+/**
+ * Formats suggestions as a question for an error message
+ * @param {string[]} suggestions - Suggested ids (at least one)
+ * @returns {string} 'Did you mean "a", "b" or "c"?'
+ */
+export function formatSuggestions(suggestions) {
+  const quoted = suggestions.map(suggestion => `"${suggestion}"`);
+  const last = quoted.pop();
+  return `Did you mean ${quoted.length > 0 ? `${quoted.join(', ')} or ${last}` : last}?`;
+}
+
+/**
+ * Splits text into lowercase words (ids split at "_", "-" and ".")
+ * @param {string} text - Text
+ * @returns {string[]} Words
+ */
+function getWords(text) {
+  return String(text ?? '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Searches prompts by id, tags and description, tolerating typos and accepting word
+ * prefixes (for search-as-you-type). Every query word must match a word of the version the
+ * prompt resolves to (its latest, or the highest one not yanked). Prompts whose version is
+ * deprecated are left out, as in search(). For tools without a registry instance; search()
+ * with `fuzzy: true` ranks the same fields with its full-text index.
+ * @param {object} prompts - Registry entries keyed by prompt id
+ * @param {string} query - Query text
+ * @param {object} options - Options ({includeDeprecated}: include deprecated prompts)
+ * @returns {Array<{id: string, score: number, matches: Array<{field: string, terms: string[]}>}>}
+ *   Matching prompts, best first, with the query words each field matched
+ */
+export function fuzzySearchPrompts(prompts, query, options = {}) {
+  const queryWords = [...new Set(getWords(query))];
+  if (queryWords.length === 0) {
+    return [];
+  }
+
+  const results = [];
+  for (const [id, promptEntry] of Object.entries(prompts)) {
+    const version = promptEntry.versions ? resolvePromptVersion(promptEntry) : null;
+    const versionData = version && promptEntry.versions[version];
+    if (!versionData || (getDeprecation(versionData) && !options.includeDeprecated)) {
+      continue;
+    }
+    const fields = {
+      id: getWords(id),
+      tags: (versionData.tags || []).flatMap(getWords),
+      description: getWords(versionData.description)
+    };
+
+    // Each query word scores its closest word, in the first field holding it
+    let score = 0;
+    const matches = {};
+    for (const queryWord of queryWords) {
+      let best = null;
+      for (const [field, words] of Object.entries(fields)) {
+        for (const word of words) {
+          const similarity = wordSimilarity(queryWord, word, { prefix: true });
+          if (similarity > 0 && (!best || similarity > best.similarity)) {
+            best = { field, similarity };
+          }
+        }
+      }
+      if (!best) {
+        score = 0;
+        break;
+      }
+      score += best.similarity;
+      matches[best.field] = matches[best.field] || { field: best.field, terms: [] };
+      matches[best.field].terms.push(queryWord);
+    }
+
+    if (score > 0) {
+      results.push({ id, score: score / queryWords.length, matches: Object.values(matches) });
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+}
+
+export default {
+  MAX_SUGGESTIONS,
+  editDistance,
+  getMaxEdits,
+  wordSimilarity,
+  trigramSimilarity,
+  suggestIds,
+  formatSuggestions,
+  fuzzySearchPrompts
+};
@@ -6,14 +6,41 @@ interface PromptMetadata {
   version: string;
 }
 
+/** Chat Message Types **/
+type MessageRole = 'system' | 'user' | 'assistant';
+
+interface ChatMessage {
+  role: MessageRole;
+  content: string;
+}
+
 interface PromptData extends PromptMetadata {
+  /** Rendered prompt; chat prompts are flattened to a role-labelled transcript */
   prompt: string;
+  /** Rendered chat messages; plain prompts become a single user message */
+  messages: ChatMessage[];
+  /** Deprecation notice of the resolved version, or null */
+  deprecated: Deprecation | null;
+  /** Name of the source the prompt came from ('local' for registry.json) */
+  source: string;
+}
+
+interface Deprecation {
+  message: string;
+  /** Prompt reference to use instead ("id@^2") */
+  replacement: string | null;
 }
 
 interface SearchFilters {
   category?: string;
   tags?: string[];
   id?: string;
+  /** Bounds on the number of template expressions ({{...}}) */
+  minVariables?: number;
+  maxVariables?: number;
+  /** Bounds on the template length in characters */
+  minLength?: number;
+  maxLength?: number;
 }
 
 /** Remote Sync Types **/
@@ -36,6 +63,7 @@ type SyncErrorCode =
   | 'CERTIFICATE_ERROR'
   | 'QUOTA_EXCEEDED'
   | 'AUTHENTICATION_FAILED'
+  | 'SIGNATURE_INVALID'
   | 'UNKNOWN';
 
 interface SyncOptions {
@@ -45,8 +73,16 @@ interface SyncOptions {
   progressCallback?: (stage: SyncStage, progress: number) => void;
   errorPolicy?: 'throw' | 'silent' | 'warn';
   mergeStrategy?: 'prefer-local' | 'prefer-remote' | 'interactive';
+  /** Conflict rules used instead of prompt-registry.conflicts.json */
+  conflictRules?: ConflictRules;
+  /** Called for each conflict no rule covers when mergeStrategy is 'interactive' */
+  resolveConflict?: (conflict: PendingConflict) => ConflictStrategy | Promise<ConflictStrategy>;
   silent?: boolean;
   background?: boolean;
+  /** Set to false to always download the full registry instead of a delta */
+  delta?: boolean;
+  /** Delta endpoint ("...?since={revision}"); defaults to the registry's advertised "deltaUrl" */
+  deltaUrl?: string;
 }
 
 interface SyncResult {
@@ -58,6 +94,65 @@ interface SyncResult {
   errors?: Error[];
   warnings?: string[];
   lastSync?: string;
+  /** How the registry was obtained: fresh cache, 304 Not Modified, delta or full download */
+  transfer?: 'cache' | 'not-modified' | 'delta' | 'full' | null;
+  /** Revision of the remote registry, if it publishes one */
+  revision?: string | number | null;
+  /** Outcome per remote source, when `sources` are configured */
+  sources?: Record<string, SourceSyncState>;
+  /** Versions whose local and remote content differed, with how each was resolved */
+  conflicts?: ConflictDecision[];
+  /** Snapshot of the registry before this sync changed it (pass to rollback()), or null */
+  snapshot?: string | null;
+}
+
+type ConflictStrategy = 'prefer-local' | 'prefer-remote' | 'fork-as-new-version';
+
+interface ConflictRules {
+  default?: ConflictStrategy;
+  /** Prompt id, "<namespace>/*" or "*" -> strategy */
+  rules?: Record<string, ConflictStrategy>;
+}
+
+interface VersionConflict {
+  id: string;
+  version: string;
+  localHash: string;
+  remoteHash: string;
+}
+
+interface PendingConflict extends VersionConflict {
+  local: Record<string, any>;
+  remote: Record<string, any>;
+}
+
+interface ConflictDecision extends VersionConflict {
+  strategy: ConflictStrategy;
+  decidedBy: 'rule' | 'interactive' | 'strategy';
+  /** Matching rule ("code_review", "acme/*", "*" or "default"), if a rule decided */
+  rule: string | null;
+  /** Version the remote content was stored as, or null if it was discarded */
+  storedAs: string | null;
+}
+
+interface SourceSyncState {
+  transfer: 'cache' | 'not-modified' | 'delta' | 'full' | null;
+  revision: string | number | null;
+  /** Time of the last successful sync (ISO 8601) */
+  lastSync: string | null;
+  /** Error message of the last sync, or null if it succeeded */
+  error: string | null;
+}
+
+interface SourceInfo extends Omit<SourceSyncState, 'lastSync'> {
+  name: string;
+  url: string | null;
+  namespace: string | null;
+  /** Position in the lookup order (0 is searched first) */
+  priority: number;
+  /** Number of prompts the source provides */
+  prompts: number;
+  lastSync: Date | string | null;
 }
 
 interface SyncError extends Error {
@@ -71,15 +166,126 @@ interface RegistryMetadata {
   lastModified: Date;
   syncUrl: string | null;
   schemaVersion?: string;
+  /** Storage the registry is read from and written to */
+  storage: { type: string | null; location: string | null };
+  /** Embedded prompt index, if `index.enabled` is configured */
+  index: { documents: number; file: string | null } | null;
+  /** Embedding index of semanticSearch(), if `embeddings.enabled` is configured or an embedder given */
+  embeddings: { documents: number; file: string | null; embedder: string } | null;
+  /** Sources in priority order, including the local registry */
+  sources: SourceInfo[];
+  /** Most recent snapshots, newest first */
+  snapshots: SnapshotSummary[];
+}
+
+/** Snapshot Types **/
+interface RegistryChanges {
+  added: string[];
+  removed: string[];
+  updated: Array<{
+    id: string;
+    latest: { from: string; to: string } | null;
+    addedVersions: string[];
+    changedVersions: string[];
+  }>;
+}
+
+interface SnapshotRecord {
+  id: string;
+  createdAt: string;
+  /** What changed the registry after the snapshot was taken */
+  reason: 'sync' | 'rollback';
+  /** Sync URL, or the snapshot id a rollback restored */
+  source: string;
+  /** How the registry changed after the snapshot */
+  changes: RegistryChanges;
+  conflicts?: ConflictDecision[];
+  transfer?: string;
+  revision?: string | number | null;
+}
+
+interface SnapshotSummary {
+  id: string;
+  createdAt: string;
+  reason: SnapshotRecord['reason'];
+  source: string;
+  added: number;
+  updated: number;
+  removed: number;
+}
+
+interface RollbackResult {
+  snapshotId: string;
+  /** When the restored snapshot was taken */
+  restoredFrom: string;
+  changes: RegistryChanges;
+  /** Snapshot of the registry before the rollback (to undo it), or null if nothing changed */
+  snapshot: string | null;
+}
+
+interface SearchMatch {
+  /** Field the query words were found in: 'id', 'tags', 'description', 'category' or 'template' */
+  field: string;
+  /** Query words found in the field */
+  terms: string[];
+  /** Part of the prompt's score contributed by the field */
+  score: number;
 }
 
 interface EnhancedSearchMetadata extends PromptMetadata {
   registryFresh: boolean;
-  source: 'local' | 'remote';
+  /** Name of the source the prompt came from ('local' for registry.json) */
+  source: string;
   lastSync?: string;
+  /** Whether the matched version is deprecated */
+  deprecated: boolean;
+  /** BM25 relevance to a search string (0 for substring-only matches); absent for filter objects */
+  score?: number;
+  /** Fields the search string matched, highest-scoring first */
+  matches?: SearchMatch[];
+}
+
+type SearchSort = 'relevance' | 'id' | 'updated' | 'quality';
+
+interface SearchPageOptions extends SearchOptions {
+  /** Return a page of results with facet counts instead of all results */
+  paginate: true;
+  /** Results per page (default 20) */
+  limit?: number;
+  /** Index of the first result (default 0) */
+  offset?: number;
+  /** Cursor of the previous page, instead of an offset */
+  cursor?: string;
+}
+
+interface SearchFacetValue {
+  value: string;
+  count: number;
+}
+
+interface SearchFacets {
+  category: SearchFacetValue[];
+  tags: SearchFacetValue[];
+  /** Models and model families the prompts have variants for */
+  models: SearchFacetValue[];
+  authors: SearchFacetValue[];
+}
+
+interface SearchPage<T = EnhancedSearchMetadata> {
+  results: T[];
+  /** Number of results on all pages */
+  total: number;
+  /** Values of all results, most frequent first */
+  facets: SearchFacets;
+  /** Cursor of the next page, or null on the last page */
+  cursor: string | null;
 }
 
 interface GetOptions {
+  /** Resolve the version normally even if the prompt is in the lockfile */
+  ignoreLock?: boolean;
+  /** Throw instead of warning when the resolved version is deprecated or yanked */
+  strict?: boolean;
   autoSyncTag?: string;
   syncOnMissing?: boolean;
   syncUrl?: string;
@@ -87,42 +293,114 @@ interface GetOptions {
 }
 
 interface SearchOptions extends SearchFilters {
+  /** Range or dist-tag matched instead of each prompt's latest version */
+  version?: string;
+  /** Include prompts whose matched version is deprecated */
+  includeDeprecated?: boolean;
+  /** Match query words that are not in any prompt against similar words of ids, tags and descriptions */
+  fuzzy?: boolean;
+  /** Throw a SearchQueryError for a malformed search string instead of searching it as plain text */
+  strict?: boolean;
+  /** Result order (default 'relevance': best match first, unranked results in registry order) */
+  sort?: SearchSort;
   syncOnEmpty?: boolean;
   syncUrl?: string;
   timeout?: number;
 }
 
 /** Configuration Types **/
+interface SourceConfig {
+  /** Unique name, usable as a lookup prefix ("team:code_review"); 'local' places registry.json */
+  name: string;
+  url?: string;
+  /** Prefix for the source's prompt ids ("acme" -> "acme/code_review") */
+  namespace?: string;
+  /** Extra request headers; values may reference environment variables ("Bearer ${TOKEN}") */
+  headers?: Record<string, string>;
+  /** Trust settings, defaulting to `security` */
+  trustedDomains?: string[];
+  requireHttps?: boolean;
+  signing?: SyncConfig['security']['signing'];
+  deltaUrl?: string;
+}
+
 interface SyncConfig {
   urls: {
     development: string;
     production: string;
     custom?: string;
   };
+  /** Named upstream registries in lookup priority order */
+  sources?: SourceConfig[];
   policies: {
     autoSync?: boolean;
     backgroundSync?: boolean;
     syncInterval?: number;
     timeout?: number;
     retryAttempts?: number;
+    /** Delta endpoint ("...?since={revision}") */
+    deltaUrl?: string | null;
   };
   security: {
     trustedDomains: string[];
     requireHttps: boolean;
+    /** Non-HTTP URL schemes sync() may read ('file', 'dir', 'git' or registered ones) */
+    allowedTransports?: string[];
     certificateValidation: boolean;
     maxPayloadSize: number;
+    signing?: {
+      /** Reject unsigned registries even if no keys are configured */
+      required?: boolean;
+      /** Key id -> Ed25519 public key (base64 SPKI or PEM) */
+      publicKeys?: Record<string, string>;
+    };
   };
   cache: {
     directory: string;
     ttl: number;
     maxSize: number;
   };
+  conflicts?: {
+    /** Conflict rules file (default: ./prompt-registry.conflicts.json) */
+    rulesFile?: string;
+  };
+  snapshots?: {
+    /** Snapshot directory (default: .snapshots next to registry.json) */
+    directory?: string;
+    /** Number of snapshots to keep */
+    keep?: number;
+  };
+}
+
+/** Variable Schema Types **/
+type VariableType = 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object';
+
+interface VariableDefinition {
+  type?: VariableType;
+  required?: boolean;
+  default?: any;
+  enum?: any[];
+  description?: string;
+  minLength?: number;
+  maxLength?: number;
+}
+
+type VariableSchema = Record<string, VariableDefinition>;
+
+/** Template Engine Types **/
+interface RenderOptions {
+  onMissing?: 'throw' | 'keep' | 'empty';
 }
 
+type TemplateFilter = (value: any, ...args: any[]) => any;
+
 /** Core API Functions **/
-export declare function get(id: string, variables?: Record<string, string>, options?: GetOptions): PromptData;
+export declare function get(id: string, variables?: Record<string, any>, options?: GetOptions): PromptData;
 
-export declare function search(query: string | SearchOptions): EnhancedSearchMetadata[];
+/** Searches with free text, the query language ("tag:sql OR tag:database, vars<=2") or a filter object */
+export declare function search(query: string | SearchPageOptions, options: SearchPageOptions): SearchPage;
+export declare function search(query: SearchPageOptions): SearchPage;
+export declare function search(query: string | SearchOptions, options?: SearchOptions): EnhancedSearchMetadata[];
 
 export declare function sync(options?: SyncOptions): Promise<SyncResult>;
 
@@ -130,10 +408,493 @@ export declare function getRegistryInfo(): RegistryMetadata;
 
 export declare function isRegistryStale(maxAge: number): boolean;
 
+/** Template Engine Functions **/
+export declare function renderTemplate(template: string, variables?: Record<string, any>, options?: RenderOptions): string;
+
+export declare function registerFilter(name: string, fn: TemplateFilter): void;
+
+export declare function extractTemplateVariables(template: string): string[];
+
+/** Variable Schema Functions **/
+export declare function applyVariableSchema(schema: VariableSchema, variables?: Record<string, any>): { values: Record<string, any>; errors: string[] };
+
+export declare function validateSchemaDefinition(schema: VariableSchema): string[];
+
+/** Prompt Composition Functions **/
+export declare function findIncludes(promptData: { prompt?: string; messages?: ChatMessage[]; variants?: Record<string, string | ChatMessage[]> }): string[];
+
+export declare function checkIncludes(registry: Record<string, any>): string[];
+
+/** Lockfile Types **/
+interface LockEntry {
+  requested: string;
+  version: string;
+  integrity: string;
+}
+
+interface Lockfile {
+  lockfileVersion: number;
+  prompts: Record<string, LockEntry>;
+}
+
+/** Lockfile Functions **/
+export declare function useLockfile(lock: string | Lockfile | null): Lockfile | null;
+
+export declare function hashPromptContent(promptData: Record<string, any>): string;
+
+export declare function verifyLockfile(lock: Lockfile, registry: Record<string, any>): { valid: boolean; errors: string[]; warnings: string[] };
+
+/** Registry Signing Types **/
+interface RegistrySignature {
+  algorithm: 'ed25519';
+  keyId: string;
+  /** Base64 Ed25519 signature of the document's canonical JSON */
+  signature: string;
+}
+
+/** Registry Signing Functions **/
+export declare function generateSigningKeyPair(): { publicKey: string; privateKey: string };
+
+export declare function signRegistry(data: Record<string, any>, privateKey: string, keyId: string): RegistrySignature;
+
+export declare function verifyRegistrySignature(data: Record<string, any>, signature: RegistrySignature | null, publicKeys?: Record<string, string>): { valid: boolean; keyId: string | null; reason: string | null };
+
+/** Sync Transport Types **/
+type TransportReadResult =
+  | { data: Record<string, any>; etag?: string | null; lastModified?: string | null; notModified?: false }
+  | { notModified: true };
+
+interface Transport {
+  /** Reads the registry document; returns { notModified: true } if `etag` still matches */
+  read(url: string, options: { etag?: string | null; timeout?: number }): Promise<TransportReadResult>;
+  /** Reads the detached signature, or resolves null if there is none */
+  readSignature?(url: string, options: { timeout?: number }): Promise<RegistrySignature | null>;
+}
+
+/** Sync Transport Functions **/
+/** Registers the transport sync() uses for a URL scheme (also add it to security.allowedTransports) */
+export declare function registerTransport(scheme: string, transport: Transport): void;
+
+/** Release History Types **/
+interface ReleaseHistoryEntry {
+  version: string;
+  releasedAt: string | null;
+  author: string | null;
+  /** Release notes; summarized from the diff with the previous version if none were recorded */
+  changelog: string[];
+  /** Whether the notes were generated rather than recorded */
+  generated: boolean;
+  latest: boolean;
+  deprecated: Deprecation | null;
+  yanked: boolean;
+}
+
+/** Release History Functions **/
+export declare function getHistory(id: string): ReleaseHistoryEntry[];
+
+export declare function renderPromptChangelog(id: string, promptEntry: Record<string, any>): string;
+
+export declare function renderRegistryChangelog(registry: Record<string, any>): string;
+
+/** Prompt Diff Types **/
+interface DiffOperation {
+  type: 'equal' | 'delete' | 'insert';
+  value: string;
+}
+
+interface TextDiff {
+  /** One operation per line */
+  lines: DiffOperation[];
+  /** Merged runs of words, whitespace and punctuation */
+  words: DiffOperation[];
+  stats: { wordsAdded: number; wordsRemoved: number };
+}
+
+interface FieldChange<T = any> {
+  from: T | null;
+  to: T | null;
+}
+
+interface PromptDiff {
+  id: string | null;
+  from: string | null;
+  to: string | null;
+  changed: boolean;
+  /** Null if the template text is unchanged */
+  template: TextDiff | null;
+  metadata: {
+    description?: FieldChange<string>;
+    category?: FieldChange<string>;
+    tags?: { added: string[]; removed: string[] };
+  };
+  variables: {
+    added: Array<VariableDefinition & { name: string; required: boolean }>;
+    removed: string[];
+    changed: Record<string, Record<string, FieldChange>>;
+  };
+  variants: {
+    added: string[];
+    removed: string[];
+    changed: Record<string, TextDiff>;
+  };
+}
+
+interface PromptChanges {
+  hasBreakingChanges: boolean;
+  hasNewFeatures: boolean;
+  hasBugFixes: boolean;
+  breaking: string[];
+  features: string[];
+  fixes: string[];
+}
+
+/** Prompt Diff Functions **/
+export declare function diffPromptVersions(oldPrompt: Record<string, any>, newPrompt: Record<string, any>, labels?: { id?: string; from?: string; to?: string }): PromptDiff;
+
+export declare function summarizePromptDiff(diff: PromptDiff): PromptChanges;
+
+export declare function formatPromptDiff(diff: PromptDiff, format?: 'unified' | 'json' | 'terminal', options?: { color?: boolean }): string;
+
+/** Chat Message Functions **/
+export declare function flattenMessages(messages: ChatMessage[]): string;
+
+export declare function renderMessages(messages: ChatMessage[], variables?: Record<string, any>, options?: RenderOptions): ChatMessage[];
+
+export declare function validateMessages(messages: any): string[];
+
+/** Multi-LLM Variant Functions **/
+export declare function getPromptVariant(promptData: Record<string, any>, model: string): string;
+
+export declare function getMessagesVariant(promptData: Record<string, any>, model?: string): ChatMessage[];
+
+export declare function getModelCategory(model: string): string;
+
+/** Snapshot Functions **/
+/** Lists the snapshots taken before syncs and rollbacks changed registry.json, newest first */
+export declare function listSnapshots(): SnapshotRecord[];
+
+/** Restores registry.json to a snapshot, snapshotting the current state first */
+export declare function rollback(snapshotId: string): RollbackResult;
+
+/** Markdown Prompt Functions **/
+/** Parses a .prompt.md file: frontmatter fields, the body as `prompt`, "## variant: <model>" sections as `variants` */
+export declare function parsePromptMarkdown(text: string): Record<string, any>;
+
+/** Formats a text prompt (with text variants) as a .prompt.md file */
+export declare function formatPromptMarkdown(promptData: Record<string, any>): string;
+
+/** Registry Layout Functions **/
+/** Loads registry.json, or compiles a prompts/<id>/<version>.yaml|json|md directory */
+export declare function loadRegistry(location: string): Record<string, any>;
+
+/** Writes registry.json as one file per prompt version */
+export declare function splitRegistry(registryFile: string, directory: string, options?: {format?: 'yaml' | 'json' | 'md'}): {prompts: number; written: string[]; removed: string[]};
+
+/** Compiles a prompts directory into registry.json */
+export declare function bundleRegistry(directory: string, registryFile: string): {prompts: number};
+
+/** Storage Functions **/
+export interface FileLockOptions {
+  /** Milliseconds to wait for another process's lock (default 10000) */
+  timeout?: number;
+  /** Milliseconds after which a lock written on another host is taken over (default 30000) */
+  staleAfter?: number;
+}
+
+/** Writes a file through a temporary file that is renamed over the target */
+export declare function writeFileAtomic(filePath: string, content: string | Uint8Array, options?: {mode?: number}): void;
+
+/** Runs a function while holding the "<file>.lock" advisory lock */
+export declare function withFileLock<T>(filePath: string, fn: () => T, options?: FileLockOptions): T;
+
+/** Search Query Functions **/
+export type SearchQueryNode =
+  | { type: 'and' | 'or'; children: SearchQueryNode[] }
+  | { type: 'not'; child: SearchQueryNode }
+  | { type: 'text'; value: string; phrase: boolean }
+  | { type: 'field'; field: 'tag' | 'category' | 'id' | 'author' | 'var' | 'vars' | 'length' | 'model' | 'version' | 'is'; operator: ':' | '=' | '<' | '<=' | '>' | '>='; value: string | number };
+
+/** A prompt version as filter trees test it, with derived fields computed on first use */
+export interface SearchQueryTarget {
+  id: string;
+  versionData: Record<string, any>;
+  getTemplate(): string;
+  getLength(): number;
+  getVariables(): number;
+  getVariableNames(): Set<string>;
+}
+
+/** Parses a search string into a filter tree (null for an empty string) */
+export declare function parseSearchQuery(query: string): SearchQueryNode | null;
+
+/** Formats a filter tree as a search string, with parentheses showing the grouping */
+export declare function formatSearchQuery(node: SearchQueryNode | null): string;
+
+/** Builds the filter tree of a filter object ({category, tags, id, minVariables, maxVariables, minLength, maxLength}) */
+export declare function filtersToSearchQuery(filters: SearchFilters): SearchQueryNode | null;
+
+/** Wraps a prompt version for matchesSearchQuery() */
+export declare function createQueryTarget(id: string, versionData: Record<string, any>, precomputed?: {length?: number; variables?: number}): SearchQueryTarget;
+
+/** Tests a prompt against a filter tree */
+export declare function matchesSearchQuery(node: SearchQueryNode | null, target: SearchQueryTarget, options?: {matchText?: (node: SearchQueryNode, target: SearchQueryTarget) => boolean}): boolean;
+
+/** Embedding Search Functions **/
+/** Computes one vector per text, for example with a local model or an embeddings API */
+export interface Embedder {
+  /** Identifies the embedder's vectors; saved embeddings of another embedder are recomputed */
+  name: string;
+  /** Vector size (checked when given) */
+  dimensions?: number;
+  embed(texts: string[]): ArrayLike<number>[] | Promise<ArrayLike<number>[]>;
+}
+
+export interface EmbeddingIndex {
+  embedder: Embedder;
+  file: string | null;
+  /** Embeds the prompts whose text changed and removes those the collection no longer has */
+  updatePrompts(prompts: Record<string, any>): Promise<{ embedded: number; removed: number }>;
+  /** Prompts at least minSimilarity (default 0.15) similar to the text, most similar first */
+  query(text: string, options?: { minSimilarity?: number }): Promise<Array<{ id: string; similarity: number }>>;
+  count(): number;
+  save(): boolean;
+}
+
+export declare class EmbeddingError extends Error {
+  name: 'EmbeddingError';
+  details: any;
+  constructor(message: string, details?: any);
+}
+
+type SemanticMode = 'lexical' | 'embedding' | 'hybrid';
+
+export declare const SEMANTIC_MODES: SemanticMode[];
+
+interface SemanticSearchOptions {
+  includeDeprecated?: boolean;
+  /** 'lexical' (default) ranks with BM25; 'embedding' and 'hybrid' (semanticSearchAsync() only) rank by embedding similarity too */
+  mode?: SemanticMode;
+  /** Embedder for the embedding modes (default: the registry's, or the hashed n-gram embedder) */
+  embedder?: Embedder;
+  /** Share of the similarity in hybrid scores (default 0.5; the rest is the BM25 score scaled to the best) */
+  semanticWeight?: number;
+  minSimilarity?: number;
+  /** Result order (default 'relevance') */
+  sort?: SearchSort;
+  /** Return a page of `limit` results with facet counts instead of the results */
+  paginate?: boolean;
+  /** Index of the first result of the page (default 0) */
+  offset?: number;
+  /** Cursor of the previous page, instead of an offset */
+  cursor?: string;
+}
+
+interface SemanticSearchResult extends PromptMetadata {
+  score: number;
+  matches: SearchMatch[];
+  /** Embedding similarity to the query (embedding and hybrid modes) */
+  similarity?: number;
+}
+
+/** Ranks the prompts of a registry object for free text with BM25 (semanticSearchAsync() for the embedding modes) */
+export declare function semanticSearch(registry: Record<string, any>, query: string, limit: number | undefined, options: SemanticSearchOptions & { mode?: 'lexical'; paginate: true }): SearchPage<SemanticSearchResult>;
+export declare function semanticSearch(registry: Record<string, any>, query: string, limit?: number, options?: SemanticSearchOptions & { mode?: 'lexical' }): SemanticSearchResult[];
+
+/** Ranks the prompts of a registry object for free text in any mode */
+export declare function semanticSearchAsync(registry: Record<string, any>, query: string, limit: number | undefined, options: SemanticSearchOptions & { paginate: true }): Promise<SearchPage<SemanticSearchResult>>;
+export declare function semanticSearchAsync(registry: Record<string, any>, query: string, limit?: number, options?: SemanticSearchOptions): Promise<SemanticSearchResult[]>;
+
+interface AdvancedFilterOptions {
+  /** Result order (default: registry order) */
+  sort?: SearchSort;
+  /** Return a page of results with facet counts instead of all results */
+  paginate?: boolean;
+  /** Results per page (default 20) */
+  limit?: number;
+  /** Index of the first result of the page (default 0) */
+  offset?: number;
+  /** Cursor of the previous page, instead of an offset */
+  cursor?: string;
+}
+
+/** Filters the prompts of a registry object on their latest version, with a search string or filter object */
+export declare function advancedFilter(registry: Record<string, any>, filters: string | (SearchFilters & AdvancedFilterOptions), options: AdvancedFilterOptions & { paginate: true }): SearchPage<PromptMetadata>;
+export declare function advancedFilter(registry: Record<string, any>, filters: SearchFilters & AdvancedFilterOptions & { paginate: true }): SearchPage<PromptMetadata>;
+export declare function advancedFilter(registry: Record<string, any>, filters: string | (SearchFilters & AdvancedFilterOptions), options?: AdvancedFilterOptions): PromptMetadata[];
+
+/** Creates the default offline embedder: stemmed words and word trigrams hashed into `dimensions` (default 512) components */
+export declare function createHashedEmbedder(options?: { dimensions?: number }): Embedder;
+
+/** Creates an embedding index, persisted in `file` if given */
+export declare function createEmbeddingIndex(options?: { embedder?: Embedder; file?: string }): EmbeddingIndex;
+
+/** Measures the cosine similarity of two vectors */
+export declare function cosineSimilarity(a: ArrayLike<number>, b: ArrayLike<number>): number;
+
+/** Search Result Page Functions **/
+export declare const SEARCH_SORTS: SearchSort[];
+
+interface SearchHit {
+  result: EnhancedSearchMetadata;
+  /** The prompt version the result matched */
+  versionData: Record<string, any>;
+}
+
+/** Sorts search hits (ties keep their order for relevance and are sorted by id otherwise) */
+export declare function sortSearchHits(hits: SearchHit[], sort?: SearchSort): SearchHit[];
+
+/** Counts the categories, tags, models and authors of search hits */
+export declare function countSearchFacets(hits: SearchHit[]): SearchFacets;
+
+/** Sorts search hits and cuts them into a page, with the facets of all of them */
+export declare function createSearchPage(hits: SearchHit[], query: string | SearchOptions, options?: Omit<SearchPageOptions, 'paginate'>): SearchPage;
+
+/** Fuzzy Matching Functions **/
+/** Counts the insertions, deletions, substitutions and adjacent swaps between two strings (stops above maxDistance) */
+export declare function editDistance(a: string, b: string, maxDistance?: number): number;
+
+/** Share of trigrams two strings have in common, from 0 to 1 */
+export declare function trigramSimilarity(a: string, b: string): number;
+
+/** Finds the ids closest to a mistyped one, closest first */
+export declare function suggestIds(id: string, ids: Iterable<string>, options?: {limit?: number}): string[];
+
+/** Searches prompts by id, tags and description words, tolerating typos and accepting word prefixes */
+export declare function fuzzySearchPrompts(prompts: Record<string, any>, query: string, options?: {includeDeprecated?: boolean}): Array<{id: string; score: number; matches: Array<{field: string; terms: string[]}>}>;
+
+/** Registry Instance Functions **/
+export interface StorageAdapter {
+  /** Shown by getRegistryInfo(), e.g. "json-file" */
+  type?: string;
+  /** File or directory, if any */
+  location?: string | null;
+  /** False if nothing is kept across processes (no snapshots are taken) */
+  persistent?: boolean;
+  load(): Record<string, any>;
+  /** Stores the registry, merging in changes made since `base` was loaded */
+  save(registry: Record<string, any>, options?: { base?: Record<string, any> }): { data: Record<string, any>; merged: boolean };
+  lastModified?(): Date | null;
+}
+
+export interface RegistryOptions {
+  /** Defaults to the prompts/ directory or registry.json next to the module */
+  storage?: StorageAdapter;
+  /** Merged over the configuration from the environment and config files */
+  config?: Record<string, any>;
+  /** Embedder of semanticSearch() on this registry (default: the offline hashed n-gram embedder) */
+  embedder?: Embedder;
+}
+
+export interface AddOptions {
+  /** Replace the version if it exists (default false) */
+  overwrite?: boolean;
+}
+
+export interface Registry {
+  registry: Record<string, any>;
+  storage: StorageAdapter;
+  config: Record<string, any>;
+  get(id: string, variables?: Record<string, any>, options?: GetOptions): PromptData;
+  search(query: string | SearchPageOptions, options: SearchPageOptions): SearchPage;
+  search(query: SearchPageOptions): SearchPage;
+  search(query: string | SearchOptions, options?: SearchOptions): EnhancedSearchMetadata[];
+  getHistory(id: string): ReleaseHistoryEntry[];
+  sync(options?: SyncOptions): Promise<SyncResult>;
+  backgroundSync(options?: SyncOptions): string;
+  add(id: string, versionData: Record<string, any>, options?: AddOptions): Record<string, any>;
+  remove(id: string, version?: string): boolean;
+  init(options?: {autoSync?: boolean; syncUrl?: string}): Promise<RegistryMetadata>;
+  getRegistryInfo(): RegistryMetadata;
+  isRegistryStale(maxAge: number): boolean;
+  useLockfile(lock: string | Lockfile | null): Lockfile | null;
+  listSnapshots(): SnapshotRecord[];
+  rollback(snapshotId: string): RollbackResult;
+}
+
+/** Creates a registry with its own prompts, configuration and sync state */
+export declare function createRegistry(options?: RegistryOptions): Registry;
+
+/** Keeps the registry in memory; registries sharing one merge each other's saves */
+export declare function createMemoryStorage(initial?: Record<string, any>): StorageAdapter;
+
+/** Reads and writes a registry.json file */
+export declare function createJsonFileStorage(filePath: string): StorageAdapter;
+
+/** Reads and writes a prompts/<id>/<version> directory */
+export declare function createDirectoryStorage(directory: string, options?: {format?: 'yaml' | 'json' | 'md'}): StorageAdapter;
+
+/** Adds a prompt version to the default registry, making it latest if it is the highest */
+export declare function add(id: string, versionData: Record<string, any>, options?: AddOptions): Record<string, any>;
+
+/** Removes a prompt, or one of its versions, from the default registry */
+export declare function remove(id: string, version?: string): boolean;
+
 /** Utility Functions **/
 export declare function init(options?: {autoSync?: boolean; syncUrl?: string}): Promise<RegistryMetadata>;
 
 /** Error Classes **/
+export declare class TemplateError extends Error {
+  public details?: any;
+
+  constructor(message: string, details?: any);
+}
+
+export declare class VariableSchemaError extends Error {
+  public errors: string[];
+
+  constructor(message: string, errors?: string[]);
+}
+
+export declare class LockfileError extends Error {
+  public details?: any;
+
+  constructor(message: string, details?: any);
+}
+
+export declare class SnapshotError extends Error {
+  public details?: any;
+
+  constructor(message: string, details?: any);
+}
+
+export declare class PromptMarkdownError extends Error {
+  public details?: any;
+
+  constructor(message: string, details?: any);
+}
+
+export declare class RegistryLayoutError extends Error {
+  public details?: any;
+
+  constructor(message: string, details?: any);
+}
+
+export declare class StorageError extends Error {
+  public details?: any;
+
+  constructor(message: string, details?: any);
+}
+
+export declare class TransportError extends Error {
+  public details?: any;
+
+  constructor(message: string, details?: any);
+}
+
+export declare class SearchQueryError extends Error {
+  /** The search string and the position of the error */
+  public details?: {query: string; position: number};
+
+  constructor(message: string, details?: {query: string; position: number});
+}
+
+export declare class PromptNotFoundError extends Error {
+  /** The id looked up and the closest existing ids */
+  public details?: {id: string; suggestions: string[]};
+
+  constructor(message: string, details?: {id: string; suggestions: string[]});
+}
+
 export declare class SyncError extends Error {
   public code: SyncErrorCode;
   public details?: any;
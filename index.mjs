@@ -2,25 +2,53 @@ import fs from 'node:fs';
 import path from 'node:path';
 import os from 'node:os';
 import { fileURLToPath } from 'url';
+import { resolveVariables } from './variable-schema.js';
+import { getMessagesVariant } from './multi-llm-variants.js';
+import { renderMessages, flattenMessages } from './messages.js';
+import { createIncludeResolver } from './composition.js';
+import { compareVersions, isValidVersion } from './semver.js';
+import { resolvePromptVersion, getDeprecation, describeVersionStatus } from './version-utils.js';
+import { LOCKFILE_NAME, readLockfile, getLockedEntry, assertLocked } from './lockfile.js';
+import { buildPromptHistory } from './changelog-generator.js';
+import { getSignatureUrl, verifyRegistrySignature } from './signing.js';
+import { getTransport, getUrlScheme, TransportError } from './transports.js';
+import { CONFLICT_RULES_NAME, CONFLICT_STRATEGIES, readConflictRules, validateConflictRules, getConflictRule,
+  findVersionConflicts, applyConflictResolution } from './conflicts.js';
+import { computeRegistryChanges, isEmptyChange, createSnapshot, listSnapshots as readSnapshotRecords, readSnapshot,
+  pruneSnapshots, SnapshotError } from './snapshots.js';
+import { writeFileAtomic } from './storage.js';
+import { resolveRegistryLocation, getDefaultLatest } from './registry-layout.js';
+import { createStorage, assertStorage } from './registry-storage.js';
+import { createPromptIndex, fingerprintPrompts } from './prompt-index.js';
+import { attachPromptIndex } from './advanced-search.js';
+import {
+  tokenize, getSearchIndex, trackSearchIndex, attachSearchIndex, moveSearchIndex, refreshSearchIndex
+} from './search-index.js';
+import { parseSearchQuery, filtersToSearchQuery, isStructuredQuery, getQueryText, hasQueryField,
+  createQueryTarget, matchQueryText, matchesSearchQuery, SearchQueryError } from './search-query.js';
+import { suggestIds, formatSuggestions } from './fuzzy-match.js';
+import { sortSearchHits, createSearchPage } from './search-results.js';
+import { createEmbeddingIndex, attachEmbeddingIndex } from './embedding-index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const registryFile = path.join(__dirname, 'registry.json');
-const registry = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
-
 /** Default Configuration **/
 const DEFAULT_CONFIG = {
   urls: {
     development: 'https://raw.githubusercontent.com/prompt-registry/core/develop/registry.json',
     production: 'https://cdn.jsdelivr.net/gh/prompt-registry/core@main/registry.json'
   },
+  // Named upstream registries in priority order ({name, url, namespace, headers, trustedDomains,
+  // requireHttps, signing, deltaUrl}); { "name": "local" } places registry.json among them
+  sources: [],
   policies: {
     autoSync: false,
     backgroundSync: false,
     syncInterval: 86400000, // 24 hours in ms
     timeout: 30000,
-    retryAttempts: 3
+    retryAttempts: 3,
+    deltaUrl: null // Delta endpoint ("...?since={revision}"); registries may also advertise one as "deltaUrl"
   },
   security: {
     trustedDomains: [
@@ -32,13 +60,37 @@ const DEFAULT_CONFIG = {
       'jsdelivr.net'
     ],
     requireHttps: true,
+    allowedTransports: ['file', 'dir', 'git'], // Non-HTTP URL schemes sync() may read (see transports.js)
     certificateValidation: true,
-    maxPayloadSize: 104857600 // 100MB
+    maxPayloadSize: 104857600, // 100MB
+    signing: {
+      required: false, // Reject unsigned registries even if no keys are configured
+      publicKeys: {} // Key id -> Ed25519 public key (base64 SPKI or PEM); any key enables verification
+    }
   },
   cache: {
     directory: path.join(__dirname, '.cache'),
     ttl: 3600000, // 1 hour in ms
     maxSize: 104857600 // 100MB
+  },
+  lockfile: {
+    enabled: true,
+    path: path.join(process.cwd(), LOCKFILE_NAME)
+  },
+  conflicts: {
+    rulesFile: path.join(process.cwd(), CONFLICT_RULES_NAME)
+  },
+  snapshots: {
+    directory: path.join(__dirname, '.snapshots'),
+    keep: 20 // Older snapshots are deleted
+  },
+  index: {
+    enabled: false, // Keep an embedded prompt index for search() (see prompt-index.js)
+    file: null // Default: a file in the cache directory, named after the registry location
+  },
+  embeddings: {
+    enabled: false, // Save the embeddings of semanticSearchAsync() (see embedding-index.js)
+    file: null // Default: a file in the cache directory, named after the registry location
   }
 };
 
@@ -59,6 +111,26 @@ function loadConfig() {
     config.urls[envType] = envUrl;
   }
 
+  if (process.env.PROMPT_REGISTRY_LOCKFILE) {
+    config.lockfile.path = process.env.PROMPT_REGISTRY_LOCKFILE;
+  }
+
+  if (process.env.PROMPT_REGISTRY_CACHE_DIR) {
+    config.cache.directory = process.env.PROMPT_REGISTRY_CACHE_DIR;
+  }
+
+  if (process.env.PROMPT_REGISTRY_SNAPSHOT_DIR) {
+    config.snapshots.directory = process.env.PROMPT_REGISTRY_SNAPSHOT_DIR;
+  }
+
+  if (process.env.PROMPT_REGISTRY_INDEX) {
+    config.index.enabled = process.env.PROMPT_REGISTRY_INDEX !== '0';
+  }
+
+  if (process.env.PROMPT_REGISTRY_EMBEDDINGS) {
+    config.embeddings.enabled = process.env.PROMPT_REGISTRY_EMBEDDINGS !== '0';
+  }
+
   // Try to load from home directory config
   const homeConfigPath = path.join(os.homedir(), '.config', 'prompt-registry.json');
   try {
@@ -101,93 +173,6 @@ function mergeConfigs(target, source) {
   }
 }
 
-// Load configuration
-const config = loadConfig();
-
-/** Registry Metadata Tracking **/
-let registryMetadata = {
- localVersion: '1.0.0', // Initial version
- lastSync: null,
- lastModified: new Date(fs.statSync(registryFile).mtime),
- syncUrl: null,
- schemaVersion: '1.0'
-};
-
-/** Cache Management **/
-/**
-* Reports progress with optional callback
-* @param {SyncOptions} options - Sync options
-* @param {string} stage - Current sync stage
-* @param {number} progress - Progress percentage
-*/
-function reportProgress(options, stage, progress) {
- if (options.progressCallback) {
-   options.progressCallback(stage, progress);
- }
-}
-
-/**
-* Checks if cache directory exists and creates it if needed
-*/
-function ensureCacheDirectory() {
- if (!fs.existsSync(config.cache.directory)) {
-   fs.mkdirSync(config.cache.directory, { recursive: true });
- }
-}
-
-/**
-* Gets cache file path for a URL
-* @param {string} url - Cache URL
-* @returns {string} Cache file path
-*/
-function getCacheFilePath(url) {
- const urlHash = Buffer.from(url).toString('base64url');
- return path.join(config.cache.directory, `${urlHash}.cache.json`);
-}
-
-/**
-* Loads cached remote registry if available and valid
-* @param {string} url - Remote URL
-* @returns {object|null} Cached registry data
-*/
-function loadFromCache(url) {
- try {
-   const cacheFile = getCacheFilePath(url);
-   if (fs.existsSync(cacheFile)) {
-     const cacheData = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
-     const cacheAge = Date.now() - cacheData.timestamp;
-
-     if (cacheAge < config.cache.ttl) {
-       return cacheData.data;
-     }
-   }
- } catch (error) {
-   // Cache corruption - ignore and fetch fresh
- }
- return null;
-}
-
-/**
- * Saves remote registry to cache
- * @param {string} url - Remote URL
- * @param {object} data - Registry data to cache
- */
-function saveToCache(url, data) {
-  try {
-    ensureCacheDirectory();
-    const cacheFile = getCacheFilePath(url);
-    const cacheEntry = {
-      timestamp: Date.now(),
-      url: url,
-      data: data
-    };
-
-    fs.writeFileSync(cacheFile, JSON.stringify(cacheEntry), 'utf8');
-  } catch (error) {
-    // Cache write failure - non-critical
-  }
-}
-
 /** Custom Error Class **/
 export class SyncError extends Error {
   constructor(code, message, details = null) {
@@ -199,620 +184,1825 @@ export class SyncError extends Error {
 }
 
 /**
- * Compares semantic versions
- * @param {string} a - Version string A
- * @param {string} b - Version string B
- * @returns {number} -1 if a < b, 0 if equal, 1 if a > b
+ * Error thrown when a prompt id is not in the registry. details.suggestions lists the
+ * closest ids, which the message offers as "did you mean" suggestions.
  */
-function compareVersions(a, b) {
-  const aParts = a.split('.').map(Number);
-  const bParts = b.split('.').map(Number);
-
-  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
-    const aPart = aParts[i] || 0;
-    const bPart = bParts[i] || 0;
-
-    if (aPart > bPart) return 1;
-    if (aPart < bPart) return -1;
+export class PromptNotFoundError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'PromptNotFoundError';
+    this.details = details;
   }
+}
 
-  return 0;
+/**
+ * Tells whether the BM25 ranking of a prompt matched every word of a text term (matching
+ * stems and, in fuzzy searches, typos that a plain substring test misses)
+ * @param {object|undefined} ranking - The prompt's ranking ({score, matches})
+ * @param {string} text - Text term
+ * @returns {boolean} True if every word of the term was matched
+ */
+function rankingMatchesText(ranking, text) {
+  if (!ranking) {
+    return false;
+  }
+  const matched = new Set(ranking.matches.flatMap(match => match.terms));
+  const words = tokenize(text);
+  return words.length > 0 && words.every(({ word }) => matched.has(word));
 }
 
+// Notices already printed, so repeated get() calls warn once per version
+const printedWarnings = new Set();
+
 /**
- * Generates GUID for background sync
- * @returns {string} Unique identifier
+ * Prints a warning once per process
+ * @param {string} message - Warning message
  */
-function generateSyncId() {
-  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+function warnOnce(message) {
+  if (!printedWarnings.has(message)) {
+    printedWarnings.add(message);
+    console.warn(`Warning: ${message}`);
+  }
 }
 
-/** Network Layer **/
+/** Registry Instances **/
 /**
- * Validates if a URL is from trusted domain
- * @param {string} url - URL to validate
- * @returns {boolean} True if domain is trusted
+ * Creates a registry. Each registry has its own prompts, configuration, sync state and
+ * cache of remote sources, read from and written to its storage adapter (see
+ * registry-storage.js). The module's top-level functions belong to a default registry
+ * stored next to this file.
+ * @param {RegistryOptions} options - Registry options ({storage, config, embedder})
+ * @returns {Registry} Registry instance
+ * @throws {StorageError} If the storage adapter is invalid or cannot be read
  */
-function isTrustedDomain(url) {
-  try {
-    const parsedUrl = new URL(url);
+export function createRegistry(options = {}) {
+  const storage = options.storage || createStorage(resolveRegistryLocation(__dirname));
+  assertStorage(storage);
+  const registry = storage.load();
+
+  // The full-text index of the registry is updated as it changes (see updateSearchIndexes())
+  trackSearchIndex(registry);
+
+  // The registry as last read or written, to detect and merge writes by other processes
+  let registryBase = JSON.parse(JSON.stringify(registry));
+
+  // Load configuration
+  const config = loadConfig();
+  mergeConfigs(config, options.config || {});
+
+  /** Registry Metadata Tracking **/
+  let registryMetadata = {
+    localVersion: '1.0.0', // Initial version
+    lastSync: null,
+    lastModified: (storage.lastModified && storage.lastModified()) || new Date(),
+    syncUrl: null,
+    schemaVersion: '1.0'
+  };
 
-    if (config.security.requireHttps && parsedUrl.protocol !== 'https:') {
-      return false;
+  /** Cache Management **/
+  /**
+   * Reports progress with optional callback
+   * @param {SyncOptions} options - Sync options
+   * @param {string} stage - Current sync stage
+   * @param {number} progress - Progress percentage
+   */
+  function reportProgress(options, stage, progress) {
+    if (options.progressCallback) {
+      options.progressCallback(stage, progress);
     }
+  }
 
-    const hostname = parsedUrl.hostname;
-    return config.security.trustedDomains.some(domain =>
-      hostname === domain || hostname.endsWith(`.${domain}`)
-    );
-  } catch (error) {
-    return false; // Invalid URL
+  /**
+   * Checks if cache directory exists and creates it if needed
+   */
+  function ensureCacheDirectory() {
+    if (!fs.existsSync(config.cache.directory)) {
+      fs.mkdirSync(config.cache.directory, { recursive: true });
+    }
   }
-}
 
-/**
- * Fetches remote registry with retry logic and timeout
- * @param {string} url - Remote URL
- * @param {SyncOptions} options - Sync options
- * @returns {Promise<object>} Remote registry data
- */
-async function fetchRemoteRegistry(url, options) {
-  if (!isTrustedDomain(url)) {
-    throw new SyncError('CERTIFICATE_ERROR', `Untrusted domain: ${new URL(url).hostname}`, { url });
+  /**
+   * Gets cache file path for a URL
+   * @param {string} url - Cache URL
+   * @returns {string} Cache file path
+   */
+  function getCacheFilePath(url) {
+    const urlHash = Buffer.from(url).toString('base64url');
+    return path.join(config.cache.directory, `${urlHash}.cache.json`);
   }
 
-  const abortController = new AbortController();
-  const timeout = options.timeout || config.policies.timeout;
+  /**
+   * Reads the cache entry for a URL, whatever its age
+   * @param {string} url - Remote URL
+   * @returns {object|null} Cache entry ({timestamp, url, data, etag, lastModified})
+   */
+  function readCacheEntry(url) {
+    try {
+      const cacheFile = getCacheFilePath(url);
+      if (fs.existsSync(cacheFile)) {
+        return JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+      }
+    } catch (error) {
+      // Cache corruption - ignore and fetch fresh
+    }
+    return null;
+  }
 
-  const timeoutId = setTimeout(() => {
-    abortController.abort();
-  }, timeout);
+  /**
+   * Loads cached remote registry if available and valid
+   * @param {string} url - Remote URL
+   * @returns {object|null} Cached registry data
+   */
+  function loadFromCache(url) {
+    const cacheEntry = readCacheEntry(url);
+    if (cacheEntry && Date.now() - cacheEntry.timestamp < config.cache.ttl) {
+      return cacheEntry.data;
+    }
+    return null;
+  }
 
-  let lastError;
+  /**
+   * Saves remote registry to cache
+   * @param {string} url - Remote URL
+   * @param {object} data - Registry data to cache
+   * @param {object} validators - HTTP validators of the response ({etag, lastModified})
+   */
+  function saveToCache(url, data, validators = {}) {
+    try {
+      ensureCacheDirectory();
+      const cacheFile = getCacheFilePath(url);
+      const cacheEntry = {
+        timestamp: Date.now(),
+        url: url,
+        data: data,
+        etag: validators.etag || null,
+        lastModified: validators.lastModified || null
+      };
+
+      writeFileAtomic(cacheFile, JSON.stringify(cacheEntry));
+    } catch (error) {
+      // Cache write failure - non-critical
+    }
+  }
+
+  /**
+   * Generates GUID for background sync
+   * @returns {string} Unique identifier
+   */
+  function generateSyncId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
 
-  for (let attempt = 1; attempt <= config.policies.retryAttempts; attempt++) {
+  /** Network Layer **/
+  /**
+   * Validates if a URL is from trusted domain
+   * @param {string} url - URL to validate
+   * @param {object} security - Security settings (defaults to config.security)
+   * @returns {boolean} True if domain is trusted
+   */
+  function isTrustedDomain(url, security = config.security) {
     try {
-      reportProgress(options, 'fetching', Math.round((attempt - 1) / config.policies.retryAttempts * 20));
+      const parsedUrl = new URL(url);
+
+      if (security.requireHttps && parsedUrl.protocol !== 'https:') {
+        return false;
+      }
+
+      const hostname = parsedUrl.hostname;
+      return security.trustedDomains.some(domain =>
+        hostname === domain || hostname.endsWith(`.${domain}`)
+      );
+    } catch (error) {
+      return false; // Invalid URL
+    }
+  }
 
-      const response = await fetch(url, {
-        signal: abortController.signal,
-        headers: {
+  /**
+   * Fetches remote registry with retry logic and timeout.
+   * With validators from a previous response the request is conditional, and a
+   * 304 Not Modified response resolves to `{ notModified: true }`.
+   * @param {string} url - Remote URL
+   * @param {SyncOptions} options - Sync options
+   * @param {object} validators - Validators of the cached copy ({etag, lastModified})
+   * @returns {Promise<object>} Response ({data, etag, lastModified} or {notModified: true})
+   */
+  async function fetchRemoteRegistry(url, options, validators = {}) {
+    const security = options.security || config.security;
+    const transport = getTransport(url);
+    if (transport) {
+      return readWithTransport(transport, url, options, validators);
+    }
+    if (!isTrustedDomain(url, security)) {
+      throw new SyncError('CERTIFICATE_ERROR', `Untrusted domain: ${new URL(url).hostname}`, { url });
+    }
+
+    const abortController = new AbortController();
+    const timeout = options.timeout || config.policies.timeout;
+
+    const timeoutId = setTimeout(() => {
+      abortController.abort();
+    }, timeout);
+
+    let lastError;
+
+    for (let attempt = 1; attempt <= config.policies.retryAttempts; attempt++) {
+      try {
+        reportProgress(options, 'fetching', Math.round((attempt - 1) / config.policies.retryAttempts * 20));
+
+        const headers = {
           'Accept': 'application/json',
-          'User-Agent': 'PromptRegistry/2.0'
+          'User-Agent': 'PromptRegistry/2.0',
+          ...security.headers
+        };
+        if (validators.etag) headers['If-None-Match'] = validators.etag;
+        if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+        const response = await fetch(url, {
+          signal: abortController.signal,
+          headers
+        });
+
+        clearTimeout(timeoutId);
+
+        if (response.status === 304) {
+          return { notModified: true };
+        }
+
+        if (!response.ok) {
+          throw new SyncError('NETWORK_ERROR',
+            `HTTP ${response.status}: ${response.statusText}`, { url, status: response.status });
         }
-      });
 
-      clearTimeout(timeoutId);
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.includes('application/json')) {
+          throw new SyncError('INVALID_SCHEMA',
+            `Invalid content type: ${contentType}`, { url, contentType });
+        }
 
-      if (!response.ok) {
-        throw new SyncError('NETWORK_ERROR',
-          `HTTP ${response.status}: ${response.statusText}`, { url, status: response.status });
-      }
+        const data = await response.json();
 
-      const contentType = response.headers.get('content-type') || '';
-      if (!contentType.includes('application/json')) {
-        throw new SyncError('INVALID_SCHEMA',
-          `Invalid content type: ${contentType}`, { url, contentType });
+        // Validate payload size
+        const dataSize = JSON.stringify(data).length;
+        if (dataSize > security.maxPayloadSize) {
+          throw new SyncError('QUOTA_EXCEEDED',
+            `Payload too large: ${dataSize} bytes`, { url, size: dataSize });
+        }
+
+        return {
+          data,
+          etag: response.headers.get('etag'),
+          lastModified: response.headers.get('last-modified')
+        };
+
+      } catch (error) {
+        lastError = error;
+
+        // Client errors (other than timeouts and rate limits) will not succeed on retry
+        const status = error instanceof SyncError && error.details && error.details.status;
+        const retryable = !status || status < 400 || status >= 500 || status === 408 || status === 429;
+
+        if (attempt < config.policies.retryAttempts && retryable) {
+          const delay = Math.min(1000 * Math.pow(2, attempt - 1), 30000);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        } else {
+          clearTimeout(timeoutId);
+          break;
+        }
       }
+    }
 
-      const data = await response.json();
+    const error = lastError instanceof SyncError ? lastError :
+                  new SyncError('NETWORK_ERROR', lastError.message || 'Network request failed', { url, lastError });
 
-      // Validate payload size
-      const dataSize = JSON.stringify(data).length;
-      if (dataSize > config.security.maxPayloadSize) {
-        throw new SyncError('QUOTA_EXCEEDED',
-          `Payload too large: ${dataSize} bytes`, { url, size: dataSize });
-      }
+    throw error;
+  }
 
-      return data;
+  /**
+   * Reads a registry through a non-HTTP transport (file:, dir:, git: or a registered one)
+   * @param {object} transport - Transport for the URL's scheme
+   * @param {string} url - Registry URL
+   * @param {SyncOptions} options - Sync options
+   * @param {object} validators - Validators of the cached copy ({etag})
+   * @returns {Promise<object>} Registry data with validators, or {notModified: true}
+   * @throws {SyncError} If the scheme is not allowed or the transport fails
+   */
+  async function readWithTransport(transport, url, options, validators) {
+    const security = options.security || config.security;
+    const scheme = getUrlScheme(url);
+    if (!(security.allowedTransports || []).includes(scheme)) {
+      throw new SyncError('CERTIFICATE_ERROR', `Untrusted transport: ${scheme}:`, { url });
+    }
 
+    let result;
+    try {
+      result = await transport.read(url, { etag: validators.etag, timeout: options.timeout || config.policies.timeout });
     } catch (error) {
-      lastError = error;
+      throw new SyncError('NETWORK_ERROR', error.message, { url, ...(error instanceof TransportError ? error.details : { error }) });
+    }
 
-      if (attempt < config.policies.retryAttempts) {
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 30000);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      } else {
-        clearTimeout(timeoutId);
+    if (!result.notModified) {
+      const dataSize = JSON.stringify(result.data).length;
+      if (dataSize > security.maxPayloadSize) {
+        throw new SyncError('QUOTA_EXCEEDED', `Payload too large: ${dataSize} bytes`, { url, size: dataSize });
       }
     }
+    return result;
   }
 
-  const error = lastError instanceof SyncError ? lastError :
-                new SyncError('NETWORK_ERROR', lastError.message || 'Network request failed', { url, lastError });
+  /**
+   * Verifies the detached signature ("<url>.sig") of a downloaded registry document against
+   * the configured public keys. Does nothing if signing is not configured.
+   * @param {string} url - URL the document was downloaded from
+   * @param {object} data - Downloaded document
+   * @param {SyncOptions} options - Sync options
+   * @throws {SyncError} SIGNATURE_INVALID if the signature is missing or does not verify
+   */
+  async function verifyRemoteSignature(url, data, options) {
+    const security = options.security || config.security;
+    const { required, publicKeys } = security.signing;
+    if (!required && Object.keys(publicKeys).length === 0) {
+      return;
+    }
 
-  throw error;
-}
+    const transport = getTransport(url);
+    const signatureUrl = transport ? `${url} (.sig)` : getSignatureUrl(url);
+    let signature;
+    try {
+      if (transport) {
+        // Transports know where their signature lives (next to the file, or in the same git ref)
+        signature = transport.readSignature ?
+          await transport.readSignature(url, { timeout: options.timeout || config.policies.timeout }) : null;
+        if (!signature) {
+          throw new Error('not found');
+        }
+      } else {
+        signature = await fetchSignature(signatureUrl, options, security);
+      }
+    } catch (error) {
+      throw new SyncError('SIGNATURE_INVALID', `Missing registry signature ${signatureUrl}: ${error.message}`, { url, signatureUrl });
+    }
 
-/**
- * Validates remote registry schema
- * @param {object} data - Remote registry data
- * @returns {boolean} True if schema is valid
- */
-function validateRemoteSchema(data) {
-  if (!data || typeof data !== 'object') {
-    throw new SyncError('INVALID_SCHEMA', 'Registry must be an object', { data });
+    const verification = verifyRegistrySignature(data, signature, publicKeys);
+    if (!verification.valid) {
+      throw new SyncError('SIGNATURE_INVALID', `Registry signature rejected: ${verification.reason}`, { url, keyId: verification.keyId });
+    }
   }
 
-  if (!data.prompts || typeof data.prompts !== 'object') {
-    throw new SyncError('INVALID_SCHEMA', 'Registry must contain "prompts" object', { data });
+  /**
+   * Downloads a detached signature over HTTP(S)
+   * @param {string} signatureUrl - Signature URL
+   * @param {SyncOptions} options - Sync options
+   * @param {object} security - Security settings of the source
+   * @returns {Promise<object>} Signature
+   */
+  async function fetchSignature(signatureUrl, options, security) {
+    const response = await fetch(signatureUrl, {
+      signal: AbortSignal.timeout(options.timeout || config.policies.timeout),
+      headers: { 'User-Agent': 'PromptRegistry/2.0', ...security.headers }
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return JSON.parse(await response.text());
   }
 
-  // Validate each prompt entry
-  for (const [promptId, entry] of Object.entries(data.prompts)) {
-    if (!entry.latest || typeof entry.latest !== 'string') {
-      throw new SyncError('INVALID_SCHEMA', `Prompt ${promptId} missing valid "latest" version`, { promptId, entry });
+  /**
+   * Builds the delta endpoint URL for changes since a revision
+   * @param {string} deltaUrl - Delta endpoint, with a "{revision}" placeholder or without (adds "?since=")
+   * @param {string|number} revision - Revision of the cached registry
+   * @returns {string} Request URL
+   */
+  function buildDeltaUrl(deltaUrl, revision) {
+    if (deltaUrl.includes('{revision}')) {
+      return deltaUrl.replace('{revision}', encodeURIComponent(revision));
     }
+    const url = new URL(deltaUrl);
+    url.searchParams.set('since', revision);
+    return url.toString();
+  }
+
+  /**
+   * Fetches the changes since the cached revision from a delta endpoint and applies them
+   * to the cached registry. A delta is `{ revision, prompts: {changed entries}, removed: [ids] }`.
+   * @param {string} deltaUrl - Delta endpoint
+   * @param {object} cacheEntry - Cache entry of the full registry (its data must have a `revision`)
+   * @param {SyncOptions} options - Sync options
+   * @returns {Promise<object|null>} {delta, data} with the updated full registry, or null if the
+   * endpoint cannot serve this revision (404 or 410) and a full download is needed
+   */
+  async function fetchRegistryDelta(deltaUrl, cacheEntry, options) {
+    const requestUrl = buildDeltaUrl(deltaUrl, cacheEntry.data.revision);
+    let delta;
+    try {
+      ({ data: delta } = await fetchRemoteRegistry(requestUrl, options));
+    } catch (error) {
+      if (error instanceof SyncError && error.details && [404, 410].includes(error.details.status)) {
+        return null;
+      }
+      throw error;
+    }
+
+    if (!delta || delta.revision === undefined) {
+      throw new SyncError('INVALID_SCHEMA', 'Delta response must contain "revision"', { deltaUrl });
+    }
+    await verifyRemoteSignature(requestUrl, delta, options);
+    validateRemoteSchema(delta);
+
+    const data = {
+      ...cacheEntry.data,
+      prompts: { ...cacheEntry.data.prompts, ...delta.prompts },
+      revision: delta.revision
+    };
+    for (const promptId of delta.removed || []) {
+      delete data.prompts[promptId];
+    }
+
+    return { delta, data };
+  }
 
-    if (!entry.versions || typeof entry.versions !== 'object') {
-      throw new SyncError('INVALID_SCHEMA', `Prompt ${promptId} missing "versions" object`, { promptId, entry });
+  /**
+   * Validates remote registry schema
+   * @param {object} data - Remote registry data
+   * @returns {boolean} True if schema is valid
+   */
+  function validateRemoteSchema(data) {
+    if (!data || typeof data !== 'object') {
+      throw new SyncError('INVALID_SCHEMA', 'Registry must be an object', { data });
     }
 
-    // Validate at least one version exists
-    const latestVersionData = entry.versions[entry.latest];
-    if (!latestVersionData || typeof latestVersionData !== 'object') {
-      throw new SyncError('INVALID_SCHEMA', `Prompt ${promptId} latest version "${entry.latest}" not found`, { promptId, entry });
+    if (!data.prompts || typeof data.prompts !== 'object') {
+      throw new SyncError('INVALID_SCHEMA', 'Registry must contain "prompts" object', { data });
     }
 
-    // Validate required fields for latest version
-    const requiredFields = ['description', 'prompt', 'category', 'tags', 'version'];
-    for (const field of requiredFields) {
-      if (!(field in latestVersionData)) {
-        throw new SyncError('INVALID_SCHEMA',
-          `Prompt ${promptId}@${entry.latest} missing required field: ${field}`, { promptId, entry });
+    // Validate each prompt entry
+    for (const [promptId, entry] of Object.entries(data.prompts)) {
+      if (!entry.latest || typeof entry.latest !== 'string') {
+        throw new SyncError('INVALID_SCHEMA', `Prompt ${promptId} missing valid "latest" version`, { promptId, entry });
+      }
+
+      if (!entry.versions || typeof entry.versions !== 'object') {
+        throw new SyncError('INVALID_SCHEMA', `Prompt ${promptId} missing "versions" object`, { promptId, entry });
+      }
+
+      // Validate at least one version exists
+      const latestVersionData = entry.versions[entry.latest];
+      if (!latestVersionData || typeof latestVersionData !== 'object') {
+        throw new SyncError('INVALID_SCHEMA', `Prompt ${promptId} latest version "${entry.latest}" not found`, { promptId, entry });
+      }
+
+      // Validate required fields for latest version
+      const requiredFields = ['description', 'prompt', 'category', 'tags', 'version'];
+      for (const field of requiredFields) {
+        if (!(field in latestVersionData)) {
+          throw new SyncError('INVALID_SCHEMA',
+            `Prompt ${promptId}@${entry.latest} missing required field: ${field}`, { promptId, entry });
+        }
       }
     }
+
+    return true;
   }
 
-  return true;
-}
+  /** Version-Aware Merger **/
+  /**
+   * Gets the conflict rules for a sync: the `conflictRules` option, or the configured rules file
+   * @param {SyncOptions} options - Sync options
+   * @returns {object|null} Rules ({default, rules}), or null if there are none
+   * @throws {Error} If the rules are invalid
+   */
+  function getConflictRules(options) {
+    if (options.conflictRules) {
+      const errors = validateConflictRules(options.conflictRules);
+      if (errors.length > 0) {
+        throw new Error(`Invalid conflict rules: ${errors.join('; ')}`);
+      }
+      return options.conflictRules;
+    }
+    return readConflictRules(config.conflicts.rulesFile);
+  }
 
-/** Version-Aware Merger **/
-/**
- * Merges remote registry into local registry with local priority
- * @param {object} remoteRegistry - Remote registry data
- * @param {object} remoteMetadata - Remote registry metadata
- * @param {SyncOptions} options - Sync options
- * @returns {object} Merge result with statistics
- */
-function mergeRegistries(remoteRegistry, remoteMetadata, options) {
-  const result = {
-    newPrompts: 0,
-    updatedPrompts: 0,
-    conflicts: [],
-    warnings: []
-  };
+  /**
+   * Decides how to resolve a conflicting version: by the first matching rule, by asking
+   * `resolveConflict` in interactive mode, or by the merge strategy
+   * @param {object} conflict - Conflict ({id, version, localHash, remoteHash})
+   * @param {object} localEntry - Local registry entry
+   * @param {object} remoteEntry - Remote registry entry
+   * @param {object|null} rules - Conflict rules
+   * @param {SyncOptions} options - Sync options
+   * @returns {Promise<{strategy: string, decidedBy: string, rule: string|null}>} Decision
+   */
+  async function decideConflict(conflict, localEntry, remoteEntry, rules, options) {
+    const match = getConflictRule(rules, conflict.id);
+    if (match) {
+      return { strategy: match.strategy, decidedBy: 'rule', rule: match.rule };
+    }
 
-  for (const [promptId, remoteEntry] of Object.entries(remoteRegistry.prompts)) {
-    if (!registry[promptId]) {
-      // New prompt from remote
-      registry[promptId] = { ...remoteEntry };
-      result.newPrompts++;
-      continue;
+    if (options.mergeStrategy === 'interactive' && options.resolveConflict) {
+      const strategy = await options.resolveConflict({
+        ...conflict,
+        local: localEntry.versions[conflict.version],
+        remote: remoteEntry.versions[conflict.version]
+      });
+      if (!CONFLICT_STRATEGIES.includes(strategy)) {
+        throw new Error(`Invalid resolution "${strategy}" for ${conflict.id}@${conflict.version} (expected one of: ${CONFLICT_STRATEGIES.join(', ')})`);
+      }
+      return { strategy, decidedBy: 'interactive', rule: null };
     }
 
-    const localEntry = registry[promptId];
-    const localLatestVersion = localEntry.versions[localEntry.latest];
-    const remoteLatestVersion = remoteEntry.versions[remoteEntry.latest];
+    return { strategy: options.mergeStrategy === 'prefer-remote' ? 'prefer-remote' : 'prefer-local', decidedBy: 'strategy', rule: null };
+  }
 
-    const versionComparison = compareVersions(localEntry.latest, remoteEntry.latest);
-    const localNewer = versionComparison > 0;
-    const remoteNewer = versionComparison < 0;
+  /**
+   * Merges remote registry into local registry with local priority
+   * @param {object} remoteRegistry - Remote registry data
+   * @param {object} remoteMetadata - Remote registry metadata
+   * @param {SyncOptions} options - Sync options
+   * @returns {Promise<object>} Merge result with statistics and conflict decisions
+   */
+  async function mergeRegistries(remoteRegistry, remoteMetadata, options) {
+    const result = {
+      newPrompts: 0,
+      updatedPrompts: 0,
+      conflicts: [],
+      warnings: []
+    };
+    const rules = getConflictRules(options);
+
+    for (const [promptId, remoteEntry] of Object.entries(remoteRegistry.prompts)) {
+      if (!registry[promptId]) {
+        // New prompt from remote
+        registry[promptId] = { ...remoteEntry };
+        result.newPrompts++;
+        continue;
+      }
+
+      const localEntry = registry[promptId];
+      let updated = false;
+
+      // Same version, different content: resolve each conflict before merging the other versions
+      const resolved = new Set();
+      for (const conflict of findVersionConflicts(promptId, localEntry, remoteEntry)) {
+        const decision = await decideConflict(conflict, localEntry, remoteEntry, rules, options);
+        const storedAs = applyConflictResolution(localEntry, remoteEntry.versions[conflict.version], conflict.version, decision.strategy);
+        result.conflicts.push({ ...conflict, ...decision, storedAs });
+        resolved.add(conflict.version);
+        updated = updated || storedAs !== null;
 
-    if (localNewer) {
-      // Local is newer - keep local but add remote versions if they don't exist
-      for (const [version, versionData] of Object.entries(remoteEntry.versions)) {
-        if (!localEntry.versions[version]) {
-          localEntry.versions[version] = { ...versionData };
+        if (decision.decidedBy === 'strategy' && options.mergeStrategy === 'interactive') {
+          result.warnings.push(`Conflict in ${promptId}@${conflict.version} kept the local version; run resolve-conflicts.js to choose`);
         }
       }
-    } else if (remoteNewer) {
-      // Remote is newer - update based on merge strategy
-      if (options.mergeStrategy === 'prefer-remote') {
-        // Update latest pointer and add all remote versions
-        localEntry.latest = remoteEntry.latest;
+
+      const versionComparison = compareVersions(localEntry.latest, remoteEntry.latest);
+      const localNewer = versionComparison > 0;
+      const remoteNewer = versionComparison < 0;
+
+      if (localNewer) {
+        // Local is newer - keep local but add remote versions if they don't exist
         for (const [version, versionData] of Object.entries(remoteEntry.versions)) {
-          localEntry.versions[version] = { ...versionData };
+          if (!localEntry.versions[version]) {
+            localEntry.versions[version] = { ...versionData };
+          }
+        }
+      } else if (remoteNewer) {
+        // Remote is newer - update based on merge strategy
+        if (options.mergeStrategy === 'prefer-remote') {
+          // Update latest pointer and add all remote versions (conflicts were resolved above)
+          localEntry.latest = remoteEntry.latest;
+          for (const [version, versionData] of Object.entries(remoteEntry.versions)) {
+            if (!resolved.has(version)) {
+              localEntry.versions[version] = { ...versionData };
+            }
+          }
+          updated = true;
+        } else {
+          // prefer-local or interactive - only add missing versions
+          for (const [version, versionData] of Object.entries(remoteEntry.versions)) {
+            if (!localEntry.versions[version] && compareVersions(version, localEntry.latest) === 1) {
+              // This version is newer than local latest, add it
+              localEntry.versions[version] = { ...versionData };
+              result.warnings.push(`Added newer version ${version} to local prompt ${promptId}`);
+            }
+          }
         }
-        result.updatedPrompts++;
       } else {
-        // prefer-local or interactive - only add missing versions
+        // Same version - merge other versions if missing
         for (const [version, versionData] of Object.entries(remoteEntry.versions)) {
-          if (!localEntry.versions[version] && compareVersions(version, localEntry.latest) === 1) {
-            // This version is newer than local latest, add it
+          if (!localEntry.versions[version]) {
             localEntry.versions[version] = { ...versionData };
-            result.warnings.push(`Added newer version ${version} to local prompt ${promptId}`);
           }
         }
       }
-    } else {
-      // Same version - merge other versions if missing
-      for (const [version, versionData] of Object.entries(remoteEntry.versions)) {
-        if (!localEntry.versions[version]) {
-          localEntry.versions[version] = { ...versionData };
+
+      // Adopt remote dist-tags the local entry does not define, if the tagged version is present
+      for (const [tag, version] of Object.entries(remoteEntry.distTags || {})) {
+        if (localEntry.versions[version] && !(localEntry.distTags && localEntry.distTags[tag])) {
+          localEntry.distTags = { ...localEntry.distTags, [tag]: version };
         }
       }
-    }
 
-    // Update schema version if remote is newer
-    if (remoteMetadata.schemaVersion) {
-      const schemaComparison = compareVersions(remoteMetadata.schemaVersion, registryMetadata.schemaVersion);
-      if (schemaComparison > 0) {
-        registryMetadata.schemaVersion = remoteMetadata.schemaVersion;
+      if (updated) {
+        result.updatedPrompts++;
+      }
+
+      // Update schema version if remote is newer
+      if (remoteMetadata.schemaVersion) {
+        const schemaComparison = compareVersions(remoteMetadata.schemaVersion, registryMetadata.schemaVersion);
+        if (schemaComparison > 0) {
+          registryMetadata.schemaVersion = remoteMetadata.schemaVersion;
+        }
       }
     }
+
+    return result;
   }
 
-  return result;
-}
+  /**
+   * Keeps the registry as it was before a change as a snapshot, with a record of the change
+   * @param {object} before - Copy of the registry before the change
+   * @param {object} record - Record fields ({reason, source, ...})
+   * @returns {object|null} Snapshot record, or null if the registry did not change or its storage is not persistent
+   */
+  function snapshotRegistry(before, record) {
+    const changes = computeRegistryChanges(before, registry);
+    if (isEmptyChange(changes) || storage.persistent === false) {
+      return null;
+    }
+    const snapshot = createSnapshot(config.snapshots.directory, before, { ...record, changes });
+    pruneSnapshots(config.snapshots.directory, config.snapshots.keep);
+    return snapshot;
+  }
 
-/**
- * Saves updated local registry to disk
- */
-function saveLocalRegistry() {
-  try {
-    fs.writeFileSync(registryFile, JSON.stringify(registry, null, 2), 'utf8');
-    registryMetadata.lastModified = new Date();
-  } catch (error) {
-    throw new SyncError('QUOTA_EXCEEDED', `Failed to save registry: ${error.message}`, { error });
+  /**
+   * Saves updated local registry to disk, atomically and under the registry lock. Changes another
+   * process wrote since the registry was read are merged in rather than overwritten.
+   * @param {string[]|null} ids - Prompts that were added, changed or removed, to update only
+   *   their search index documents (any if omitted)
+   */
+  function saveLocalRegistry(ids = null) {
+    try {
+      const { data, merged } = storage.save(registry, { base: registryBase });
+      if (merged) {
+        // Any prompt may have changed
+        ids = null;
+        // Another process wrote the registry meanwhile; keep its changes in memory too
+        for (const promptId of Object.keys(registry)) {
+          delete registry[promptId];
+        }
+        Object.assign(registry, data);
+      }
+      registryBase = JSON.parse(JSON.stringify(data));
+      registryMetadata.lastModified = new Date();
+    } catch (error) {
+      throw new SyncError('QUOTA_EXCEEDED', `Failed to save registry: ${error.message}`, { error });
+    }
+    updateSearchIndexes(LOCAL_SOURCE, registry, { ids });
   }
-}
 
-/** Core Sync Function **/
-/**
- * Synchronizes with remote prompt registry
- * @param {SyncOptions} options - Sync options
- * @returns {Promise<SyncResult>} Sync result
- */
-export async function sync(options = {}) {
-  const syncId = generateSyncId();
-  const startTime = Date.now();
-
-  const result = {
-    success: false,
-    localVersion: registryMetadata.localVersion,
-    remoteVersion: null,
-    newPrompts: 0,
-    updatedPrompts: 0,
-    errors: [],
-    warnings: [],
-    lastSync: null
-  };
+  /**
+   * Gets the current registry document for a URL: from the cache while it is fresh, otherwise
+   * by a delta, conditional or full download, which is verified, validated and cached
+   * @param {string} url - Remote URL
+   * @param {SyncOptions} syncOptions - Sync options (with `security` for per-source trust settings)
+   * @returns {Promise<object>} Update ({transfer, data, changes}): `data` is the full registry
+   * document and `changes` the document to merge, or null if nothing changed
+   */
+  async function fetchRegistryUpdate(url, syncOptions) {
+    const cacheEntry = readCacheEntry(url);
+    if (!syncOptions.force && loadFromCache(url)) {
+      reportProgress(syncOptions, 'fetching', 100);
+      return { transfer: 'cache', data: cacheEntry.data, changes: cacheEntry.data };
+    }
 
-  const syncOptions = {
-    url: options.url,
-    force: options.force || false,
-    timeout: options.timeout || config.policies.timeout,
-    progressCallback: options.progressCallback,
-    errorPolicy: options.errorPolicy || 'throw',
-    mergeStrategy: options.mergeStrategy || 'prefer-local',
-    silent: options.silent || false,
-    background: options.background || false
-  };
+    reportProgress(syncOptions, 'fetching', 25);
+
+    // An expired cache entry still lets the server answer with a delta or 304 instead of the full registry
+    const previous = !syncOptions.force && cacheEntry && cacheEntry.data ? cacheEntry : null;
+    const deltaUrl = previous && syncOptions.delta !== false &&
+      (syncOptions.deltaUrl || config.policies.deltaUrl || previous.data.deltaUrl);
+    const update = deltaUrl && previous.data.revision !== undefined ?
+      await fetchRegistryDelta(deltaUrl, previous, syncOptions) : null;
+    const response = update ? null : await fetchRemoteRegistry(url, syncOptions, previous || {});
+
+    if (response && response.notModified) {
+      // Nothing changed: restart the cache TTL and skip validation and merging
+      saveToCache(url, previous.data, previous);
+      return { transfer: 'not-modified', data: previous.data, changes: null };
+    }
 
-  // Set default URL based on environment
-  if (!syncOptions.url) {
-    const envType = process.env.NODE_ENV === 'production' ? 'production' : 'development';
-    syncOptions.url = config.urls[envType];
+    reportProgress(syncOptions, 'validating', 50);
+
+    const data = update ? update.data : response.data;
+    if (!update) {
+      await verifyRemoteSignature(url, data, syncOptions);
+      validateRemoteSchema(data);
+    }
+
+    reportProgress(syncOptions, 'comparing', 60);
+
+    // The full-registry validators no longer describe a delta-patched copy
+    saveToCache(url, data, update ? {} : response);
+
+    // Only the changed prompts of a delta need merging
+    return { transfer: update ? 'delta' : 'full', data, changes: update ? update.delta : data };
   }
 
-  registryMetadata.syncUrl = syncOptions.url;
+  /** Sources **/
+  // Name of the built-in source backed by registry.json
+  const LOCAL_SOURCE = 'local';
 
-  try {
-    reportProgress(syncOptions, 'initializing', 0);
+  // Prompts of each remote source (namespaced), loaded from its cache on first use
+  const sourceLayers = new Map();
 
-    // Check if we need to sync (unless forced)
-    if (!syncOptions.force) {
-      const cached = loadFromCache(syncOptions.url);
-      if (cached) {
-        reportProgress(syncOptions, 'fetching', 100);
-        // Use cached data but still validate and merge
-        const mergeResult = mergeRegistries(cached, { schemaVersion: '2.0' }, syncOptions);
-        result.newPrompts = mergeResult.newPrompts;
-        result.updatedPrompts = mergeResult.updatedPrompts;
-        result.warnings = mergeResult.warnings;
+  // Outcome of the last sync of each remote source
+  const sourceStates = new Map();
+
+  /**
+   * Checks whether remote sources are configured
+   * @returns {boolean} True if `sources` lists a remote registry
+   */
+  function hasRemoteSources() {
+    return Array.isArray(config.sources) && config.sources.some(source => source.name !== LOCAL_SOURCE);
+  }
+
+  /**
+   * Lists the sources in priority order. The local registry comes first unless the
+   * config places `{ "name": "local" }` elsewhere in the list.
+   * @returns {Array<object>} Sources ({name, url, namespace, headers, trustedDomains, requireHttps, signing})
+   * @throws {Error} If a source has no name, a duplicate name or no url
+   */
+  function getSources() {
+    const sources = Array.isArray(config.sources) ? config.sources : [];
+    const names = new Set();
+    for (const source of sources) {
+      if (!source.name || names.has(source.name)) {
+        throw new Error(`Invalid "sources" config: every source needs a unique name (got "${source.name}")`);
+      }
+      if (source.name !== LOCAL_SOURCE && !source.url) {
+        throw new Error(`Invalid "sources" config: source "${source.name}" has no url`);
       }
+      names.add(source.name);
     }
+    return names.has(LOCAL_SOURCE) ? sources : [{ name: LOCAL_SOURCE }, ...sources];
+  }
 
-    if (!loadFromCache(syncOptions.url) || syncOptions.force) {
-      reportProgress(syncOptions, 'fetching', 25);
+  /**
+   * Builds the trust settings for a source, falling back to `security` for anything it does not set.
+   * Header values may reference environment variables ("Bearer ${TEAM_REGISTRY_TOKEN}").
+   * @param {object} source - Source config
+   * @returns {object} Security settings ({trustedDomains, requireHttps, signing, headers, ...})
+   */
+  function getSourceSecurity(source) {
+    const headers = Object.fromEntries(Object.entries(source.headers || {}).map(([name, value]) =>
+      [name, String(value).replace(/\$\{(\w+)\}/g, (match, variable) => process.env[variable] || '')]
+    ));
 
-      const remoteData = await fetchRemoteRegistry(syncOptions.url, syncOptions);
+    return {
+      ...config.security,
+      trustedDomains: source.trustedDomains || config.security.trustedDomains,
+      requireHttps: source.requireHttps ?? config.security.requireHttps,
+      signing: source.signing ? { required: false, publicKeys: {}, ...source.signing } : config.security.signing,
+      headers
+    };
+  }
 
-      reportProgress(syncOptions, 'validating', 50);
+  /**
+   * Prefixes prompt ids with a source's namespace ("acme" -> "acme/code_review")
+   * @param {object} prompts - Prompt entries keyed by id
+   * @param {string} namespace - Namespace prefix (optional)
+   * @returns {object} Prompt entries keyed by namespaced id
+   */
+  function namespacePrompts(prompts, namespace) {
+    if (!namespace) {
+      return { ...prompts };
+    }
+    return Object.fromEntries(Object.entries(prompts).map(([id, entry]) => [`${namespace}/${id}`, entry]));
+  }
 
-      validateRemoteSchema(remoteData);
+  /**
+   * Gets the prompts of a source
+   * @param {object} source - Source config
+   * @returns {object} Prompt entries keyed by (namespaced) id
+   */
+  function getSourceLayer(source) {
+    if (source.name === LOCAL_SOURCE) {
+      return registry;
+    }
+    if (!sourceLayers.has(source.name)) {
+      // Until the first sync, use whatever the cache holds, however old
+      const cacheEntry = readCacheEntry(source.url);
+      sourceLayers.set(source.name, cacheEntry && cacheEntry.data ? namespacePrompts(cacheEntry.data.prompts, source.namespace) : {});
+      updateSearchIndexes(source.name, sourceLayers.get(source.name));
+    }
+    return sourceLayers.get(source.name);
+  }
 
-      reportProgress(syncOptions, 'comparing', 60);
+  /**
+   * Lists every visible prompt with the source it comes from; an id defined by several
+   * sources resolves to the highest-priority one
+   * @returns {Map<string, {entry: object, source: string}>} Prompts keyed by id
+   */
+  function listPromptEntries() {
+    const entries = new Map();
+    for (const source of getSources()) {
+      for (const [id, entry] of Object.entries(getSourceLayer(source))) {
+        if (!entries.has(id)) {
+          entries.set(id, { entry, source: source.name });
+        }
+      }
+    }
+    return entries;
+  }
 
-      saveToCache(syncOptions.url, remoteData);
+  /**
+   * Gets the registry lookups see: the local registry, layered over remote sources if any
+   * @returns {object} Prompt entries keyed by id
+   */
+  function getLayeredRegistry() {
+    if (!hasRemoteSources()) {
+      return registry;
+    }
+    return Object.fromEntries([...listPromptEntries()].map(([id, { entry }]) => [id, entry]));
+  }
 
-      result.remoteVersion = remoteData.schemaVersion || '2.0';
+  /**
+   * Finds a prompt by id, in priority order or in an explicit source ("team:code_review")
+   * @param {string} id - Prompt id, optionally prefixed with "source:"
+   * @returns {{entry: object|null, source: string|null, id: string}} Entry, its source and the bare id
+   * @throws {Error} If the explicit source does not exist
+   */
+  function findPromptEntry(id) {
+    const separator = id.indexOf(':');
+    if (separator === -1) {
+      const found = listPromptEntries().get(id);
+      return { entry: found ? found.entry : null, source: found ? found.source : null, id };
+    }
 
-      reportProgress(syncOptions, 'merging', 75);
+    const name = id.slice(0, separator);
+    const promptId = id.slice(separator + 1);
+    const source = getSources().find(candidate => candidate.name === name);
+    if (!source) {
+      throw new Error(`Unknown source "${name}"`);
+    }
+    return { entry: getSourceLayer(source)[promptId] || null, source: name, id: promptId };
+  }
 
-      const mergeResult = mergeRegistries(remoteData, {
-        schemaVersion: result.remoteVersion
-      }, syncOptions);
+  /**
+   * Builds the error for a prompt id that was not found, suggesting the closest ids of the
+   * source it was looked up in (all sources for unprefixed ids) that have a version to get
+   * @param {string} id - Prompt id as given, optionally prefixed with "source:" and suffixed with "@version"
+   * @returns {PromptNotFoundError} Error with details ({id, suggestions})
+   */
+  function createNotFoundError(id) {
+    const separator = id.indexOf(':');
+    const name = id.slice(0, separator);
+    const source = separator === -1 ? null : getSources().find(candidate => candidate.name === name);
+    const entries = source ? Object.entries(getSourceLayer(source)) :
+      [...listPromptEntries()].map(([baseId, { entry }]) => [baseId, entry]);
+    const ids = entries.filter(([, entry]) => resolvePromptVersion(entry)).map(([baseId]) => baseId);
+    const suggestions = suggestIds(id.slice(separator + 1).split('@')[0], ids)
+      .map(suggestion => (source ? `${name}:${suggestion}` : suggestion));
+    const message = `Prompt "${id}" not found`;
+    return new PromptNotFoundError(suggestions.length > 0 ? `${message}. ${formatSuggestions(suggestions)}` : message, { id, suggestions });
+  }
 
-      result.newPrompts = mergeResult.newPrompts;
-      result.updatedPrompts = mergeResult.updatedPrompts;
-      result.warnings = mergeResult.warnings;
+  /** Prompt Index **/
+  // Embedded index of every source's prompts, when config.index.enabled (see prompt-index.js)
+  let promptIndex = null;
+
+  // Embedding index of the local registry for semanticSearchAsync(), when
+  // config.embeddings.enabled or an embedder is given (see embedding-index.js)
+  let embeddingIndex = null;
+
+  /**
+   * Gets the file an index of the registry is kept in
+   * @param {object} indexConfig - Index configuration ({file})
+   * @param {string} extension - Extension of the default file in the cache directory
+   * @returns {string|null} Index file, or null to keep it in memory only
+   */
+  function getIndexFile(indexConfig, extension) {
+    if (indexConfig.file) {
+      return indexConfig.file;
+    }
+    if (storage.persistent === false || !storage.location) {
+      return null;
+    }
+    const locationHash = Buffer.from(path.resolve(storage.location)).toString('base64url');
+    return path.join(config.cache.directory, `${locationHash}${extension}`);
+  }
 
-      reportProgress(syncOptions, 'updating', 90);
+  /**
+   * Gets the file the prompt index is kept in
+   * @returns {string|null} Index file, or null to keep it in memory only
+   */
+  function getPromptIndexFile() {
+    return getIndexFile(config.index, '.index.json');
+  }
 
-      if (result.newPrompts > 0 || result.updatedPrompts > 0) {
-        saveLocalRegistry();
+  /**
+   * Updates the search indexes after a source's prompts changed: the full-text index of its
+   * prompts (see search-index.js) and the prompt index, if enabled, which keeps the full-text
+   * index with its own and is saved
+   * @param {string} sourceName - Source name
+   * @param {object} prompts - The source's prompts
+   * @param {object} options - Options ({ids}: the prompts that were added, changed or removed,
+   *   any if omitted; {previous}: the prompts these replace, whose full-text index is reused)
+   */
+  function updateSearchIndexes(sourceName, prompts, options = {}) {
+    const ids = options.ids || null;
+    if (!promptIndex) {
+      if (options.previous) {
+        moveSearchIndex(options.previous, prompts);
       }
+      trackSearchIndex(prompts);
+      refreshSearchIndex(prompts, ids);
+      return;
     }
+    // Saved sources are fingerprinted so that a new process can tell they are up to date
+    const fingerprint = promptIndex.file ? fingerprintPrompts(prompts) : null;
+    promptIndex.updateSource(sourceName, prompts, { ids, fingerprint });
+    attachSearchIndex(prompts, promptIndex.getSearchIndex(sourceName));
+    try {
+      promptIndex.save();
+    } catch (error) {
+      // Index write failure - non-critical, it is brought up to date when next loaded
+    }
+  }
 
-    reportProgress(syncOptions, 'finalizing', 100);
-
-    result.success = true;
-    result.lastSync = new Date().toISOString();
+  /**
+   * Loads the prompt index and brings it up to date with every source. semanticSearch() and
+   * advancedFilter() use it for the registry object too.
+   */
+  function openPromptIndex() {
+    promptIndex = createPromptIndex({ file: getPromptIndexFile() });
+    for (const source of getSources()) {
+      updateSearchIndexes(source.name, getSourceLayer(source));
+    }
+    attachPromptIndex(registry, promptIndex, LOCAL_SOURCE);
+  }
 
-    // Update metadata
-    registryMetadata.lastSync = new Date();
-    registryMetadata.localVersion = result.remoteVersion || registryMetadata.localVersion;
+  /**
+   * Finds the prompts of a source that can match a search, using the prompt index
+   * @param {string} sourceName - Source name
+   * @param {string|object} query - Search string or filter object
+   * @param {SearchOptions} searchOptions - Search options
+   * @returns {Set<string>|null} Prompt ids, or null if the index cannot narrow the search
+   */
+  function matchIndexedPrompts(sourceName, query, searchOptions) {
+    if (typeof query === 'string') {
+      return promptIndex.matchText(sourceName, query);
+    }
+    if (typeof query === 'object' && !searchOptions.syncOnEmpty) {
+      if (query.tags && query.tags.length > 0) {
+        return promptIndex.matchTags(sourceName, query.tags);
+      }
+      if (query.category) {
+        return promptIndex.matchCategory(sourceName, query.category);
+      }
+    }
+    return null;
+  }
 
-  } catch (error) {
-    const syncError = error instanceof SyncError ? error :
-                     new SyncError('UNKNOWN', error.message || 'Unknown error occurred', { error });
+  /**
+   * Lists the prompts of a source a registry update changed
+   * @param {object} source - Source config
+   * @param {object} update - Registry update (see fetchRegistryUpdate())
+   * @returns {string[]|null} Namespaced ids, or null if any prompt may have changed
+   */
+  function getChangedIds(source, update) {
+    if (update.transfer === 'cache' || update.transfer === 'not-modified') {
+      // The source's layer already holds the cached registry
+      return [];
+    }
+    if (update.transfer !== 'delta') {
+      return null;
+    }
+    const ids = [...Object.keys(update.changes.prompts || {}), ...(update.changes.removed || [])];
+    return source.namespace ? ids.map(id => `${source.namespace}/${id}`) : ids;
+  }
 
-    result.errors.push(syncError);
+  /**
+   * Syncs every remote source into its own layer. A failing source keeps its previous
+   * prompts and does not stop the others.
+   * @param {SyncOptions} syncOptions - Sync options
+   * @param {SyncResult} result - Sync result (updated in place, with per-source `sources`)
+   */
+  async function syncSources(syncOptions, result) {
+    result.sources = {};
+
+    for (const source of getSources().filter(candidate => candidate.name !== LOCAL_SOURCE)) {
+      const state = { transfer: null, revision: null, lastSync: null, error: null };
+      try {
+        const previous = getSourceLayer(source);
+        const update = await fetchRegistryUpdate(source.url, {
+          ...syncOptions,
+          security: getSourceSecurity(source),
+          deltaUrl: source.deltaUrl || syncOptions.deltaUrl
+        });
+
+        const layer = namespacePrompts(update.data.prompts, source.namespace);
+        for (const [id, entry] of Object.entries(layer)) {
+          if (!previous[id]) {
+            result.newPrompts++;
+          } else if (previous[id].latest !== entry.latest) {
+            result.updatedPrompts++;
+          }
+        }
+        sourceLayers.set(source.name, layer);
+        updateSearchIndexes(source.name, layer, { ids: getChangedIds(source, update), previous });
+
+        Object.assign(state, { transfer: update.transfer, revision: update.data.revision ?? null, lastSync: new Date().toISOString() });
+      } catch (error) {
+        const syncError = error instanceof SyncError ? error :
+                         new SyncError('UNKNOWN', error.message || 'Unknown error occurred', { error });
+        syncError.details = { ...syncError.details, source: source.name };
+        state.error = syncError.message;
+        result.errors.push(syncError);
+      }
 
-    if (syncOptions.errorPolicy === 'throw') {
-      throw syncError;
-    } else if (syncOptions.errorPolicy === 'warn') {
-      console.warn('Sync warning:', syncError.message);
+      // Keep the time of the last successful sync when this one failed
+      const last = sourceStates.get(source.name);
+      sourceStates.set(source.name, { ...state, lastSync: state.lastSync || (last ? last.lastSync : null) });
+      result.sources[source.name] = sourceStates.get(source.name);
     }
-    // 'silent' means continue without throwing
   }
 
-  return result;
-}
+  /** Core Sync Function **/
+  /**
+   * Synchronizes with remote prompt registry
+   * @param {SyncOptions} options - Sync options
+   * @returns {Promise<SyncResult>} Sync result
+   */
+  async function sync(options = {}) {
+    const syncId = generateSyncId();
+    const startTime = Date.now();
+
+    const result = {
+      success: false,
+      localVersion: registryMetadata.localVersion,
+      remoteVersion: null,
+      newPrompts: 0,
+      updatedPrompts: 0,
+      errors: [],
+      warnings: [],
+      lastSync: null,
+      transfer: null,
+      revision: null,
+      conflicts: [],
+      snapshot: null
+    };
 
-/**
- * Background sync operation (non-blocking)
- * @param {SyncOptions} options - Sync options
- * @returns {Promise<string>} Sync operation ID
- */
-export function backgroundSync(options = {}) {
-  const syncId = generateSyncId();
+    const syncOptions = {
+      url: options.url,
+      force: options.force || false,
+      timeout: options.timeout || config.policies.timeout,
+      progressCallback: options.progressCallback,
+      errorPolicy: options.errorPolicy || 'throw',
+      mergeStrategy: options.mergeStrategy || 'prefer-local',
+      conflictRules: options.conflictRules,
+      resolveConflict: options.resolveConflict,
+      silent: options.silent || false,
+      background: options.background || false,
+      delta: options.delta,
+      deltaUrl: options.deltaUrl
+    };
+
+    // Set default URL based on environment
+    if (!syncOptions.url) {
+      const envType = process.env.NODE_ENV === 'production' ? 'production' : 'development';
+      syncOptions.url = config.urls[envType];
+    }
+
+    registryMetadata.syncUrl = syncOptions.url;
 
-  // Non-blocking execution
-  setImmediate(async () => {
     try {
-      const result = await sync({ ...options, silent: true });
-      if (result.success && !options.silent) {
-        console.log(`Background sync completed: +${result.newPrompts} new, +${result.updatedPrompts} updated prompts`);
+      reportProgress(syncOptions, 'initializing', 0);
+
+      if (!options.url && hasRemoteSources()) {
+        await syncSources(syncOptions, result);
+        if (result.errors.length > 0) {
+          throw result.errors[0];
+        }
+      } else {
+        const update = await fetchRegistryUpdate(syncOptions.url, syncOptions);
+        result.transfer = update.transfer;
+        result.revision = update.data.revision ?? null;
+        if (update.transfer !== 'cache') {
+          result.remoteVersion = update.data.schemaVersion || '2.0';
+        }
+
+        // A fresh cache is merged again (conflicts may be resolved differently this time);
+        // a 304 means the last merge is still current
+        if (update.changes) {
+          reportProgress(syncOptions, 'merging', 75);
+
+          // Copy of the registry to snapshot if the merge changes registry.json
+          const before = JSON.parse(JSON.stringify(registry));
+          const mergeResult = await mergeRegistries(update.changes, {
+            schemaVersion: result.remoteVersion || '2.0'
+          }, syncOptions);
+
+          result.newPrompts = mergeResult.newPrompts;
+          result.updatedPrompts = mergeResult.updatedPrompts;
+          result.warnings = mergeResult.warnings;
+          result.conflicts = mergeResult.conflicts;
+          if (update.transfer === 'delta') {
+            (update.changes.removed || []).filter(promptId => registry[promptId]).forEach(promptId => {
+              result.warnings.push(`Prompt ${promptId} was removed from the remote registry; the local copy is kept`);
+            });
+          }
+
+          reportProgress(syncOptions, 'updating', 90);
+
+          if (result.newPrompts > 0 || result.updatedPrompts > 0) {
+            const snapshot = snapshotRegistry(before, {
+              reason: 'sync',
+              source: syncOptions.url,
+              transfer: update.transfer,
+              revision: result.revision,
+              conflicts: result.conflicts
+            });
+            result.snapshot = snapshot ? snapshot.id : null;
+            saveLocalRegistry(Object.keys(update.changes.prompts));
+          }
+        }
       }
+
+      reportProgress(syncOptions, 'finalizing', 100);
+
+      result.success = true;
+      result.lastSync = new Date().toISOString();
+
+      // Update metadata
+      registryMetadata.lastSync = new Date();
+      registryMetadata.localVersion = result.remoteVersion || registryMetadata.localVersion;
+
     } catch (error) {
-      if (!options.silent) {
-        console.error('Background sync failed:', error.message);
+      const syncError = error instanceof SyncError ? error :
+                       new SyncError('UNKNOWN', error.message || 'Unknown error occurred', { error });
+
+      if (!result.errors.includes(syncError)) {
+        result.errors.push(syncError);
       }
+
+      if (syncOptions.errorPolicy === 'throw') {
+        throw syncError;
+      } else if (syncOptions.errorPolicy === 'warn') {
+        console.warn('Sync warning:', syncError.message);
+      }
+      // 'silent' means continue without throwing
     }
-  });
 
-  return syncId;
-}
+    return result;
+  }
 
-/** Registry Metadata Functions **/
-/**
- * Returns registry information
- * @returns {RegistryMetadata} Registry metadata
- */
-export function getRegistryInfo() {
-  return {
-    localVersion: registryMetadata.localVersion,
-    lastSync: registryMetadata.lastSync,
-    lastModified: registryMetadata.lastModified,
-    syncUrl: registryMetadata.syncUrl,
-    schemaVersion: registryMetadata.schemaVersion
-  };
-}
+  /**
+   * Background sync operation (non-blocking)
+   * @param {SyncOptions} options - Sync options
+   * @returns {Promise<string>} Sync operation ID
+   */
+  function backgroundSync(options = {}) {
+    const syncId = generateSyncId();
+
+    // Non-blocking execution
+    setImmediate(async () => {
+      try {
+        const result = await sync({ ...options, silent: true });
+        if (result.success && !options.silent) {
+          console.log(`Background sync completed: +${result.newPrompts} new, +${result.updatedPrompts} updated prompts`);
+        }
+      } catch (error) {
+        if (!options.silent) {
+          console.error('Background sync failed:', error.message);
+        }
+      }
+    });
 
-/**
- * Checks if registry is stale based on maximum age
- * @param {number} maxAge - Maximum age in milliseconds
- * @returns {boolean} True if registry is stale
- */
-export function isRegistryStale(maxAge) {
-  if (!registryMetadata.lastSync) return true;
+    return syncId;
+  }
 
-  const age = Date.now() - registryMetadata.lastSync.getTime();
-  return age > maxAge;
-}
+  /** Lockfile Functions **/
+  // Active lockfile: undefined until first lookup, null when there is none
+  let activeLock;
+
+  /**
+   * Gets the active lockfile, reading it from the configured path on first use
+   * @returns {object|null} Lockfile data
+   */
+  function getActiveLock() {
+    if (activeLock === undefined) {
+      activeLock = config.lockfile.enabled ? readLockfile(config.lockfile.path) : null;
+    }
+    return activeLock;
+  }
 
-/**
- * Initialize the registry library with optional auto-sync
- * @param {object} options - Initialization options
- * @returns {Promise<RegistryMetadata>} Registry metadata
- */
-export async function init(options = {}) {
-  // Ensure cache directory exists
-  ensureCacheDirectory();
+  /**
+   * Sets the lockfile get() honors
+   * @param {string|object|null} lock - Lockfile path, lockfile data, or null to ignore locks
+   * @returns {object|null} The active lockfile data
+   */
+  function useLockfile(lock) {
+    activeLock = typeof lock === 'string' ? readLockfile(lock) : lock;
+    return activeLock;
+  }
 
-  // Load local registry (already done during module load)
+  /**
+   * Gets the locked version for a lookup, checking that its content is unchanged
+   * @param {string} id - Prompt id
+   * @param {string} spec - Version specifier from the lookup (may be empty)
+   * @param {object} entry - Registry entry the lookup resolved to (defaults to the highest-priority one)
+   * @returns {string|null} Locked version, or null if the prompt is not locked
+   * @throws {LockfileError} If the locked version is missing or its content changed
+   */
+  function getLockedVersion(id, spec, entry = findPromptEntry(id).entry) {
+    const locked = getLockedEntry(getActiveLock(), id, spec);
+    if (!locked) {
+      return null;
+    }
+    assertLocked(id, locked, entry && entry.versions[locked.version]);
+    return locked.version;
+  }
 
-  // Optional auto-sync on initialization
-  if (options.autoSync) {
-    await sync({
-      url: options.syncUrl,
-      silent: options.silent || false,
-      errorPolicy: options.errorPolicy || 'warn'
-    });
+  /** Snapshot Functions **/
+  /**
+   * Lists the snapshots taken before syncs and rollbacks changed registry.json
+   * @returns {Array<object>} Snapshot records, newest first
+   */
+  function listSnapshots() {
+    if (storage.persistent === false) {
+      return [];
+    }
+    return readSnapshotRecords(config.snapshots.directory);
   }
 
-  return getRegistryInfo();
-}
+  /**
+   * Restores registry.json to a snapshot. The current registry is snapshotted first,
+   * so a rollback can itself be rolled back.
+   * @param {string} snapshotId - Snapshot id (from listSnapshots() or SyncResult.snapshot)
+   * @returns {object} Rollback result ({snapshotId, restoredFrom, changes, snapshot})
+   * @throws {SnapshotError} If the snapshot does not exist or is unreadable
+   */
+  function rollback(snapshotId) {
+    if (storage.persistent === false) {
+      throw new SnapshotError(`No snapshots are kept for ${storage.type} storage`, { snapshotId });
+    }
+    const { record, registry: restored } = readSnapshot(config.snapshots.directory, snapshotId);
+    const before = JSON.parse(JSON.stringify(registry));
 
-/**
- * Periodic sync scheduler for background mode
- * @param {number} interval - Sync interval in milliseconds
- */
-function startPeriodicSync(interval = config.policies.syncInterval) {
-  if (config.policies.backgroundSync) {
-    setInterval(() => {
-      backgroundSync({ silent: true });
-    }, interval);
+    for (const promptId of Object.keys(registry)) {
+      delete registry[promptId];
+    }
+    Object.assign(registry, restored);
+
+    const snapshot = snapshotRegistry(before, { reason: 'rollback', source: snapshotId });
+    if (snapshot) {
+      saveLocalRegistry();
+    }
+
+    return {
+      snapshotId,
+      restoredFrom: record.createdAt,
+      changes: snapshot ? snapshot.changes : computeRegistryChanges(before, registry),
+      snapshot: snapshot ? snapshot.id : null
+    };
   }
-}
 
-// Start periodic sync if enabled
-startPeriodicSync();
+  /** Registry Metadata Functions **/
+  // Number of snapshots getRegistryInfo() lists
+  const RECENT_SNAPSHOTS = 10;
 
-/**
- * Retrieves a prompt by ID (with optional version) and interpolates variables.
- * Enhanced with optional auto-sync functionality and model-specific variants
- * @param {string} id - The unique ID of the prompt, optionally with @version suffix.
- * @param {Object} variables - An object with variable names as keys and their values for substitution.
- * @param {GetOptions} options - Additional options for sync behavior and model selection
- * @returns {Object} The version-aware prompt metadata with interpolated prompt.
- * @throws {Error} If the prompt ID or version is not found.
- */
-export function get(id, variables = {}, options = {}) {
-  let baseId = id;
-  let version = '';
-  if (id.includes('@')) {
-    [baseId, version] = id.split('@').slice(0, 2);
+  /**
+   * Returns registry information
+   * @returns {RegistryMetadata} Registry metadata
+   */
+  function getRegistryInfo() {
+    return {
+      localVersion: registryMetadata.localVersion,
+      lastSync: registryMetadata.lastSync,
+      lastModified: registryMetadata.lastModified,
+      syncUrl: registryMetadata.syncUrl,
+      schemaVersion: registryMetadata.schemaVersion,
+      storage: { type: storage.type || null, location: storage.location || null },
+      index: promptIndex ? { documents: promptIndex.count(), file: promptIndex.file } : null,
+      embeddings: embeddingIndex ?
+        { documents: embeddingIndex.count(), file: embeddingIndex.file, embedder: embeddingIndex.embedder.name } : null,
+      sources: getSources().map((source, priority) => {
+        const state = sourceStates.get(source.name) || {};
+        return {
+          name: source.name,
+          url: source.url || null,
+          namespace: source.namespace || null,
+          priority,
+          prompts: Object.keys(getSourceLayer(source)).length,
+          lastSync: source.name === LOCAL_SOURCE ? registryMetadata.lastSync : state.lastSync || null,
+          transfer: state.transfer || null,
+          revision: state.revision ?? null,
+          error: state.error || null
+        };
+      }),
+      snapshots: listSnapshots().slice(0, RECENT_SNAPSHOTS).map(({ id, createdAt, reason, source, changes }) => ({
+        id,
+        createdAt,
+        reason,
+        source,
+        added: changes.added.length,
+        updated: changes.updated.length,
+        removed: changes.removed.length
+      }))
+    };
   }
 
-  // Check if prompt exists locally
-  const base = registry[baseId];
-  if (!base && options.syncOnMissing) {
-    // Auto-sync if prompt not found locally
-    return syncAndRetryGet(id, variables, options);
-  } else if (!base) {
-    throw new Error(`Prompt "${id}" not found`);
+  /**
+   * Checks if registry is stale based on maximum age
+   * @param {number} maxAge - Maximum age in milliseconds
+   * @returns {boolean} True if registry is stale
+   */
+  function isRegistryStale(maxAge) {
+    if (!registryMetadata.lastSync) return true;
+
+    const age = Date.now() - registryMetadata.lastSync.getTime();
+    return age > maxAge;
   }
 
-  if (!version) {
-    version = base.latest;
+  /**
+   * Initialize the registry library with optional auto-sync
+   * @param {object} options - Initialization options
+   * @returns {Promise<RegistryMetadata>} Registry metadata
+   */
+  async function init(options = {}) {
+    // Ensure cache directory exists
+    ensureCacheDirectory();
+
+    // Load local registry (already done during module load)
+
+    // Optional auto-sync on initialization
+    if (options.autoSync) {
+      await sync({
+        url: options.syncUrl,
+        silent: options.silent || false,
+        errorPolicy: options.errorPolicy || 'warn'
+      });
+    }
+
+    return getRegistryInfo();
   }
-  const promptData = base.versions[version];
-  if (!promptData) {
-    throw new Error(`Version "${version}" not available for "${baseId}"`);
+
+  /**
+   * Periodic sync scheduler for background mode
+   * @param {number} interval - Sync interval in milliseconds
+   */
+  function startPeriodicSync(interval = config.policies.syncInterval) {
+    if (config.policies.backgroundSync) {
+      setInterval(() => {
+        backgroundSync({ silent: true });
+      }, interval);
+    }
   }
 
-  // Get model-specific variant if requested
-  let prompt = promptData.prompt;
-  if (options.model) {
-    prompt = getPromptVariant(promptData, options.model);
+  // Start periodic sync if enabled
+  startPeriodicSync();
+
+  /**
+   * Retrieves a prompt by ID (with optional version) and renders its template.
+   * Enhanced with optional auto-sync functionality and model-specific variants
+   * @param {string} id - The unique ID of the prompt, optionally with a source: prefix and an @version, @range (^2, ~1.3) or @dist-tag suffix.
+   * @param {Object} variables - Variable values for the template ({{name}}, {{#if}}, {{#each}} and filters).
+   * @param {GetOptions} options - Additional options for sync behavior and model selection
+   * @returns {Object} The version-aware prompt metadata with the rendered messages and flattened prompt.
+   * @throws {PromptNotFoundError} If the prompt ID is not found, with the closest IDs as suggestions.
+   * @throws {Error} If the version is not found, or the version is deprecated or yanked in strict mode.
+   * @throws {LockfileError} If a locked version is missing or its content changed.
+   * @throws {VariableSchemaError} If the variables do not satisfy the version's schema.
+   * @throws {TemplateError} If the template is invalid or variables are missing.
+   */
+  function get(id, variables = {}, options = {}) {
+    let baseId = id;
+    let versionSpec = '';
+    if (id.includes('@')) {
+      [baseId, versionSpec] = id.split('@').slice(0, 2);
+    }
+
+    // Find the prompt in the highest-priority source that has it, or in the named one ("team:code_review")
+    const found = findPromptEntry(baseId);
+    const base = found.entry;
+    baseId = found.id;
+    if (!base && options.syncOnMissing) {
+      // Auto-sync if prompt not found locally
+      return syncAndRetryGet(id, variables, options);
+    } else if (!base) {
+      throw createNotFoundError(id);
+    }
+
+    // Use the lockfile's version if the prompt is locked, otherwise resolve
+    // exact versions, dist-tags (@next, @stable) and ranges (@^2, @~1.3)
+    const pin = options.ignoreLock ? null : getLockedVersion;
+    const version = (pin && pin(baseId, versionSpec, base)) || resolvePromptVersion(base, versionSpec);
+    const promptData = version && base.versions[version];
+    if (!promptData) {
+      throw new Error(`Version "${versionSpec}" not available for "${baseId}"`);
+    }
+
+    // Deprecated versions (and yanked ones pinned explicitly) warn, or throw in strict mode
+    const notice = describeVersionStatus(`${baseId}@${version}`, promptData);
+    if (notice) {
+      if (options.strict) {
+        throw new Error(notice);
+      }
+      warnOnce(notice);
+    }
+
+    // Enforce the version's typed variable schema (the legacy list of names is informational only)
+    const values = promptData.variables && !Array.isArray(promptData.variables) ?
+      resolveVariables(promptData.variables, variables, `${baseId}@${version}`) : variables;
+
+    // Render conditionals, loops, filters, includes and variables (throws on missing variables).
+    // Plain prompts render as a single user message; model-specific variants are used if requested.
+    const messages = renderMessages(getMessagesVariant(promptData, options.model), values, {
+      resolvePartial: createIncludeResolver(getLayeredRegistry(), { stack: [baseId], model: options.model, pin })
+    });
+
+    return {
+      id: `${baseId}@${version}`,
+      prompt: flattenMessages(messages),
+      messages,
+      description: promptData.description,
+      category: promptData.category,
+      tags: promptData.tags,
+      version: promptData.version,
+      deprecated: getDeprecation(promptData),
+      source: found.source
+    };
   }
 
-  // Interpolate variables
-  for (const [key, value] of Object.entries(variables)) {
-    prompt = prompt.replace(new RegExp(`\\{\\{${key}\\}\\}`, 'g'), value || '');
+  /**
+   * Auto-sync and retry getting a prompt
+   * @param {string} id - Prompt ID to get
+   * @param {Object} variables - Variables for interpolation
+   * @param {GetOptions} options - Options for sync behavior
+   * @returns {Object} Prompt data
+   */
+  async function syncAndRetryGet(id, variables, options) {
+    try {
+      await sync({
+        url: options.syncUrl,
+        timeout: options.timeout || 10000,
+        errorPolicy: 'throw', // We need to fail if sync fails
+        silent: true
+      });
+
+      return get(id, variables); // Retry without options to avoid infinite loop
+    } catch (error) {
+      throw new Error(`Prompt "${id}" not found locally and sync failed: ${error.message}`);
+    }
   }
 
-  // Check for unsubstituted variables
-  const unsub = prompt.match(/\{\{([^}]+)\}\}/g);
-  if (unsub && unsub.length > 0) {
-    throw new Error(`Missing variables: ${unsub.map(v => v.slice(2, -2)).join(', ')}`);
+  /**
+   * Searches prompts based on a query string or filter object.
+   * Enhanced with sync metadata and optional auto-sync for empty results
+   * @param {string|SearchOptions} query - A search string (free text or the query language of search-query.js) or search options filter object
+   * @param {SearchOptions} options - Search options (merges with query if it's a SearchOptions type)
+   * @returns {Array|SearchPage} An array of enhanced prompt metadata matching the query, or with
+   *   `paginate` a page of it ({results, total, facets, cursor}, see search-results.js)
+   * @throws {SearchQueryError} If the sort order or page cursor is invalid, or with `strict`
+   *   if the search string is malformed
+   */
+  function search(query, options = {}) {
+    // Merge query with options if query is an object with search options
+    const searchOptions = typeof query === 'object' ?
+      { ...query, ...options } : options;
+    const searched = query;
+
+    // Search strings may use the query language ("tag:sql OR tag:database, vars<=2", see
+    // search-query.js) and filter objects become the same filter tree; plain words are free text,
+    // and so are malformed queries ('"unterminated', 'tag:', a bare OR) unless strict is set
+    let filter = null;
+    if (typeof query === 'string') {
+      let parsed = null;
+      try {
+        parsed = parseSearchQuery(query);
+      } catch (error) {
+        if (searchOptions.strict || !(error instanceof SearchQueryError)) {
+          throw error;
+        }
+      }
+      filter = parsed && isStructuredQuery(parsed) ? parsed : null;
+    } else if (typeof query === 'object' && !(options && options.syncOnEmpty)) {
+      filter = filtersToSearchQuery(query);
+    }
+
+    // A version range or dist-tag ("sql@^2", { version: 'next' }) matches against the
+    // highest satisfying version of each prompt instead of its latest
+    let versionSpec = searchOptions.version;
+    if (typeof query === 'string' && !filter && query.includes('@')) {
+      [query, versionSpec] = query.split('@').slice(0, 2);
+    }
+
+    // Free text is ranked with BM25 over each source's prompts (see search-index.js), tolerating
+    // typos if fuzzy is set; prompts that only contain the text as a substring of a field come
+    // last, with a score of 0. Structured queries rank their text terms.
+    const text = typeof query !== 'string' ? '' : filter ? getQueryText(filter).join(' ') : query;
+    const rankings = new Map();
+    if (text && !versionSpec) {
+      for (const source of getSources()) {
+        const ranked = getSearchIndex(getSourceLayer(source)).query(text, { fuzzy: searchOptions.fuzzy });
+        rankings.set(source.name, new Map(ranked.map(result => [result.id, result])));
+      }
+    }
+
+    // The prompt index holds each prompt's default version, and narrows the prompts to check.
+    // Structured search strings can test templates and variants, which it does not hold.
+    const entries = listPromptEntries();
+    const index = versionSpec || (filter && typeof query === 'string') ? null : promptIndex;
+    const indexedMatches = new Map();
+    if (index) {
+      for (const [baseId, { entry: base, source }] of entries) {
+        if (!index.getDocument(source, baseId)) {
+          index.updatePrompt(source, baseId, base);
+        }
+      }
+      for (const { source } of entries.values()) {
+        if (!indexedMatches.has(source)) {
+          indexedMatches.set(source, matchIndexedPrompts(source, query, searchOptions));
+        }
+      }
+    }
+
+    // Yanked versions are never resolved; deprecated ones are hidden unless requested, or
+    // unless the query says whether it wants them (is:deprecated, -is:deprecated)
+    const includeDeprecated = searchOptions.includeDeprecated || hasQueryField(filter, 'is', 'deprecated');
+    const matchedVersions = new Map();
+    let allPrompts = [...entries].map(([baseId, { entry: base, source }]) => {
+      const ranking = rankings.has(source) ? rankings.get(source).get(baseId) : undefined;
+      let versionData;
+      if (index) {
+        const matches = indexedMatches.get(source);
+        if (matches && !matches.has(baseId) && !ranking) return null;
+        versionData = index.getDocument(source, baseId).resolved;
+        if (!versionData) return null;
+      } else {
+        const version = resolvePromptVersion(base, versionSpec);
+        if (!version) return null;
+        versionData = base.versions[version];
+      }
+
+      const deprecated = index ? versionData.deprecated : Boolean(getDeprecation(versionData));
+      if (deprecated && !includeDeprecated) return null;
+
+      if (filter) {
+        const target = createQueryTarget(baseId, versionData, index ? { length: versionData.length, variables: versionData.variables } : undefined);
+        const matchText = (node, candidate) => matchQueryText(node, candidate) || (!node.phrase && rankingMatchesText(ranking, node.value));
+        if (!matchesSearchQuery(filter, target, { matchText })) return null;
+      }
+
+      // Sorting and facets need the whole version, which the prompt index only summarizes
+      matchedVersions.set(baseId, index ? base.versions[versionData.version] : versionData);
+      return {
+        id: baseId,
+        description: versionData.description,
+        category: versionData.category,
+        tags: versionData.tags,
+        version: versionData.version,
+        deprecated,
+        registryFresh: !isRegistryStale(config.cache.ttl),
+        source,
+        lastSync: registryMetadata.lastSync ? registryMetadata.lastSync.toISOString() : null,
+        ...(rankings.size > 0 ? { score: ranking ? ranking.score : 0, matches: ranking ? ranking.matches : [] } : {})
+      };
+    }).filter(Boolean);
+
+    let filtered = allPrompts;
+
+    // Handle plain free text (filter trees were applied above)
+    if (typeof query === 'string' && !filter) {
+      const lowerQuery = query.toLowerCase();
+      filtered = allPrompts.filter(p =>
+        p.score > 0 ||
+        p.id.toLowerCase().includes(lowerQuery) ||
+        p.description.toLowerCase().includes(lowerQuery) ||
+        p.category.toLowerCase().includes(lowerQuery) ||
+        p.tags.some(tag => tag.toLowerCase().includes(lowerQuery))
+      );
+    }
+    if (rankings.size > 0) {
+      filtered.sort((a, b) => b.score - a.score);
+    }
+
+    // Auto-sync if no results and syncOnEmpty is enabled
+    if (filtered.length === 0 && searchOptions.syncOnEmpty) {
+      return syncAndRetrySearch(query, searchOptions);
+    }
+
+    // Other sort orders and pages (see search-results.js) look at the matched versions
+    if (searchOptions.paginate || (searchOptions.sort && searchOptions.sort !== 'relevance')) {
+      const hits = filtered.map(result => ({ result, versionData: matchedVersions.get(result.id) }));
+      if (searchOptions.paginate) {
+        return createSearchPage(hits, searched, searchOptions);
+      }
+      filtered = sortSearchHits(hits, searchOptions.sort).map(hit => hit.result);
+    }
+
+    return filtered;
   }
 
-  return {
-    id: `${baseId}@${version}`,
-    prompt: prompt,
-    description: promptData.description,
-    category: promptData.category,
-    tags: promptData.tags,
-    version: promptData.version
-  };
-}
+  /**
+   * Gets the release history of a prompt from the `changelog`, `author` and `releasedAt`
+   * fields of its versions. Versions without notes get notes summarized from their diff.
+   * @param {string} id - The prompt ID, optionally with a source: prefix
+   * @returns {Array} History entries, newest version first
+   * @throws {PromptNotFoundError} If the prompt ID is not found
+   */
+  function getHistory(id) {
+    const { entry } = findPromptEntry(id);
+    if (!entry) {
+      throw createNotFoundError(id);
+    }
+    return buildPromptHistory(entry);
+  }
 
-/**
- * Auto-sync and retry getting a prompt
- * @param {string} id - Prompt ID to get
- * @param {Object} variables - Variables for interpolation
- * @param {GetOptions} options - Options for sync behavior
- * @returns {Object} Prompt data
- */
-async function syncAndRetryGet(id, variables, options) {
-  try {
-    await sync({
-      url: options.syncUrl,
-      timeout: options.timeout || 10000,
-      errorPolicy: 'throw', // We need to fail if sync fails
-      silent: true
-    });
+  /** Registry Editing Functions **/
+  /**
+   * Adds a prompt version to the registry and saves it to the storage. The version becomes
+   * latest if it is higher than the current latest.
+   * @param {string} id - Prompt ID
+   * @param {object} versionData - Version data ({version, description, prompt or messages, ...})
+   * @param {AddOptions} options - Options ({overwrite} an existing version)
+   * @returns {object} The prompt's registry entry
+   * @throws {Error} If the version is invalid, or exists and overwrite is not set
+   */
+  function add(id, versionData, options = {}) {
+    const { version } = versionData;
+    if (!isValidVersion(version)) {
+      throw new Error(`Invalid version "${version}" for prompt "${id}"`);
+    }
 
-    return get(id, variables); // Retry without options to avoid infinite loop
-  } catch (error) {
-    throw new Error(`Prompt "${id}" not found locally and sync failed: ${error.message}`);
+    const entry = registry[id];
+    if (entry && entry.versions[version] && !options.overwrite) {
+      throw new Error(`Version ${version} of prompt "${id}" already exists`);
+    }
+
+    if (entry) {
+      entry.versions[version] = { ...versionData };
+      if (compareVersions(version, entry.latest) > 0) {
+        entry.latest = version;
+      }
+    } else {
+      registry[id] = { latest: version, versions: { [version]: { ...versionData } } };
+    }
+
+    saveLocalRegistry([id]);
+    return registry[id];
   }
-}
 
-/**
- * Searches prompts based on a query string or filter object.
- * Enhanced with sync metadata and optional auto-sync for empty results
- * @param {string|SearchOptions} query - A search string or search options filter object
- * @param {SearchOptions} options - Search options (merges with query if it's a SearchOptions type)
- * @returns {Array} An array of enhanced prompt metadata matching the query
- */
-export function search(query, options = {}) {
-  // Merge query with options if query is an object with search options
-  const searchOptions = typeof query === 'object' ?
-    { ...query, ...options } : options;
+  /**
+   * Removes a prompt, or one of its versions, from the registry and saves it to the storage.
+   * Removing the latest version makes the highest remaining stable version latest; dist-tags
+   * pointing at the version are dropped.
+   * @param {string} id - Prompt ID
+   * @param {string} version - Version to remove (all versions if omitted)
+   * @returns {boolean} True if something was removed
+   */
+  function remove(id, version) {
+    const entry = registry[id];
+    if (!entry || (version && !entry.versions[version])) {
+      return false;
+    }
 
-  let allPrompts = Object.entries(registry).map(([baseId, base]) => {
-    const latestData = base.versions[base.latest];
-    return {
-      id: baseId,
-      description: latestData.description,
-      category: latestData.category,
-      tags: latestData.tags,
-      version: latestData.version,
-      registryFresh: !isRegistryStale(config.cache.ttl),
-      source: 'local',
-      lastSync: registryMetadata.lastSync ? registryMetadata.lastSync.toISOString() : null
-    };
-  });
-
-  let filtered = allPrompts;
-
-  // Handle string query
-  if (typeof query === 'string') {
-    const lowerQuery = query.toLowerCase();
-    filtered = allPrompts.filter(p =>
-      p.id.toLowerCase().includes(lowerQuery) ||
-      p.description.toLowerCase().includes(lowerQuery) ||
-      p.category.toLowerCase().includes(lowerQuery) ||
-      p.tags.some(tag => tag.toLowerCase().includes(lowerQuery))
-    );
-  } else if (typeof query === 'object' && !(options && options.syncOnEmpty)) {
-    // Filter object (apply filters)
-    filtered = allPrompts.filter(p => {
-      if (query.category && p.category !== query.category) return false;
-      if (query.tags && query.tags.length > 0) {
-        if (!query.tags.every(tag => p.tags.includes(tag))) return false;
+    if (version) {
+      delete entry.versions[version];
+    }
+    if (!version || Object.keys(entry.versions).length === 0) {
+      delete registry[id];
+    } else {
+      if (entry.latest === version) {
+        entry.latest = getDefaultLatest(entry.versions);
       }
-      if (query.id && p.id !== query.id) return false;
-      // Add additional filters as needed
-      return true;
-    });
+      for (const [tag, tagged] of Object.entries(entry.distTags || {})) {
+        if (tagged === version) {
+          delete entry.distTags[tag];
+        }
+      }
+    }
+
+    saveLocalRegistry([id]);
+    return true;
   }
 
-  // Auto-sync if no results and syncOnEmpty is enabled
-  if (filtered.length === 0 && searchOptions.syncOnEmpty) {
-    return syncAndRetrySearch(query, searchOptions);
+  if (config.index.enabled) {
+    openPromptIndex();
   }
 
-  return filtered;
+  // semanticSearchAsync() finds the index through the registry object; prompts are embedded
+  // when it is first called, and again only when they change
+  if (config.embeddings.enabled || options.embedder) {
+    embeddingIndex = createEmbeddingIndex({
+      embedder: options.embedder,
+      file: config.embeddings.enabled ? getIndexFile(config.embeddings, '.embeddings.json') : null
+    });
+    attachEmbeddingIndex(registry, embeddingIndex);
+  }
+
+  return {
+    registry,
+    storage,
+    config,
+    get,
+    search,
+    getHistory,
+    sync,
+    backgroundSync,
+    add,
+    remove,
+    init,
+    getRegistryInfo,
+    isRegistryStale,
+    useLockfile,
+    listSnapshots,
+    rollback
+  };
 }
 
+// The registry stored next to this module, which the top-level functions below use
+const defaultRegistry = createRegistry();
+
+export const {
+  get,
+  search,
+  getHistory,
+  sync,
+  backgroundSync,
+  add,
+  remove,
+  init,
+  getRegistryInfo,
+  isRegistryStale,
+  useLockfile,
+  listSnapshots,
+  rollback
+} = defaultRegistry;
+
 // Export the registry for debugging or direct access
-export { registry };
+export const registry = defaultRegistry.registry;
 
 // Export advanced search functionality
-export { semanticSearch, recommendPrompts, advancedFilter } from './advanced-search.js';
+export { SEMANTIC_MODES, semanticSearch, semanticSearchAsync, recommendPrompts, advancedFilter } from './advanced-search.js';
+
+// Export embedding index functionality
+export { EmbeddingError, createHashedEmbedder, createEmbeddingIndex, cosineSimilarity } from './embedding-index.js';
+
+// Export search result page functionality
+export { SEARCH_SORTS, sortSearchHits, countSearchFacets, createSearchPage } from './search-results.js';
+
+// Export search query language functionality
+export { SearchQueryError, parseSearchQuery, formatSearchQuery, filtersToSearchQuery, createQueryTarget, matchesSearchQuery } from './search-query.js';
+
+// Export fuzzy matching functionality
+export { editDistance, trigramSimilarity, suggestIds, fuzzySearchPrompts } from './fuzzy-match.js';
 
 // Export quality analysis functionality
 export { analyzePrompt, calculateQualityScore } from './quality-analysis.js';
 
+// Export template engine functionality
+export { renderTemplate, registerFilter, extractTemplateVariables, TemplateError } from './template-engine.js';
+
+// Export variable schema functionality
+export { applyVariableSchema, validateSchemaDefinition, VariableSchemaError } from './variable-schema.js';
+
+// Export prompt composition functions
+export { findIncludes, checkIncludes } from './composition.js';
+
+// Export lockfile functionality
+export { LockfileError, hashPromptContent, verifyLockfile } from './lockfile.js';
+
+// Export changelog functionality
+export { renderPromptChangelog, renderRegistryChangelog } from './changelog-generator.js';
+
+// Export snapshot functionality
+export { SnapshotError } from './snapshots.js';
+
+// Export Markdown prompt functionality
+export { PromptMarkdownError, parsePromptMarkdown, formatPromptMarkdown } from './prompt-markdown.js';
+
+// Export registry layout functionality
+export { RegistryLayoutError, loadRegistry, splitRegistry, bundleRegistry } from './registry-layout.js';
+
+// Export storage functionality
+export { StorageError, writeFileAtomic, withFileLock } from './storage.js';
+export { createMemoryStorage, createJsonFileStorage, createDirectoryStorage } from './registry-storage.js';
+
+// Export sync transport functionality
+export { registerTransport, TransportError } from './transports.js';
+
+// Export registry signing functionality
+export { signRegistry, verifyRegistrySignature, generateSigningKeyPair } from './signing.js';
+
+// Export prompt diff functionality
+export { diffPromptVersions, summarizePromptDiff, formatPromptDiff } from './prompt-diff.js';
+
+// Export chat message functionality
+export { flattenMessages, renderMessages, validateMessages } from './messages.js';
+
 // Export multi-LLM variants functionality
-export { getPromptVariant, getModelCategory } from './multi-llm-variants.js';
+export { getPromptVariant, getMessagesVariant, getModelCategory } from './multi-llm-variants.js';
 
 // Export workflow functionality
 export { executeWorkflow, createWorkflow, validateWorkflow } from './workflows.js';
\ No newline at end of file
@@ -0,0 +1,241 @@
+/**
+ * Prompt Template Registry - Lockfile
+ *
+ * prompt-registry.lock.json pins the prompt versions a project uses so every
+ * checkout renders the same prompts, whatever `latest` points to after a sync.
+ * Each entry records the requested specifier, the resolved version and a hash
+ * of the template content, which `verifyLockfile()` checks in CI.
+ *
+ * Example:
+ * {
+ *   "lockfileVersion": 1,
+ *   "prompts": {
+ *     "sql_query_generation": { "requested": "^2", "version": "2.1.0", "integrity": "sha256-..." }
+ *   }
+ * }
+ */
+
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { resolvePromptVersion, describeVersionStatus } from './version-utils.js';
+import { parsePromptReference, findIncludes } from './composition.js';
+import { satisfies } from './semver.js';
+import { writeFileAtomic, withFileLock } from './storage.js';
+
+export const LOCKFILE_NAME = 'prompt-registry.lock.json';
+export const LOCKFILE_VERSION = 1;
+
+// Fields that affect what a prompt version renders
+const CONTENT_FIELDS = ['prompt', 'messages', 'variants', 'variables'];
+
+/** Custom Error Class **/
+export class LockfileError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'LockfileError';
+    this.details = details;
+  }
+}
+
+/**
+ * Serializes a value as JSON with sorted object keys, so equal content hashes equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hashes the template content of a prompt version (prompt, messages, variants and variables)
+ * @param {object} promptData - Prompt version data
+ * @returns {string} Integrity string ("sha256-<base64>")
+ */
+export function hashPromptContent(promptData) {
+  const content = Object.fromEntries(CONTENT_FIELDS.filter(field => field in promptData).map(field => [field, promptData[field]]));
+  return `sha256-${crypto.createHash('sha256').update(canonicalJson(content)).digest('base64')}`;
+}
+
+/**
+ * Creates an empty lockfile
+ * @returns {object} Lockfile data
+ */
+export function createLockfile() {
+  return { lockfileVersion: LOCKFILE_VERSION, prompts: {} };
+}
+
+/**
+ * Reads a lockfile from disk
+ * @param {string} filePath - Lockfile path
+ * @returns {object|null} Lockfile data, or null if the file does not exist
+ * @throws {LockfileError} If the file cannot be parsed
+ */
+export function readLockfile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    const lock = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!lock || typeof lock.prompts !== 'object') {
+      throw new Error('missing "prompts"');
+    }
+    return lock;
+  } catch (error) {
+    throw new LockfileError(`Invalid lockfile ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Writes a lockfile to disk (entries sorted by id to keep diffs small)
+ * @param {string} filePath - Lockfile path
+ * @param {object} lock - Lockfile data
+ */
+export function writeLockfile(filePath, lock) {
+  const prompts = Object.fromEntries(Object.keys(lock.prompts).sort().map(id => [id, lock.prompts[id]]));
+  withFileLock(filePath, () => {
+    writeFileAtomic(filePath, JSON.stringify({ lockfileVersion: LOCKFILE_VERSION, prompts }, null, 2) + '\n');
+  });
+}
+
+/**
+ * Locks a prompt and, transitively, the prompts it includes
+ * @param {object} lock - Lockfile data (modified in place)
+ * @param {object} registry - The prompt registry
+ * @param {string} reference - Prompt reference ("id", "id@^2", "id@next")
+ * @returns {string[]} Ids that were locked
+ * @throws {LockfileError} If the prompt or a matching version does not exist
+ */
+export function lockPrompt(lock, registry, reference) {
+  const { id, range } = parsePromptReference(reference);
+  const entry = registry[id];
+  if (!entry) {
+    throw new LockfileError(`Prompt "${id}" not found`, { id });
+  }
+
+  const requested = range || 'latest';
+  const version = resolvePromptVersion(entry, requested);
+  if (!version) {
+    throw new LockfileError(`No version of "${id}" matches "${requested}"`, { id, requested });
+  }
+
+  lock.prompts[id] = { requested, version, integrity: hashPromptContent(entry.versions[version]) };
+
+  const locked = [id];
+  for (const include of findIncludes(entry.versions[version])) {
+    const includedId = parsePromptReference(include).id;
+    // The first lock of an included prompt wins, so shared fragments are not re-resolved per includer
+    if (!lock.prompts[includedId]) {
+      locked.push(...lockPrompt(lock, registry, include));
+    }
+  }
+  return locked;
+}
+
+/**
+ * Re-resolves locked prompts against the current registry (after a sync)
+ * @param {object} lock - Lockfile data (modified in place)
+ * @param {object} registry - The prompt registry
+ * @param {string[]} ids - Ids to update (defaults to every locked prompt)
+ * @returns {Array<{id: string, from: string, to: string}>} Version changes
+ */
+export function updateLockfile(lock, registry, ids = Object.keys(lock.prompts)) {
+  const changes = [];
+  for (const id of ids) {
+    const previous = lock.prompts[id];
+    const requested = previous ? previous.requested : 'latest';
+    lockPrompt(lock, registry, requested === 'latest' ? id : `${id}@${requested}`);
+
+    const current = lock.prompts[id];
+    if (!previous || previous.version !== current.version || previous.integrity !== current.integrity) {
+      changes.push({ id, from: previous ? previous.version : null, to: current.version });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Verifies that every locked prompt still exists with the locked content
+ * @param {object} lock - Lockfile data
+ * @param {object} registry - The prompt registry
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}} Verification result
+ * (warnings list locked versions that have since been deprecated or yanked)
+ */
+export function verifyLockfile(lock, registry) {
+  const errors = [];
+  const warnings = [];
+
+  for (const [id, locked] of Object.entries(lock.prompts)) {
+    const entry = registry[id];
+    if (!entry) {
+      errors.push(`${id}: prompt no longer exists in the registry`);
+    } else if (!entry.versions[locked.version]) {
+      errors.push(`${id}: locked version ${locked.version} no longer exists`);
+    } else if (hashPromptContent(entry.versions[locked.version]) !== locked.integrity) {
+      errors.push(`${id}@${locked.version}: content changed since it was locked (integrity mismatch)`);
+    } else {
+      const notice = describeVersionStatus(`${id}@${locked.version}`, entry.versions[locked.version]);
+      if (notice) warnings.push(notice);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Finds the locked version to use for a lookup. The lock applies to bare ids and to
+ * specifiers that match the locked one (the requested range, a range the locked version
+ * satisfies, or the locked version itself).
+ * @param {object|null} lock - Lockfile data
+ * @param {string} id - Prompt id
+ * @param {string} spec - Version specifier from the lookup (may be empty)
+ * @returns {object|null} Lock entry ({requested, version, integrity}), or null if not locked
+ */
+export function getLockedEntry(lock, id, spec) {
+  const locked = lock && lock.prompts[id];
+  if (!locked) {
+    return null;
+  }
+  if (!spec || spec === locked.requested || spec === locked.version || satisfies(locked.version, spec)) {
+    return locked;
+  }
+  return null;
+}
+
+/**
+ * Checks a prompt version against its lock entry
+ * @param {string} id - Prompt id
+ * @param {object} locked - Lock entry
+ * @param {object} promptData - Prompt version data, if the version exists
+ * @throws {LockfileError} If the version is missing or its content changed
+ */
+export function assertLocked(id, locked, promptData) {
+  if (!promptData) {
+    throw new LockfileError(`Locked version ${locked.version} of "${id}" is not in the registry`, { id, version: locked.version });
+  }
+  if (hashPromptContent(promptData) !== locked.integrity) {
+    throw new LockfileError(`Locked prompt "${id}@${locked.version}" changed since it was locked; run "node prompt-lock.js update ${id}"`, { id, version: locked.version });
+  }
+}
+
+export default {
+  LOCKFILE_NAME,
+  LOCKFILE_VERSION,
+  LockfileError,
+  canonicalJson,
+  hashPromptContent,
+  createLockfile,
+  readLockfile,
+  writeLockfile,
+  lockPrompt,
+  updateLockfile,
+  verifyLockfile,
+  getLockedEntry,
+  assertLocked
+};
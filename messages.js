@@ -0,0 +1,126 @@
+/**
+ * Prompt Template Registry - Chat Messages
+ *
+ * Support for prompt versions defined as role-tagged chat messages instead of a single string.
+ * Message contents are templates and may use variables, blocks, filters and includes.
+ *
+ * Example (inside a version in registry.json):
+ * "messages": [
+ *   { "role": "system", "content": "You are a senior {{language}} engineer." },
+ *   { "role": "user", "content": "Explain: x = x + 1" },
+ *   { "role": "assistant", "content": "It increments x by one." },
+ *   { "role": "user", "content": "Explain: {{code}}" }
+ * ]
+ */
+
+import { renderTemplate, TemplateError } from './template-engine.js';
+
+// Supported message roles
+export const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Validates a list of chat messages
+ * @param {*} messages - Value of the "messages" field
+ * @returns {string[]} Validation errors
+ */
+export function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return ['"messages" must be a non-empty array of { role, content } objects'];
+  }
+
+  const errors = [];
+  messages.forEach((message, index) => {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      errors.push(`Message ${index + 1} must be an object with "role" and "content"`);
+      return;
+    }
+    if (!MESSAGE_ROLES.includes(message.role)) {
+      errors.push(`Message ${index + 1} has invalid role "${message.role}". Must be one of: ${MESSAGE_ROLES.join(', ')}`);
+    }
+    if (typeof message.content !== 'string' || message.content.trim() === '') {
+      errors.push(`Message ${index + 1} must have non-empty string "content"`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Flattens chat messages into a single string for callers that expect plain prompts.
+ * A lone user message flattens to its content, so plain prompts round-trip unchanged.
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @returns {string} Role-labelled transcript ("System: ...\n\nUser: ...")
+ */
+export function flattenMessages(messages) {
+  if (messages.length === 1 && messages[0].role === 'user') {
+    return messages[0].content;
+  }
+  return messages
+    .map(message => `${message.role.charAt(0).toUpperCase()}${message.role.slice(1)}: ${message.content}`)
+    .join('\n\n');
+}
+
+/**
+ * Gets the template text of a prompt version, flattening messages if the version uses them
+ * @param {object} promptData - Prompt version data
+ * @returns {string} Template text
+ */
+export function getPromptText(promptData) {
+  if (Array.isArray(promptData.messages)) {
+    return flattenMessages(promptData.messages);
+  }
+  return promptData.prompt || '';
+}
+
+/**
+ * Lists every template of a prompt version: prompt or message contents, plus variants
+ * @param {object} promptData - Prompt version data
+ * @returns {string[]} Template strings
+ */
+export function listPromptTemplates(promptData) {
+  const sources = [
+    Array.isArray(promptData.messages) ? promptData.messages : promptData.prompt,
+    ...Object.values(promptData.variants || {})
+  ];
+
+  return sources
+    .flatMap(source => (Array.isArray(source) ? source.map(message => message && message.content) : [source]))
+    .filter(template => typeof template === 'string');
+}
+
+/**
+ * Renders the content of each message as a template
+ * @param {Array<{role: string, content: string}>} messages - Chat message templates
+ * @param {object} variables - Variable values
+ * @param {object} options - Render options passed to renderTemplate()
+ * @returns {Array<{role: string, content: string}>} Rendered messages
+ * @throws {TemplateError} If a template is invalid or variables are missing
+ */
+export function renderMessages(messages, variables = {}, options = {}) {
+  const missing = new Set();
+
+  const rendered = messages.map(message => {
+    try {
+      return { role: message.role, content: renderTemplate(message.content, variables, options) };
+    } catch (error) {
+      if (!(error instanceof TemplateError) || !error.details || !error.details.missing) throw error;
+      // Collect missing variables across all messages so they are reported together
+      error.details.missing.forEach(name => missing.add(name));
+      return null;
+    }
+  });
+
+  if (missing.size > 0) {
+    throw new TemplateError(`Missing variables: ${[...missing].join(', ')}`, { missing: [...missing] });
+  }
+  return rendered;
+}
+
+export default {
+  MESSAGE_ROLES,
+  validateMessages,
+  flattenMessages,
+  getPromptText,
+  listPromptTemplates,
+  renderMessages
+};
@@ -1,9 +1,12 @@
 /**
  * Prompt Template Registry - Multi-LLM Variants
  * 
- * Implements support for model-specific prompt variants
+ * Implements support for model-specific prompt variants.
+ * A variant is either a prompt string or a list of chat messages.
  */
 
+import { flattenMessages, getPromptText } from './messages.js';
+
 // Supported LLM models
 const SUPPORTED_MODELS = [
   'gpt-4',
@@ -61,42 +64,60 @@ export function getModelCategory(model) {
 }
 
 /**
- * Gets a prompt variant for a specific model
+ * Selects the variant for a model (exact model, then category, then generic)
  * @param {object} promptData - The prompt data
  * @param {string} model - The model name
- * @returns {string} The prompt variant or the default prompt
+ * @returns {string|Array|undefined} The variant (prompt string or chat messages), if any
  */
-export function getPromptVariant(promptData, model) {
-  // If there are no variants, return the default prompt
+function selectVariant(promptData, model) {
   if (!promptData.variants) {
-    return promptData.prompt;
+    return undefined;
   }
-  
-  // Try to get exact model match
-  if (promptData.variants[model]) {
-    return promptData.variants[model];
-  }
-  
-  // Try to get category match
-  const category = getModelCategory(model);
-  if (promptData.variants[category]) {
-    return promptData.variants[category];
+
+  return promptData.variants[model] ||
+    promptData.variants[getModelCategory(model)] ||
+    promptData.variants['generic'];
+}
+
+/**
+ * Gets a prompt variant for a specific model
+ * @param {object} promptData - The prompt data
+ * @param {string} model - The model name
+ * @returns {string} The prompt variant or the default prompt (chat messages are flattened)
+ */
+export function getPromptVariant(promptData, model) {
+  const variant = selectVariant(promptData, model);
+
+  if (typeof variant === 'string') {
+    return variant;
   }
-  
-  // Try to get generic match
-  if (promptData.variants['generic']) {
-    return promptData.variants['generic'];
+  if (Array.isArray(variant)) {
+    return flattenMessages(variant);
   }
-  
+
   // Return default prompt
-  return promptData.prompt;
+  return getPromptText(promptData);
+}
+
+/**
+ * Gets the chat messages for a specific model
+ * @param {object} promptData - The prompt data
+ * @param {string} model - The model name (optional)
+ * @returns {Array<{role: string, content: string}>} The variant or default messages
+ * (plain string prompts become a single user message)
+ */
+export function getMessagesVariant(promptData, model) {
+  const variant = model ? selectVariant(promptData, model) : undefined;
+  const source = variant || promptData.messages || promptData.prompt;
+
+  return Array.isArray(source) ? source : [{ role: 'user', content: source }];
 }
 
 /**
  * Creates a new prompt variant
  * @param {object} promptData - The prompt data
  * @param {string} model - The model name
- * @param {string} variantPrompt - The variant prompt text
+ * @param {string|Array} variantPrompt - The variant prompt text or chat messages
  * @returns {object} Updated prompt data with the new variant
  */
 export function createPromptVariant(promptData, model, variantPrompt) {
@@ -180,7 +201,11 @@ export function generateAllVariants(promptData) {
   categories.forEach(category => {
     // Only generate if variant doesn't already exist
     if (!promptData.variants[category]) {
-      promptData.variants[category] = adaptPromptForModel(promptData.prompt, category);
+      // Chat prompts adapt the instructions only, few-shot assistant turns stay as written
+      promptData.variants[category] = Array.isArray(promptData.messages) ?
+        promptData.messages.map(message => (message.role === 'assistant' ? message :
+          { ...message, content: adaptPromptForModel(message.content, category) })) :
+        adaptPromptForModel(promptData.prompt, category);
     }
   });
   
@@ -190,6 +215,7 @@ export function generateAllVariants(promptData) {
 export default {
   getModelCategory,
   getPromptVariant,
+  getMessagesVariant,
   createPromptVariant,
   listPromptVariants,
   adaptPromptForModel,
@@ -6,6 +6,11 @@
 
 import fs from 'node:fs';
 import path from 'node:path';
+import { writeRegistryFile, mergeRegistryData } from './storage.js';
+import { canonicalJson } from './lockfile.js';
+
+// Registries as loaded or last saved, the base of their next save
+const savedRegistries = new WeakMap();
 
 /**
  * Private registry structure
@@ -127,14 +132,77 @@ export function listPrompts(registry) {
 }
 
 /**
- * Saves a private registry to disk
+ * Three-way merges a value both sides may have changed: a side that left it as it was takes
+ * the other side's value. Arrays keep the items either side added and drop those either side
+ * removed, objects are merged key by key, and other values changed by both sides are ours.
+ * @param {*} base - Value both sides started from
+ * @param {*} ours - Our value
+ * @param {*} theirs - Their value (on disk)
+ * @returns {*} Merged value
+ */
+function mergeValues(base, ours, theirs) {
+  const same = (a, b) => canonicalJson(a ?? null) === canonicalJson(b ?? null);
+  if (same(theirs, base)) {
+    return ours;
+  }
+  if (same(ours, base)) {
+    return theirs;
+  }
+
+  if (Array.isArray(ours) && Array.isArray(theirs)) {
+    const removed = (base || []).filter(item => !ours.some(o => same(o, item)) || !theirs.some(t => same(t, item)));
+    return [...theirs, ...ours.filter(item => !theirs.some(t => same(t, item)))]
+      .filter(item => !removed.some(r => same(r, item)));
+  }
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (isObject(ours) && isObject(theirs)) {
+    const merged = {};
+    for (const key of new Set([...Object.keys(theirs), ...Object.keys(ours)])) {
+      const value = mergeValues(isObject(base) ? base[key] : undefined, ours[key], theirs[key]);
+      if (value !== undefined) {
+        merged[key] = value;
+      }
+    }
+    return merged;
+  }
+  return ours;
+}
+
+/**
+ * Three-way merges private registries that both changed since a common base: prompts as
+ * registries are merged (see mergeRegistryData() in storage.js), members, teams and other
+ * fields with mergeValues()
+ * @param {object} base - Private registry both sides started from
+ * @param {object} ours - Our private registry
+ * @param {object} theirs - Their private registry (on disk)
+ * @returns {object} Merged private registry
+ */
+function mergePrivateRegistries(base, ours, theirs) {
+  const merged = mergeValues(base, { ...ours, prompts: null }, { ...theirs, prompts: null });
+  merged.prompts = mergeRegistryData(base.prompts || {}, ours.prompts || {}, theirs.prompts || {});
+  return merged;
+}
+
+/**
+ * Saves a private registry to disk (atomically, under the file's lock). Changes another
+ * process saved since the registry was loaded are merged in, into the registry object too.
  * @param {object} registry - Private registry
  * @param {string} filepath - File path to save to
+ * @param {object} options - Options ({base}: the registry as it was loaded; by default the
+ *   copy loadRegistry() or the last save kept)
  * @returns {boolean} True if successful
  */
-export function saveRegistry(registry, filepath) {
+export function saveRegistry(registry, filepath, options = {}) {
   try {
-    fs.writeFileSync(filepath, JSON.stringify(registry, null, 2), 'utf8');
+    const base = options.base || savedRegistries.get(registry);
+    const { data, merged } = writeRegistryFile(filepath, registry, { base, merge: mergePrivateRegistries });
+    if (merged) {
+      for (const key of Object.keys(registry)) {
+        delete registry[key];
+      }
+      Object.assign(registry, data);
+    }
+    savedRegistries.set(registry, JSON.parse(JSON.stringify(registry)));
     return true;
   } catch (error) {
     console.error('Error saving registry:', error.message);
@@ -151,7 +219,9 @@ export function loadRegistry(filepath) {
   try {
     if (fs.existsSync(filepath)) {
       const data = fs.readFileSync(filepath, 'utf8');
-      return JSON.parse(data);
+      const registry = JSON.parse(data);
+      savedRegistries.set(registry, JSON.parse(data));
+      return registry;
     }
     return null;
   } catch (error) {
@@ -0,0 +1,511 @@
+/**
+ * Prompt Template Registry - Prompt Diff
+ *
+ * Structured diff between two prompt versions: a line and word diff of the template
+ * text, per-field metadata changes (description, category, tags), variable schema
+ * changes and variant-by-variant diffs. The result can be rendered as a unified diff,
+ * JSON or colored terminal output, and summarized into changelog bullets.
+ */
+
+import { extractTemplateVariables } from './template-engine.js';
+import { isRequired, normalizeVariableSchema } from './variable-schema.js';
+import { flattenMessages } from './messages.js';
+
+export const DIFF_FORMATS = ['unified', 'json', 'terminal'];
+
+// Lines of unchanged context around each hunk of a unified diff
+const CONTEXT_LINES = 3;
+
+const COLORS = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m',
+  reset: '\x1b[0m'
+};
+
+/**
+ * Computes the edit script between two token lists (longest common subsequence,
+ * after trimming the common prefix and suffix so small edits to long texts stay cheap)
+ * @param {string[]} oldTokens - Tokens of the old text
+ * @param {string[]} newTokens - Tokens of the new text
+ * @returns {Array<{type: string, value: string}>} Operations ("equal", "delete", "insert"), one per token
+ */
+function diffTokens(oldTokens, newTokens) {
+  let start = 0;
+  while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+    start++;
+  }
+  let oldEnd = oldTokens.length;
+  let newEnd = newTokens.length;
+  while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const a = oldTokens.slice(start, oldEnd);
+  const b = newTokens.slice(start, newEnd);
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = oldTokens.slice(0, start).map(value => ({ type: 'equal', value }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: 'equal', value: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      ops.push({ type: 'delete', value: a[i++] });
+    } else {
+      ops.push({ type: 'insert', value: b[j++] });
+    }
+  }
+  return ops.concat(oldTokens.slice(oldEnd).map(value => ({ type: 'equal', value })));
+}
+
+/**
+ * Diffs two texts line by line
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @returns {Array<{type: string, value: string}>} One operation per line
+ */
+export function diffLines(oldText, newText) {
+  const split = text => (text === '' ? [] : text.split('\n'));
+  return diffTokens(split(oldText), split(newText));
+}
+
+/**
+ * Diffs two texts word by word. Runs of the same operation are merged, and whitespace
+ * and punctuation are kept so the operations concatenate back to either text.
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @returns {Array<{type: string, value: string}>} Operations ("equal", "delete", "insert")
+ */
+export function diffWords(oldText, newText) {
+  // Punctuation is split from words so "bugs:" -> "bugs and more:" only inserts "and more"
+  const split = text => text.split(/(\s+|[^\w\s{}]+)/).filter(token => token !== '');
+  const merged = [];
+  for (const op of diffTokens(split(oldText), split(newText))) {
+    const last = merged[merged.length - 1];
+    if (last && last.type === op.type) {
+      last.value += op.value;
+    } else {
+      merged.push({ ...op });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Gets the text of a prompt or variant template, flattening chat messages
+ * @param {string|Array} template - Template string or chat messages
+ * @returns {string} Template text
+ */
+function templateText(template) {
+  if (Array.isArray(template)) {
+    return flattenMessages(template);
+  }
+  return typeof template === 'string' ? template : '';
+}
+
+/**
+ * Diffs two template texts
+ * @param {string} oldText - Old template text
+ * @param {string} newText - New template text
+ * @returns {object|null} Text diff ({lines, words, stats}), or null if the texts are equal
+ */
+function diffText(oldText, newText) {
+  if (oldText === newText) {
+    return null;
+  }
+
+  const words = diffWords(oldText, newText);
+  const count = type => words
+    .filter(op => op.type === type)
+    .reduce((total, op) => total + op.value.split(/\s+/).filter(Boolean).length, 0);
+
+  return {
+    lines: diffLines(oldText, newText),
+    words,
+    stats: { wordsAdded: count('insert'), wordsRemoved: count('delete') }
+  };
+}
+
+/**
+ * Gets the variable definitions of a version: names used in the template plus any
+ * declared in its schema, with `required` made explicit
+ * @param {object} promptData - Prompt version data
+ * @returns {object} Definitions keyed by variable name
+ */
+function collectVariables(promptData) {
+  const schema = normalizeVariableSchema(promptData.variables);
+  let templateVariables = [];
+  try {
+    templateVariables = extractTemplateVariables(templateText(promptData.messages || promptData.prompt));
+  } catch (error) {
+    // Invalid templates are reported by the validator
+  }
+
+  const names = [...new Set([...templateVariables, ...Object.keys(schema)])];
+  return Object.fromEntries(names.map(name => {
+    const definition = schema[name] || {};
+    return [name, { ...definition, required: isRequired(definition) }];
+  }));
+}
+
+/**
+ * Diffs the variable schemas of two versions
+ * @param {object} oldPrompt - Old prompt version data
+ * @param {object} newPrompt - New prompt version data
+ * @returns {object} Added and removed variables, and field changes of the others
+ */
+function diffVariables(oldPrompt, newPrompt) {
+  const oldVariables = collectVariables(oldPrompt);
+  const newVariables = collectVariables(newPrompt);
+  const changed = {};
+
+  for (const name of Object.keys(newVariables).filter(name => name in oldVariables)) {
+    const fields = [...new Set([...Object.keys(oldVariables[name]), ...Object.keys(newVariables[name])])];
+    const changes = {};
+    for (const field of fields) {
+      const from = oldVariables[name][field];
+      const to = newVariables[name][field];
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      changed[name] = changes;
+    }
+  }
+
+  return {
+    added: Object.keys(newVariables).filter(name => !(name in oldVariables)).map(name => ({ name, ...newVariables[name] })),
+    removed: Object.keys(oldVariables).filter(name => !(name in newVariables)),
+    changed
+  };
+}
+
+/**
+ * Diffs the model variants of two versions
+ * @param {object} oldPrompt - Old prompt version data
+ * @param {object} newPrompt - New prompt version data
+ * @returns {object} Added and removed models, and text diffs of changed variants
+ */
+function diffVariants(oldPrompt, newPrompt) {
+  const oldVariants = oldPrompt.variants || {};
+  const newVariants = newPrompt.variants || {};
+  const changed = {};
+
+  for (const model of Object.keys(newVariants).filter(model => model in oldVariants)) {
+    const diff = diffText(templateText(oldVariants[model]), templateText(newVariants[model]));
+    if (diff) {
+      changed[model] = diff;
+    }
+  }
+
+  return {
+    added: Object.keys(newVariants).filter(model => !(model in oldVariants)),
+    removed: Object.keys(oldVariants).filter(model => !(model in newVariants)),
+    changed
+  };
+}
+
+/**
+ * Diffs the metadata fields of two versions
+ * @param {object} oldPrompt - Old prompt version data
+ * @param {object} newPrompt - New prompt version data
+ * @returns {object} Changed fields ({description}, {category} as {from, to}; {tags} as {added, removed})
+ */
+function diffMetadata(oldPrompt, newPrompt) {
+  const metadata = {};
+
+  for (const field of ['description', 'category']) {
+    if (oldPrompt[field] !== newPrompt[field]) {
+      metadata[field] = { from: oldPrompt[field] || null, to: newPrompt[field] || null };
+    }
+  }
+
+  const oldTags = oldPrompt.tags || [];
+  const newTags = newPrompt.tags || [];
+  const tags = {
+    added: newTags.filter(tag => !oldTags.includes(tag)),
+    removed: oldTags.filter(tag => !newTags.includes(tag))
+  };
+  if (tags.added.length > 0 || tags.removed.length > 0) {
+    metadata.tags = tags;
+  }
+
+  return metadata;
+}
+
+/**
+ * Computes a structured diff between two prompt versions
+ * @param {object} oldPrompt - Old prompt version data
+ * @param {object} newPrompt - New prompt version data
+ * @param {object} labels - Optional labels for output ({id, from, to})
+ * @returns {object} Prompt diff ({id, from, to, changed, template, metadata, variables, variants})
+ */
+export function diffPromptVersions(oldPrompt, newPrompt, labels = {}) {
+  const template = diffText(templateText(oldPrompt.messages || oldPrompt.prompt), templateText(newPrompt.messages || newPrompt.prompt));
+  const metadata = diffMetadata(oldPrompt, newPrompt);
+  const variables = diffVariables(oldPrompt, newPrompt);
+  const variants = diffVariants(oldPrompt, newPrompt);
+
+  const changed = Boolean(template) ||
+    Object.keys(metadata).length > 0 ||
+    [variables, variants].some(diff => diff.added.length > 0 || diff.removed.length > 0 || Object.keys(diff.changed).length > 0);
+
+  return {
+    id: labels.id || null,
+    from: labels.from || oldPrompt.version || null,
+    to: labels.to || newPrompt.version || null,
+    changed,
+    template,
+    metadata,
+    variables,
+    variants
+  };
+}
+
+/**
+ * Summarizes a prompt diff as changelog bullets, grouped by the kind of version bump they need.
+ * Removing variables, making a variable required, changing its declared type or changing the
+ * category is breaking; added variables and variants are features; everything else is a fix.
+ * @param {object} diff - Diff from diffPromptVersions()
+ * @returns {object} Changes ({hasBreakingChanges, hasNewFeatures, hasBugFixes, breaking, features, fixes})
+ */
+export function summarizePromptDiff(diff) {
+  const breaking = [];
+  const features = [];
+  const fixes = [];
+  const { variables, variants, metadata, template } = diff;
+
+  if (variables.removed.length > 0) {
+    breaking.push(`Removed variables: ${variables.removed.join(', ')}`);
+  }
+  for (const [name, changes] of Object.entries(variables.changed)) {
+    if (changes.required && changes.required.to) {
+      breaking.push(`Variable ${name} is now required`);
+    }
+    // Typing a previously untyped variable (or removing its type) does not break callers
+    const retyped = changes.type && changes.type.from && changes.type.to;
+    if (retyped) {
+      breaking.push(`Changed type of variable ${name} from ${changes.type.from} to ${changes.type.to}`);
+    }
+    const other = Object.keys(changes).filter(field => !(field === 'type' && retyped) && !(field === 'required' && changes.required.to));
+    if (other.length > 0) {
+      fixes.push(`Updated ${other.join(', ')} of variable ${name}`);
+    }
+  }
+  if (metadata.category) {
+    breaking.push(`Changed category from ${metadata.category.from} to ${metadata.category.to}`);
+  }
+
+  const addedRequired = variables.added.filter(variable => variable.required).map(variable => variable.name);
+  const addedOptional = variables.added.filter(variable => !variable.required).map(variable => variable.name);
+  if (addedRequired.length > 0) {
+    features.push(`Added new variables: ${addedRequired.join(', ')}`);
+  }
+  if (addedOptional.length > 0) {
+    features.push(`Added optional variables: ${addedOptional.join(', ')}`);
+  }
+  if (variants.added.length > 0) {
+    features.push(`Added variants for ${variants.added.join(', ')}`);
+  }
+
+  if (template) {
+    fixes.push(`Reworded prompt template (+${template.stats.wordsAdded}/-${template.stats.wordsRemoved} words)`);
+  }
+  for (const [model, variantDiff] of Object.entries(variants.changed)) {
+    fixes.push(`Reworded ${model} variant (+${variantDiff.stats.wordsAdded}/-${variantDiff.stats.wordsRemoved} words)`);
+  }
+  if (variants.removed.length > 0) {
+    fixes.push(`Removed variants for ${variants.removed.join(', ')}`);
+  }
+  if (metadata.description) {
+    fixes.push('Updated description');
+  }
+  if (metadata.tags) {
+    const tagChanges = [...metadata.tags.added.map(tag => `+${tag}`), ...metadata.tags.removed.map(tag => `-${tag}`)];
+    fixes.push(`Updated tags: ${tagChanges.join(', ')}`);
+  }
+
+  return {
+    hasBreakingChanges: breaking.length > 0,
+    hasNewFeatures: features.length > 0,
+    hasBugFixes: fixes.length > 0,
+    breaking,
+    features,
+    fixes
+  };
+}
+
+/**
+ * Groups line operations into unified diff hunks
+ * @param {Array<{type: string, value: string}>} lines - Line operations
+ * @param {string} label - Section label appended to each hunk header
+ * @returns {string[]} Output lines
+ */
+function formatHunks(lines, label) {
+  const output = [];
+  const changes = lines.map((op, index) => (op.type === 'equal' ? -1 : index)).filter(index => index !== -1);
+  let index = 0;
+
+  while (index < changes.length) {
+    // Extend the hunk while the next change is within two contexts of the previous one
+    let last = index;
+    while (last + 1 < changes.length && changes[last + 1] - changes[last] <= CONTEXT_LINES * 2) {
+      last++;
+    }
+    const start = Math.max(0, changes[index] - CONTEXT_LINES);
+    const end = Math.min(lines.length, changes[last] + CONTEXT_LINES + 1);
+
+    const before = lines.slice(0, start);
+    const oldStart = before.filter(op => op.type !== 'insert').length + 1;
+    const newStart = before.filter(op => op.type !== 'delete').length + 1;
+    const hunk = lines.slice(start, end);
+    const oldLength = hunk.filter(op => op.type !== 'insert').length;
+    const newLength = hunk.filter(op => op.type !== 'delete').length;
+
+    output.push(`@@ -${oldLength === 0 ? oldStart - 1 : oldStart},${oldLength} +${newLength === 0 ? newStart - 1 : newStart},${newLength} @@ ${label}`);
+    hunk.forEach(op => output.push(`${op.type === 'insert' ? '+' : op.type === 'delete' ? '-' : ' '}${op.value}`));
+    index = last + 1;
+  }
+
+  return output;
+}
+
+/**
+ * Describes the metadata, variable and variant changes of a diff, one line each
+ * @param {object} diff - Diff from diffPromptVersions()
+ * @returns {string[]} Change descriptions
+ */
+function describeFieldChanges(diff) {
+  const lines = [];
+  const { metadata, variables, variants } = diff;
+
+  for (const field of ['description', 'category']) {
+    if (metadata[field]) {
+      lines.push(`${field}: ${JSON.stringify(metadata[field].from)} -> ${JSON.stringify(metadata[field].to)}`);
+    }
+  }
+  if (metadata.tags) {
+    lines.push(`tags: ${[...metadata.tags.added.map(tag => `+${tag}`), ...metadata.tags.removed.map(tag => `-${tag}`)].join(' ')}`);
+  }
+
+  variables.added.forEach(({ name, ...definition }) => lines.push(`variables.${name}: added ${JSON.stringify(definition)}`));
+  variables.removed.forEach(name => lines.push(`variables.${name}: removed`));
+  for (const [name, changes] of Object.entries(variables.changed)) {
+    for (const [field, { from, to }] of Object.entries(changes)) {
+      lines.push(`variables.${name}.${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+    }
+  }
+
+  variants.added.forEach(model => lines.push(`variants.${model}: added`));
+  variants.removed.forEach(model => lines.push(`variants.${model}: removed`));
+  return lines;
+}
+
+/**
+ * Renders a prompt diff as a unified diff. Template and variant text changes become
+ * hunks; metadata, variable and variant additions/removals are listed as "#" lines.
+ * @param {object} diff - Diff from diffPromptVersions()
+ * @returns {string} Unified diff ("" if nothing changed)
+ */
+export function formatUnifiedDiff(diff) {
+  if (!diff.changed) {
+    return '';
+  }
+
+  const name = diff.id || 'prompt';
+  const output = [`--- ${name}@${diff.from || 'old'}`, `+++ ${name}@${diff.to || 'new'}`];
+
+  if (diff.template) {
+    output.push(...formatHunks(diff.template.lines, 'template'));
+  }
+  for (const [model, variantDiff] of Object.entries(diff.variants.changed)) {
+    output.push(...formatHunks(variantDiff.lines, `variants.${model}`));
+  }
+  output.push(...describeFieldChanges(diff).map(line => `# ${line}`));
+
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Renders a prompt diff for the terminal with inline word-level changes.
+ * Without color, removed and added words are marked as [-removed-] and {+added+}.
+ * @param {object} diff - Diff from diffPromptVersions()
+ * @param {object} options - Output options ({color: boolean}, defaults to true)
+ * @returns {string} Terminal output
+ */
+export function formatTerminalDiff(diff, options = {}) {
+  const color = options.color !== false;
+  const paint = (code, text) => (color ? `${COLORS[code]}${text}${COLORS.reset}` : text);
+  const words = ops => ops.map(op => {
+    if (op.type === 'delete') return color ? paint('red', op.value) : `[-${op.value}-]`;
+    if (op.type === 'insert') return color ? paint('green', op.value) : `{+${op.value}+}`;
+    return op.value;
+  }).join('');
+
+  const name = diff.id || 'prompt';
+  const output = [paint('bold', `${name}: ${diff.from || 'old'} -> ${diff.to || 'new'}`)];
+  if (!diff.changed) {
+    output.push('No changes');
+    return output.join('\n') + '\n';
+  }
+
+  if (diff.template) {
+    output.push('', paint('cyan', 'template'), words(diff.template.words));
+  }
+  for (const [model, variantDiff] of Object.entries(diff.variants.changed)) {
+    output.push('', paint('cyan', `variants.${model}`), words(variantDiff.words));
+  }
+
+  const fieldChanges = describeFieldChanges(diff);
+  if (fieldChanges.length > 0) {
+    output.push('', paint('cyan', 'fields'), ...fieldChanges.map(line => `  ${line}`));
+  }
+
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Renders a prompt diff in one of DIFF_FORMATS
+ * @param {object} diff - Diff from diffPromptVersions()
+ * @param {string} format - "unified", "json" or "terminal"
+ * @param {object} options - Options for the terminal format ({color})
+ * @returns {string} Rendered diff
+ * @throws {Error} If the format is unknown
+ */
+export function formatPromptDiff(diff, format = 'unified', options = {}) {
+  switch (format) {
+    case 'unified':
+      return formatUnifiedDiff(diff);
+    case 'json':
+      return JSON.stringify(diff, null, 2) + '\n';
+    case 'terminal':
+      return formatTerminalDiff(diff, options);
+    default:
+      throw new Error(`Unknown diff format "${format}" (expected one of: ${DIFF_FORMATS.join(', ')})`);
+  }
+}
+
+export default {
+  DIFF_FORMATS,
+  diffLines,
+  diffWords,
+  diffPromptVersions,
+  summarizePromptDiff,
+  formatUnifiedDiff,
+  formatTerminalDiff,
+  formatPromptDiff
+};
@@ -0,0 +1,424 @@
+/**
+ * Prompt Template Registry - Embedded Prompt Index
+ *
+ * An optional store of what search() and advancedFilter() read from each prompt, computed
+ * once instead of on every query: the fields of the version a search resolves to and of the
+ * latest version, and the template's length and variable count. Lookup tables map trigrams
+ * (for substring matches), tags and categories to prompt ids, so queries only look at
+ * prompts that can match. (Free-text ranking has its own index, see search-index.js.)
+ *
+ * Documents are kept per source and prompt id with a hash of the registry entry they were
+ * built from. The index also keeps each source's full-text index (see search-index.js), so
+ * both can be persisted as one JSON file (in the cache directory), with their lookup tables
+ * and inverted index, and a large registry is neither summarized nor tokenized again when a
+ * process starts. Each source is saved with a fingerprint of its prompts: a source whose
+ * fingerprint still matches is used as saved, others are checked entry by entry. Changes
+ * made through the registry update only the prompts they touch.
+ */
+
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { getPromptText } from './messages.js';
+import { resolvePromptVersion, getDeprecation } from './version-utils.js';
+import { countTemplateVariables } from './search-query.js';
+import { writeFileAtomic } from './storage.js';
+import { createSearchIndex } from './search-index.js';
+
+// Format of index files; files in another format are rebuilt
+export const INDEX_FORMAT = 3;
+
+// Lookup tables of each source, from keys to prompt ids
+const LOOKUP_TABLES = ['trigrams', 'tags', 'categories'];
+
+// Length of the substrings the text lookup table is keyed by
+const TRIGRAM_LENGTH = 3;
+
+/**
+ * Hashes a registry entry, to tell whether its document is up to date
+ * @param {object} promptEntry - Registry entry ({latest, versions})
+ * @returns {string} Hash
+ */
+function hashEntry(promptEntry) {
+  return crypto.createHash('sha1').update(JSON.stringify(promptEntry)).digest('base64');
+}
+
+/**
+ * Fingerprints a source's prompts, to tell whether a saved index still describes them
+ * without hashing every entry
+ * @param {object} prompts - Registry entries keyed by prompt id
+ * @returns {string} Fingerprint
+ */
+export function fingerprintPrompts(prompts) {
+  return crypto.createHash('sha1').update(JSON.stringify(prompts)).digest('base64');
+}
+
+/**
+ * Summarizes a prompt version for the index
+ * @param {object|undefined} versionData - Prompt version data
+ * @returns {object|null} Summary ({version, description, category, tags, deprecated, length, variables})
+ */
+function summarizeVersion(versionData) {
+  if (!versionData) {
+    return null;
+  }
+  return {
+    version: versionData.version,
+    description: versionData.description,
+    category: versionData.category,
+    tags: versionData.tags,
+    deprecated: Boolean(getDeprecation(versionData)),
+    length: getPromptText(versionData).length,
+    variables: countTemplateVariables(versionData)
+  };
+}
+
+/**
+ * Lists the distinct trigrams of a text
+ * @param {string} text - Text (lowercase)
+ * @returns {string[]} Trigrams
+ */
+function getTrigrams(text) {
+  const trigrams = new Set();
+  for (let i = 0; i + TRIGRAM_LENGTH <= text.length; i++) {
+    trigrams.add(text.slice(i, i + TRIGRAM_LENGTH));
+  }
+  return [...trigrams];
+}
+
+/**
+ * Lists the fields search() matches a query string against
+ * @param {object} doc - Index document
+ * @returns {string[]} Lowercase id, description, category and tags
+ */
+function getTextFields(doc) {
+  const { description, category, tags } = doc.resolved;
+  return [doc.id, description, category, ...(tags || [])].map(field => String(field ?? '').toLowerCase());
+}
+
+/**
+ * Reads the sources of an index file
+ * @param {string} filePath - Index file
+ * @returns {Map<string, object>} Tables of each source ({documents, trigrams, tags, categories,
+ *   search, fingerprint}), or none if the file is missing, unreadable or in another format
+ */
+function readIndexFile(filePath) {
+  const sources = new Map();
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.format !== INDEX_FORMAT || !Array.isArray(data.sources)) {
+      return sources;
+    }
+    for (const saved of data.sources) {
+      const tables = {
+        documents: new Map(saved.documents.map(doc => [doc.id, doc])),
+        search: createSearchIndex(saved.search),
+        fingerprint: saved.fingerprint
+      };
+      for (const table of LOOKUP_TABLES) {
+        tables[table] = new Map(saved[table].map(([key, ids]) => [key, new Set(ids)]));
+      }
+      sources.set(saved.name, tables);
+    }
+    return sources;
+  } catch (error) {
+    // A missing or corrupt index is rebuilt from the registry
+    return new Map();
+  }
+}
+
+/**
+ * Creates a prompt index
+ * @param {object} options - Options ({file} to persist the index in; in memory only if omitted)
+ * @returns {object} Prompt index
+ */
+export function createPromptIndex(options = {}) {
+  const file = options.file || null;
+
+  // Documents, lookup tables, full-text index and fingerprint of each source:
+  // Map<source, {documents, trigrams, tags, categories, search, fingerprint}>
+  const sources = file ? readIndexFile(file) : new Map();
+  let changed = false;
+
+  /**
+   * Gets the tables of a source, creating them if needed
+   * @param {string} source - Source name
+   * @returns {object} Tables ({documents, trigrams, tags, categories, search, fingerprint})
+   */
+  function getTables(source) {
+    if (!sources.has(source)) {
+      sources.set(source, {
+        documents: new Map(),
+        trigrams: new Map(),
+        tags: new Map(),
+        categories: new Map(),
+        search: createSearchIndex(),
+        fingerprint: null
+      });
+    }
+    return sources.get(source);
+  }
+
+  /**
+   * Lists the lookup table keys of a document
+   * @param {object} doc - Index document
+   * @returns {Array<[string, string[]]>} Keys by table name
+   */
+  function getTableKeys(doc) {
+    if (!doc.resolved) {
+      return [];
+    }
+    return [
+      ['trigrams', [...new Set(getTextFields(doc).flatMap(getTrigrams))]],
+      ['tags', [...new Set(doc.resolved.tags || [])]],
+      ['categories', [doc.resolved.category]]
+    ];
+  }
+
+  /**
+   * Adds a document to its source's tables, replacing an earlier one
+   * @param {object} doc - Index document
+   */
+  function addDocument(doc) {
+    removeDocument(doc.source, doc.id);
+    const tables = getTables(doc.source);
+    tables.documents.set(doc.id, doc);
+    for (const [table, keys] of getTableKeys(doc)) {
+      for (const key of keys) {
+        if (!tables[table].has(key)) {
+          tables[table].set(key, new Set());
+        }
+        tables[table].get(key).add(doc.id);
+      }
+    }
+  }
+
+  /**
+   * Removes a document from its source's tables
+   * @param {string} source - Source name
+   * @param {string} id - Prompt id
+   * @returns {boolean} True if the document existed
+   */
+  function removeDocument(source, id) {
+    const tables = getTables(source);
+    const doc = tables.documents.get(id);
+    if (!doc) {
+      return false;
+    }
+    tables.documents.delete(id);
+    for (const [table, keys] of getTableKeys(doc)) {
+      for (const key of keys) {
+        const ids = tables[table].get(key);
+        ids.delete(id);
+        if (ids.size === 0) {
+          tables[table].delete(key);
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Gets the document of a prompt
+   * @param {string} source - Source name
+   * @param {string} id - Prompt id
+   * @returns {object|null} Document ({id, source, hash, resolved, latest}), or null if not indexed
+   */
+  function getDocument(source, id) {
+    return getTables(source).documents.get(id) || null;
+  }
+
+  /**
+   * Gets the full-text index of a source's prompts, which the prompt index keeps up to date
+   * and saves
+   * @param {string} source - Source name
+   * @returns {object} Search index (see search-index.js)
+   */
+  function getSearchIndex(source) {
+    return getTables(source).search;
+  }
+
+  /**
+   * Indexes a prompt, unless its document is up to date
+   * @param {string} source - Source name
+   * @param {string} id - Prompt id
+   * @param {object} promptEntry - Registry entry ({latest, versions})
+   * @returns {object} The prompt's document
+   */
+  function updatePrompt(source, id, promptEntry) {
+    const hash = hashEntry(promptEntry);
+    const tables = getTables(source);
+    changed = tables.search.updatePrompt(id, promptEntry, hash) || changed;
+    const existing = tables.documents.get(id);
+    if (existing && existing.hash === hash) {
+      return existing;
+    }
+
+    const version = resolvePromptVersion(promptEntry);
+    const doc = {
+      id,
+      source,
+      hash,
+      resolved: summarizeVersion(version && promptEntry.versions[version]),
+      latest: summarizeVersion(promptEntry.versions[promptEntry.latest])
+    };
+    addDocument(doc);
+    changed = true;
+    return doc;
+  }
+
+  /**
+   * Removes a prompt from the index
+   * @param {string} source - Source name
+   * @param {string} id - Prompt id
+   * @returns {boolean} True if it was indexed
+   */
+  function removePrompt(source, id) {
+    const tables = getTables(source);
+    const removed = removeDocument(source, id);
+    changed = tables.search.removePrompt(id) || removed || changed;
+    return removed;
+  }
+
+  /**
+   * Brings a source's documents up to date with its prompts: changed prompts are indexed
+   * again and prompts the source no longer has are removed. A source whose fingerprint did
+   * not change is left as it is.
+   * @param {string} source - Source name
+   * @param {object} prompts - Registry entries keyed by prompt id
+   * @param {object} options - Options ({ids}: the prompts that were added, changed or removed,
+   *   to check only those; {fingerprint}: fingerprint of the prompts, see fingerprintPrompts())
+   * @returns {{indexed: number, removed: number}} Numbers of documents rebuilt and removed
+   */
+  function updateSource(source, prompts, options = {}) {
+    const result = { indexed: 0, removed: 0 };
+    const tables = getTables(source);
+    const fingerprint = options.fingerprint ?? null;
+    if (fingerprint && tables.fingerprint === fingerprint) {
+      return result;
+    }
+
+    const has = id => Object.prototype.hasOwnProperty.call(prompts, id);
+    const ids = options.ids || [...new Set([...Object.keys(prompts), ...tables.documents.keys()])];
+    for (const id of ids) {
+      const before = tables.documents.get(id);
+      if (has(id)) {
+        if (updatePrompt(source, id, prompts[id]) !== before) {
+          result.indexed++;
+        }
+      } else if (removePrompt(source, id)) {
+        result.removed++;
+      }
+    }
+
+    changed = changed || tables.fingerprint !== fingerprint;
+    tables.fingerprint = fingerprint;
+    return result;
+  }
+
+  /**
+   * Finds the prompts whose id, description, category or a tag contains a text
+   * @param {string} source - Source name
+   * @param {string} text - Text (any case)
+   * @returns {Set<string>} Prompt ids
+   */
+  function matchText(source, text) {
+    const tables = getTables(source);
+    const query = text.toLowerCase();
+
+    // Prompts containing every trigram of the query are candidates; shorter queries check all
+    let candidates = [...tables.documents.keys()];
+    if (query.length >= TRIGRAM_LENGTH) {
+      const lists = getTrigrams(query).map(trigram => tables.trigrams.get(trigram) || new Set());
+      lists.sort((a, b) => a.size - b.size);
+      candidates = [...lists[0]].filter(id => lists.every(ids => ids.has(id)));
+    }
+
+    return new Set(candidates.filter(id => {
+      const doc = tables.documents.get(id);
+      return doc.resolved && getTextFields(doc).some(field => field.includes(query));
+    }));
+  }
+
+  /**
+   * Finds the prompts whose resolved version has all of some tags
+   * @param {string} source - Source name
+   * @param {string[]} tags - Tags
+   * @returns {Set<string>} Prompt ids
+   */
+  function matchTags(source, tags) {
+    const tables = getTables(source);
+    if (tags.length === 0) {
+      return new Set(tables.documents.keys());
+    }
+    const table = tables.tags;
+    const [first, ...rest] = tags.map(tag => table.get(tag) || new Set());
+    return new Set([...first].filter(id => rest.every(ids => ids.has(id))));
+  }
+
+  /**
+   * Finds the prompts whose resolved version is in a category
+   * @param {string} source - Source name
+   * @param {string} category - Category
+   * @returns {Set<string>} Prompt ids
+   */
+  function matchCategory(source, category) {
+    return new Set(getTables(source).categories.get(category) || []);
+  }
+
+  /**
+   * Counts the indexed prompts
+   * @returns {number} Number of documents across sources
+   */
+  function count() {
+    let total = 0;
+    for (const tables of sources.values()) {
+      total += tables.documents.size;
+    }
+    return total;
+  }
+
+  /**
+   * Writes the index to its file, if it changed since it was read or last saved
+   * @returns {boolean} True if the file was written
+   */
+  function save() {
+    if (!file || !changed) {
+      return false;
+    }
+    const saved = [...sources].map(([name, tables]) => {
+      const source = {
+        name,
+        fingerprint: tables.fingerprint,
+        documents: [...tables.documents.values()],
+        search: tables.search.toJSON()
+      };
+      for (const table of LOOKUP_TABLES) {
+        source[table] = [...tables[table]].map(([key, ids]) => [key, [...ids]]);
+      }
+      return source;
+    });
+    writeFileAtomic(file, JSON.stringify({ format: INDEX_FORMAT, sources: saved }));
+    changed = false;
+    return true;
+  }
+
+  return {
+    file,
+    getDocument,
+    getSearchIndex,
+    updatePrompt,
+    removePrompt,
+    updateSource,
+    matchText,
+    matchTags,
+    matchCategory,
+    count,
+    save
+  };
+}
+
+export default {
+  INDEX_FORMAT,
+  fingerprintPrompts,
+  createPromptIndex
+};
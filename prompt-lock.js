@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt Template Registry - Lockfile CLI Tool
+ *
+ * Creates, updates and verifies prompt-registry.lock.json
+ * Usage: node prompt-lock.js <add|update|verify> [options] [ids...]
+ */
+
+import path from 'node:path';
+import {
+  LOCKFILE_NAME,
+  createLockfile,
+  readLockfile,
+  writeLockfile,
+  lockPrompt,
+  updateLockfile,
+  verifyLockfile
+} from './lockfile.js';
+import { resolveRegistryLocation, loadRegistry } from './registry-layout.js';
+
+// CLI Tool Version
+const CLI_VERSION = '1.0.0';
+
+/**
+ * Prints usage information
+ */
+function printUsage() {
+  console.log(`
+Prompt Template Registry Lockfile Tool v${CLI_VERSION}
+Usage: node prompt-lock.js <command> [options] [ids...]
+
+Commands:
+  add <id[@spec]>...   Lock prompts (and the prompts they include); spec is a version, range or dist-tag
+  update [ids...]      Re-resolve locked prompts against the registry (all if no ids are given)
+  verify               Check that every locked version exists with unchanged content (exit 1 otherwise)
+
+Options:
+  --lockfile <path>    Lockfile path (default: ./${LOCKFILE_NAME})
+  --registry <path>    Registry file or prompts directory (default: ./prompts if present, else ./registry.json)
+  -h, --help           Show this help message
+  -v, --version        Show version information
+
+Examples:
+  node prompt-lock.js add sql_query_generation@^2 code_review
+  node prompt-lock.js update
+  node prompt-lock.js verify
+`);
+}
+
+/**
+ * Reads the value of a "--name value" option
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name
+ * @param {string} defaultValue - Value if the option is absent
+ * @returns {string} Option value
+ */
+function getOption(args, name, defaultValue) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : defaultValue;
+}
+
+/**
+ * Main CLI function
+ */
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('-h') || args.includes('--help')) {
+    printUsage();
+    process.exit(0);
+  }
+
+  if (args.includes('-v') || args.includes('--version')) {
+    console.log(`prompt-lock.js v${CLI_VERSION}`);
+    process.exit(0);
+  }
+
+  const lockfilePath = path.resolve(getOption(args, '--lockfile', LOCKFILE_NAME));
+  const registryPath = path.resolve(getOption(args, '--registry', resolveRegistryLocation(process.cwd())));
+  const positional = args.filter((arg, i) => !arg.startsWith('-') && !['--lockfile', '--registry'].includes(args[i - 1]));
+  const [command, ...ids] = positional;
+
+  const registry = loadRegistry(registryPath);
+  const lock = readLockfile(lockfilePath);
+
+  switch (command) {
+    case 'add': {
+      if (ids.length === 0) {
+        console.error('Error: add requires at least one prompt id');
+        process.exit(1);
+      }
+      const updated = lock || createLockfile();
+      for (const reference of ids) {
+        const locked = lockPrompt(updated, registry, reference);
+        locked.forEach(id => console.log(`🔒 ${id}@${updated.prompts[id].version} (${updated.prompts[id].requested})`));
+      }
+      writeLockfile(lockfilePath, updated);
+      console.log(`\n✅ Wrote ${path.relative(process.cwd(), lockfilePath)}`);
+      break;
+    }
+
+    case 'update': {
+      if (!lock) {
+        console.error(`Error: ${lockfilePath} not found; run "add" first`);
+        process.exit(1);
+      }
+      const changes = updateLockfile(lock, registry, ids.length > 0 ? ids : undefined);
+      changes.forEach(change => console.log(`⬆️  ${change.id}: ${change.from || '(new)'} -> ${change.to}`));
+      writeLockfile(lockfilePath, lock);
+      console.log(changes.length > 0 ? `\n✅ Updated ${changes.length} locked prompts` : '\n✅ Lockfile is up to date');
+      break;
+    }
+
+    case 'verify': {
+      if (!lock) {
+        console.error(`Error: ${lockfilePath} not found`);
+        process.exit(1);
+      }
+      const result = verifyLockfile(lock, registry);
+      result.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+      if (!result.valid) {
+        console.log('❌ Lockfile verification failed:');
+        result.errors.forEach(error => console.log(`  • ${error}`));
+        process.exit(1);
+      }
+      console.log(`✅ ${Object.keys(lock.prompts).length} locked prompts verified`);
+      break;
+    }
+
+    default:
+      console.error(`Error: Unknown command "${command}"`);
+      printUsage();
+      process.exit(1);
+  }
+}
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
+
+// Run the CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
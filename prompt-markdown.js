@@ -0,0 +1,170 @@
+/**
+ * Prompt Template Registry - Markdown Prompt Files
+ *
+ * A .prompt.md file keeps a template readable: YAML frontmatter holds the fields, the body
+ * is the template, and "## variant: <model>" sections hold model variants:
+ *
+ * ---
+ * id: sql_query_generation
+ * description: Generates SQL queries from natural language requests
+ * category: development
+ * tags: [sql, database]
+ * version: 1.0.0
+ * ---
+ * Translate this natural language request into an SQL query:
+ *
+ * Request: {{request}}
+ *
+ * ## variant: claude
+ *
+ * Convert the following request into an efficient SQL query...
+ *
+ * The template and each variant end at the next variant heading, without the line break
+ * (and one blank line) before it.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import YAML from 'yaml';
+
+// File extension of Markdown prompt files
+export const PROMPT_MARKDOWN_EXTENSION = '.prompt.md';
+
+// Heading that starts a model variant section, and the variant names it allows
+const VARIANT_HEADING = /^## variant:[ \t]*([\w.-]+)[ \t]*\r?$/gm;
+const VARIANT_NAME = /^[\w.-]+$/;
+
+// YAML output options: literal blocks for multi-line values, no line folding
+const YAML_OPTIONS = { lineWidth: 0 };
+
+/** Custom Error Class **/
+export class PromptMarkdownError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'PromptMarkdownError';
+    this.details = details;
+  }
+}
+
+/**
+ * Checks whether a path names a Markdown prompt file
+ * @param {string} filePath - File path
+ * @returns {boolean} True for .prompt.md files
+ */
+export function isPromptMarkdownFile(filePath) {
+  return filePath.endsWith(PROMPT_MARKDOWN_EXTENSION);
+}
+
+/**
+ * Parses a Markdown prompt
+ * @param {string} text - File content
+ * @returns {object} Prompt data (frontmatter fields, `prompt` and `variants`)
+ * @throws {PromptMarkdownError} If the frontmatter is not a YAML object, sets the template, or a variant is repeated
+ */
+export function parsePromptMarkdown(text) {
+  let fields = {};
+  let body = text;
+
+  const frontmatter = text.match(/^---\r?\n(?:([\s\S]*?)\r?\n)?---[ \t]*(?:\r?\n|$)/);
+  if (frontmatter) {
+    try {
+      fields = YAML.parse(frontmatter[1] || '') ?? {};
+    } catch (error) {
+      throw new PromptMarkdownError(`Invalid frontmatter: ${error.message}`, { error });
+    }
+    if (typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new PromptMarkdownError('Frontmatter must be a YAML mapping');
+    }
+    body = text.slice(frontmatter[0].length);
+  }
+
+  // Split the body at the variant headings
+  const sections = [];
+  let start = 0;
+  let name = null;
+  for (const match of body.matchAll(VARIANT_HEADING)) {
+    sections.push({ name, text: body.slice(start, match.index) });
+    name = match[1];
+    start = match.index + match[0].length;
+  }
+  sections.push({ name, text: body.slice(start), last: true });
+
+  if (fields.prompt !== undefined) {
+    throw new PromptMarkdownError('Frontmatter cannot set "prompt"; the template is the body');
+  }
+  const { variants, ...data } = fields;
+  const result = { ...data, prompt: '', ...(variants ? { variants: { ...variants } } : {}) };
+  for (const section of sections) {
+    // A section's text starts after its heading's line break (and one blank line), and ends
+    // before the next heading's line break (and one blank line), or the file's final line break
+    let content = section.name ? section.text.replace(/^\r?\n(?:\r?\n)?/, '') : section.text;
+    content = content.replace(section.last ? /\r?\n$/ : /\r?\n(?:\r?\n)?$/, '');
+    if (!section.name) {
+      result.prompt = content;
+    } else if (result.variants && result.variants[section.name] !== undefined) {
+      throw new PromptMarkdownError(`Variant "${section.name}" is defined twice`, { variant: section.name });
+    } else {
+      result.variants = { ...result.variants, [section.name]: content };
+    }
+  }
+
+  // Chat prompts keep their messages in the frontmatter and need no body
+  if (result.messages && !result.prompt.trim()) {
+    delete result.prompt;
+  }
+  return result;
+}
+
+/**
+ * Checks whether prompt data can be written as Markdown: a text template and text variants
+ * with simple names, none of which contains a variant heading
+ * @param {object} promptData - Prompt data
+ * @returns {boolean} True if formatPromptMarkdown() can represent it
+ */
+export function canFormatAsMarkdown(promptData) {
+  const isText = value => typeof value === 'string' && !new RegExp(VARIANT_HEADING.source, 'm').test(value);
+  return isText(promptData.prompt) &&
+    Object.entries(promptData.variants || {}).every(([name, variant]) => VARIANT_NAME.test(name) && isText(variant));
+}
+
+/**
+ * Formats prompt data as a Markdown prompt
+ * @param {object} promptData - Prompt data
+ * @returns {string} File content
+ * @throws {PromptMarkdownError} If the prompt uses chat messages or message variants
+ */
+export function formatPromptMarkdown(promptData) {
+  if (!canFormatAsMarkdown(promptData)) {
+    throw new PromptMarkdownError('Only text templates and variants can be written as Markdown (use JSON or YAML for chat messages)', { id: promptData.id });
+  }
+
+  const { prompt, variants, ...fields } = promptData;
+  const sections = [prompt, ...Object.entries(variants || {}).map(([name, variant]) => `## variant: ${name}\n\n${variant}`)];
+  const frontmatter = Object.keys(fields).length > 0 ? YAML.stringify(fields, YAML_OPTIONS) : '';
+  return `---\n${frontmatter}---\n${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Reads a prompt file: .prompt.md, or JSON. A Markdown prompt without an `id` takes it
+ * from the file name (sql_query.prompt.md -> sql_query).
+ * @param {string} filePath - File path
+ * @returns {object} Prompt data
+ */
+export function readPromptFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (!isPromptMarkdownFile(filePath)) {
+    return JSON.parse(text);
+  }
+  const promptData = parsePromptMarkdown(text);
+  return promptData.id ? promptData : { id: path.basename(filePath, PROMPT_MARKDOWN_EXTENSION), ...promptData };
+}
+
+export default {
+  PROMPT_MARKDOWN_EXTENSION,
+  PromptMarkdownError,
+  isPromptMarkdownFile,
+  parsePromptMarkdown,
+  canFormatAsMarkdown,
+  formatPromptMarkdown,
+  readPromptFile
+};
@@ -1,9 +1,12 @@
 /**
  * Prompt Template Registry - Prompt Quality Analysis
  * 
- * Implements prompt quality metrics and scoring algorithms
+ * Implements prompt quality metrics and scoring algorithms.
+ * Chat prompts are analyzed on their flattened messages.
  */
 
+import { getPromptText } from './messages.js';
+
 /**
  * Calculates the readability score of a prompt using a simplified Flesch-Kincaid approach
  * @param {string} text - The prompt text
@@ -51,16 +54,17 @@ export function countVariables(prompt) {
 export function checkBestPractices(promptData) {
   const issues = [];
   const suggestions = [];
+  const promptText = getPromptText(promptData);
   
   // Check prompt length
-  if (promptData.prompt.length < 50) {
+  if (promptText.length < 50) {
     issues.push('Prompt is too short (less than 50 characters)');
-  } else if (promptData.prompt.length > 2000) {
+  } else if (promptText.length > 2000) {
     suggestions.push('Consider breaking very long prompts into smaller components');
   }
   
   // Check for variables
-  const variableCount = countVariables(promptData.prompt);
+  const variableCount = countVariables(promptText);
   if (variableCount === 0) {
     suggestions.push('Consider adding variables to make the prompt more reusable');
   }
@@ -86,7 +90,7 @@ export function checkBestPractices(promptData) {
   }
   
   // Check for placeholder text
-  const lowerPrompt = promptData.prompt.toLowerCase();
+  const lowerPrompt = promptText.toLowerCase();
   if (lowerPrompt.includes('todo') || lowerPrompt.includes('placeholder') || 
       lowerPrompt.includes('fill in') || lowerPrompt.includes('replace with')) {
     issues.push('Prompt contains placeholder text that should be replaced');
@@ -102,6 +106,17 @@ export function checkBestPractices(promptData) {
     suggestions.push('Consider adding clearer action words (generate, create, explain, etc.)');
   }
   
+  // Check chat message structure
+  if (Array.isArray(promptData.messages)) {
+    const roles = promptData.messages.map(message => message.role);
+    if (!roles.includes('system')) {
+      suggestions.push('Consider adding a system message to set the role and constraints');
+    }
+    if (roles[roles.length - 1] !== 'user') {
+      issues.push('Chat prompt should end with a user message');
+    }
+  }
+  
   return {
     issues,
     suggestions,
@@ -118,14 +133,15 @@ export function checkBestPractices(promptData) {
 export function calculateQualityScore(promptData) {
   let score = 100;
   const breakdown = {};
+  const promptText = getPromptText(promptData);
   
   // Readability (20% of score)
-  const readability = calculateReadability(promptData.prompt);
+  const readability = calculateReadability(promptText);
   breakdown.readability = readability;
   score -= (100 - readability) * 0.2;
   
   // Length appropriateness (10% of score)
-  const length = promptData.prompt.length;
+  const length = promptText.length;
   let lengthScore = 100;
   if (length < 50) {
     lengthScore = (length / 50) * 100; // Penalize very short prompts
@@ -136,7 +152,7 @@ export function calculateQualityScore(promptData) {
   score -= (100 - lengthScore) * 0.1;
   
   // Variable usage (15% of score)
-  const variableCount = countVariables(promptData.prompt);
+  const variableCount = countVariables(promptText);
   let variableScore = 0;
   if (variableCount === 0) {
     variableScore = 70; // No variables is acceptable but not ideal
@@ -201,8 +217,9 @@ export function calculateQualityScore(promptData) {
 export function analyzePrompt(promptData) {
   const quality = calculateQualityScore(promptData);
   const bestPractices = quality.bestPractices;
-  const variables = countVariables(promptData.prompt);
-  const readability = calculateReadability(promptData.prompt);
+  const promptText = getPromptText(promptData);
+  const variables = countVariables(promptText);
+  const readability = calculateReadability(promptText);
   
   const feedback = [];
   
@@ -232,7 +249,8 @@ export function analyzePrompt(promptData) {
     metrics: {
       variables,
       readability,
-      length: promptData.prompt.length,
+      length: promptText.length,
+      messages: Array.isArray(promptData.messages) ? promptData.messages.length : 0,
       descriptionLength: promptData.description ? promptData.description.length : 0
     },
     breakdown: quality.breakdown
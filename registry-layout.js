@@ -0,0 +1,419 @@
+/**
+ * Prompt Template Registry - Directory Layout
+ *
+ * Besides the monolithic registry.json, a registry can be kept as one file per prompt
+ * version, which keeps reviews small and avoids merge conflicts between unrelated PRs:
+ *
+ * prompts/
+ *   bug_fix/
+ *     1.0.0.yaml       version data, as in registry.json "versions"
+ *     2.0.0.prompt.md  Markdown prompt (see prompt-markdown.js)
+ *     index.yaml       optional: latest, distTags (latest defaults to the highest stable version)
+ *   shared/
+ *     json_output/     namespaced ids ("shared/json_output") are nested directories
+ *       1.0.0.yaml
+ *
+ * Version files may be .yaml, .yml, .json, .prompt.md or .md. The tree compiles to the same shape as
+ * registry.json, and splitRegistry()/bundleRegistry() convert between the two.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import YAML from 'yaml';
+import { canonicalJson } from './lockfile.js';
+import { PROMPT_MARKDOWN_EXTENSION, parsePromptMarkdown, formatPromptMarkdown, canFormatAsMarkdown } from './prompt-markdown.js';
+import { isValidVersion, isPrerelease, sortVersions } from './semver.js';
+import { isYanked } from './version-utils.js';
+import { writeFileAtomic, withFileLock, mergeRegistryData, writeRegistryFile } from './storage.js';
+
+// Default names of the two layouts
+export const REGISTRY_FILE = 'registry.json';
+export const PROMPTS_DIRECTORY = 'prompts';
+
+// Formats a version file can be written in
+export const LAYOUT_FORMATS = ['yaml', 'json', 'md'];
+
+// Name (without extension) of the per-prompt file holding latest and distTags
+const ENTRY_FILE = 'index';
+
+// Recognized file extensions and their formats (longest first), and the extension new files get
+const FILE_FORMATS = { [PROMPT_MARKDOWN_EXTENSION]: 'md', '.yaml': 'yaml', '.yml': 'yaml', '.json': 'json', '.md': 'md' };
+const FORMAT_EXTENSIONS = { yaml: '.yaml', json: '.json', md: PROMPT_MARKDOWN_EXTENSION };
+
+// YAML output options: literal blocks for multi-line templates, no line folding
+const YAML_OPTIONS = { lineWidth: 0 };
+
+/** Custom Error Class **/
+export class RegistryLayoutError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'RegistryLayoutError';
+    this.details = details;
+  }
+}
+
+/**
+ * Checks whether a path is a directory
+ * @param {string} location - Path
+ * @returns {boolean} True for an existing directory
+ */
+export function isDirectoryLayout(location) {
+  try {
+    return fs.statSync(location).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Finds the registry of a project: its prompts/ directory if it has one, registry.json otherwise
+ * @param {string} root - Project directory
+ * @returns {string} Registry location
+ */
+export function resolveRegistryLocation(root) {
+  const directory = path.join(root, PROMPTS_DIRECTORY);
+  return isDirectoryLayout(directory) ? directory : path.join(root, REGISTRY_FILE);
+}
+
+/**
+ * Splits a file name into name and format ("1.0.0-beta.1.yaml" -> 1.0.0-beta.1, yaml)
+ * @param {string} file - File name
+ * @returns {{name: string, format: string}|null} Name and format, or null for other files
+ */
+function parseFileName(file) {
+  const extension = Object.keys(FILE_FORMATS).find(candidate => file.endsWith(candidate));
+  return extension ? { name: file.slice(0, -extension.length), format: FILE_FORMATS[extension] } : null;
+}
+
+/**
+ * Reads a layout file
+ * @param {string} filePath - File path
+ * @param {string} format - File format (yaml, json or md)
+ * @returns {object} Parsed data
+ * @throws {RegistryLayoutError} If the file cannot be parsed
+ */
+function readLayoutFile(filePath, format) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  let data;
+  try {
+    data = format === 'json' ? JSON.parse(text) : format === 'md' ? parsePromptMarkdown(text) : YAML.parse(text);
+  } catch (error) {
+    throw new RegistryLayoutError(`${filePath}: ${error.message}`, { file: filePath });
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new RegistryLayoutError(`${filePath}: expected an object`, { file: filePath });
+  }
+  return data;
+}
+
+/**
+ * Formats data as a layout file
+ * @param {object} data - Data to write
+ * @param {string} format - File format (yaml, json or md)
+ * @returns {string} File content
+ */
+function formatLayoutFile(data, format) {
+  if (format === 'json') {
+    return JSON.stringify(data, null, 2) + '\n';
+  }
+  return format === 'md' ? formatPromptMarkdown(data) : YAML.stringify(data, YAML_OPTIONS);
+}
+
+/**
+ * Picks the version a prompt's latest defaults to: the highest stable version that is not yanked
+ * @param {object} versions - Version data keyed by version
+ * @returns {string} Default latest version
+ */
+export function getDefaultLatest(versions) {
+  const sorted = sortVersions(Object.keys(versions));
+  const stable = sorted.filter(version => !isPrerelease(version) && !isYanked(versions[version]));
+  const candidates = stable.length > 0 ? stable : sorted;
+  return candidates[candidates.length - 1];
+}
+
+/**
+ * Lists the layout files of a prompt directory. Files not named after a version or the entry
+ * file (README.md, notes) are not part of the prompt and are skipped.
+ * @param {string} directory - Prompt directory
+ * @returns {{entry: object|null, versions: Object<string, object>}} Entry file and version files ({file, format})
+ * @throws {RegistryLayoutError} If a version has two files
+ */
+function listPromptFiles(directory) {
+  const files = { entry: null, versions: {} };
+  for (const file of fs.readdirSync(directory).sort()) {
+    const parsed = parseFileName(file);
+    if (!parsed || (parsed.name !== ENTRY_FILE && !isValidVersion(parsed.name)) || isDirectoryLayout(path.join(directory, file))) {
+      continue;
+    }
+    const layoutFile = { file: path.join(directory, file), format: parsed.format };
+    if (parsed.name === ENTRY_FILE) {
+      files.entry = layoutFile;
+    } else if (files.versions[parsed.name]) {
+      throw new RegistryLayoutError(`${layoutFile.file}: version ${parsed.name} also in ${path.basename(files.versions[parsed.name].file)}`, { file: layoutFile.file });
+    } else {
+      files.versions[parsed.name] = layoutFile;
+    }
+  }
+  return files;
+}
+
+/**
+ * Compiles a prompt directory into a registry entry
+ * @param {string} directory - Prompt directory
+ * @returns {object|null} Registry entry, or null if the directory has no versions
+ */
+function readPromptDirectory(directory) {
+  const files = listPromptFiles(directory);
+  const versions = {};
+  for (const version of sortVersions(Object.keys(files.versions))) {
+    const { file, format } = files.versions[version];
+    const data = readLayoutFile(file, format);
+    if (data.version !== undefined && data.version !== version) {
+      throw new RegistryLayoutError(`${file}: declares version ${data.version}`, { file });
+    }
+    versions[version] = data.version === undefined ? { ...data, version } : data;
+  }
+  if (Object.keys(versions).length === 0) {
+    return null;
+  }
+
+  const { latest, ...fields } = files.entry ? readLayoutFile(files.entry.file, files.entry.format) : {};
+  return { latest: latest || getDefaultLatest(versions), versions, ...fields };
+}
+
+/**
+ * Lists the subdirectories of a directory that can hold prompts (not hidden)
+ * @param {string} directory - Directory
+ * @returns {string[]} Subdirectory names, sorted
+ */
+function listSubdirectories(directory) {
+  return fs.readdirSync(directory).sort()
+    .filter(name => !name.startsWith('.') && isDirectoryLayout(path.join(directory, name)));
+}
+
+/**
+ * Compiles a prompts directory into a registry. Directories nested in others are the
+ * prompts of a namespace ("shared/json_output").
+ * @param {string} directory - Prompts directory
+ * @returns {object} Registry keyed by prompt id
+ * @throws {RegistryLayoutError} If a file is malformed
+ */
+export function readRegistryTree(directory) {
+  const registry = {};
+  const readNamespace = (namespaceDirectory, prefix) => {
+    for (const name of listSubdirectories(namespaceDirectory)) {
+      const id = `${prefix}${name}`;
+      const promptDirectory = path.join(namespaceDirectory, name);
+      const entry = readPromptDirectory(promptDirectory);
+      if (entry) {
+        registry[id] = entry;
+      }
+      readNamespace(promptDirectory, `${id}/`);
+    }
+  };
+  readNamespace(directory, '');
+  return registry;
+}
+
+/**
+ * Checks that a prompt id can be used as a directory path: "/" separates namespace
+ * directories, and no part may be empty or start with a dot
+ * @param {string} id - Prompt id
+ * @throws {RegistryLayoutError} If the id cannot be a path below the prompts directory
+ */
+function assertPromptDirectoryName(id) {
+  if (!id || /[\\:]/.test(id) || id.split('/').some(part => !part || part.startsWith('.'))) {
+    throw new RegistryLayoutError(`Prompt id "${id}" cannot be stored as a directory`, { id });
+  }
+}
+
+/**
+ * Deletes the layout files of prompts a registry no longer has, and their directories once
+ * empty. Directories without layout files (assets/, drafts/) and other files are left alone.
+ * @param {string} directory - Prompts directory
+ * @param {object} registry - Registry keyed by prompt id
+ * @param {function(string): void} remove - Deletes a file or directory
+ */
+function removeStalePrompts(directory, registry, remove) {
+  const namespaces = new Set(Object.keys(registry).flatMap(id =>
+    id.split('/').slice(0, -1).map((_, i, parts) => parts.slice(0, i + 1).join('/'))));
+  // Returns whether anything below the directory was removed
+  const prune = (namespaceDirectory, prefix) => {
+    let removed = false;
+    for (const name of listSubdirectories(namespaceDirectory)) {
+      const id = `${prefix}${name}`;
+      const promptDirectory = path.join(namespaceDirectory, name);
+      let pruned = false;
+      if (!registry[id]) {
+        // A removed prompt, or only a namespace now: the files of a prompt of that id go
+        const files = listPromptFiles(promptDirectory);
+        const stale = [files.entry, ...Object.values(files.versions)].filter(Boolean);
+        stale.forEach(({ file }) => remove(file));
+        pruned = stale.length > 0;
+      }
+      pruned = prune(promptDirectory, `${id}/`) || pruned;
+      if (pruned && !registry[id] && !namespaces.has(id) && fs.readdirSync(promptDirectory).length === 0) {
+        remove(promptDirectory);
+      }
+      removed = removed || pruned;
+    }
+    return removed;
+  };
+  prune(directory, '');
+}
+
+/**
+ * Writes a file unless it already has the content
+ * @param {string} filePath - File path
+ * @param {string} content - File content
+ * @returns {boolean} True if the file was written
+ */
+function writeIfChanged(filePath, content) {
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === content) {
+    return false;
+  }
+  writeFileAtomic(filePath, content);
+  return true;
+}
+
+/**
+ * Writes a registry as a prompts directory. Only files whose content changed are written,
+ * existing files keep their format, and files of removed prompts and versions are deleted.
+ * @param {string} directory - Prompts directory
+ * @param {object} registry - Registry keyed by prompt id
+ * @param {object} options - Options ({format} of new files: yaml (default), json or md)
+ * @returns {{written: string[], removed: string[]}} Paths written and removed
+ */
+export function writeRegistryTree(directory, registry, options = {}) {
+  const format = options.format || 'yaml';
+  if (!LAYOUT_FORMATS.includes(format)) {
+    throw new RegistryLayoutError(`Unknown format "${format}" (expected ${LAYOUT_FORMATS.join(', ')})`, { format });
+  }
+  Object.keys(registry).forEach(assertPromptDirectoryName);
+
+  const result = { written: [], removed: [] };
+  const remove = target => {
+    fs.rmSync(target, { recursive: true, force: true });
+    result.removed.push(target);
+  };
+  fs.mkdirSync(directory, { recursive: true });
+
+  for (const [id, entry] of Object.entries(registry)) {
+    const promptDirectory = path.join(directory, id);
+    const files = isDirectoryLayout(promptDirectory) ? listPromptFiles(promptDirectory) : { entry: null, versions: {} };
+
+    for (const [version, data] of Object.entries(entry.versions)) {
+      // Markdown holds text templates; other versions (chat messages) fall back to YAML
+      const markdown = canFormatAsMarkdown(data);
+      let existing = files.versions[version];
+      if (existing && existing.format === 'md' && !markdown) {
+        remove(existing.file);
+        existing = null;
+      }
+      const fileFormat = existing ? existing.format : format === 'md' && !markdown ? 'yaml' : format;
+      const filePath = existing ? existing.file : path.join(promptDirectory, `${version}${FORMAT_EXTENSIONS[fileFormat]}`);
+      if (writeIfChanged(filePath, formatLayoutFile(data, fileFormat))) {
+        result.written.push(filePath);
+      }
+    }
+    Object.entries(files.versions)
+      .filter(([version]) => !entry.versions[version])
+      .forEach(([, { file }]) => remove(file));
+
+    // The entry file is only needed when latest is not the default, or for dist-tags
+    const { latest, versions, ...fields } = entry;
+    const entryData = latest !== getDefaultLatest(versions) ? { latest, ...fields } : fields;
+    if (Object.keys(entryData).length > 0) {
+      const entryFormat = files.entry ? files.entry.format : format === 'md' ? 'yaml' : format;
+      const filePath = files.entry ? files.entry.file : path.join(promptDirectory, `${ENTRY_FILE}${FORMAT_EXTENSIONS[entryFormat]}`);
+      if (writeIfChanged(filePath, formatLayoutFile(entryData, entryFormat))) {
+        result.written.push(filePath);
+      }
+    } else if (files.entry) {
+      remove(files.entry.file);
+    }
+  }
+
+  removeStalePrompts(directory, registry, remove);
+  return result;
+}
+
+/**
+ * Loads a registry from registry.json or a prompts directory
+ * @param {string} location - Registry file or prompts directory
+ * @returns {object} Registry keyed by prompt id
+ */
+export function loadRegistry(location) {
+  return isDirectoryLayout(location) ? readRegistryTree(location) : JSON.parse(fs.readFileSync(location, 'utf8'));
+}
+
+/**
+ * Saves a registry to registry.json or a prompts directory, under its lock. If `base` is
+ * given and the registry on disk no longer matches it, the changes on disk are merged in.
+ * @param {string} location - Registry file or prompts directory
+ * @param {object} registry - Registry to write
+ * @param {object} options - Options ({base, format, timeout, staleAfter})
+ * @returns {{data: object, merged: boolean}} Registry as written, and whether it was merged
+ */
+export function saveRegistry(location, registry, options = {}) {
+  if (!isDirectoryLayout(location)) {
+    return writeRegistryFile(location, registry, options);
+  }
+
+  return withFileLock(location, () => {
+    let data = registry;
+    let merged = false;
+
+    if (options.base) {
+      const current = readRegistryTree(location);
+      if (canonicalJson(current) !== canonicalJson(options.base)) {
+        data = mergeRegistryData(options.base, registry, current);
+        merged = true;
+      }
+    }
+
+    writeRegistryTree(location, data, options);
+    return { data, merged };
+  }, options);
+}
+
+/**
+ * Splits registry.json into a prompts directory
+ * @param {string} registryFile - Registry file
+ * @param {string} directory - Prompts directory to write
+ * @param {object} options - Options ({format})
+ * @returns {{prompts: number, written: string[], removed: string[]}} Prompt count and files changed
+ */
+export function splitRegistry(registryFile, directory, options = {}) {
+  const registry = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+  const result = withFileLock(directory, () => writeRegistryTree(directory, registry, options));
+  return { prompts: Object.keys(registry).length, ...result };
+}
+
+/**
+ * Bundles a prompts directory into registry.json
+ * @param {string} directory - Prompts directory
+ * @param {string} registryFile - Registry file to write
+ * @returns {{prompts: number}} Prompt count
+ */
+export function bundleRegistry(directory, registryFile) {
+  const registry = readRegistryTree(directory);
+  writeRegistryFile(registryFile, registry);
+  return { prompts: Object.keys(registry).length };
+}
+
+export default {
+  REGISTRY_FILE,
+  PROMPTS_DIRECTORY,
+  LAYOUT_FORMATS,
+  RegistryLayoutError,
+  isDirectoryLayout,
+  resolveRegistryLocation,
+  getDefaultLatest,
+  readRegistryTree,
+  writeRegistryTree,
+  loadRegistry,
+  saveRegistry,
+  splitRegistry,
+  bundleRegistry
+};
@@ -0,0 +1,143 @@
+/**
+ * Prompt Template Registry - Storage Adapters
+ *
+ * A registry created with createRegistry() reads and writes its prompts through a storage
+ * adapter. An adapter is an object with:
+ *
+ * - type, location      Shown by getRegistryInfo() ("json-file", "/path/to/registry.json")
+ * - persistent          False if nothing is kept across processes (no snapshots are taken)
+ * - load()              Returns the registry ({ [id]: { latest, versions } })
+ * - save(registry, { base })
+ *                       Stores the registry and returns { data, merged }. If the stored registry
+ *                       no longer matches `base`, another writer changed it and its changes are
+ *                       merged in (see mergeRegistryData() in storage.js).
+ * - lastModified()      Optional: time of the last change
+ */
+
+import fs from 'node:fs';
+import { canonicalJson } from './lockfile.js';
+import { StorageError, mergeRegistryData, writeRegistryFile } from './storage.js';
+import { isDirectoryLayout, readRegistryTree, saveRegistry } from './registry-layout.js';
+
+/**
+ * Deep copies a registry
+ * @param {object} registry - Registry
+ * @returns {object} Copy
+ */
+function clone(registry) {
+  return JSON.parse(JSON.stringify(registry));
+}
+
+/**
+ * Reads the modification time of a file or directory
+ * @param {string} location - Path
+ * @returns {Date|null} Modification time, or null if it does not exist
+ */
+function getModificationTime(location) {
+  try {
+    return fs.statSync(location).mtime;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Creates a storage that keeps the registry in memory. Registries sharing one memory
+ * storage see each other's saves, merged like writes by two processes.
+ * @param {object} initial - Initial registry (copied)
+ * @returns {object} Storage adapter
+ */
+export function createMemoryStorage(initial = {}) {
+  let stored = clone(initial);
+  let modifiedAt = new Date();
+
+  return {
+    type: 'memory',
+    location: null,
+    persistent: false,
+    load: () => clone(stored),
+    save(registry, options = {}) {
+      let data = registry;
+      let merged = false;
+      if (options.base && canonicalJson(stored) !== canonicalJson(options.base)) {
+        data = mergeRegistryData(options.base, registry, stored);
+        merged = true;
+      }
+      stored = clone(data);
+      modifiedAt = new Date();
+      return { data, merged };
+    },
+    lastModified: () => modifiedAt
+  };
+}
+
+/**
+ * Creates a storage backed by a registry.json file
+ * @param {string} filePath - Registry file
+ * @returns {object} Storage adapter
+ */
+export function createJsonFileStorage(filePath) {
+  return {
+    type: 'json-file',
+    location: filePath,
+    persistent: true,
+    load() {
+      try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        throw new StorageError(`Failed to read ${filePath}: ${error.message}`, { filePath, error });
+      }
+    },
+    save: (registry, options = {}) => writeRegistryFile(filePath, registry, options),
+    lastModified: () => getModificationTime(filePath)
+  };
+}
+
+/**
+ * Creates a storage backed by a prompts/<id>/<version> directory (see registry-layout.js)
+ * @param {string} directory - Prompts directory
+ * @param {object} options - Options ({format} of new version files: yaml, json or md)
+ * @returns {object} Storage adapter
+ */
+export function createDirectoryStorage(directory, options = {}) {
+  return {
+    type: 'directory',
+    location: directory,
+    persistent: true,
+    load: () => (isDirectoryLayout(directory) ? readRegistryTree(directory) : {}),
+    save(registry, saveOptions = {}) {
+      fs.mkdirSync(directory, { recursive: true });
+      return saveRegistry(directory, registry, { ...options, ...saveOptions });
+    },
+    lastModified: () => getModificationTime(directory)
+  };
+}
+
+/**
+ * Creates the storage for a registry location: directory storage for a directory,
+ * JSON file storage otherwise
+ * @param {string} location - Registry file or prompts directory
+ * @returns {object} Storage adapter
+ */
+export function createStorage(location) {
+  return isDirectoryLayout(location) ? createDirectoryStorage(location) : createJsonFileStorage(location);
+}
+
+/**
+ * Checks that an object implements the storage adapter interface
+ * @param {object} storage - Storage adapter
+ * @throws {StorageError} If load() or save() is missing
+ */
+export function assertStorage(storage) {
+  if (!storage || typeof storage.load !== 'function' || typeof storage.save !== 'function') {
+    throw new StorageError('A registry storage needs load() and save(registry, { base }) methods', { storage });
+  }
+}
+
+export default {
+  createMemoryStorage,
+  createJsonFileStorage,
+  createDirectoryStorage,
+  createStorage,
+  assertStorage
+};
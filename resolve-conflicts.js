@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt Template Registry - Conflict Resolution CLI Tool
+ *
+ * Syncs the remote registry and asks how to resolve each version that differs
+ * from the local copy, showing the diff between them
+ * Usage: node resolve-conflicts.js [options]
+ */
+
+import readline from 'node:readline';
+import { sync } from './index.mjs';
+import { CONFLICT_STRATEGIES } from './conflicts.js';
+import { diffPromptVersions, formatPromptDiff } from './prompt-diff.js';
+
+// CLI Tool Version
+const CLI_VERSION = '1.0.0';
+
+// Answers accepted for each strategy
+const CHOICES = {
+  l: 'prefer-local',
+  r: 'prefer-remote',
+  f: 'fork-as-new-version'
+};
+
+/**
+ * Prints usage information
+ */
+function printUsage() {
+  console.log(`
+Prompt Template Registry Conflict Resolver v${CLI_VERSION}
+Usage: node resolve-conflicts.js [options]
+
+Syncs the remote registry. For every version that exists locally and remotely with
+different content, shows the diff and asks whether to keep the local version, take
+the remote one, or keep both by storing the remote content as <version>-remote.N.
+Prompts matched by prompt-registry.conflicts.json are resolved by their rule.
+
+Options:
+  --url <url>            Registry URL (default: the configured sync URL)
+  --default <strategy>   Resolve every conflict without asking: ${CONFLICT_STRATEGIES.join(', ')}
+  --force                Download the registry even if the cache is fresh
+  --no-color             Disable colors in diffs
+  -h, --help             Show this help message
+  -v, --version          Show version information
+
+Examples:
+  node resolve-conflicts.js
+  node resolve-conflicts.js --url file:///mnt/shared/prompts/registry.json
+  node resolve-conflicts.js --default fork-as-new-version
+`);
+}
+
+/**
+ * Reads the value of a "--name value" option
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name
+ * @param {string} defaultValue - Value if the option is absent
+ * @returns {string} Option value
+ */
+function getOption(args, name, defaultValue) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : defaultValue;
+}
+
+/**
+ * Asks how to resolve a conflict
+ * @param {object} conflict - Conflict with the local and remote version data
+ * @param {boolean} color - Whether to color the diff
+ * @returns {Promise<string>} One of CONFLICT_STRATEGIES
+ */
+function askResolution(conflict, color) {
+  const diff = diffPromptVersions(conflict.local, conflict.remote, { id: conflict.id, from: 'local', to: 'remote' });
+  console.log(`\n⚠️  ${conflict.id}@${conflict.version} differs between the local and remote registry`);
+  console.log(`   local ${conflict.localHash}\n   remote ${conflict.remoteHash}\n`);
+  process.stdout.write(formatPromptDiff(diff, 'terminal', { color }));
+
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    rl.question('\nKeep [l]ocal, take [r]emote, or [f]ork the remote as a new version? (l) ', (answer) => {
+      rl.close();
+      const choice = answer.trim().toLowerCase().charAt(0) || 'l';
+      if (CHOICES[choice]) {
+        resolve(CHOICES[choice]);
+      } else {
+        console.log('\nPlease enter "l", "r" or "f".');
+        resolve(askResolution(conflict, color));
+      }
+    });
+  });
+}
+
+/**
+ * Main CLI function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('-h') || args.includes('--help')) {
+    printUsage();
+    process.exit(0);
+  }
+
+  if (args.includes('-v') || args.includes('--version')) {
+    console.log(`resolve-conflicts.js v${CLI_VERSION}`);
+    process.exit(0);
+  }
+
+  const defaultStrategy = getOption(args, '--default', null);
+  if (defaultStrategy && !CONFLICT_STRATEGIES.includes(defaultStrategy)) {
+    console.error(`Error: Unknown strategy "${defaultStrategy}" (expected one of: ${CONFLICT_STRATEGIES.join(', ')})`);
+    process.exit(1);
+  }
+  const color = !args.includes('--no-color') && process.stdout.isTTY;
+
+  const result = await sync({
+    url: getOption(args, '--url', undefined),
+    force: args.includes('--force'),
+    mergeStrategy: 'interactive',
+    resolveConflict: conflict => defaultStrategy || askResolution(conflict, color)
+  });
+
+  if (result.conflicts.length === 0) {
+    console.log('✅ No conflicts between the local and remote registry');
+    return;
+  }
+
+  console.log('\nDecisions:');
+  result.conflicts.forEach(conflict => {
+    const outcome = conflict.storedAs && conflict.storedAs !== conflict.version ?
+      `${conflict.strategy} -> ${conflict.storedAs}` : conflict.strategy;
+    const reason = conflict.decidedBy === 'rule' ? ` (rule "${conflict.rule}")` : '';
+    console.log(`  ${conflict.id}@${conflict.version}: ${outcome}${reason}`);
+  });
+  result.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+  if (result.updatedPrompts > 0) {
+    console.log(`\n✅ Updated ${result.updatedPrompts} prompt(s) in registry.json`);
+  }
+}
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
+
+// Run the CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
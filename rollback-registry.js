@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt Template Registry - Rollback CLI Tool
+ *
+ * Lists the snapshots taken before syncs changed registry.json, and restores one
+ * Usage: node rollback-registry.js <list|show|rollback> [snapshot-id] [options]
+ */
+
+import { listSnapshots, rollback } from './index.mjs';
+
+// CLI Tool Version
+const CLI_VERSION = '1.0.0';
+
+/**
+ * Prints usage information
+ */
+function printUsage() {
+  console.log(`
+Prompt Template Registry Rollback Tool v${CLI_VERSION}
+Usage: node rollback-registry.js <command> [snapshot-id] [options]
+
+Commands:
+  list                   List snapshots, newest first
+  show <id>              Show what the sync after a snapshot changed
+  rollback <id>          Restore registry.json to a snapshot (the current state is snapshotted first)
+
+Options:
+  --json                 Print machine-readable output
+  -h, --help             Show this help message
+  -v, --version          Show version information
+
+Examples:
+  node rollback-registry.js list
+  node rollback-registry.js show 20240615T120000123Z
+  node rollback-registry.js rollback 20240615T120000123Z
+`);
+}
+
+/**
+ * Formats a change record as indented lines
+ * @param {object} changes - Changes ({added, removed, updated})
+ * @returns {string[]} Lines
+ */
+function formatChanges(changes) {
+  return [
+    ...changes.added.map(id => `  + ${id}`),
+    ...changes.removed.map(id => `  - ${id}`),
+    ...changes.updated.map(update => {
+      const details = [
+        update.latest && `latest ${update.latest.from} -> ${update.latest.to}`,
+        update.addedVersions.length > 0 && `added ${update.addedVersions.join(', ')}`,
+        update.changedVersions.length > 0 && `changed ${update.changedVersions.join(', ')}`
+      ].filter(Boolean);
+      return `  ~ ${update.id}${details.length > 0 ? ` (${details.join('; ')})` : ''}`;
+    })
+  ];
+}
+
+/**
+ * Finds a snapshot record
+ * @param {string} id - Snapshot id
+ * @returns {object} Snapshot record
+ */
+function findSnapshot(id) {
+  const snapshot = listSnapshots().find(candidate => candidate.id === id);
+  if (!snapshot) {
+    console.error(`Error: Snapshot "${id}" not found (run "node rollback-registry.js list")`);
+    process.exit(1);
+  }
+  return snapshot;
+}
+
+/**
+ * Main CLI function
+ */
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('-h') || args.includes('--help')) {
+    printUsage();
+    process.exit(0);
+  }
+
+  if (args.includes('-v') || args.includes('--version')) {
+    console.log(`rollback-registry.js v${CLI_VERSION}`);
+    process.exit(0);
+  }
+
+  const [command, id] = args.filter(arg => !arg.startsWith('-'));
+  const json = args.includes('--json');
+
+  switch (command) {
+    case 'list': {
+      const snapshots = listSnapshots();
+      if (json) {
+        console.log(JSON.stringify(snapshots, null, 2));
+        break;
+      }
+      if (snapshots.length === 0) {
+        console.log('No snapshots yet. One is taken each time sync() changes registry.json.');
+        break;
+      }
+      snapshots.forEach(snapshot => {
+        const { added, updated, removed } = snapshot.changes;
+        console.log(`${snapshot.id}  ${snapshot.createdAt}  ${snapshot.reason.padEnd(8)}  +${added.length} ~${updated.length} -${removed.length}  ${snapshot.source || ''}`);
+      });
+      break;
+    }
+
+    case 'show': {
+      if (!id) {
+        console.error('Error: show requires a snapshot id');
+        process.exit(1);
+      }
+      const snapshot = findSnapshot(id);
+      if (json) {
+        console.log(JSON.stringify(snapshot, null, 2));
+        break;
+      }
+      console.log(`Snapshot ${snapshot.id} (${snapshot.createdAt}), taken before a ${snapshot.reason} from ${snapshot.source}`);
+      console.log('\nThe registry was then changed:');
+      formatChanges(snapshot.changes).forEach(line => console.log(line));
+      (snapshot.conflicts || []).forEach(conflict => {
+        console.log(`  ! ${conflict.id}@${conflict.version}: ${conflict.strategy} (${conflict.decidedBy})`);
+      });
+      break;
+    }
+
+    case 'rollback': {
+      if (!id) {
+        console.error('Error: rollback requires a snapshot id');
+        process.exit(1);
+      }
+      findSnapshot(id);
+      const result = rollback(id);
+      if (json) {
+        console.log(JSON.stringify(result, null, 2));
+        break;
+      }
+      if (!result.snapshot) {
+        console.log(`✅ registry.json already matches snapshot ${id}`);
+        break;
+      }
+      console.log(`✅ Restored registry.json to snapshot ${id} (${result.restoredFrom})`);
+      formatChanges(result.changes).forEach(line => console.log(line));
+      console.log(`\n   Undo with: node rollback-registry.js rollback ${result.snapshot}`);
+      break;
+    }
+
+    default:
+      console.error(`Error: Unknown command "${command}"`);
+      printUsage();
+      process.exit(1);
+  }
+}
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
+
+// Run the CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,520 @@
+/**
+ * Prompt Template Registry - Full-Text Search Index
+ *
+ * Ranks prompts for free-text queries with BM25 over an inverted index. Each prompt's default
+ * version is split into fields (id, description, tags, category and template), whose words
+ * are lowercased, stripped of stop words and stemmed (Porter), so "queries" matches "query".
+ * A term's score in a field is weighted by the field's boost: a match in the id counts for
+ * more than one in the template body.
+ *
+ * Indexes are kept per prompt collection (a registry object or a source's prompts) and
+ * updated one prompt at a time: prompts whose entry did not change are not tokenized again.
+ * An index can be exported with toJSON() and restored, so the prompt index (see
+ * prompt-index.js) can save it with its own file.
+ *
+ * Fuzzy queries tolerate typos: a query word that is not in the index is replaced by the
+ * words of ids, tags and descriptions within an edit or two of it (see fuzzy-match.js),
+ * whose scores are lowered by how far they are from the query word.
+ */
+
+import crypto from 'node:crypto';
+import { getPromptText } from './messages.js';
+import { resolvePromptVersion } from './version-utils.js';
+import { wordSimilarity, getMaxEdits } from './fuzzy-match.js';
+
+// Words too common to search for
+export const STOP_WORDS = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those']);
+
+// Weight of a match in each field, relative to the template body
+export const FIELD_BOOSTS = {
+  id: 3,
+  tags: 2,
+  description: 2,
+  category: 1.5,
+  template: 1
+};
+
+// Fields whose words fuzzy query words are matched against
+const FUZZY_FIELDS = ['id', 'tags', 'description'];
+
+// BM25 parameters: term frequency saturation and field length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/** Porter Stemmer **/
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANTS = `${CONSONANT}[^aeiouy]*`;
+const VOWELS = `${VOWEL}[aeiou]*`;
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}(${VOWELS})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}${VOWELS}${CONSONANTS}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANTS})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANTS}${VOWEL}[^aeiouwxy]$`);
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+  entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+  iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const STEP3_SUFFIXES = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+
+/**
+ * Reduces an English word to its stem (Porter's algorithm): "generating", "generated"
+ * and "generation" all become "gener"
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+export function stemWord(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) {
+    return word;
+  }
+
+  // An initial y is a consonant
+  let w = word[0] === 'y' ? `Y${word.slice(1)}` : word;
+  let match;
+
+  // Step 1a: plurals
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+    w = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+    w = match[1] + match[2];
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) {
+      w = w.slice(0, -1);
+    }
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(w)) {
+      w = w.slice(0, -1);
+    } else if (ENDS_CVC.test(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c: y after a vowel-containing stem
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = `${match[1]}i`;
+  }
+
+  // Steps 2 and 3: double and single suffixes
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w)) &&
+      MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w)) && MEASURE_GT_0.test(match[1])) {
+    w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4: remaining suffixes
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) {
+      w = match[1];
+    }
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w)) && MEASURE_GT_1.test(match[1] + match[2])) {
+    w = match[1] + match[2];
+  }
+
+  // Step 5: final e and ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const stem = match[1];
+    if (MEASURE_GT_1.test(stem) || (MEASURE_EQ_1.test(stem) && !ENDS_CVC.test(stem))) {
+      w = stem;
+    }
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  return w[0] === 'Y' ? `y${w.slice(1)}` : w;
+}
+
+/**
+ * Splits text into search terms: lowercase words (ids split at "_", "-" and "."), without
+ * stop words, stemmed
+ * @param {string} text - Text
+ * @returns {Array<{term: string, word: string}>} Terms, with the words they come from
+ */
+export function tokenize(text) {
+  return String(text ?? '').toLowerCase().split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(word => ({ term: stemWord(word), word }));
+}
+
+/**
+ * Extracts the searchable fields of a prompt version
+ * @param {string} id - Prompt id
+ * @param {object} versionData - Prompt version data
+ * @returns {object} Text of each field in FIELD_BOOSTS
+ */
+function getSearchFields(id, versionData) {
+  return {
+    id,
+    tags: (versionData.tags || []).join(' '),
+    description: versionData.description,
+    category: versionData.category,
+    template: getPromptText(versionData)
+  };
+}
+
+/**
+ * Hashes a registry entry, to tell whether its document is up to date
+ * @param {object} promptEntry - Registry entry ({latest, versions})
+ * @returns {string} Hash
+ */
+function hashEntry(promptEntry) {
+  return crypto.createHash('sha1').update(JSON.stringify(promptEntry)).digest('base64');
+}
+
+/**
+ * Creates a search index for one collection of prompts
+ * @param {object|null} data - Index to restore, as returned by its toJSON() (empty if omitted)
+ * @returns {object} Search index
+ */
+export function createSearchIndex(data = null) {
+  // Documents ({hash, fields: {[field]: {terms: Map<term, count>, length}}}) keyed by prompt id
+  const documents = new Map();
+  // Inverted index: prompt ids containing each term, in any field
+  const postings = new Map();
+  // Total number of terms in each field, for average field lengths
+  const fieldLengths = Object.fromEntries(Object.keys(FIELD_BOOSTS).map(field => [field, 0]));
+  // Words of the FUZZY_FIELDS, with the number of prompts using each, for fuzzy queries
+  const vocabulary = new Map();
+
+  if (data) {
+    for (const [id, { hash, fields, words }] of data.documents) {
+      const restored = {};
+      for (const [field, { terms, length }] of Object.entries(fields)) {
+        restored[field] = { terms: new Map(terms), length };
+      }
+      documents.set(id, { hash, fields: restored, words: new Set(words) });
+    }
+    for (const [term, ids] of data.postings) {
+      postings.set(term, new Set(ids));
+    }
+    for (const [word, count] of data.vocabulary) {
+      vocabulary.set(word, count);
+    }
+    Object.assign(fieldLengths, data.fieldLengths);
+  }
+
+  /**
+   * Removes a prompt from the index
+   * @param {string} id - Prompt id
+   * @returns {boolean} True if it was indexed
+   */
+  function removePrompt(id) {
+    const doc = documents.get(id);
+    if (!doc) {
+      return false;
+    }
+    documents.delete(id);
+    for (const word of doc.words) {
+      const count = vocabulary.get(word) - 1;
+      if (count === 0) {
+        vocabulary.delete(word);
+      } else {
+        vocabulary.set(word, count);
+      }
+    }
+    for (const [field, { terms, length }] of Object.entries(doc.fields)) {
+      fieldLengths[field] -= length;
+      for (const term of terms.keys()) {
+        const ids = postings.get(term);
+        if (ids) {
+          ids.delete(id);
+          if (ids.size === 0) {
+            postings.delete(term);
+          }
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Indexes a prompt's default version, unless its entry did not change
+   * @param {string} id - Prompt id
+   * @param {object} promptEntry - Registry entry ({latest, versions})
+   * @param {string} hash - Hash of the entry, if the caller already computed it
+   * @returns {boolean} True if the prompt was (re)indexed or removed
+   */
+  function updatePrompt(id, promptEntry, hash = hashEntry(promptEntry)) {
+    const existing = documents.get(id);
+    if (existing && existing.hash === hash) {
+      return false;
+    }
+    removePrompt(id);
+
+    // Prompts without a resolvable version (all yanked) are not searchable
+    const version = resolvePromptVersion(promptEntry);
+    if (!version) {
+      return Boolean(existing);
+    }
+
+    const fields = {};
+    const words = new Set();
+    for (const [field, text] of Object.entries(getSearchFields(id, promptEntry.versions[version]))) {
+      const terms = new Map();
+      const tokens = tokenize(text);
+      for (const { term, word } of tokens) {
+        if (FUZZY_FIELDS.includes(field)) {
+          words.add(word);
+        }
+        terms.set(term, (terms.get(term) || 0) + 1);
+        if (!postings.has(term)) {
+          postings.set(term, new Set());
+        }
+        postings.get(term).add(id);
+      }
+      fields[field] = { terms, length: tokens.length };
+      fieldLengths[field] += tokens.length;
+    }
+    for (const word of words) {
+      vocabulary.set(word, (vocabulary.get(word) || 0) + 1);
+    }
+    documents.set(id, { hash, fields, words });
+    return true;
+  }
+
+  /**
+   * Brings the index up to date with a collection of prompts
+   * @param {object} prompts - Registry entries keyed by prompt id
+   * @param {object} options - Options ({checkHashes}: false to only index prompts the index
+   *   does not have, when the caller reports changes with updatePrompt())
+   * @returns {{indexed: number, removed: number}} Numbers of prompts indexed and removed
+   */
+  function updatePrompts(prompts, options = {}) {
+    const result = { indexed: 0, removed: 0 };
+    for (const [id, promptEntry] of Object.entries(prompts)) {
+      if ((options.checkHashes !== false || !documents.has(id)) && updatePrompt(id, promptEntry)) {
+        result.indexed++;
+      }
+    }
+    for (const id of [...documents.keys()]) {
+      if (!Object.prototype.hasOwnProperty.call(prompts, id)) {
+        removePrompt(id);
+        result.removed++;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Finds the indexed terms a query word not in the index may be a typo of
+   * @param {string} queryWord - Query word (lowercase)
+   * @returns {Map<string, number>} Terms of the closest words, with their similarity to the query word
+   */
+  function expandWord(queryWord) {
+    const maxEdits = getMaxEdits(queryWord);
+    const expansions = new Map();
+    if (maxEdits === 0) {
+      return expansions;
+    }
+    for (const word of vocabulary.keys()) {
+      if (Math.abs(word.length - queryWord.length) > maxEdits) {
+        continue;
+      }
+      const similarity = wordSimilarity(queryWord, word);
+      const term = stemWord(word);
+      if (similarity > 0 && similarity > (expansions.get(term) || 0)) {
+        expansions.set(term, similarity);
+      }
+    }
+    return expansions;
+  }
+
+  /**
+   * Ranks the indexed prompts for a query with BM25
+   * @param {string} text - Query text
+   * @param {object} options - Options ({fuzzy}: true to match query words that are not in the
+   *   index against similar words of ids, tags and descriptions)
+   * @returns {Array<{id: string, score: number, matches: Array<{field: string, terms: string[], score: number}>}>}
+   *   Matching prompts, best first, with the query words each field matched and its share of the score
+   */
+  function query(text, options = {}) {
+    // Terms to look up, with the query word each stands for and the weight of its matches
+    const lookups = new Map();
+    for (const { term, word } of tokenize(text)) {
+      if (postings.has(term) || !options.fuzzy) {
+        if (!lookups.has(term)) {
+          lookups.set(term, { word, weight: 1 });
+        }
+        continue;
+      }
+      for (const [expansion, similarity] of expandWord(word)) {
+        if (!lookups.has(expansion) || lookups.get(expansion).weight < similarity) {
+          lookups.set(expansion, { word, weight: similarity });
+        }
+      }
+    }
+
+    const total = documents.size;
+    const scores = new Map();
+    for (const [term, { word, weight }] of lookups) {
+      const ids = postings.get(term);
+      if (!ids) {
+        continue;
+      }
+      const idf = weight * Math.log(1 + (total - ids.size + 0.5) / (ids.size + 0.5));
+
+      for (const id of ids) {
+        if (!scores.has(id)) {
+          scores.set(id, { id, score: 0, matches: {} });
+        }
+        const result = scores.get(id);
+        for (const [field, { terms, length }] of Object.entries(documents.get(id).fields)) {
+          const frequency = terms.get(term);
+          if (!frequency) {
+            continue;
+          }
+          const averageLength = fieldLengths[field] / total || 1;
+          const score = FIELD_BOOSTS[field] * idf * frequency * (BM25_K1 + 1) /
+            (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+          result.score += score;
+          result.matches[field] = result.matches[field] || { field, terms: [], score: 0 };
+          if (!result.matches[field].terms.includes(word)) {
+            result.matches[field].terms.push(word);
+          }
+          result.matches[field].score += score;
+        }
+      }
+    }
+
+    return [...scores.values()]
+      .map(result => ({ ...result, matches: Object.values(result.matches).sort((a, b) => b.score - a.score) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Lists the index's documents and tables as JSON-compatible data, to be saved and restored
+   * with createSearchIndex()
+   * @returns {{documents: Array, postings: Array, vocabulary: Array, fieldLengths: object}} Index data
+   */
+  function toJSON() {
+    return {
+      documents: [...documents].map(([id, { hash, fields, words }]) => [id, {
+        hash,
+        fields: Object.fromEntries(Object.entries(fields).map(([field, { terms, length }]) => [field, { terms: [...terms], length }])),
+        words: [...words]
+      }]),
+      postings: [...postings].map(([term, ids]) => [term, [...ids]]),
+      vocabulary: [...vocabulary],
+      fieldLengths: { ...fieldLengths }
+    };
+  }
+
+  return {
+    updatePrompt,
+    removePrompt,
+    updatePrompts,
+    query,
+    toJSON,
+    has: id => documents.has(id),
+    get size() {
+      return documents.size;
+    }
+  };
+}
+
+// Search indexes of prompt collections, and whether their owner reports changes
+const collectionIndexes = new WeakMap();
+
+/**
+ * Gets the search index of a collection of prompts (built on first use) and brings it up to
+ * date. Collections passed to trackSearchIndex() are only checked for added and removed
+ * prompts; others are checked for changed entries too.
+ * @param {object} prompts - Registry entries keyed by prompt id
+ * @returns {object} Search index
+ */
+export function getSearchIndex(prompts) {
+  let cached = collectionIndexes.get(prompts);
+  if (!cached || !cached.index) {
+    cached = { tracked: Boolean(cached && cached.tracked), index: createSearchIndex() };
+    collectionIndexes.set(prompts, cached);
+    cached.index.updatePrompts(prompts);
+  } else {
+    cached.index.updatePrompts(prompts, { checkHashes: !cached.tracked });
+  }
+  return cached.index;
+}
+
+/**
+ * Marks a collection of prompts as one whose changes are reported with refreshSearchIndex(),
+ * so queries need not check every entry for changes
+ * @param {object} prompts - Registry entries keyed by prompt id
+ */
+export function trackSearchIndex(prompts) {
+  const cached = collectionIndexes.get(prompts);
+  if (cached) {
+    cached.tracked = true;
+  } else {
+    collectionIndexes.set(prompts, { tracked: true, index: null });
+  }
+}
+
+/**
+ * Uses an existing search index (restored from a file, for example) for a collection of
+ * prompts whose changes are reported with refreshSearchIndex()
+ * @param {object} prompts - Registry entries keyed by prompt id
+ * @param {object} index - Search index
+ */
+export function attachSearchIndex(prompts, index) {
+  collectionIndexes.set(prompts, { tracked: true, index });
+}
+
+/**
+ * Moves the search index of a collection of prompts (if one was built) to the collection
+ * that replaces it, which is then brought up to date with refreshSearchIndex()
+ * @param {object} previous - Replaced registry entries keyed by prompt id
+ * @param {object} prompts - New registry entries keyed by prompt id
+ */
+export function moveSearchIndex(previous, prompts) {
+  const cached = collectionIndexes.get(previous);
+  if (cached && cached.index) {
+    collectionIndexes.set(prompts, { tracked: true, index: cached.index });
+    collectionIndexes.delete(previous);
+  }
+}
+
+/**
+ * Brings the search index of a collection of prompts up to date after it changed (if an
+ * index was built for it)
+ * @param {object} prompts - Registry entries keyed by prompt id
+ * @param {string[]|null} ids - Prompts that were added, changed or removed (all if omitted)
+ */
+export function refreshSearchIndex(prompts, ids = null) {
+  const cached = collectionIndexes.get(prompts);
+  if (!cached || !cached.index) {
+    return;
+  }
+  if (!ids) {
+    cached.index.updatePrompts(prompts);
+    return;
+  }
+  for (const id of ids) {
+    if (Object.prototype.hasOwnProperty.call(prompts, id)) {
+      cached.index.updatePrompt(id, prompts[id]);
+    } else {
+      cached.index.removePrompt(id);
+    }
+  }
+}
+
+export default {
+  STOP_WORDS,
+  FIELD_BOOSTS,
+  stemWord,
+  tokenize,
+  createSearchIndex,
+  getSearchIndex,
+  trackSearchIndex,
+  attachSearchIndex,
+  moveSearchIndex,
+  refreshSearchIndex
+};
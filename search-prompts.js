@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt Template Registry - Search CLI Tool
+ *
+ * Searches the registry from the command line, with ranked and typo-tolerant results
+ * Usage: node search-prompts.js <search|show> [options]
+ */
+
+import { search, getHistory } from './index.mjs';
+
+// CLI Tool Version
+const CLI_VERSION = '1.0.0';
+
+/**
+ * Prints usage information
+ */
+function printUsage() {
+  console.log(`
+Prompt Template Registry Search Tool v${CLI_VERSION}
+Usage: node search-prompts.js <command> [options]
+
+Commands:
+  search <query>         List the prompts matching a query, best first. Queries can
+                         filter with tag:, category:, id:, author:, var:, vars<=n,
+                         length<n, model:, version:<range> and is:deprecated, combined
+                         with OR, NOT/-, parentheses and commas
+  show <id>              Show a prompt's versions (suggests ids close to a mistyped one)
+
+Options:
+  --fuzzy                Tolerate typos in the query (used anyway when nothing matches exactly)
+  --limit <n>            Maximum number of results (default: 10)
+  --offset <n>           Skip the first n results
+  --sort <order>         relevance (default), id, updated or quality
+  --facets               Also count the categories, tags, models and authors of all results
+  --include-deprecated   Include deprecated prompts
+  --strict               Report a malformed query instead of searching its words as plain text
+  --json                 Print JSON
+  -h, --help             Show this help message
+  -v, --version          Show version information
+
+Examples:
+  node search-prompts.js search "generate sql queries"
+  node search-prompts.js search sumarize --fuzzy
+  node search-prompts.js search "tag:sql OR tag:database, vars<=2, -is:deprecated"
+  node search-prompts.js search generate --sort quality --facets
+  node search-prompts.js show sql_query_genration
+`);
+}
+
+/**
+ * Reads the value of a "--name value" option
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name
+ * @param {string} defaultValue - Value if the option is absent
+ * @returns {string} Option value
+ */
+function getOption(args, name, defaultValue) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : defaultValue;
+}
+
+/**
+ * Formats a search result as one line
+ * @param {object} result - Search result
+ * @param {number} rank - Position in the results (from 1)
+ * @returns {string} Line
+ */
+function formatResult(result, rank) {
+  const matched = result.matches && result.matches.length > 0 ? ` (matched ${result.matches.map(match => match.field).join(', ')})` : '';
+  const deprecated = result.deprecated ? ' [deprecated]' : '';
+  return `${String(rank).padStart(3)}. ${result.id}@${result.version}${deprecated} - ${result.description}${matched}`;
+}
+
+// Facet values shown per line
+const MAX_FACET_VALUES = 10;
+
+/**
+ * Formats the most frequent values of a facet as one line
+ * @param {Array<{value: string, count: number}>} values - Facet values, most frequent first
+ * @returns {string} Line ("development (6), content (4)")
+ */
+function formatFacet(values) {
+  const shown = values.slice(0, MAX_FACET_VALUES).map(({ value, count }) => `${value} (${count})`);
+  if (values.length > MAX_FACET_VALUES) {
+    shown.push(`${values.length - MAX_FACET_VALUES} more`);
+  }
+  return shown.join(', ') || '-';
+}
+
+/**
+ * Main CLI function
+ */
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('-h') || args.includes('--help')) {
+    printUsage();
+    process.exit(0);
+  }
+
+  if (args.includes('-v') || args.includes('--version')) {
+    console.log(`search-prompts.js v${CLI_VERSION}`);
+    process.exit(0);
+  }
+
+  // Query words may start with "-" (negations such as -is:deprecated), so only known options are taken out
+  const options = ['--fuzzy', '--limit', '--offset', '--sort', '--facets', '--include-deprecated', '--strict', '--json'];
+  const valueOptions = ['--limit', '--offset', '--sort'];
+  const [command, ...words] = args.filter((arg, i) => !options.includes(arg) && !valueOptions.includes(args[i - 1]));
+  const json = args.includes('--json');
+
+  switch (command) {
+    case 'search': {
+      const query = words.join(' ');
+      if (!query) {
+        console.error('Error: search requires a query');
+        process.exit(1);
+      }
+      const offset = parseInt(getOption(args, '--offset', '0'), 10);
+      const searchOptions = {
+        fuzzy: args.includes('--fuzzy'),
+        includeDeprecated: args.includes('--include-deprecated'),
+        strict: args.includes('--strict'),
+        paginate: true,
+        limit: parseInt(getOption(args, '--limit', '10'), 10),
+        offset,
+        sort: getOption(args, '--sort', 'relevance')
+      };
+      const facets = args.includes('--facets');
+
+      // With no exact matches, show the prompts the query may have been a typo of
+      let page = search(query, searchOptions);
+      const fuzzyFallback = page.total === 0 && !searchOptions.fuzzy;
+      if (fuzzyFallback) {
+        page = search(query, { ...searchOptions, fuzzy: true });
+      }
+
+      if (json) {
+        console.log(JSON.stringify(facets ? page : page.results, null, 2));
+        break;
+      }
+      if (page.total === 0) {
+        console.log(`No prompts match "${query}"`);
+        break;
+      }
+      if (fuzzyFallback) {
+        console.log(`No exact matches for "${query}". Closest prompts:`);
+      }
+      page.results.forEach((result, i) => console.log(formatResult(result, offset + i + 1)));
+      if (page.cursor) {
+        console.log(`  ... ${page.total - offset - page.results.length} more (--offset ${offset + page.results.length})`);
+      }
+      if (facets) {
+        console.log(`\nCategories: ${formatFacet(page.facets.category)}`);
+        console.log(`Tags: ${formatFacet(page.facets.tags)}`);
+        console.log(`Models: ${formatFacet(page.facets.models)}`);
+        console.log(`Authors: ${formatFacet(page.facets.authors)}`);
+      }
+      break;
+    }
+
+    case 'show': {
+      const [id] = words;
+      if (!id) {
+        console.error('Error: show requires a prompt id');
+        process.exit(1);
+      }
+      const history = getHistory(id);
+      if (json) {
+        console.log(JSON.stringify(history, null, 2));
+        break;
+      }
+      console.log(`${id}:`);
+      for (const entry of history) {
+        const labels = [entry.latest && 'latest', entry.deprecated && 'deprecated', entry.yanked && 'yanked'].filter(Boolean);
+        console.log(`  ${entry.version}${labels.length > 0 ? ` (${labels.join(', ')})` : ''}: ${entry.changelog.join('; ')}`);
+      }
+      break;
+    }
+
+    default:
+      console.error(`Error: Unknown command "${command}"`);
+      printUsage();
+      process.exit(1);
+  }
+}
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
+
+// Run the CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
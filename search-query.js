@@ -0,0 +1,553 @@
+/**
+ * Prompt Template Registry - Search Query Language
+ *
+ * Parses search strings such as
+ *
+ *   tag:sql OR tag:database, category:development, vars<=2, -is:deprecated
+ *
+ * into a filter tree that search(), advancedFilter(), the search CLI and the playground
+ * share, and tests prompt versions against it.
+ *
+ *   word, "quoted phrase"   Text in the id, description, category, tags or template
+ *   tag:sql                 Has the tag
+ *   category:development    Is in the category (cat: for short)
+ *   id:sql                  Id contains the text (id=sql_query_generation for the exact id)
+ *   author:alice            Author contains the text
+ *   var:code                Template uses the variable
+ *   vars<=2, vars:3         Number of template expressions ({{...}}), compared with a number
+ *   length<500              Template length in characters
+ *   model:claude            Has a variant for the model, or for its family
+ *   version:>=2, version:^1 Version satisfies a range
+ *   is:deprecated           Is deprecated (is:yanked: is yanked)
+ *
+ * Terms separated by spaces or AND must all match; OR (or |) matches either side and binds
+ * looser than AND. Commas separate clauses that must all match and bind loosest, so the query
+ * above is (tag:sql OR tag:database) AND ... NOT, - or ! negates a term, and parentheses group
+ * terms. AND, OR and NOT are recognized in any case, and a negated "deprecated" or "yanked"
+ * ("not deprecated") means -is:deprecated. Values can be quoted (tag:"machine learning").
+ * Words with an unknown field prefix are plain text.
+ *
+ * Filter nodes are {type: 'and'|'or', children}, {type: 'not', child},
+ * {type: 'text', value, phrase} and {type: 'field', field, operator, value}.
+ */
+
+import { satisfies, isValidRange } from './semver.js';
+import { extractTemplateVariables } from './template-engine.js';
+import { getPromptText, listPromptTemplates } from './messages.js';
+import { getModelCategory } from './multi-llm-variants.js';
+
+// Fields of field terms, with the aliases they can be written as
+const FIELD_ALIASES = {
+  tag: 'tag', tags: 'tag',
+  category: 'category', cat: 'category',
+  id: 'id',
+  author: 'author',
+  var: 'var', variable: 'var',
+  vars: 'vars', variables: 'vars',
+  length: 'length', len: 'length',
+  model: 'model',
+  version: 'version',
+  is: 'is'
+};
+
+// Fields compared with a number
+const NUMERIC_FIELDS = ['vars', 'length'];
+
+// Values of is: terms
+const STATUS_VALUES = ['deprecated', 'yanked'];
+
+// Comparison operators, longest first
+const COMPARISONS = ['<=', '>=', '<', '>', '='];
+
+/**
+ * Error thrown for search strings that do not parse
+ */
+export class SearchQueryError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'SearchQueryError';
+    this.details = details;
+  }
+}
+
+/**
+ * Reads a quoted string
+ * @param {string} query - Search string
+ * @param {number} start - Position of the opening quote
+ * @returns {{value: string, end: number}} Unescaped text and the position after the closing quote
+ * @throws {SearchQueryError} If the quote is not closed
+ */
+function readQuoted(query, start) {
+  let value = '';
+  for (let i = start + 1; i < query.length; i++) {
+    if (query[i] === '\\' && i + 1 < query.length) {
+      value += query[++i];
+    } else if (query[i] === '"') {
+      return { value, end: i + 1 };
+    } else {
+      value += query[i];
+    }
+  }
+  throw new SearchQueryError(`Unterminated quote at position ${start}`, { query, position: start });
+}
+
+/**
+ * Builds the node of a field term
+ * @param {string} field - Field name
+ * @param {string} operator - ":" or a comparison
+ * @param {string} value - Value as written
+ * @param {object} details - Error details ({query, position})
+ * @returns {object} Field node
+ * @throws {SearchQueryError} If the value does not suit the field
+ */
+function createFieldNode(field, operator, value, details) {
+  // "vars:<=2" and "version:>=2" compare like "vars<=2"
+  const comparison = operator === ':' ? COMPARISONS.find(candidate => value.startsWith(candidate)) : null;
+  if (comparison && field !== 'version') {
+    [operator, value] = [comparison, value.slice(comparison.length)];
+  }
+
+  if (value === '') {
+    throw new SearchQueryError(`Missing value for "${field}" at position ${details.position}`, details);
+  }
+  if (NUMERIC_FIELDS.includes(field)) {
+    if (!/^\d+$/.test(value)) {
+      throw new SearchQueryError(`"${field}" needs a number, not "${value}"`, details);
+    }
+    return { type: 'field', field, operator: operator === ':' ? '=' : operator, value: Number(value) };
+  }
+  if (field === 'version') {
+    const range = operator === ':' ? value : `${operator === '=' ? '' : operator}${value}`;
+    if (!isValidRange(range)) {
+      throw new SearchQueryError(`Invalid version range "${range}"`, details);
+    }
+    return { type: 'field', field, operator: ':', value: range };
+  }
+  if (field === 'is' && !STATUS_VALUES.includes(value.toLowerCase())) {
+    throw new SearchQueryError(`Unknown status "is:${value}" (expected ${STATUS_VALUES.map(status => `is:${status}`).join(' or ')})`, details);
+  }
+  if (operator !== ':' && operator !== '=') {
+    throw new SearchQueryError(`"${field}" cannot be compared with "${operator}"`, details);
+  }
+  // Only ids tell "id=" (exact) from "id:" (contains)
+  return { type: 'field', field, operator: field === 'id' ? operator : ':', value };
+}
+
+/**
+ * Splits a search string into tokens: parentheses, operators and terms
+ * @param {string} query - Search string
+ * @returns {Array<{type: string, text: string, position: number, node?: object}>} Tokens
+ * @throws {SearchQueryError} If a quote is not closed or a field value is invalid
+ */
+function tokenizeQuery(query) {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    const char = query[i];
+    const position = i;
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, text: char, position });
+      i++;
+    } else if (char === ',') {
+      tokens.push({ type: ',', text: char, position });
+      i++;
+    } else if (char === '|') {
+      const text = query[i + 1] === '|' ? '||' : '|';
+      tokens.push({ type: 'or', text, position });
+      i += text.length;
+    } else if ((char === '-' || char === '!') && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+      tokens.push({ type: 'not', text: char, position });
+      i++;
+    } else if (char === '"') {
+      const { value, end } = readQuoted(query, i);
+      tokens.push({ type: 'term', text: query.slice(i, end), position, node: { type: 'text', value, phrase: true } });
+      i = end;
+    } else {
+      // A word ends at whitespace, a parenthesis, a comma or a pipe; field values may be quoted
+      let end = i;
+      while (end < query.length && !/[\s(),|"]/.test(query[end])) {
+        end++;
+      }
+      const word = query.slice(i, end);
+      const field = /^([a-z]+)(:|<=|>=|<|>|=)(.*)$/i.exec(word);
+      const fieldName = field && FIELD_ALIASES[field[1].toLowerCase()];
+
+      if (fieldName) {
+        let value = field[3];
+        if (value === '' && query[end] === '"') {
+          const quoted = readQuoted(query, end);
+          [value, end] = [quoted.value, quoted.end];
+        }
+        tokens.push({ type: 'term', text: query.slice(i, end), position, node: createFieldNode(fieldName, field[2], value, { query, position }) });
+      } else if (['and', 'or', 'not'].includes(word.toLowerCase())) {
+        tokens.push({ type: word.toLowerCase(), text: word, position });
+      } else {
+        tokens.push({ type: 'term', text: word, position, node: { type: 'text', value: word, phrase: false } });
+      }
+      i = end;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parses a search string into a filter tree
+ * @param {string} query - Search string
+ * @returns {object|null} Filter tree, or null for an empty search string (matches every prompt)
+ * @throws {SearchQueryError} If the search string is malformed
+ */
+export function parseSearchQuery(query) {
+  const tokens = tokenizeQuery(String(query ?? ''));
+  let next = 0;
+
+  const peek = () => tokens[next];
+  const fail = (message, token) => {
+    const position = token ? token.position : query.length;
+    throw new SearchQueryError(`${message} at position ${position}`, { query, position });
+  };
+
+  /**
+   * Combines nodes under an operator, unless there is only one
+   * @param {string} type - 'and' or 'or'
+   * @param {Array<object>} children - Nodes
+   * @returns {object} Node
+   */
+  function combine(type, children) {
+    return children.length === 1 ? children[0] : { type, children };
+  }
+
+  function parseClauses() {
+    const children = [parseOr()];
+    while (peek() && peek().type === ',') {
+      next++;
+      children.push(parseOr());
+    }
+    return combine('and', children);
+  }
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      next++;
+      children.push(parseAnd());
+    }
+    return combine('or', children);
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (peek() && ![')', 'or', ','].includes(peek().type)) {
+      if (peek().type === 'and') {
+        next++;
+      }
+      children.push(parseUnary());
+    }
+    return combine('and', children);
+  }
+
+  function parseUnary() {
+    if (peek() && peek().type === 'not') {
+      next++;
+      const child = parseUnary();
+      // "not deprecated" reads as -is:deprecated
+      if (child.type === 'text' && !child.phrase && STATUS_VALUES.includes(child.value.toLowerCase())) {
+        return { type: 'not', child: { type: 'field', field: 'is', operator: ':', value: child.value.toLowerCase() } };
+      }
+      return { type: 'not', child };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[next++];
+    if (token && token.type === 'term') {
+      return token.node;
+    }
+    if (token && token.type === '(') {
+      const node = parseClauses();
+      if (!peek() || peek().type !== ')') {
+        fail('Missing ")"', peek());
+      }
+      next++;
+      return node;
+    }
+    return fail(token ? `Unexpected "${token.text}"` : 'Missing search term', token);
+  }
+
+  if (tokens.length === 0) {
+    return null;
+  }
+  const tree = parseClauses();
+  if (next < tokens.length) {
+    fail(`Unexpected "${peek().text}"`, peek());
+  }
+  return tree;
+}
+
+/**
+ * Builds the filter tree of a filter object, as accepted by search() and advancedFilter()
+ * @param {object} filters - Filters ({category, tags, id, minVariables, maxVariables, minLength, maxLength})
+ * @returns {object|null} Filter tree requiring every filter, or null without filters
+ */
+export function filtersToSearchQuery(filters = {}) {
+  const children = [];
+  if (filters.category) {
+    children.push({ type: 'field', field: 'category', operator: ':', value: filters.category });
+  }
+  for (const tag of Array.isArray(filters.tags) ? filters.tags : []) {
+    children.push({ type: 'field', field: 'tag', operator: ':', value: tag });
+  }
+  if (filters.id) {
+    children.push({ type: 'field', field: 'id', operator: '=', value: filters.id });
+  }
+  for (const [key, field, operator] of [['minVariables', 'vars', '>='], ['maxVariables', 'vars', '<='], ['minLength', 'length', '>='], ['maxLength', 'length', '<=']]) {
+    if (filters[key] !== undefined) {
+      children.push({ type: 'field', field, operator, value: filters[key] });
+    }
+  }
+  if (children.length === 0) {
+    return null;
+  }
+  return children.length === 1 ? children[0] : { type: 'and', children };
+}
+
+/**
+ * Tells whether a filter tree needs the query language, rather than being plain free text
+ * (words only, which search() ranks as before)
+ * @param {object|null} node - Filter tree
+ * @returns {boolean} True if it has field terms, phrases, OR or NOT
+ */
+export function isStructuredQuery(node) {
+  if (!node) {
+    return false;
+  }
+  if (node.type === 'and') {
+    return node.children.some(isStructuredQuery);
+  }
+  return !(node.type === 'text' && !node.phrase);
+}
+
+/**
+ * Lists the free text a filter tree looks for, for ranking matches (text under NOT is left out)
+ * @param {object|null} node - Filter tree
+ * @returns {string[]} Words and phrases
+ */
+export function getQueryText(node) {
+  if (!node || node.type === 'not' || node.type === 'field') {
+    return [];
+  }
+  if (node.type === 'text') {
+    return [node.value];
+  }
+  return node.children.flatMap(getQueryText);
+}
+
+/**
+ * Tells whether a filter tree has a term on a field (and value)
+ * @param {object|null} node - Filter tree
+ * @param {string} field - Field name
+ * @param {string} value - Value (any if omitted)
+ * @returns {boolean} True if some term tests the field
+ */
+export function hasQueryField(node, field, value) {
+  if (!node || node.type === 'text') {
+    return false;
+  }
+  if (node.type === 'field') {
+    return node.field === field && (value === undefined || String(node.value).toLowerCase() === value);
+  }
+  if (node.type === 'not') {
+    return hasQueryField(node.child, field, value);
+  }
+  return node.children.some(child => hasQueryField(child, field, value));
+}
+
+/**
+ * Counts the {{...}} expressions of a prompt version's template
+ * @param {object} versionData - Prompt version data
+ * @returns {number} Number of template expressions
+ */
+export function countTemplateVariables(versionData) {
+  return (getPromptText(versionData).match(/\{\{([^}]+)\}\}/g) || []).length;
+}
+
+/**
+ * Creates what filter trees are tested against: a prompt version, whose derived fields
+ * (template, variables, length) are computed on first use
+ * @param {string} id - Prompt id
+ * @param {object} versionData - Prompt version data
+ * @param {object} precomputed - Derived fields known already ({length, variables}), e.g. from an index
+ * @returns {object} Query target
+ */
+export function createQueryTarget(id, versionData, precomputed = {}) {
+  const cache = { ...precomputed };
+  const lazy = (key, compute) => () => {
+    if (!(key in cache)) {
+      cache[key] = compute();
+    }
+    return cache[key];
+  };
+
+  const target = {
+    id,
+    versionData,
+    getTemplate: lazy('template', () => getPromptText(versionData)),
+    getLength: lazy('length', () => target.getTemplate().length),
+    getVariables: lazy('variables', () => countTemplateVariables(versionData)),
+    getVariableNames: lazy('variableNames', () => {
+      try {
+        return new Set(listPromptTemplates(versionData).flatMap(extractTemplateVariables));
+      } catch (error) {
+        // Templates that do not parse use no variables the query can name
+        return new Set();
+      }
+    }),
+    getSearchText: lazy('searchText', () =>
+      [id, versionData.description, versionData.category, ...(versionData.tags || []), target.getTemplate()]
+        .map(field => String(field ?? '').toLowerCase()))
+  };
+  return target;
+}
+
+/**
+ * Tests free text against a prompt: the text must appear in its id, description, category,
+ * tags or template (any case)
+ * @param {object} node - Text node
+ * @param {object} target - Query target (see createQueryTarget())
+ * @returns {boolean} True if the prompt contains the text
+ */
+export function matchQueryText(node, target) {
+  const text = node.value.toLowerCase();
+  return target.getSearchText().some(field => field.includes(text));
+}
+
+/**
+ * Compares two numbers
+ * @param {number} actual - Value of the prompt
+ * @param {string} operator - Comparison
+ * @param {number} expected - Value of the query
+ * @returns {boolean} Result of the comparison
+ */
+function compareNumbers(actual, operator, expected) {
+  switch (operator) {
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    default: return actual === expected;
+  }
+}
+
+/**
+ * Tells whether a prompt version has a variant for a model, or for the model's family
+ * (model:claude matches a "claude-3-opus" variant and model:claude-3-opus a "claude" one)
+ * @param {object} versionData - Prompt version data
+ * @param {string} model - Model or family name
+ * @returns {boolean} True if a variant targets the model
+ */
+function hasModelVariant(versionData, model) {
+  const wanted = model.toLowerCase();
+  return Object.keys(versionData.variants || {}).some(variant => {
+    const name = variant.toLowerCase();
+    return name === wanted || name === getModelCategory(wanted) || getModelCategory(name) === wanted;
+  });
+}
+
+/**
+ * Tests a field term against a prompt
+ * @param {object} node - Field node
+ * @param {object} target - Query target
+ * @returns {boolean} True if the prompt matches the term
+ */
+function matchField(node, target) {
+  const { versionData } = target;
+  const value = String(node.value).toLowerCase();
+  switch (node.field) {
+    case 'tag':
+      return (versionData.tags || []).some(tag => tag.toLowerCase() === value);
+    case 'category':
+      return String(versionData.category ?? '').toLowerCase() === value;
+    case 'id':
+      return node.operator === '=' ? target.id.toLowerCase() === value : target.id.toLowerCase().includes(value);
+    case 'author':
+      return String(versionData.author ?? '').toLowerCase().includes(value);
+    case 'var':
+      return target.getVariableNames().has(node.value);
+    case 'vars':
+      return compareNumbers(target.getVariables(), node.operator, node.value);
+    case 'length':
+      return compareNumbers(target.getLength(), node.operator, node.value);
+    case 'model':
+      return hasModelVariant(versionData, node.value);
+    case 'version':
+      return satisfies(versionData.version, node.value);
+    case 'is':
+      return Boolean(versionData[value]);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Tests a prompt against a filter tree
+ * @param {object|null} node - Filter tree (null matches every prompt)
+ * @param {object} target - Query target (see createQueryTarget())
+ * @param {object} options - Options ({matchText}: tests text nodes instead of matchQueryText())
+ * @returns {boolean} True if the prompt matches
+ */
+export function matchesSearchQuery(node, target, options = {}) {
+  if (!node) {
+    return true;
+  }
+  switch (node.type) {
+    case 'and':
+      return node.children.every(child => matchesSearchQuery(child, target, options));
+    case 'or':
+      return node.children.some(child => matchesSearchQuery(child, target, options));
+    case 'not':
+      return !matchesSearchQuery(node.child, target, options);
+    case 'text':
+      return (options.matchText || matchQueryText)(node, target);
+    default:
+      return matchField(node, target);
+  }
+}
+
+/**
+ * Formats a filter tree as a search string, with parentheses showing how it was grouped
+ * @param {object|null} node - Filter tree
+ * @returns {string} Search string
+ */
+export function formatSearchQuery(node) {
+  if (!node) {
+    return '';
+  }
+  const quote = value => (/^[^\s(),|"]+$/.test(value) ? value : `"${value.replace(/["\\]/g, '\\$&')}"`);
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return `(${node.children.map(formatSearchQuery).join(node.type === 'or' ? ' OR ' : ' ')})`;
+    case 'not':
+      return `-${formatSearchQuery(node.child)}`;
+    case 'text':
+      return node.phrase ? `"${node.value.replace(/["\\]/g, '\\$&')}"` : node.value;
+    default:
+      return `${node.field}${node.operator}${NUMERIC_FIELDS.includes(node.field) ? node.value : quote(String(node.value))}`;
+  }
+}
+
+export default {
+  SearchQueryError,
+  parseSearchQuery,
+  filtersToSearchQuery,
+  isStructuredQuery,
+  getQueryText,
+  hasQueryField,
+  countTemplateVariables,
+  createQueryTarget,
+  matchQueryText,
+  matchesSearchQuery,
+  formatSearchQuery
+};
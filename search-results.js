@@ -0,0 +1,204 @@
+/**
+ * Prompt Template Registry - Search Result Pages
+ *
+ * Sorts search results, counts their facets (categories, tags, models with a variant and
+ * authors) and cuts them into pages, so prompt browsers can show "development (42),
+ * content (17)" next to a page of results without scanning the registry themselves.
+ *
+ * Pages are requested by offset or with the opaque cursor of the previous page. A cursor
+ * holds the next offset, the sort order and a hash of the search, and is rejected by any
+ * other search.
+ */
+
+import { calculateQualityScore } from './quality-analysis.js';
+import { listPromptVariants } from './multi-llm-variants.js';
+import { SearchQueryError } from './search-query.js';
+
+// Sort orders: best match first, by id, most recently released first, best quality first
+export const SEARCH_SORTS = ['relevance', 'id', 'updated', 'quality'];
+
+// Results per page
+export const DEFAULT_PAGE_SIZE = 20;
+
+// Options that choose a page of a search rather than its results
+const PAGE_OPTIONS = ['paginate', 'limit', 'offset', 'cursor', 'sort'];
+
+// Quality scores of prompt versions, computed once per version object
+const qualityScores = new WeakMap();
+
+/**
+ * Gets the quality score of a prompt version (see quality-analysis.js)
+ * @param {object} versionData - Prompt version data
+ * @returns {number} Score from 0 to 100
+ */
+function getQualityScore(versionData) {
+  if (!qualityScores.has(versionData)) {
+    qualityScores.set(versionData, calculateQualityScore(versionData).score);
+  }
+  return qualityScores.get(versionData);
+}
+
+/**
+ * Gets the release time of a prompt version
+ * @param {object} versionData - Prompt version data
+ * @returns {number} Milliseconds since the epoch, or -Infinity if undated
+ */
+function getReleaseTime(versionData) {
+  const time = Date.parse(versionData.releasedAt || versionData.last_updated);
+  return isNaN(time) ? -Infinity : time;
+}
+
+/**
+ * Checks a sort order
+ * @param {string} sort - Sort order
+ * @returns {string} The sort order
+ * @throws {SearchQueryError} If it is not one of SEARCH_SORTS
+ */
+function checkSort(sort) {
+  if (!SEARCH_SORTS.includes(sort)) {
+    throw new SearchQueryError(`Unknown sort "${sort}" (expected ${SEARCH_SORTS.join(', ')})`, { sort });
+  }
+  return sort;
+}
+
+/**
+ * Sorts search hits. Ties keep their order for relevance and are sorted by id otherwise.
+ * @param {Array<{result: object, versionData: object}>} hits - Results with the version they matched
+ * @param {string} sort - One of SEARCH_SORTS (results without a score rank last for relevance)
+ * @returns {Array<{result: object, versionData: object}>} Sorted copy of the hits
+ * @throws {SearchQueryError} If the sort order is unknown
+ */
+export function sortSearchHits(hits, sort = 'relevance') {
+  const byId = (a, b) => a.result.id.localeCompare(b.result.id);
+  const compare = {
+    relevance: (a, b) => (b.result.score ?? 0) - (a.result.score ?? 0),
+    id: byId,
+    updated: (a, b) => getReleaseTime(b.versionData) - getReleaseTime(a.versionData) || byId(a, b),
+    quality: (a, b) => getQualityScore(b.versionData) - getQualityScore(a.versionData) || byId(a, b)
+  }[checkSort(sort)];
+  return [...hits].sort(compare);
+}
+
+/**
+ * Counts the categories, tags, models and authors of search hits
+ * @param {Array<{result: object, versionData: object}>} hits - Results with the version they matched
+ * @returns {{category: Array<{value: string, count: number}>, tags: Array<{value: string, count: number}>,
+ *   models: Array<{value: string, count: number}>, authors: Array<{value: string, count: number}>}}
+ *   Values of each facet, most frequent first
+ */
+export function countSearchFacets(hits) {
+  const counts = { category: new Map(), tags: new Map(), models: new Map(), authors: new Map() };
+  const count = (facet, values) => {
+    for (const value of new Set(values.filter(Boolean))) {
+      counts[facet].set(value, (counts[facet].get(value) || 0) + 1);
+    }
+  };
+
+  for (const { versionData } of hits) {
+    count('category', [versionData.category]);
+    count('tags', versionData.tags || []);
+    count('models', listPromptVariants(versionData));
+    count('authors', [versionData.author]);
+  }
+
+  const facets = {};
+  for (const [facet, values] of Object.entries(counts)) {
+    facets[facet] = [...values]
+      .map(([value, valueCount]) => ({ value, count: valueCount }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  }
+  return facets;
+}
+
+/**
+ * Hashes a search so a cursor can tell it belongs to it (FNV-1a)
+ * @param {string|object} query - Search string or filter object
+ * @param {object} options - Search options (page options are left out)
+ * @returns {string} Hash
+ */
+function hashSearch(query, options) {
+  const searchOptions = Object.fromEntries(Object.entries(options).filter(([key]) => !PAGE_OPTIONS.includes(key)));
+  const text = JSON.stringify([typeof query === 'string' ? query : null, searchOptions]);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+/**
+ * Encodes a page cursor
+ * @param {object} position - Position ({offset, sort, search}: offset, sort order and search hash)
+ * @returns {string} Cursor (URL-safe)
+ */
+function encodeCursor(position) {
+  return btoa(JSON.stringify(position)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a page cursor
+ * @param {string} cursor - Cursor
+ * @returns {{offset: number, sort: string, search: string}} Position
+ * @throws {SearchQueryError} If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(atob(String(cursor).replace(/-/g, '+').replace(/_/g, '/')));
+    if (Number.isInteger(position.offset) && position.offset >= 0 && SEARCH_SORTS.includes(position.sort)) {
+      return position;
+    }
+  } catch {
+    // Reported below
+  }
+  throw new SearchQueryError('Invalid search cursor', { cursor });
+}
+
+/**
+ * Cuts sorted search hits into a page, with the facets of all of them
+ * @param {Array<{result: object, versionData: object}>} hits - Results with the version they matched
+ * @param {string|object} query - Search string or filter object the hits were found with
+ * @param {object} options - Search options ({limit, offset, cursor, sort}: page size, default
+ *   DEFAULT_PAGE_SIZE, first result, or the cursor of the previous page, and sort order)
+ * @returns {{results: Array, total: number, facets: object, cursor: string|null}} Page, with the
+ *   cursor of the next page (null on the last page)
+ * @throws {SearchQueryError} If the sort order, limit or offset is invalid, or the cursor
+ *   is malformed or belongs to another search or sort order
+ */
+export function createSearchPage(hits, query, options = {}) {
+  const search = hashSearch(query, options);
+  let offset = options.offset ?? 0;
+  let sort = options.sort;
+  if (options.cursor) {
+    const position = decodeCursor(options.cursor);
+    if (position.search !== search || (sort && sort !== position.sort)) {
+      throw new SearchQueryError('The search cursor belongs to another search', { cursor: options.cursor });
+    }
+    ({ offset, sort } = position);
+  }
+  sort = checkSort(sort || 'relevance');
+
+  const limit = options.limit ?? DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new SearchQueryError(`Invalid page size "${limit}"`, { limit });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new SearchQueryError(`Invalid offset "${offset}"`, { offset });
+  }
+
+  const sorted = sortSearchHits(hits, sort);
+  const next = offset + limit;
+  return {
+    results: sorted.slice(offset, next).map(hit => hit.result),
+    total: hits.length,
+    facets: countSearchFacets(hits),
+    cursor: next < hits.length ? encodeCursor({ offset: next, sort, search }) : null
+  };
+}
+
+export default {
+  SEARCH_SORTS,
+  DEFAULT_PAGE_SIZE,
+  sortSearchHits,
+  countSearchFacets,
+  createSearchPage
+};
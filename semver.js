@@ -0,0 +1,332 @@
+/**
+ * Prompt Template Registry - Semantic Versioning
+ *
+ * Version parsing, comparison and npm-style range matching for prompt versions.
+ * This is the single implementation used across the registry, CLIs and validators.
+ *
+ * Supported ranges:
+ *   1.2.3        Exact version
+ *   ^1.2.3, ^1   Compatible with (same major, or same minor below 1.0.0)
+ *   ~1.2.3, ~1.2 Same minor version
+ *   1.x, 1.2.*   X-ranges ("*" or "" matches everything)
+ *   >=1.0.0 <2.0.0, >1, <=2.1
+ *   ^1 || ^2     Any of several ranges
+ *
+ * Pre-release versions (2.0.0-beta.1) sort before their release and, as in npm, only
+ * match a range that names a pre-release of the same major.minor.patch (">=2.0.0-beta")
+ * unless includePrerelease is set.
+ */
+
+const VERSION_PATTERN = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+
+/**
+ * Parses a version string into its parts
+ * @param {string} version - Version string (e.g. "1.2.3" or "2.0.0-beta.1")
+ * @returns {{major: number, minor: number, patch: number, prerelease: string[]}|null} Parsed version, or null if invalid
+ */
+export function parseVersion(version) {
+  const match = typeof version === 'string' && version.match(VERSION_PATTERN);
+  if (!match) return null;
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+/**
+ * Checks whether a string is a valid semantic version
+ * @param {string} version - Version string
+ * @returns {boolean} True if valid
+ */
+export function isValidVersion(version) {
+  return parseVersion(version) !== null;
+}
+
+/**
+ * Checks whether a version is a pre-release
+ * @param {string} version - Version string
+ * @returns {boolean} True if the version has a pre-release tag
+ */
+export function isPrerelease(version) {
+  const parsed = parseVersion(version);
+  return Boolean(parsed && parsed.prerelease.length > 0);
+}
+
+/**
+ * Compares pre-release identifiers (numeric identifiers sort before alphanumeric ones)
+ * @param {string[]} a - Identifiers of version A
+ * @param {string[]} b - Identifiers of version B
+ * @returns {number} -1, 0 or 1
+ */
+function comparePrerelease(a, b) {
+  // A release sorts after any of its pre-releases
+  if (a.length === 0 || b.length === 0) {
+    return a.length === b.length ? 0 : (a.length === 0 ? 1 : -1);
+  }
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    const aNumeric = /^\d+$/.test(a[i]);
+    const bNumeric = /^\d+$/.test(b[i]);
+    if (aNumeric && bNumeric) return Number(a[i]) > Number(b[i]) ? 1 : -1;
+    if (aNumeric !== bNumeric) return aNumeric ? -1 : 1;
+    return a[i] > b[i] ? 1 : -1;
+  }
+
+  return 0;
+}
+
+/**
+ * Compares semantic versions, including pre-release tags.
+ * Shorter versions such as "1.0" are compared as if padded with zeros.
+ * @param {string} a - Version string A
+ * @param {string} b - Version string B
+ * @returns {number} -1 if a < b, 0 if equal, 1 if a > b
+ */
+export function compareVersions(a, b) {
+  const [aCore, aPre = ''] = String(a).split('+')[0].split(/-(.*)/s);
+  const [bCore, bPre = ''] = String(b).split('+')[0].split(/-(.*)/s);
+  const aParts = aCore.replace(/^v/, '').split('.').map(Number);
+  const bParts = bCore.replace(/^v/, '').split('.').map(Number);
+
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+    const aPart = aParts[i] || 0;
+    const bPart = bParts[i] || 0;
+
+    if (aPart > bPart) return 1;
+    if (aPart < bPart) return -1;
+  }
+
+  return comparePrerelease(aPre ? aPre.split('.') : [], bPre ? bPre.split('.') : []);
+}
+
+/**
+ * Sorts versions in ascending order
+ * @param {string[]} versions - Version strings
+ * @returns {string[]} New sorted array
+ */
+export function sortVersions(versions) {
+  return [...versions].sort(compareVersions);
+}
+
+/**
+ * Parses a partial version such as "1", "1.2", "1.x", "1.2.3" or "1.2.3-beta.1"
+ * @param {string} source - Partial version
+ * @returns {Array} [major, minor, patch, prerelease] with null for wildcards
+ */
+function parsePartial(source) {
+  if (source === '' || source === '*' || source.toLowerCase() === 'x') {
+    return [null, null, null, ''];
+  }
+
+  const [core, prerelease = ''] = source.replace(/^v/, '').split('+')[0].split(/-(.*)/s);
+  const parts = core.split('.');
+  if (parts.length > 3 || (prerelease && parts.length !== 3)) {
+    throw new Error(`Invalid version range "${source}"`);
+  }
+  if (prerelease && !/^[0-9A-Za-z-]+(\.[0-9A-Za-z-]+)*$/.test(prerelease)) {
+    throw new Error(`Invalid version range "${source}"`);
+  }
+
+  const numbers = [0, 1, 2].map(i => {
+    const part = parts[i];
+    if (part === undefined || part === '*' || part.toLowerCase() === 'x') return null;
+    if (!/^\d+$/.test(part)) throw new Error(`Invalid version range "${source}"`);
+    return Number(part);
+  });
+
+  // Anything after a wildcard is a wildcard too ("1.x.3" means "1.x")
+  const wildcard = numbers.indexOf(null);
+  const partial = wildcard === -1 ? numbers : numbers.map((n, i) => (i >= wildcard ? null : n));
+  return [...partial, wildcard === -1 ? prerelease : ''];
+}
+
+/**
+ * Formats version parts as a comparator bound
+ * @param {number[]} parts - [major, minor, patch]
+ * @param {string} prerelease - Optional pre-release tag
+ * @returns {string} Version string
+ */
+function format(parts, prerelease = '') {
+  return parts.join('.') + (prerelease ? `-${prerelease}` : '');
+}
+
+/**
+ * Creates an exclusive upper bound. The "-0" suffix keeps pre-releases of the
+ * next version (2.0.0-beta) out of ranges such as ^1; the bound is marked implicit
+ * so it does not opt the range into pre-releases.
+ * @param {number[]} parts - [major, minor, patch]
+ * @returns {{operator: string, version: string, implicit: boolean}} Comparator
+ */
+function ceiling(parts) {
+  return { operator: '<', version: format(parts, '0'), implicit: true };
+}
+
+/**
+ * Expands a single range token into comparators ({operator, version})
+ * @param {string} token - Range token such as "^1.2", "~1", ">=2.0.0" or "1.x"
+ * @returns {Array<{operator: string, version: string, implicit?: boolean}>} Comparators
+ */
+function expandToken(token) {
+  const match = token.match(/^(\^|~|>=|<=|>|<|=)?\s*(.*)$/);
+  const operator = match[1] || '';
+  const [major, minor, patch, prerelease] = parsePartial(match[2]);
+
+  if (major === null) {
+    return operator === '<' || operator === '>' ? [ceiling([0, 0, 0])] : [];
+  }
+
+  const floor = format([major, minor || 0, patch || 0], prerelease);
+
+  switch (operator) {
+    case '^': {
+      let upper;
+      if (major > 0 || minor === null) upper = [major + 1, 0, 0];
+      else if (minor > 0 || patch === null) upper = [0, minor + 1, 0];
+      else upper = [0, 0, patch + 1];
+      return [{ operator: '>=', version: floor }, ceiling(upper)];
+    }
+
+    case '~': {
+      const upper = minor === null ? [major + 1, 0, 0] : [major, minor + 1, 0];
+      return [{ operator: '>=', version: floor }, ceiling(upper)];
+    }
+
+    case '>':
+      if (minor === null) return [{ operator: '>=', version: format([major + 1, 0, 0]) }];
+      if (patch === null) return [{ operator: '>=', version: format([major, minor + 1, 0]) }];
+      return [{ operator: '>', version: floor }];
+
+    case '<=':
+      if (minor === null) return [ceiling([major + 1, 0, 0])];
+      if (patch === null) return [ceiling([major, minor + 1, 0])];
+      return [{ operator: '<=', version: floor }];
+
+    case '>=':
+    case '<':
+      return [{ operator, version: floor }];
+
+    default:
+      // Exact or x-range ("1", "1.2", "1.x")
+      if (minor === null) {
+        return [{ operator: '>=', version: floor }, ceiling([major + 1, 0, 0])];
+      }
+      if (patch === null) {
+        return [{ operator: '>=', version: floor }, ceiling([major, minor + 1, 0])];
+      }
+      return [{ operator: '=', version: floor }];
+  }
+}
+
+/**
+ * Parses a range into comparator sets (outer array is OR, inner array is AND)
+ * @param {string} range - Range string
+ * @returns {Array<Array<{operator: string, version: string}>>} Comparator sets
+ * @throws {Error} If the range is invalid
+ */
+export function parseRange(range) {
+  return String(range).split('||').map(part => {
+    const tokens = part.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    return tokens.flatMap(expandToken);
+  });
+}
+
+/**
+ * Checks whether a string is a valid range
+ * @param {string} range - Range string
+ * @returns {boolean} True if the range can be parsed
+ */
+export function isValidRange(range) {
+  try {
+    parseRange(range);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Tests a version against a single comparator
+ * @param {string} version - Version string
+ * @param {{operator: string, version: string}} comparator - Comparator
+ * @returns {boolean} True if the comparator matches
+ */
+function testComparator(version, comparator) {
+  const comparison = compareVersions(version, comparator.version);
+  switch (comparator.operator) {
+    case '>': return comparison > 0;
+    case '>=': return comparison >= 0;
+    case '<': return comparison < 0;
+    case '<=': return comparison <= 0;
+    default: return comparison === 0;
+  }
+}
+
+/**
+ * Checks whether a pre-release may match a comparator set: some comparator
+ * must name a pre-release of the same major.minor.patch
+ * @param {object} parsed - Parsed pre-release version
+ * @param {Array<{operator: string, version: string}>} set - Comparator set
+ * @returns {boolean} True if pre-releases of this version are opted into
+ */
+function allowsPrerelease(parsed, set) {
+  return set.some(comparator => {
+    const bound = parseVersion(comparator.version);
+    return !comparator.implicit && bound.prerelease.length > 0 &&
+      bound.major === parsed.major && bound.minor === parsed.minor && bound.patch === parsed.patch;
+  });
+}
+
+/**
+ * Checks whether a version satisfies a range
+ * @param {string} version - Version string
+ * @param {string} range - Range string
+ * @param {object} options - Matching options
+ * @param {boolean} options.includePrerelease - Let pre-releases match any range they fall within
+ * @returns {boolean} True if the version is within the range
+ */
+export function satisfies(version, range, options = {}) {
+  const parsed = parseVersion(version);
+  if (!parsed) return false;
+
+  let sets;
+  try {
+    sets = parseRange(range);
+  } catch (error) {
+    return false;
+  }
+
+  return sets.some(set => {
+    if (!set.every(comparator => testComparator(version, comparator))) return false;
+    return parsed.prerelease.length === 0 || options.includePrerelease || allowsPrerelease(parsed, set);
+  });
+}
+
+/**
+ * Finds the highest version that satisfies a range
+ * @param {string[]} versions - Candidate versions
+ * @param {string} range - Range string
+ * @param {object} options - Matching options (see satisfies())
+ * @returns {string|null} Highest matching version, or null if none match
+ */
+export function maxSatisfying(versions, range, options = {}) {
+  return sortVersions(versions.filter(version => satisfies(version, range, options))).pop() || null;
+}
+
+export default {
+  parseVersion,
+  isValidVersion,
+  isPrerelease,
+  compareVersions,
+  sortVersions,
+  parseRange,
+  isValidRange,
+  satisfies,
+  maxSatisfying
+};
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt Template Registry - Registry Signing CLI Tool
+ *
+ * Generates signing keys, and signs or verifies registry files before publishing
+ * Usage: node sign-registry.js <keygen|sign|verify> [options]
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { generateSigningKeyPair, signRegistry, verifyRegistrySignature } from './signing.js';
+import { writeFileAtomic } from './storage.js';
+
+// CLI Tool Version
+const CLI_VERSION = '1.0.0';
+
+/**
+ * Prints usage information
+ */
+function printUsage() {
+  console.log(`
+Prompt Template Registry Signing Tool v${CLI_VERSION}
+Usage: node sign-registry.js <command> [options]
+
+Commands:
+  keygen                 Generate an Ed25519 key pair (<key-id>.key) and print the public key
+  sign <file>            Write a detached signature to <file>.sig
+  verify <file>          Verify <file>.sig against the public keys in prompt-registry.config.json
+
+Options:
+  --key-id <id>          Key id recorded in signatures and used in the config (default: default)
+  --key <path>           Private key for sign (default: ./<key-id>.key)
+  --signature <path>     Signature file (default: <file>.sig)
+  --public-key <key>     Public key to verify with instead of the config (base64 SPKI)
+  -h, --help             Show this help message
+  -v, --version          Show version information
+
+Examples:
+  node sign-registry.js keygen --key-id release-2024
+  node sign-registry.js sign dist/registry.json --key-id release-2024
+  node sign-registry.js verify dist/registry.json
+`);
+}
+
+/**
+ * Reads the value of a "--name value" option
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name
+ * @param {string} defaultValue - Value if the option is absent
+ * @returns {string} Option value
+ */
+function getOption(args, name, defaultValue) {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : defaultValue;
+}
+
+/**
+ * Reads the trusted public keys from prompt-registry.config.json in the working directory
+ * @returns {object} Public keys keyed by key id
+ */
+function readConfiguredKeys() {
+  const configPath = path.join(process.cwd(), 'prompt-registry.config.json');
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return (config.security && config.security.signing && config.security.signing.publicKeys) || {};
+}
+
+/**
+ * Main CLI function
+ */
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('-h') || args.includes('--help')) {
+    printUsage();
+    process.exit(0);
+  }
+
+  if (args.includes('-v') || args.includes('--version')) {
+    console.log(`sign-registry.js v${CLI_VERSION}`);
+    process.exit(0);
+  }
+
+  const valueOptions = ['--key-id', '--key', '--signature', '--public-key'];
+  const [command, file] = args.filter((arg, i) => !arg.startsWith('-') && !valueOptions.includes(args[i - 1]));
+  const keyId = getOption(args, '--key-id', 'default');
+
+  switch (command) {
+    case 'keygen': {
+      const keyPath = path.resolve(getOption(args, '--key', `${keyId}.key`));
+      if (fs.existsSync(keyPath)) {
+        console.error(`Error: ${keyPath} already exists`);
+        process.exit(1);
+      }
+      const { publicKey, privateKey } = generateSigningKeyPair();
+      writeFileAtomic(keyPath, privateKey, { mode: 0o600 });
+      console.log(`🔑 Private key written to ${path.relative(process.cwd(), keyPath)} (keep it out of version control)`);
+      console.log('\nAdd the public key to prompt-registry.config.json:\n');
+      console.log(JSON.stringify({ security: { signing: { publicKeys: { [keyId]: publicKey } } } }, null, 2));
+      break;
+    }
+
+    case 'sign': {
+      if (!file) {
+        console.error('Error: sign requires a registry file');
+        process.exit(1);
+      }
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const privateKey = fs.readFileSync(getOption(args, '--key', `${keyId}.key`), 'utf8');
+      const signaturePath = getOption(args, '--signature', `${file}.sig`);
+      writeFileAtomic(signaturePath, JSON.stringify(signRegistry(data, privateKey, keyId), null, 2) + '\n');
+      console.log(`✅ Signed ${file} with key "${keyId}" -> ${signaturePath}`);
+      console.log('   Publish the signature next to the registry so sync() can verify it.');
+      break;
+    }
+
+    case 'verify': {
+      if (!file) {
+        console.error('Error: verify requires a registry file');
+        process.exit(1);
+      }
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const signature = JSON.parse(fs.readFileSync(getOption(args, '--signature', `${file}.sig`), 'utf8'));
+      const publicKey = getOption(args, '--public-key', null);
+      const publicKeys = publicKey ? { [signature.keyId]: publicKey } : readConfiguredKeys();
+
+      const result = verifyRegistrySignature(data, signature, publicKeys);
+      if (!result.valid) {
+        console.log(`❌ Signature rejected: ${result.reason}`);
+        process.exit(1);
+      }
+      console.log(`✅ Valid signature from key "${result.keyId}"`);
+      break;
+    }
+
+    default:
+      console.error(`Error: Unknown command "${command}"`);
+      printUsage();
+      process.exit(1);
+  }
+}
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
+
+// Run the CLI
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,102 @@
+/**
+ * Prompt Template Registry - Registry Signing
+ *
+ * Detached Ed25519 signatures for registry documents. The signature covers the
+ * canonical JSON of the document (sorted keys, no whitespace), so re-serializing
+ * a registry does not invalidate it. A signature file looks like:
+ *
+ * { "algorithm": "ed25519", "keyId": "release-2024", "signature": "<base64>" }
+ *
+ * Public keys are configured in prompt-registry.config.json under
+ * `security.signing.publicKeys` as base64 SPKI (DER) strings or PEM, keyed by key id.
+ */
+
+import crypto from 'node:crypto';
+import { canonicalJson } from './lockfile.js';
+
+export const SIGNATURE_ALGORITHM = 'ed25519';
+
+/**
+ * Generates an Ed25519 key pair
+ * @returns {{publicKey: string, privateKey: string}} Public key (base64 SPKI) and private key (PKCS#8 PEM)
+ */
+export function generateSigningKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519', {
+    publicKeyEncoding: { type: 'spki', format: 'der' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  return { publicKey: publicKey.toString('base64'), privateKey };
+}
+
+/**
+ * Parses a configured public key
+ * @param {string} key - Base64 SPKI (DER) or PEM public key
+ * @returns {crypto.KeyObject} Public key
+ */
+function parsePublicKey(key) {
+  if (key.includes('-----BEGIN')) {
+    return crypto.createPublicKey(key);
+  }
+  return crypto.createPublicKey({ key: Buffer.from(key, 'base64'), format: 'der', type: 'spki' });
+}
+
+/**
+ * Gets the URL of the detached signature for a document URL ("registry.json" -> "registry.json.sig",
+ * keeping any query string so delta responses have their own signatures)
+ * @param {string} url - Document URL
+ * @returns {string} Signature URL
+ */
+export function getSignatureUrl(url) {
+  const signatureUrl = new URL(url);
+  signatureUrl.pathname += '.sig';
+  return signatureUrl.toString();
+}
+
+/**
+ * Signs a registry document
+ * @param {object} data - Registry document
+ * @param {string} privateKey - PKCS#8 PEM private key
+ * @param {string} keyId - Id of the key, as listed in the verifiers' config
+ * @returns {{algorithm: string, keyId: string, signature: string}} Detached signature
+ */
+export function signRegistry(data, privateKey, keyId) {
+  const signature = crypto.sign(null, Buffer.from(canonicalJson(data)), crypto.createPrivateKey(privateKey));
+  return { algorithm: SIGNATURE_ALGORITHM, keyId, signature: signature.toString('base64') };
+}
+
+/**
+ * Verifies the detached signature of a registry document
+ * @param {object} data - Registry document
+ * @param {object} signature - Detached signature ({algorithm, keyId, signature})
+ * @param {object} publicKeys - Trusted public keys keyed by key id
+ * @returns {{valid: boolean, keyId: string|null, reason: string|null}} Verification result
+ */
+export function verifyRegistrySignature(data, signature, publicKeys = {}) {
+  const fail = reason => ({ valid: false, keyId: (signature && signature.keyId) || null, reason });
+
+  if (!signature || typeof signature.signature !== 'string') {
+    return fail('signature is missing or malformed');
+  }
+  if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+    return fail(`unsupported signature algorithm "${signature.algorithm}"`);
+  }
+  if (!publicKeys[signature.keyId]) {
+    return fail(`signed with unknown key "${signature.keyId}"`);
+  }
+
+  try {
+    const valid = crypto.verify(null, Buffer.from(canonicalJson(data)), parsePublicKey(publicKeys[signature.keyId]),
+      Buffer.from(signature.signature, 'base64'));
+    return valid ? { valid: true, keyId: signature.keyId, reason: null } : fail('signature does not match the content');
+  } catch (error) {
+    return fail(`invalid public key "${signature.keyId}": ${error.message}`);
+  }
+}
+
+export default {
+  SIGNATURE_ALGORITHM,
+  generateSigningKeyPair,
+  getSignatureUrl,
+  signRegistry,
+  verifyRegistrySignature
+};
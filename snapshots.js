@@ -0,0 +1,201 @@
+/**
+ * Prompt Template Registry - Registry Snapshots
+ *
+ * Before a sync or rollback changes registry.json, the previous registry is kept as a
+ * snapshot so the change can be undone. Each snapshot is two files in the snapshot
+ * directory: <id>.json, a small record of what changed, and <id>.registry.json, the
+ * registry as it was. A record looks like:
+ *
+ * {
+ *   "id": "20240615T120000123Z",
+ *   "createdAt": "2024-06-15T12:00:00.123Z",
+ *   "reason": "sync",
+ *   "source": "https://cdn.jsdelivr.net/gh/prompt-registry/core@main/registry.json",
+ *   "changes": {
+ *     "added": ["new_prompt"],
+ *     "removed": [],
+ *     "updated": [{ "id": "bug_fix", "latest": { "from": "2.0.0", "to": "2.1.0" }, "addedVersions": ["2.1.0"], "changedVersions": [] }]
+ *   },
+ *   "conflicts": []
+ * }
+ *
+ * `changes` describes how the sync changed the registry, so restoring the snapshot undoes them.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { canonicalJson } from './lockfile.js';
+import { writeFileAtomic } from './storage.js';
+
+/** Custom Error Class **/
+export class SnapshotError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'SnapshotError';
+    this.details = details;
+  }
+}
+
+/**
+ * Compares two registries
+ * @param {object} before - Registry before the change
+ * @param {object} after - Registry after the change
+ * @returns {{added: string[], removed: string[], updated: Array<object>}} Changed prompt ids
+ * (updated entries list their latest version change and added or changed versions)
+ */
+export function computeRegistryChanges(before, after) {
+  const changes = { added: [], removed: [], updated: [] };
+
+  for (const [id, entry] of Object.entries(after)) {
+    const previous = before[id];
+    if (!previous) {
+      changes.added.push(id);
+      continue;
+    }
+
+    const versions = Object.keys(entry.versions);
+    const addedVersions = versions.filter(version => !previous.versions[version]);
+    const changedVersions = versions.filter(version => previous.versions[version] &&
+      canonicalJson(previous.versions[version]) !== canonicalJson(entry.versions[version]));
+    const latestChanged = previous.latest !== entry.latest;
+
+    if (addedVersions.length > 0 || changedVersions.length > 0 || latestChanged ||
+        canonicalJson(previous.distTags || {}) !== canonicalJson(entry.distTags || {})) {
+      changes.updated.push({
+        id,
+        latest: latestChanged ? { from: previous.latest, to: entry.latest } : null,
+        addedVersions,
+        changedVersions
+      });
+    }
+  }
+  changes.removed = Object.keys(before).filter(id => !after[id]);
+
+  return changes;
+}
+
+/**
+ * Checks whether a change set is empty
+ * @param {object} changes - Changes from computeRegistryChanges()
+ * @returns {boolean} True if nothing changed
+ */
+export function isEmptyChange(changes) {
+  return changes.added.length === 0 && changes.removed.length === 0 && changes.updated.length === 0;
+}
+
+/**
+ * Creates a snapshot id from a time ("2024-06-15T12:00:00.123Z" -> "20240615T120000123Z")
+ * @param {Date} date - Snapshot time
+ * @returns {string} Snapshot id
+ */
+function createSnapshotId(date) {
+  return date.toISOString().replace(/[-:.]/g, '');
+}
+
+/**
+ * Checks a snapshot id, so it cannot name a file outside the snapshot directory
+ * @param {string} id - Snapshot id
+ * @throws {SnapshotError} If the id is malformed
+ */
+function assertSnapshotId(id) {
+  if (typeof id !== 'string' || !/^\d{8}T\d{9}Z(-\d+)?$/.test(id)) {
+    throw new SnapshotError(`Invalid snapshot id "${id}"`, { id });
+  }
+}
+
+/**
+ * Writes a snapshot of a registry
+ * @param {string} directory - Snapshot directory
+ * @param {object} registry - Registry to keep (the state before the change)
+ * @param {object} record - Record fields ({reason, source, changes, conflicts, ...})
+ * @returns {object} Snapshot record, with its `id` and `createdAt`
+ */
+export function createSnapshot(directory, registry, record) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const createdAt = new Date();
+  let id = createSnapshotId(createdAt);
+  for (let n = 1; fs.existsSync(path.join(directory, `${id}.json`)); n++) {
+    id = `${createSnapshotId(createdAt)}-${n}`;
+  }
+
+  const snapshot = { id, createdAt: createdAt.toISOString(), ...record };
+  writeFileAtomic(path.join(directory, `${id}.registry.json`), JSON.stringify(registry, null, 2));
+  // The record is written last, so a listed snapshot always has its registry
+  writeFileAtomic(path.join(directory, `${id}.json`), JSON.stringify(snapshot, null, 2) + '\n');
+  return snapshot;
+}
+
+/**
+ * Lists snapshots, newest first
+ * @param {string} directory - Snapshot directory
+ * @returns {Array<object>} Snapshot records
+ */
+export function listSnapshots(directory) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+    .filter(file => /^\d{8}T\d{9}Z(-\d+)?\.json$/.test(file))
+    .map(file => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      } catch (error) {
+        // Unreadable record - skip it
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id, 'en', { numeric: true }));
+}
+
+/**
+ * Reads a snapshot
+ * @param {string} directory - Snapshot directory
+ * @param {string} id - Snapshot id
+ * @returns {{record: object, registry: object}} Snapshot record and registry
+ * @throws {SnapshotError} If the snapshot does not exist or is unreadable
+ */
+export function readSnapshot(directory, id) {
+  assertSnapshotId(id);
+  const recordPath = path.join(directory, `${id}.json`);
+  const registryPath = path.join(directory, `${id}.registry.json`);
+  if (!fs.existsSync(recordPath) || !fs.existsSync(registryPath)) {
+    throw new SnapshotError(`Snapshot "${id}" not found`, { id, directory });
+  }
+
+  try {
+    return {
+      record: JSON.parse(fs.readFileSync(recordPath, 'utf8')),
+      registry: JSON.parse(fs.readFileSync(registryPath, 'utf8'))
+    };
+  } catch (error) {
+    throw new SnapshotError(`Snapshot "${id}" is unreadable: ${error.message}`, { id, directory });
+  }
+}
+
+/**
+ * Deletes all but the newest snapshots
+ * @param {string} directory - Snapshot directory
+ * @param {number} keep - Number of snapshots to keep
+ * @returns {string[]} Ids of the deleted snapshots
+ */
+export function pruneSnapshots(directory, keep) {
+  const expired = listSnapshots(directory).slice(keep).map(snapshot => snapshot.id);
+  for (const id of expired) {
+    fs.rmSync(path.join(directory, `${id}.json`), { force: true });
+    fs.rmSync(path.join(directory, `${id}.registry.json`), { force: true });
+  }
+  return expired;
+}
+
+export default {
+  SnapshotError,
+  computeRegistryChanges,
+  isEmptyChange,
+  createSnapshot,
+  listSnapshots,
+  readSnapshot,
+  pruneSnapshots
+};
@@ -0,0 +1,306 @@
+/**
+ * Prompt Template Registry - Storage
+ *
+ * Safe writes for files several processes may update at once (a background sync
+ * and a CLI adding a prompt, say):
+ *
+ * - writeFileAtomic() writes a temporary file next to the target and renames it over
+ *   the target, so readers never see a half-written file
+ * - acquireLock() takes an advisory "<file>.lock" ({pid, hostname, createdAt}); a lock
+ *   whose process is gone is taken over (removed only if it is still the stale lock, so
+ *   contending processes cannot remove a fresh one). A lock held by a live process is never
+ *   taken over however long a save takes; only locks from other hosts, whose process cannot
+ *   be checked, are taken over once older than `staleAfter`.
+ * - writeRegistryFile() writes a registry under the lock. If the file changed since the
+ *   writer read it, the other process's changes are merged in instead of overwritten.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { canonicalJson } from './lockfile.js';
+import { compareVersions } from './semver.js';
+
+// Defaults for acquireLock()
+const LOCK_TIMEOUT = 10000;
+const LOCK_STALE_AFTER = 30000;
+const LOCK_RETRY_INTERVAL = 50;
+
+/** Custom Error Class **/
+export class StorageError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'StorageError';
+    this.details = details;
+  }
+}
+
+/**
+ * Blocks the thread for a while (writers are synchronous)
+ * @param {number} ms - Milliseconds
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Writes a file atomically: a temporary file in the same directory is written,
+ * flushed and renamed over the target
+ * @param {string} filePath - Target path
+ * @param {string|Buffer} content - File content
+ * @param {object} options - Options ({mode})
+ */
+export function writeFileAtomic(filePath, content, options = {}) {
+  const directory = path.dirname(filePath);
+  const tempPath = path.join(directory, `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+
+  try {
+    fs.mkdirSync(directory, { recursive: true });
+    const fd = fs.openSync(tempPath, 'w', options.mode);
+    try {
+      fs.writeFileSync(fd, content, typeof content === 'string' ? 'utf8' : undefined);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    try {
+      fs.rmSync(tempPath, { force: true });
+    } catch (cleanupError) {
+      // The directory itself is unusable - nothing to clean up
+    }
+    throw new StorageError(`Failed to write ${filePath}: ${error.message}`, { filePath, error });
+  }
+}
+
+/**
+ * Reads a lock and checks whether its holder is gone: its process has exited (on this host),
+ * or the lock is older than `staleAfter` (on other hosts, or if the lock is unreadable)
+ * @param {string} lockPath - Lock file path
+ * @param {number} staleAfter - Age in milliseconds after which a lock of another host is stale
+ * @returns {string|null} The lock's content if it can be taken over, or null if it may still
+ *   be held (or was released meanwhile)
+ */
+function readStaleLock(lockPath, staleAfter) {
+  let content;
+  try {
+    content = fs.readFileSync(lockPath, 'utf8');
+  } catch (error) {
+    // Released meanwhile: the next attempt takes it
+    return null;
+  }
+
+  let holder;
+  try {
+    holder = JSON.parse(content);
+  } catch (error) {
+    // Written by a holder that crashed mid-write: fall back to its age
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > staleAfter ? content : null;
+    } catch (statError) {
+      return null;
+    }
+  }
+
+  if (holder.hostname !== os.hostname()) {
+    return Date.now() - Date.parse(holder.createdAt) > staleAfter ? content : null;
+  }
+  if (holder.pid !== process.pid) {
+    try {
+      process.kill(holder.pid, 0);
+    } catch (error) {
+      return error.code === 'ESRCH' ? content : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Removes a stale lock, unless another process replaced it meanwhile. The lock is first
+ * renamed to a name of its own, so that two processes taking it over cannot both remove it,
+ * and put back if it is no longer the stale lock (another process took it over first).
+ * @param {string} lockPath - Lock file path
+ * @param {string} staleContent - Content of the lock when it was found stale
+ */
+function removeStaleLock(lockPath, staleContent) {
+  const claimedPath = `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+  try {
+    fs.renameSync(lockPath, claimedPath);
+  } catch (error) {
+    // Removed by another process first
+    return;
+  }
+
+  let content = null;
+  try {
+    content = fs.readFileSync(claimedPath, 'utf8');
+  } catch (error) {
+    // Unreadable: treated as another process's lock
+  }
+  if (content !== staleContent) {
+    try {
+      fs.linkSync(claimedPath, lockPath);
+    } catch (error) {
+      // Locked again meanwhile; that holder keeps the lock
+    }
+  }
+  fs.rmSync(claimedPath, { force: true });
+}
+
+/**
+ * Takes the advisory lock of a file, waiting while another process holds it
+ * @param {string} filePath - Path of the file to protect (the lock is "<file>.lock")
+ * @param {object} options - Options ({timeout, staleAfter} in milliseconds)
+ * @returns {function} Releases the lock
+ * @throws {StorageError} If the lock is still held after `timeout`
+ */
+export function acquireLock(filePath, options = {}) {
+  const lockPath = `${filePath}.lock`;
+  const timeout = options.timeout ?? LOCK_TIMEOUT;
+  const staleAfter = options.staleAfter ?? LOCK_STALE_AFTER;
+  const deadline = Date.now() + timeout;
+  const holder = JSON.stringify({ pid: process.pid, hostname: os.hostname(), createdAt: new Date().toISOString() });
+
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, holder, { encoding: 'utf8', flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw new StorageError(`Cannot create lock ${lockPath}: ${error.message}`, { lockPath, error });
+      }
+    }
+
+    const staleContent = readStaleLock(lockPath, staleAfter);
+    if (staleContent !== null) {
+      removeStaleLock(lockPath, staleContent);
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new StorageError(`Timed out waiting for ${lockPath} (remove it if no other process is writing)`, { lockPath });
+    }
+    sleep(LOCK_RETRY_INTERVAL);
+  }
+
+  let released = false;
+  return () => {
+    if (!released) {
+      released = true;
+      fs.rmSync(lockPath, { force: true });
+    }
+  };
+}
+
+/**
+ * Runs a function while holding the lock of a file
+ * @param {string} filePath - Path of the file to protect
+ * @param {function} fn - Function to run
+ * @param {object} options - Lock options ({timeout, staleAfter})
+ * @returns {*} The function's result
+ */
+export function withFileLock(filePath, fn, options = {}) {
+  const release = acquireLock(filePath, options);
+  try {
+    return fn();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Merges two changed copies of a registry entry: all versions are kept (ours win for the
+ * same version), the higher latest is used and dist-tags are combined
+ * @param {object} ours - Our entry
+ * @param {object} theirs - Their entry
+ * @returns {object} Merged entry
+ */
+function mergeEntries(ours, theirs) {
+  return {
+    ...theirs,
+    ...ours,
+    latest: compareVersions(theirs.latest, ours.latest) > 0 ? theirs.latest : ours.latest,
+    versions: { ...theirs.versions, ...ours.versions },
+    ...(ours.distTags || theirs.distTags ? { distTags: { ...theirs.distTags, ...ours.distTags } } : {})
+  };
+}
+
+/**
+ * Three-way merges registries that both changed since a common base. A prompt only one
+ * side changed (added, edited or removed) takes that side; a prompt both sides changed
+ * keeps the versions of both.
+ * @param {object} base - Registry both sides started from
+ * @param {object} ours - Our registry
+ * @param {object} theirs - Their registry (on disk)
+ * @returns {object} Merged registry
+ */
+export function mergeRegistryData(base, ours, theirs) {
+  const merged = {};
+  const ids = new Set([...Object.keys(theirs), ...Object.keys(ours)]);
+  const same = (a, b) => canonicalJson(a ?? null) === canonicalJson(b ?? null);
+
+  for (const id of ids) {
+    const entry = same(theirs[id], base[id]) ? ours[id] :
+      same(ours[id], base[id]) ? theirs[id] :
+      ours[id] && theirs[id] ? mergeEntries(ours[id], theirs[id]) :
+      ours[id] || theirs[id];
+    if (entry) {
+      merged[id] = entry;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Reads a JSON file
+ * @param {string} filePath - File path
+ * @returns {object|null} Parsed content, or null if the file does not exist
+ */
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new StorageError(`Failed to read ${filePath}: ${error.message}`, { filePath, error });
+  }
+}
+
+/**
+ * Writes a registry file atomically under its lock. If `base` is given and the file no
+ * longer matches it, another process wrote in the meantime: its changes are merged in.
+ * @param {string} filePath - Registry file path
+ * @param {object} registry - Registry to write
+ * @param {object} options - Options ({base, timeout, staleAfter}; {merge}: function(base, ours,
+ *   theirs) merging files that are not prompt registries, default mergeRegistryData())
+ * @returns {{data: object, merged: boolean}} Registry as written, and whether it was merged
+ */
+export function writeRegistryFile(filePath, registry, options = {}) {
+  return withFileLock(filePath, () => {
+    let data = registry;
+    let merged = false;
+
+    if (options.base) {
+      const current = readJsonFile(filePath);
+      if (current && canonicalJson(current) !== canonicalJson(options.base)) {
+        data = (options.merge || mergeRegistryData)(options.base, registry, current);
+        merged = true;
+      }
+    }
+
+    writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+    return { data, merged };
+  }, options);
+}
+
+export default {
+  StorageError,
+  writeFileAtomic,
+  acquireLock,
+  withFileLock,
+  mergeRegistryData,
+  writeRegistryFile
+};
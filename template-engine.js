@@ -0,0 +1,619 @@
+/**
+ * Prompt Template Registry - Template Engine
+ *
+ * Renders prompt templates with variables, conditional blocks, loops and filters.
+ * Shared by get(), workflow execution and the playground, so it must stay free
+ * of Node-only imports.
+ *
+ * Syntax:
+ *   {{name}}                       Variable interpolation (dot paths allowed: {{user.name}})
+ *   {{code | trim | indent 4}}     Pipe filters with optional arguments
+ *   {{#if context}}...{{else}}...{{/if}}
+ *   {{#unless context}}...{{/unless}}
+ *   {{#each items}}{{this}} ({{@index}}){{else}}No items{{/each}}
+ *   {{> shared/json_output@^1 format="strict"}}
+ *                                  Include another prompt (resolved through options.resolvePartial)
+ *   {{! comment }}                 Removed from the output
+ */
+
+/** Custom Error Class **/
+export class TemplateError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'TemplateError';
+    this.details = details;
+  }
+}
+
+/**
+ * Converts a value to the string written into the rendered prompt
+ * @param {*} value - Value to stringify
+ * @returns {string} String representation
+ */
+function stringify(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(stringify).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/** Built-in Filters **/
+const FILTERS = {
+  trim: (value) => stringify(value).trim(),
+  upper: (value) => stringify(value).toUpperCase(),
+  lower: (value) => stringify(value).toLowerCase(),
+  capitalize: (value) => {
+    const text = stringify(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  indent: (value, width = 2) => {
+    const padding = typeof width === 'number' ? ' '.repeat(width) : String(width);
+    return stringify(value)
+      .split('\n')
+      .map(line => (line.length > 0 ? padding + line : line))
+      .join('\n');
+  },
+  default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(stringify).join(separator) : stringify(value)),
+  json: (value, spaces = 0) => JSON.stringify(value === undefined ? null : value, null, spaces),
+  truncate: (value, length = 100, suffix = '...') => {
+    const text = stringify(value);
+    return text.length > length ? text.slice(0, Math.max(0, length - suffix.length)) + suffix : text;
+  },
+  replace: (value, search = '', replacement = '') => stringify(value).split(String(search)).join(String(replacement))
+};
+
+/**
+ * Registers a custom filter available to every template
+ * @param {string} name - Filter name used after the pipe
+ * @param {function} fn - Filter function receiving (value, ...args)
+ */
+export function registerFilter(name, fn) {
+  if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+    throw new TemplateError(`Invalid filter name "${name}"`);
+  }
+  if (typeof fn !== 'function') {
+    throw new TemplateError(`Filter "${name}" must be a function`);
+  }
+  FILTERS[name] = fn;
+}
+
+/** Tokenizer **/
+const PATH_PATTERN = /^(?:this|@index|@first|@last|@key|[a-zA-Z_][a-zA-Z0-9_]*)(?:\.[a-zA-Z_][a-zA-Z0-9_]*)*$/;
+const PARTIAL_PATTERN = /^[a-z][a-z0-9_]*(?:\/[a-z][a-z0-9_]*)*(?:@\S+)?$/;
+
+/**
+ * Splits a template into text and tag tokens
+ * @param {string} template - Template source
+ * @returns {Array} Tokens with type, value and source offset
+ */
+function tokenize(template) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < template.length) {
+    const open = template.indexOf('{{', position);
+    if (open === -1) {
+      tokens.push({ type: 'text', value: template.slice(position) });
+      break;
+    }
+
+    if (open > position) {
+      tokens.push({ type: 'text', value: template.slice(position, open) });
+    }
+
+    const close = template.indexOf('}}', open + 2);
+    if (close === -1) {
+      throw new TemplateError(`Unclosed tag at offset ${open}`, { offset: open });
+    }
+
+    tokens.push({ type: 'tag', value: template.slice(open + 2, close).trim(), offset: open });
+    position = close + 2;
+  }
+
+  return tokens;
+}
+
+/**
+ * Classifies a tag token into its kind (block open, else, close, comment, output)
+ * @param {string} content - Trimmed tag content
+ * @returns {object} Tag descriptor
+ */
+function classifyTag(content) {
+  if (content.startsWith('!')) return { kind: 'comment' };
+  if (content.startsWith('>')) return { kind: 'partial' };
+  if (content === 'else') return { kind: 'else' };
+  if (content.startsWith('/')) return { kind: 'close', name: content.slice(1).trim() };
+  if (content.startsWith('#')) {
+    const [name, ...rest] = content.slice(1).trim().split(/\s+/);
+    return { kind: 'open', name, argument: rest.join(' ') };
+  }
+  return { kind: 'output' };
+}
+
+/**
+ * Removes the line a standalone block tag sits on, so that block syntax
+ * does not leave blank lines behind in the rendered prompt
+ * @param {Array} tokens - Tokens from tokenize()
+ */
+function stripStandaloneTags(tokens) {
+  const isBlockTag = token => token && token.type === 'tag' && !['output', 'partial'].includes(classifyTag(token.value).kind);
+  const standalone = tokens.map((token, i) => {
+    if (!isBlockTag(token)) return null;
+
+    const before = tokens[i - 1];
+    const after = tokens[i + 1];
+
+    const beforeMatch = before ? (before.type === 'text' ? before.value.match(/(^|\n)([ \t]*)$/) : null) : ['', '', ''];
+    const afterMatch = after ? (after.type === 'text' ? after.value.match(/^[ \t]*(\r?\n|$)/) : null) : [''];
+
+    if (!beforeMatch || !afterMatch) return null;
+    // Whitespace without a newline only counts at the very start or end of the template
+    if (before && beforeMatch[1] === '' && i - 1 !== 0) return null;
+    if (after && afterMatch[1] === '' && i + 1 !== tokens.length - 1) return null;
+
+    return { trimBefore: beforeMatch[2].length, trimAfter: afterMatch[0].length };
+  });
+
+  standalone.forEach((strip, i) => {
+    if (!strip) return;
+    const before = tokens[i - 1];
+    const after = tokens[i + 1];
+    if (before && strip.trimBefore > 0) {
+      before.value = before.value.slice(0, before.value.length - strip.trimBefore);
+    }
+    if (after && strip.trimAfter > 0) {
+      after.value = after.value.slice(strip.trimAfter);
+    }
+  });
+}
+
+/**
+ * Parses a literal argument or a variable path used by filters
+ * @param {string} source - Argument source text
+ * @returns {object} Argument node
+ */
+function parseArgument(source) {
+  if (/^-?\d+(\.\d+)?$/.test(source)) return { type: 'literal', value: Number(source) };
+  if (source === 'true' || source === 'false') return { type: 'literal', value: source === 'true' };
+  if (source === 'null') return { type: 'literal', value: null };
+  if (/^(["']).*\1$/s.test(source)) {
+    return { type: 'literal', value: source.slice(1, -1).replace(/\\(["'\\])/g, '$1').replace(/\\n/g, '\n') };
+  }
+  if (PATH_PATTERN.test(source)) return { type: 'path', path: source };
+  throw new TemplateError(`Invalid filter argument "${source}"`);
+}
+
+/**
+ * Splits a string on whitespace while keeping quoted strings intact
+ * @param {string} source - Source text
+ * @returns {string[]} Parts
+ */
+function splitArguments(source) {
+  return source.match(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\S+/g) || [];
+}
+
+/**
+ * Splits an expression on pipes that are not inside quotes
+ * @param {string} source - Expression source
+ * @returns {string[]} Pipe segments
+ */
+function splitPipes(source) {
+  const segments = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === '\\') {
+        current += char + (source[i + 1] || '');
+        i++;
+        continue;
+      }
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '|') {
+      segments.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  segments.push(current.trim());
+  return segments;
+}
+
+/**
+ * Parses an output expression such as "code | trim | indent 4"
+ * @param {string} source - Expression source
+ * @returns {object} Expression node with path and filters
+ */
+function parseExpression(source) {
+  const [head, ...filterSources] = splitPipes(source);
+
+  if (!PATH_PATTERN.test(head)) {
+    throw new TemplateError(`Invalid variable expression "${source}"`, { expression: source });
+  }
+
+  const filters = filterSources.map(filterSource => {
+    const [name, ...args] = splitArguments(filterSource);
+    if (!name) {
+      throw new TemplateError(`Empty filter in expression "${source}"`, { expression: source });
+    }
+    return { name, args: args.map(parseArgument) };
+  });
+
+  return { path: head, filters };
+}
+
+/**
+ * Parses a partial tag such as "> shared/json_output@^1 format=\"strict\" schema=output_schema"
+ * @param {string} source - Tag content including the leading ">"
+ * @returns {object} Partial node with name and parameter arguments
+ */
+function parsePartial(source) {
+  const [name, ...paramSources] = splitArguments(source.slice(1).trim());
+
+  if (!name || !PARTIAL_PATTERN.test(name)) {
+    throw new TemplateError(`Invalid partial reference "${source}"`, { expression: source });
+  }
+
+  const params = {};
+  for (const paramSource of paramSources) {
+    const match = paramSource.match(/^([a-zA-Z_][a-zA-Z0-9_]*)=(.+)$/s);
+    if (!match) {
+      throw new TemplateError(`Invalid partial parameter "${paramSource}" (expected name=value)`, { expression: source });
+    }
+    params[match[1]] = parseArgument(match[2]);
+  }
+
+  return { type: 'partial', name, params };
+}
+
+/**
+ * Parses a template into an AST
+ * @param {string} template - Template source
+ * @returns {Array} Root node list
+ * @throws {TemplateError} If the template has invalid syntax
+ */
+export function parseTemplate(template) {
+  if (typeof template !== 'string') {
+    throw new TemplateError('Template must be a string');
+  }
+
+  const tokens = tokenize(template);
+  stripStandaloneTags(tokens);
+
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+
+  for (const token of tokens) {
+    const current = stack[stack.length - 1];
+    const target = current.inAlternate ? current.alternate : current.children;
+
+    if (token.type === 'text') {
+      if (token.value) target.push({ type: 'text', value: token.value });
+      continue;
+    }
+
+    const tag = classifyTag(token.value);
+
+    switch (tag.kind) {
+      case 'comment':
+        break;
+
+      case 'open': {
+        if (!['if', 'unless', 'each'].includes(tag.name)) {
+          throw new TemplateError(`Unknown block "#${tag.name}"`, { offset: token.offset });
+        }
+        if (!PATH_PATTERN.test(tag.argument)) {
+          throw new TemplateError(`Block "#${tag.name}" requires a variable name`, { offset: token.offset });
+        }
+        const node = { type: tag.name, path: tag.argument, children: [], alternate: [], inAlternate: false };
+        target.push(node);
+        stack.push(node);
+        break;
+      }
+
+      case 'else':
+        if (current === root || current.inAlternate) {
+          throw new TemplateError('Unexpected {{else}}', { offset: token.offset });
+        }
+        current.inAlternate = true;
+        break;
+
+      case 'close':
+        if (current === root || current.type !== tag.name) {
+          throw new TemplateError(`Unexpected {{/${tag.name}}}`, { offset: token.offset });
+        }
+        delete current.inAlternate;
+        stack.pop();
+        break;
+
+      case 'partial':
+        target.push(parsePartial(token.value));
+        break;
+
+      default:
+        target.push({ type: 'output', raw: token.value, ...parseExpression(token.value) });
+    }
+  }
+
+  if (stack.length > 1) {
+    const unclosed = stack[stack.length - 1];
+    throw new TemplateError(`Unclosed block "#${unclosed.type} ${unclosed.path}"`);
+  }
+
+  return root.children;
+}
+
+/** Renderer **/
+/**
+ * Resolves a dot path against the scope chain
+ * @param {Array} scopes - Scope frames, innermost last
+ * @param {string} path - Dot path
+ * @returns {{found: boolean, value: *}} Lookup result
+ */
+function lookup(scopes, path) {
+  const [head, ...rest] = path.split('.');
+  let found = false;
+  let value;
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (head === 'this' && 'item' in scope) {
+      found = true;
+      value = scope.item;
+      break;
+    }
+    if (head.startsWith('@') && scope.data && head.slice(1) in scope.data) {
+      found = true;
+      value = scope.data[head.slice(1)];
+      break;
+    }
+    if (scope.values && typeof scope.values === 'object' && Object.prototype.hasOwnProperty.call(scope.values, head)) {
+      found = true;
+      value = scope.values[head];
+      break;
+    }
+  }
+
+  for (const key of rest) {
+    value = value === undefined || value === null ? undefined : value[key];
+  }
+
+  return { found, value };
+}
+
+/**
+ * Evaluates template truthiness (empty arrays are falsy)
+ * @param {*} value - Value to test
+ * @returns {boolean} True if the value counts as set
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+/**
+ * Renders a list of AST nodes
+ * @param {Array} nodes - Nodes to render
+ * @param {Array} scopes - Scope chain
+ * @param {object} state - Render state (options, missing names)
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, scopes, state) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+
+      case 'output':
+        output += renderOutput(node, scopes, state);
+        break;
+
+      case 'partial':
+        output += renderPartial(node, scopes, state);
+        break;
+
+      case 'if':
+      case 'unless': {
+        const { value } = lookup(scopes, node.path);
+        const condition = node.type === 'if' ? isTruthy(value) : !isTruthy(value);
+        output += renderNodes(condition ? node.children : node.alternate, scopes, state);
+        break;
+      }
+
+      case 'each': {
+        const { value } = lookup(scopes, node.path);
+        const entries = Array.isArray(value)
+          ? value.map((item, index) => [index, item])
+          : value && typeof value === 'object' ? Object.entries(value) : [];
+
+        if (entries.length === 0) {
+          output += renderNodes(node.alternate, scopes, state);
+          break;
+        }
+
+        entries.forEach(([key, item], index) => {
+          const frame = {
+            item,
+            values: item && typeof item === 'object' && !Array.isArray(item) ? item : null,
+            data: { index, key, first: index === 0, last: index === entries.length - 1 }
+          };
+          output += renderNodes(node.children, [...scopes, frame], state);
+        });
+        break;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Renders a single output expression including its filters
+ * @param {object} node - Output node
+ * @param {Array} scopes - Scope chain
+ * @param {object} state - Render state
+ * @returns {string} Rendered text
+ */
+function renderOutput(node, scopes, state) {
+  let { found, value } = lookup(scopes, node.path);
+  const hasDefault = node.filters.some(filter => filter.name === 'default');
+
+  if (!found && !hasDefault) {
+    const onMissing = state.options.onMissing || 'throw';
+    if (onMissing === 'keep') return `{{${node.raw}}}`;
+    if (onMissing === 'throw') state.missing.add(node.path.split('.')[0]);
+    return '';
+  }
+
+  for (const filter of node.filters) {
+    // Own properties only, so "constructor" or "toString" are unknown filters too
+    const fn = Object.prototype.hasOwnProperty.call(FILTERS, filter.name) ? FILTERS[filter.name] : null;
+    if (!fn) {
+      throw new TemplateError(`Unknown filter "${filter.name}"`, { filter: filter.name });
+    }
+    const args = filter.args.map(arg => (arg.type === 'literal' ? arg.value : lookup(scopes, arg.path).value));
+    value = fn(value, ...args);
+  }
+
+  return stringify(value);
+}
+
+/**
+ * Renders an include by handing the resolved variables to options.resolvePartial.
+ * The included template sees every variable in scope, overridden by explicit parameters.
+ * @param {object} node - Partial node
+ * @param {Array} scopes - Scope chain
+ * @param {object} state - Render state
+ * @returns {string} Rendered text
+ */
+function renderPartial(node, scopes, state) {
+  if (typeof state.options.resolvePartial !== 'function') {
+    throw new TemplateError(`Cannot include "${node.name}": no partial resolver configured`, { partial: node.name });
+  }
+
+  const values = {};
+  for (const scope of scopes) {
+    if (scope.values) Object.assign(values, scope.values);
+  }
+  for (const [name, arg] of Object.entries(node.params)) {
+    values[name] = arg.type === 'literal' ? arg.value : lookup(scopes, arg.path).value;
+  }
+
+  return stringify(state.options.resolvePartial(node.name, values));
+}
+
+/**
+ * Renders a template with the given variables
+ * @param {string|Array} template - Template source or a pre-parsed AST
+ * @param {object} variables - Variable values keyed by name
+ * @param {object} options - Render options
+ * @param {'throw'|'keep'|'empty'} options.onMissing - What to do with variables that were not provided
+ * @param {function} options.resolvePartial - Called as (reference, variables) for {{> reference}} and returns the rendered text
+ * @returns {string} Rendered text
+ * @throws {TemplateError} On syntax errors or (by default) missing variables
+ */
+export function renderTemplate(template, variables = {}, options = {}) {
+  const ast = Array.isArray(template) ? template : parseTemplate(template);
+  const state = { options, missing: new Set() };
+
+  const output = renderNodes(ast, [{ values: variables || {} }], state);
+
+  if (state.missing.size > 0) {
+    const missing = [...state.missing];
+    throw new TemplateError(`Missing variables: ${missing.join(', ')}`, { missing });
+  }
+
+  return output;
+}
+
+/**
+ * Lists every variable reference in a template in source order. References inside
+ * {{#each}} bodies carry the path of their loop, as they may name a field of the loop item
+ * rather than a variable; `this` and `@index`-style references are not reported.
+ * @param {string} template - Template source
+ * @returns {Array<{name: string, path: string, kind: 'output'|'condition'|'loop', loop: string|null}>}
+ *   References, with the innermost loop each is inside (null outside loops)
+ */
+export function listTemplateReferences(template) {
+  const references = [];
+
+  const visit = (nodes, loop) => {
+    const add = (path, kind) => references.push({ name: path.split('.')[0], path, kind, loop });
+    for (const node of nodes) {
+      if (node.type === 'output') {
+        add(node.path, 'output');
+        node.filters.forEach(filter => filter.args
+          .filter(arg => arg.type === 'path')
+          .forEach(arg => add(arg.path, 'output')));
+      } else if (node.type === 'if' || node.type === 'unless') {
+        add(node.path, 'condition');
+        visit(node.children, loop);
+        visit(node.alternate, loop);
+      } else if (node.type === 'each') {
+        add(node.path, 'loop');
+        visit(node.children, node.path);
+        visit(node.alternate, loop);
+      } else if (node.type === 'partial') {
+        Object.values(node.params)
+          .filter(arg => arg.type === 'path')
+          .forEach(arg => add(arg.path, 'output'));
+      }
+    }
+  };
+
+  visit(parseTemplate(template), null);
+  return references.filter(ref => ref.name !== 'this' && !ref.name.startsWith('@'));
+}
+
+/**
+ * Lists the partials a template includes, in source order (including those inside blocks)
+ * @param {string} template - Template source
+ * @returns {string[]} Partial references such as "shared/json_output@^1"
+ */
+export function listTemplatePartials(template) {
+  const partials = [];
+
+  const visit = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'partial') {
+        partials.push(node.name);
+      } else if (node.children) {
+        visit(node.children);
+        visit(node.alternate);
+      }
+    }
+  };
+
+  visit(parseTemplate(template));
+  return partials;
+}
+
+/**
+ * Extracts the unique top-level variable names a template uses (outside loop bodies, whose
+ * references may be fields of the loop item)
+ * @param {string} template - Template source
+ * @returns {string[]} Variable names
+ */
+export function extractTemplateVariables(template) {
+  return [...new Set(listTemplateReferences(template).filter(ref => !ref.loop).map(ref => ref.name))];
+}
+
+export default {
+  TemplateError,
+  registerFilter,
+  parseTemplate,
+  renderTemplate,
+  listTemplateReferences,
+  listTemplatePartials,
+  extractTemplateVariables
+};
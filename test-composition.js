@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for prompt composition (includes)
+ */
+
+import { parsePromptReference, resolveInclude, findIncludes, checkIncludes } from './composition.js';
+import { get, registry } from './index.mjs';
+
+console.log('Testing prompt composition...\n');
+
+/**
+ * Builds a minimal registry entry for the given versions
+ * @param {object} versions - Map of version to prompt template or partial version data
+ * @returns {object} Registry entry
+ */
+function entry(versions) {
+  const keys = Object.keys(versions);
+  return {
+    latest: keys[keys.length - 1],
+    versions: Object.fromEntries(keys.map(version => [version, {
+      description: 'Composition test fragment',
+      category: 'development',
+      tags: ['test'],
+      version,
+      ...(typeof versions[version] === 'string' ? { prompt: versions[version] } : versions[version])
+    }]))
+  };
+}
+
+const fixtures = {
+  'shared/senior_engineer': entry({
+    '1.0.0': 'You are a senior software engineer.'
+  }),
+  'shared/json_output': entry({
+    '1.0.0': 'Respond with JSON.',
+    '1.1.0': {
+      prompt: 'Respond with {{format}} JSON{{#if schema}} matching this schema: {{schema}}{{/if}}.',
+      variables: {
+        format: { type: 'string', enum: ['strict', 'loose'], default: 'loose' },
+        schema: { type: 'string', required: false }
+      }
+    },
+    '2.0.0': 'Respond with YAML.'
+  }),
+  composition_test_review: entry({
+    '1.0.0': '{{> shared/senior_engineer}}\n\nReview this {{language}} code:\n{{code}}\n\n{{> shared/json_output@^1 format="strict"}}'
+  })
+};
+Object.assign(registry, fixtures);
+
+// Test reference parsing and version resolution
+console.log('1. Testing reference resolution:');
+console.log('  Parsed:', parsePromptReference('shared/json_output@^1'));
+['shared/json_output', 'shared/json_output@^1', 'shared/json_output@1.0.0', 'shared/json_output@~1.0'].forEach(reference => {
+  console.log(`  ${reference} -> ${resolveInclude(registry, reference).version}`);
+});
+try {
+  resolveInclude(registry, 'shared/json_output@^3');
+} catch (error) {
+  console.log(`  ${error.message}`);
+}
+
+// Test rendering with includes
+console.log('\n2. Testing get() with includes:');
+console.log(`  Includes: ${findIncludes(registry.composition_test_review.versions['1.0.0']).join(', ')}`);
+console.log(get('composition_test_review', { language: 'Python', code: 'print(1)' }).prompt);
+console.log(get('composition_test_review', { language: 'Python', code: 'print(1)', schema: '{"ok": boolean}' }).prompt);
+try {
+  get('composition_test_review', { language: 'Python' });
+} catch (error) {
+  console.log(`  Missing variables: ${error.message}`);
+}
+
+// Test cycle detection
+console.log('\n3. Testing circular includes:');
+registry.composition_test_a = entry({ '1.0.0': 'A then {{> composition_test_b}}' });
+registry.composition_test_b = entry({ '1.0.0': 'B then {{> composition_test_a}}' });
+try {
+  get('composition_test_a');
+} catch (error) {
+  console.log(`  ${error.message}`);
+}
+
+// Test dangling includes
+console.log('\n4. Testing dangling includes:');
+registry.composition_test_dangling = entry({ '1.0.0': '{{> shared/missing_fragment}} and {{> shared/json_output@^5}}' });
+checkIncludes(registry).forEach(error => console.log(`  ${error}`));
+
+for (const id of [...Object.keys(fixtures), 'composition_test_a', 'composition_test_b', 'composition_test_dangling']) {
+  delete registry[id];
+}
+console.log(`  Errors after cleanup: ${checkIncludes(registry).length}`);
+
+console.log('\n✅ All tests completed successfully!');
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for merge conflict detection and resolution (uses a stubbed fetch, no network access)
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  readConflictRules, validateConflictRules, getConflictRule, findVersionConflicts, applyConflictResolution
+} from './conflicts.js';
+
+// The cache directory is read when index.mjs loads, so set it before importing
+const workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-registry-conflicts-'));
+process.env.PROMPT_REGISTRY_CACHE_DIR = path.join(workDirectory, 'cache');
+const { sync, registry, createRegistry, createJsonFileStorage } = await import('./index.mjs');
+
+console.log('Testing merge conflicts...\n');
+
+// Remote copy of bug_fix whose latest version has different content
+const local = registry.bug_fix;
+const remote = JSON.parse(JSON.stringify(local));
+remote.versions[remote.latest].prompt += '\n\nExplain each fix in one sentence.';
+remote.versions[remote.latest].description = 'Remote description';
+
+// Test detection
+console.log('1. Testing detection:');
+const conflicts = findVersionConflicts('bug_fix', local, remote);
+conflicts.forEach(conflict => console.log(`  ${conflict.id}@${conflict.version}: ${conflict.localHash.slice(0, 15)}... vs ${conflict.remoteHash.slice(0, 15)}...`));
+const metadataOnly = JSON.parse(JSON.stringify(local));
+metadataOnly.versions[local.latest].description = 'Only the description changed';
+console.log(`  Metadata-only change is a conflict: ${findVersionConflicts('bug_fix', local, metadataOnly).length > 0}`);
+
+// Test rules
+console.log('\n2. Testing rules:');
+const rules = {
+  default: 'prefer-local',
+  rules: { code_review: 'prefer-remote', 'acme/*': 'fork-as-new-version', 'acme/security/*': 'prefer-local' }
+};
+for (const id of ['code_review', 'acme/sql', 'acme/security/audit', 'bug_fix']) {
+  const match = getConflictRule(rules, id);
+  console.log(`  ${id}: ${match.strategy} (${match.rule})`);
+}
+console.log(`  No rules: ${getConflictRule(null, 'bug_fix')}`);
+validateConflictRules({ default: 'newest', rules: { 'a*b': 'prefer-remote', x: 'merge' } }).forEach(error => console.log(`  Error: ${error}`));
+const rulesPath = path.join(workDirectory, 'prompt-registry.conflicts.json');
+fs.writeFileSync(rulesPath, JSON.stringify(rules), 'utf8');
+console.log(`  Read from file: ${Object.keys(readConflictRules(rulesPath).rules).length} rules`);
+console.log(`  Missing file: ${readConflictRules(path.join(workDirectory, 'missing.json'))}`);
+
+// Test resolutions on a copy of the entry
+console.log('\n3. Testing resolutions:');
+const forked = JSON.parse(JSON.stringify(local));
+for (const [strategy, entry] of [
+  ['prefer-local', JSON.parse(JSON.stringify(local))],
+  ['prefer-remote', JSON.parse(JSON.stringify(local))],
+  ['fork-as-new-version', forked],
+  ['fork-as-new-version', forked]
+]) {
+  const storedAs = applyConflictResolution(entry, remote.versions[remote.latest], local.latest, strategy);
+  const kept = entry.versions[local.latest].prompt === local.versions[local.latest].prompt;
+  console.log(`  ${strategy}: storedAs=${storedAs} localKept=${kept} latest=${entry.latest}`);
+}
+console.log(`  Fork version field: ${forked.versions[`${local.latest}-remote.1`].version}`);
+
+// Test decisions recorded by sync() (only resolutions that keep the local registry unchanged)
+console.log('\n4. Testing sync():');
+let served = 0;
+globalThis.fetch = async () => new Response(JSON.stringify({ schemaVersion: '2.0', revision: ++served, prompts: { bug_fix: remote } }), {
+  status: 200,
+  headers: { 'content-type': 'application/json' }
+});
+const url = 'https://raw.githubusercontent.com/prompt-registry/test/main/registry.json';
+const asked = [];
+for (const [label, options] of [
+  ['Default strategy', {}],
+  ['Rule', { conflictRules: { rules: { bug_fix: 'prefer-local' } } }],
+  ['Interactive', { mergeStrategy: 'interactive', resolveConflict: async conflict => {
+    asked.push(`${conflict.id}@${conflict.version} (${conflict.local.description} -> ${conflict.remote.description})`);
+    return 'prefer-local';
+  } }],
+  ['Interactive without a resolver', { mergeStrategy: 'interactive' }],
+  ['Invalid resolution', { mergeStrategy: 'interactive', resolveConflict: () => 'merge' }],
+  ['Invalid rules', { conflictRules: { rules: { bug_fix: 'newest' } } }]
+]) {
+  try {
+    const result = await sync({ url, force: true, ...options });
+    const decisions = result.conflicts.map(conflict => `${conflict.id}@${conflict.version} ${conflict.strategy} by ${conflict.decidedBy}${conflict.rule ? ` "${conflict.rule}"` : ''}`);
+    console.log(`  ${label}: ${decisions.join(', ')} updated=${result.updatedPrompts}`);
+    result.warnings.forEach(warning => console.log(`    Warning: ${warning}`));
+  } catch (error) {
+    console.log(`  ${label}: ${error.message}`);
+  }
+}
+asked.forEach(question => console.log(`  Asked: ${question}`));
+
+// A resolution made on a cache hit is saved to the registry file like one made on a download
+const registryFile = path.join(workDirectory, 'registry.json');
+fs.writeFileSync(registryFile, JSON.stringify({ bug_fix: local }), 'utf8');
+const fileConfig = { cache: { directory: path.join(workDirectory, 'file-cache') }, snapshots: { directory: path.join(workDirectory, 'snapshots') } };
+const fileRegistry = createRegistry({ storage: createJsonFileStorage(registryFile), config: fileConfig });
+const fileUrl = 'https://raw.githubusercontent.com/prompt-registry/test/main/other.json';
+const downloaded = await fileRegistry.sync({ url: fileUrl });
+const cached = await fileRegistry.sync({ url: fileUrl, mergeStrategy: 'interactive', resolveConflict: () => 'prefer-remote' });
+const saved = JSON.parse(fs.readFileSync(registryFile, 'utf8')).bug_fix.versions[local.latest];
+console.log(`  Cache hit: ${downloaded.transfer} then ${cached.transfer}, updated=${cached.updatedPrompts} snapshot=${Boolean(cached.snapshot)} saved remote=${saved.description === 'Remote description'}`);
+
+fs.rmSync(workDirectory, { recursive: true, force: true });
+
+console.log('\n✅ All tests completed successfully!');
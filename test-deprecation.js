@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for deprecated and yanked prompt versions
+ */
+
+import { resolvePromptVersion, getDeprecation, describeVersionStatus } from './version-utils.js';
+import { semanticSearch } from './advanced-search.js';
+import { validatePrompt } from './validate-prompt.js';
+import { get, search, registry } from './index.mjs';
+
+console.log('Testing deprecated and yanked versions...\n');
+
+/**
+ * Builds a prompt version for the test entry
+ * @param {string} version - Version string
+ * @param {object} extra - Additional fields (deprecated, yanked)
+ * @returns {object} Prompt version data
+ */
+function version(version, extra = {}) {
+  return {
+    description: 'Lifecycle test prompt for database migration planning',
+    prompt: `Plan a database migration (v${version}) for {{database}} with zero downtime.`,
+    category: 'development',
+    tags: ['database', 'migration'],
+    version,
+    ...extra
+  };
+}
+
+registry.lifecycle_test_prompt = {
+  latest: '2.1.0',
+  distTags: { stable: '2.1.0', broken: '2.0.1' },
+  versions: {
+    '1.0.0': version('1.0.0', { deprecated: { message: 'Uses outdated locking advice', replacement: 'lifecycle_test_prompt@^2' } }),
+    '2.0.0': version('2.0.0'),
+    '2.0.1': version('2.0.1', { yanked: { reason: 'Suggested dropping tables' } }),
+    '2.1.0': version('2.1.0', { yanked: true })
+  }
+};
+const entry = registry.lifecycle_test_prompt;
+
+// Test helpers
+console.log('1. Testing lifecycle helpers:');
+console.log('  Deprecation:', getDeprecation(entry.versions['1.0.0']));
+console.log(`  String form: ${JSON.stringify(getDeprecation({ deprecated: 'Use v2' }))}`);
+console.log(`  ${describeVersionStatus('lifecycle_test_prompt@2.0.1', entry.versions['2.0.1'])}`);
+
+// Test resolution skips yanked versions
+console.log('\n2. Testing version resolution:');
+['', '^2', '~2.0', 'stable', 'broken', '2.0.1', '^1'].forEach(spec => {
+  console.log(`  ${JSON.stringify(spec).padEnd(9)} -> ${resolvePromptVersion(entry, spec)}`);
+});
+
+// Test get() warnings and strict mode
+console.log('\n3. Testing get():');
+const values = { database: 'PostgreSQL' };
+console.log(`  Bare id: ${get('lifecycle_test_prompt', values).id}`);
+console.log(`  Pinned yanked: ${get('lifecycle_test_prompt@2.0.1', values).id}`);
+const deprecated = get('lifecycle_test_prompt@1.0.0', values);
+console.log(`  Deprecated: ${deprecated.id}, replacement ${deprecated.deprecated.replacement}`);
+for (const id of ['lifecycle_test_prompt@1.0.0', 'lifecycle_test_prompt@2.0.1', 'lifecycle_test_prompt@broken']) {
+  try {
+    get(id, values, { strict: true });
+  } catch (error) {
+    console.log(`  ${id}: ${error.message}`);
+  }
+}
+
+// Test search() and semanticSearch() hiding
+console.log('\n4. Testing search():');
+entry.latest = '1.0.0';
+entry.versions['2.0.0'].yanked = true;
+console.log(`  search(): ${search('lifecycle_test').length} results`);
+console.log(`  search() with includeDeprecated: ${search('lifecycle_test', { includeDeprecated: true }).map(p => `${p.version} deprecated=${p.deprecated}`).join(', ')}`);
+console.log(`  semanticSearch(): ${semanticSearch(registry, 'zero downtime database migration').filter(p => p.id === 'lifecycle_test_prompt').length} results`);
+console.log(`  semanticSearch() with includeDeprecated: ${semanticSearch(registry, 'zero downtime database migration', 10, { includeDeprecated: true }).filter(p => p.id === 'lifecycle_test_prompt').length} results`);
+delete registry.lifecycle_test_prompt;
+
+// Test validation of lifecycle fields
+console.log('\n5. Testing validation:');
+const result = validatePrompt({ id: 'lifecycle_check', ...version('1.0.0', { deprecated: { replacement: 3 }, yanked: 'yes' }) });
+result.errors.forEach(error => console.log(`  Error: ${error}`));
+
+console.log('\n✅ All tests completed successfully!');
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for embedding-based semantic search
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createHashedEmbedder, createEmbeddingIndex, cosineSimilarity, getEmbeddingText, getEmbeddingIndex,
+  EmbeddingError } from './embedding-index.js';
+import { semanticSearch, semanticSearchAsync } from './advanced-search.js';
+import { createRegistry, createMemoryStorage, createJsonFileStorage } from './index.mjs';
+
+console.log('Testing embedding search...\n');
+
+const registry = JSON.parse(fs.readFileSync(new URL('./registry.json', import.meta.url), 'utf8'));
+const format = results => results.map(result => `${result.id}=${result.score.toFixed(2)}`).join(', ') || 'none';
+
+// Test the hashed embedder
+console.log('1. Testing createHashedEmbedder():');
+const embedder = createHashedEmbedder();
+const [summarise, summarizer, invoice, empty] = embedder.embed(['summarise the notes', 'Notes summarizer', 'Send an invoice reminder', '']);
+console.log(`  ${embedder.name}: ${summarise.length} dimensions, unit length=${Math.abs(cosineSimilarity(summarise, summarise) - 1) < 1e-6}`);
+console.log(`  Spelling variants closer than unrelated text: ${cosineSimilarity(summarise, summarizer) > cosineSimilarity(summarise, invoice)}`);
+console.log(`  Deterministic: ${cosineSimilarity(summarise, embedder.embed(['summarise the notes'])[0]) > 0.9999}`);
+console.log(`  Empty text: ${cosineSimilarity(empty, summarise)}`);
+console.log(`  Smaller vectors: ${createHashedEmbedder({ dimensions: 64 }).embed(['x'])[0].length}`);
+try {
+  createHashedEmbedder({ dimensions: 0 });
+} catch (error) {
+  console.log(`  Invalid size: ${error instanceof EmbeddingError} ${error.message}`);
+}
+console.log(`  Embedded text: ${JSON.stringify(getEmbeddingText('sql_query_generation', registry.sql_query_generation.versions['2.0.0']).split('\n').slice(0, 4))}`);
+
+// Test the index
+console.log('\n2. Testing createEmbeddingIndex():');
+const index = createEmbeddingIndex();
+console.log(`  First update: ${JSON.stringify(await index.updatePrompts(registry))}, count=${index.count()}`);
+console.log(`  Unchanged: ${JSON.stringify(await index.updatePrompts(registry))}`);
+const similar = await index.query('turn English into a database query');
+console.log(`  Query: ${similar.slice(0, 3).map(result => `${result.id}=${result.similarity.toFixed(2)}`).join(', ')}`);
+console.log(`  Unrelated query: ${(await index.query('purple elephant banana')).length} results`);
+const [one, two] = await Promise.all([index.updatePrompts({ bug_fix: registry.bug_fix }), index.updatePrompts(registry)]);
+console.log(`  Concurrent updates: ${JSON.stringify(one)} ${JSON.stringify(two)}`);
+
+// Pluggable embedders: asynchronous ones, and invalid ones
+const calls = [];
+const countingEmbedder = {
+  name: 'counting',
+  async embed(texts) {
+    calls.push(texts.length);
+    return embedder.embed(texts);
+  }
+};
+const counted = createEmbeddingIndex({ embedder: countingEmbedder });
+await counted.updatePrompts(registry);
+await counted.query('code');
+console.log(`  Async embedder batches: ${calls.join(', ')}`);
+for (const [label, broken] of [
+  ['No embed()', { name: 'broken' }],
+  ['Wrong count', { name: 'short', embed: () => [] }],
+  ['Wrong size', { name: 'sized', dimensions: 3, embed: texts => texts.map(() => [1, 0]) }]
+]) {
+  try {
+    await createEmbeddingIndex({ embedder: broken }).updatePrompts({ bug_fix: registry.bug_fix });
+    console.log(`  ${label}: accepted`);
+  } catch (error) {
+    console.log(`  ${label}: ${error.name}: ${error.message}`);
+  }
+}
+
+// Test semanticSearch() and the modes of semanticSearchAsync()
+console.log('\n3. Testing semanticSearch() and semanticSearchAsync():');
+for (const query of ['turn English into a database query', 'summarise a long document']) {
+  console.log(`  "${query}":`);
+  console.log(`    lexical: ${format(semanticSearch(registry, query, 3))}`);
+  console.log(`    embedding: ${format(await semanticSearchAsync(registry, query, 3, { mode: 'embedding' }))}`);
+  console.log(`    hybrid: ${format(await semanticSearchAsync(registry, query, 3, { mode: 'hybrid' }))}`);
+}
+console.log(`  Lexical weight only: ${format(await semanticSearchAsync(registry, 'database queries', 2, { mode: 'hybrid', semanticWeight: 0 }))}`);
+console.log(`  Returns a promise: semanticSearch=${semanticSearch(registry, 'sql') instanceof Promise} semanticSearchAsync=${semanticSearchAsync(registry, 'sql') instanceof Promise}`);
+console.log(`  Async lexical same as sync: ${format(await semanticSearchAsync(registry, 'database queries', 3)) === format(semanticSearch(registry, 'database queries', 3))}`);
+try {
+  semanticSearch(registry, 'sql', 3, { mode: 'hybrid' });
+} catch (error) {
+  console.log(`  Embedding mode without async: ${error.message}`);
+}
+console.log(`  Index reused: ${getEmbeddingIndex(registry).count()} prompts`);
+try {
+  semanticSearch(registry, 'sql', 3, { mode: 'neural' });
+} catch (error) {
+  console.log(`  Unknown mode: ${error.message}`);
+}
+
+const deprecatedRegistry = {
+  old_sql: { latest: '1.0.0', versions: { '1.0.0': { description: 'Writes database queries', prompt: 'Write SQL for {{request}}', category: 'development', tags: ['sql'], version: '1.0.0', deprecated: 'Use sql_query_generation' } } }
+};
+console.log(`  Deprecated hidden: ${(await semanticSearchAsync(deprecatedRegistry, 'database queries', 5, { mode: 'hybrid' })).length}, included: ${(await semanticSearchAsync(deprecatedRegistry, 'database queries', 5, { mode: 'hybrid', includeDeprecated: true })).length}`);
+
+// Test registries with an embedder and a saved embedding index
+console.log('\n4. Testing registries:');
+const instance = createRegistry({ storage: createMemoryStorage(), embedder: countingEmbedder });
+instance.add('standup_notes', { description: 'Condenses standup meetings', prompt: 'Summarise {{notes}}', category: 'writing', tags: ['meetings'], version: '1.0.0' });
+calls.length = 0;
+console.log(`  Registry embedder: ${format(await semanticSearchAsync(instance.registry, 'summarize meeting', 3, { mode: 'embedding' }))} (batches ${calls.join(', ')})`);
+console.log(`  Info: ${JSON.stringify(instance.getRegistryInfo().embeddings)}`);
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-embeddings-'));
+try {
+  const registryFile = path.join(directory, 'registry.json');
+  fs.writeFileSync(registryFile, JSON.stringify({ bug_fix: registry.bug_fix, code_explanation: registry.code_explanation }));
+  const config = { cache: { directory }, embeddings: { enabled: true } };
+
+  const saved = createRegistry({ storage: createJsonFileStorage(registryFile), config });
+  await semanticSearchAsync(saved.registry, 'fix a bug', 1, { mode: 'hybrid' });
+  const { file } = saved.getRegistryInfo().embeddings;
+  console.log(`  Saved next to the cache: ${path.dirname(file) === directory} ${path.basename(file).endsWith('.embeddings.json')}`);
+
+  calls.length = 0;
+  const reloaded = createRegistry({ storage: createJsonFileStorage(registryFile), config, embedder: { ...countingEmbedder, name: embedder.name } });
+  console.log(`  Reloaded: ${reloaded.getRegistryInfo().embeddings.documents} prompts, ${format(await semanticSearchAsync(reloaded.registry, 'fix a bug', 1, { mode: 'hybrid' }))}, prompts embedded again: ${calls.length > 1 ? 'yes' : 'no'}`);
+
+  calls.length = 0;
+  const other = createRegistry({ storage: createJsonFileStorage(registryFile), config, embedder: countingEmbedder });
+  await semanticSearchAsync(other.registry, 'fix a bug', 1, { mode: 'hybrid' });
+  console.log(`  Other embedder: starts empty=${calls[0] === 2}`);
+} finally {
+  fs.rmSync(directory, { recursive: true, force: true });
+}
+
+console.log('\n✅ All tests completed successfully!');
@@ -115,6 +115,19 @@ console.log('  Save result:', saveResult);
 const loadedRegistry = loadRegistry(testRegistryPath);
 console.log('  Loaded registry:', loadedRegistry ? loadedRegistry.id : 'null');
 
+// Two writers that loaded the same file keep each other's changes
+const firstWriter = loadRegistry(testRegistryPath);
+const secondWriter = loadRegistry(testRegistryPath);
+addMember(addPrompt(firstWriter, 'first_prompt', { latest: '1.0.0', versions: { '1.0.0': { description: 'First', prompt: 'First {{x}}', version: '1.0.0' } } }), 'first-user');
+addTeam(addPrompt(secondWriter, 'second_prompt', { latest: '1.0.0', versions: { '1.0.0': { description: 'Second', prompt: 'Second {{x}}', version: '1.0.0' } } }), 'second-team');
+secondWriter.members = secondWriter.members.filter(member => member !== '2');
+saveRegistry(firstWriter, testRegistryPath);
+saveRegistry(secondWriter, testRegistryPath);
+const mergedRegistry = loadRegistry(testRegistryPath);
+console.log('  Concurrent saves merged:', listPrompts(mergedRegistry).join(', '));
+console.log('  Members:', mergedRegistry.members.join(', '), '| teams:', mergedRegistry.teams.join(', '));
+console.log('  Second writer updated in memory:', listPrompts(secondWriter).includes('first_prompt'));
+
 // Clean up test file
 import fs from 'node:fs';
 if (fs.existsSync(testRegistryPath)) {
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for faceted and paginated search results
+ */
+
+import { sortSearchHits, countSearchFacets, createSearchPage, SEARCH_SORTS } from './search-results.js';
+import fs from 'node:fs';
+import { createRegistry, createMemoryStorage, search, semanticSearch, semanticSearchAsync, advancedFilter } from './index.mjs';
+
+console.log('Testing faceted search results...\n');
+
+const hits = [
+  { result: { id: 'b_prompt', score: 2 }, versionData: { description: 'Second', prompt: 'Do {{x}}', category: 'development', tags: ['sql', 'database'], author: 'alice', releasedAt: '2024-05-01', variants: { 'claude-3-opus': 'Do {{x}}', gpt: 'Do {{x}}' } } },
+  { result: { id: 'a_prompt', score: 1 }, versionData: { description: 'x', prompt: 'x', category: 'content', tags: ['sql'], releasedAt: '2024-06-01' } },
+  { result: { id: 'c_prompt', score: 3 }, versionData: { description: 'Explains the code given in a request', prompt: 'Please explain the following code step by step:\n{{code}}', category: 'development', tags: ['code'], author: 'bob' } }
+];
+
+// Test sorting
+console.log('1. Testing sortSearchHits():');
+for (const sort of SEARCH_SORTS) {
+  console.log(`  ${sort}: ${sortSearchHits(hits, sort).map(hit => hit.result.id).join(', ')}`);
+}
+console.log(`  Input unchanged: ${hits.map(hit => hit.result.id).join(', ')}`);
+try {
+  sortSearchHits(hits, 'newest');
+} catch (error) {
+  console.log(`  Unknown sort: ${error.name}: ${error.message}`);
+}
+
+// Test facets
+console.log('\n2. Testing countSearchFacets():');
+for (const [facet, values] of Object.entries(countSearchFacets(hits))) {
+  console.log(`  ${facet}: ${values.map(({ value, count }) => `${value} (${count})`).join(', ')}`);
+}
+console.log(`  No hits: ${JSON.stringify(countSearchFacets([]))}`);
+
+// Test pages
+console.log('\n3. Testing createSearchPage():');
+const first = createSearchPage(hits, 'query', { limit: 2, sort: 'id' });
+console.log(`  First page: ${first.results.map(result => result.id).join(', ')} of ${first.total}, cursor=${Boolean(first.cursor)}, facets of all=${first.facets.category.length === 2}`);
+const second = createSearchPage(hits, 'query', { limit: 2, cursor: first.cursor });
+console.log(`  Next page (sort kept): ${second.results.map(result => result.id).join(', ')}, cursor=${second.cursor}`);
+console.log(`  Offset: ${createSearchPage(hits, 'query', { offset: 1, limit: 1 }).results.map(result => result.id).join(', ')}`);
+console.log(`  Past the end: ${createSearchPage(hits, 'query', { offset: 5 }).results.length}`);
+for (const [label, options] of [
+  ['Other search', ['other query', { cursor: first.cursor }]],
+  ['Other sort', ['query', { cursor: first.cursor, sort: 'quality' }]],
+  ['Malformed cursor', ['query', { cursor: 'not-a-cursor' }]],
+  ['Bad limit', ['query', { limit: 0 }]],
+  ['Bad offset', ['query', { offset: -1 }]]
+]) {
+  try {
+    createSearchPage(hits, ...options);
+    console.log(`  ${label}: accepted`);
+  } catch (error) {
+    console.log(`  ${label}: ${error.name}: ${error.message}`);
+  }
+}
+
+// Test search()
+console.log('\n4. Testing search():');
+const page = search('generate', { paginate: true, limit: 5 });
+console.log(`  Page: ${page.results.length} of ${page.total}, same as unpaged: ${JSON.stringify(page.results.map(result => result.id)) === JSON.stringify(search('generate').slice(0, 5).map(result => result.id))}`);
+console.log(`  Categories: ${page.facets.category.map(({ value, count }) => `${value} (${count})`).join(', ')}`);
+const pages = [];
+let cursor;
+do {
+  const next = search('generate', { paginate: true, limit: 5, cursor });
+  pages.push(next.results.map(result => result.id));
+  cursor = next.cursor;
+} while (cursor);
+console.log(`  Cursor walk: ${pages.length} pages, ${new Set(pages.flat()).size} distinct results`);
+console.log(`  Filter object: ${search({ category: 'development', paginate: true, sort: 'id', limit: 3 }).results.map(result => result.id).join(', ')}`);
+console.log(`  Sorted array: ${search({ category: 'development' }, { sort: 'quality' }).slice(0, 3).map(result => result.id).join(', ')}`);
+try {
+  search('generate', { paginate: true, cursor: page.cursor, fuzzy: true });
+} catch (error) {
+  console.log(`  Cursor of other options: ${error.message}`);
+}
+
+// Facets and dates of a registry instance (with the prompt index, which summarizes versions)
+for (const enabled of [false, true]) {
+  const instance = createRegistry({ storage: createMemoryStorage(), config: { index: { enabled } } });
+  instance.add('older_review', { description: 'Reviews code', prompt: 'Review {{code}}', category: 'development', tags: ['code', 'review'], author: 'alice', releasedAt: '2024-01-10', variants: { claude: 'Review {{code}}' }, version: '1.0.0' });
+  instance.add('newer_review', { description: 'Reviews code for bugs', prompt: 'Review {{code}} for bugs', category: 'development', tags: ['code'], author: 'bob', releasedAt: '2024-08-01', variants: { claude: 'Review {{code}}', 'gpt-4': 'Review {{code}}' }, version: '1.0.0' });
+  const reviews = instance.search({ tags: ['code'], paginate: true, sort: 'updated' });
+  console.log(`  Index ${enabled ? 'on' : 'off'}: ${reviews.results.map(result => result.id).join(', ')}; models ${reviews.facets.models.map(({ value, count }) => `${value} (${count})`).join(', ')}; authors ${reviews.facets.authors.map(({ value }) => value).join(', ')}`);
+}
+
+// Test semanticSearch(), semanticSearchAsync() and advancedFilter()
+console.log('\n5. Testing semanticSearch(), semanticSearchAsync() and advancedFilter():');
+const registry = JSON.parse(fs.readFileSync(new URL('./registry.json', import.meta.url), 'utf8'));
+const ids = results => results.map(result => result.id).join(', ');
+for (const mode of ['lexical', 'embedding', 'hybrid']) {
+  const semanticPage = await semanticSearchAsync(registry, 'generate code', 3, { mode, paginate: true });
+  const nextPage = await semanticSearchAsync(registry, 'generate code', 3, { mode, paginate: true, cursor: semanticPage.cursor });
+  const unpaged = await semanticSearchAsync(registry, 'generate code', 6, { mode });
+  console.log(`  ${mode}: ${semanticPage.results.length} of ${semanticPage.total}, two pages as unpaged=${ids([...semanticPage.results, ...nextPage.results]) === ids(unpaged)}, categories=${semanticPage.facets.category.length > 0}`);
+}
+console.log(`  Sorted by id: ${ids(semanticSearch(registry, 'sql', 3, { sort: 'id' }))}`);
+console.log(`  Hybrid by quality: ${ids(await semanticSearchAsync(registry, 'sql', 2, { mode: 'hybrid', sort: 'quality' }))}`);
+try {
+  semanticSearch(registry, 'sql', 3, { sort: 'newest' });
+} catch (error) {
+  console.log(`  Unknown sort: ${error.name}: ${error.message}`);
+}
+
+const filterPage = advancedFilter(registry, 'category:development vars<=2', { paginate: true, limit: 4, sort: 'id' });
+console.log(`  advancedFilter page: ${ids(filterPage.results)} of ${filterPage.total}, all=${filterPage.total === advancedFilter(registry, 'category:development vars<=2').length}`);
+console.log(`  Next page: ${ids(advancedFilter(registry, 'category:development vars<=2', { paginate: true, limit: 4, cursor: filterPage.cursor }).results)}`);
+const objectPage = advancedFilter(registry, { tags: ['sql'], paginate: true, sort: 'quality' });
+console.log(`  Filter object with options: ${ids(objectPage.results)}; tags ${objectPage.facets.tags.slice(0, 3).map(({ value, count }) => `${value} (${count})`).join(', ')}`);
+console.log(`  Sorted array: ${ids(advancedFilter(registry, { category: 'development', maxVariables: 1 }, { sort: 'updated' }).slice(0, 3))}`);
+
+console.log('\n✅ All tests completed successfully!');
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for fuzzy and typo-tolerant prompt lookup
+ */
+
+import fs from 'node:fs';
+import { editDistance, wordSimilarity, trigramSimilarity, suggestIds, formatSuggestions, fuzzySearchPrompts } from './fuzzy-match.js';
+import { createSearchIndex } from './search-index.js';
+import { createRegistry, createMemoryStorage, get, getHistory, search, PromptNotFoundError } from './index.mjs';
+
+console.log('Testing fuzzy matching...\n');
+
+const registry = JSON.parse(fs.readFileSync(new URL('./registry.json', import.meta.url), 'utf8'));
+
+// Test distances
+console.log('1. Testing distances:');
+for (const [a, b] of [['kitten', 'sitting'], ['genreation', 'generation'], ['sumarize', 'summarize'], ['abc', 'abc'], ['', 'abc']]) {
+  console.log(`  editDistance("${a}", "${b}"): ${editDistance(a, b)}`);
+}
+console.log(`  Capped: ${editDistance('completely', 'different', 2)}`);
+console.log(`  wordSimilarity: sumarize=${wordSimilarity('sumarize', 'summarize').toFixed(2)} sql/sq1=${wordSimilarity('sql', 'sq1')} sum/summary=${wordSimilarity('sum', 'summary', { prefix: true })}`);
+console.log(`  trigramSimilarity: reordered=${trigramSimilarity('generation_sql_query', 'sql_query_generation').toFixed(2)} unrelated=${trigramSimilarity('bug_fix', 'sql_query_generation').toFixed(2)}`);
+
+// Test suggestions
+console.log('\n2. Testing suggestions:');
+const ids = Object.keys(registry);
+for (const id of ['sql_query_genration', 'text_sumarizer', 'generation_sql_query', 'BUG_FIX', 'xyz']) {
+  console.log(`  ${id}: ${JSON.stringify(suggestIds(id, ids))}`);
+}
+console.log(`  Limit 1: ${JSON.stringify(suggestIds('sql_query_genration', ids, { limit: 1 }))}`);
+console.log(`  Format: ${formatSuggestions(['a'])} / ${formatSuggestions(['a', 'b', 'c'])}`);
+
+// Test not-found errors
+console.log('\n3. Testing not-found errors:');
+for (const [label, lookup] of [['get()', () => get('sql_query_genration')], ['get(@version)', () => get('text_sumarizer@1')],
+  ['getHistory()', () => getHistory('bug_fx')], ['No suggestion', () => get('zzzzzz')], ['Source prefix', () => get('local:bug_fx')]]) {
+  try {
+    lookup();
+  } catch (error) {
+    console.log(`  ${label}: ${error instanceof PromptNotFoundError} ${error.message} ${JSON.stringify(error.details.suggestions)}`);
+  }
+}
+
+// Test fuzzy search()
+console.log('\n4. Testing fuzzy search():');
+for (const query of ['sumarize', 'sql query genration', 'code reveiw']) {
+  const exact = search(query);
+  const fuzzy = search(query, { fuzzy: true });
+  console.log(`  "${query}": exact=${exact.length} fuzzy=${fuzzy.slice(0, 3).map(result => `${result.id} (${result.matches.map(match => `${match.field}: ${match.terms.join(', ')}`).join('; ')})`).join(', ')}`);
+}
+console.log(`  Exact words first: ${search('summarizer', { fuzzy: true })[0].id}, same as without fuzzy: ${search('summarizer', { fuzzy: true }).length === search('summarizer').length}`);
+console.log(`  Tolerance by length: "sqll"=${search('sqll', { fuzzy: true }).length} "sq"=${search('sq', { fuzzy: true }).filter(result => result.score > 0).length}`);
+
+// Typos are scored lower than exact matches
+const index = createSearchIndex();
+index.updatePrompts({
+  invoice_reminder: { latest: '1.0.0', versions: { '1.0.0': { description: 'Reminds customers of invoices', prompt: '', tags: [], version: '1.0.0' } } },
+  invoices_summary: { latest: '1.0.0', versions: { '1.0.0': { description: 'Summarizes invoices', prompt: '', tags: [], version: '1.0.0' } } }
+});
+const typo = index.query('invoicse', { fuzzy: true });
+const exact = index.query('invoices');
+console.log(`  Typo score lower: ${typo.length === exact.length && typo.every((result, i) => result.score < exact[i].score)}`);
+
+// The vocabulary follows updates
+const instance = createRegistry({ storage: createMemoryStorage() });
+instance.add('standup_notes', { description: 'Condenses standup meetings', prompt: 'Summarize {{notes}}', category: 'writing', tags: ['meetings'], version: '1.0.0' });
+console.log(`  After add(): ${instance.search('standpu', { fuzzy: true }).map(result => result.id).join(', ')}`);
+instance.remove('standup_notes');
+console.log(`  After remove(): ${instance.search('standpu', { fuzzy: true }).length}`);
+
+// Test fuzzySearchPrompts()
+console.log('\n5. Testing fuzzySearchPrompts():');
+for (const query of ['sum', 'sumarize', 'sql gen', 'sql genration', 'blog outlin', 'nothing like this']) {
+  const results = fuzzySearchPrompts(registry, query);
+  console.log(`  "${query}": ${results.slice(0, 3).map(result => `${result.id}=${result.score.toFixed(2)}`).join(', ') || 'none'}`);
+}
+console.log(`  Empty query: ${fuzzySearchPrompts(registry, '  ').length}`);
+
+const versionOf = (description, status = {}) => ({ description, prompt: 'Write {{topic}}', category: 'writing', tags: ['notes'], ...status });
+const lifecycle = {
+  meeting_notes: { latest: '2.0.0', versions: { '1.0.0': versionOf('Meeting summary'), '2.0.0': versionOf('Broken meeting recap', { yanked: true }) } },
+  meeting_agenda: { latest: '1.0.0', versions: { '1.0.0': versionOf('Meeting agenda', { deprecated: 'Use meeting_notes' }) } },
+  meeting_minutes: { latest: '1.0.0', versions: { '1.0.0': versionOf('Meeting minutes', { yanked: true }) } }
+};
+console.log(`  Yanked latest: ${fuzzySearchPrompts(lifecycle, 'summary').map(result => result.id).join(', ')}; yanked text: ${fuzzySearchPrompts(lifecycle, 'recap').length}`);
+console.log(`  Deprecated hidden: ${fuzzySearchPrompts(lifecycle, 'meeting').map(result => result.id).join(', ')}; included: ${fuzzySearchPrompts(lifecycle, 'meeting', { includeDeprecated: true }).map(result => result.id).join(', ')}`);
+
+const lifecycleInstance = createRegistry({ storage: createMemoryStorage() });
+lifecycleInstance.add('meeting_minutes', versionOf('Meeting minutes', { version: '1.0.0', yanked: true }));
+try {
+  lifecycleInstance.get('meeting_minute');
+} catch (error) {
+  console.log(`  No suggestion of a yanked prompt: ${JSON.stringify(error.details.suggestions)}`);
+}
+
+console.log('\n✅ All tests completed successfully!');
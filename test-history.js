@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for per-version release history
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { buildPromptHistory, renderPromptChangelog, renderRegistryChangelog, writeRegistryChangelog } from './changelog-generator.js';
+import { validatePrompt } from './validate-prompt.js';
+import { getHistory, registry } from './index.mjs';
+
+console.log('Testing release history...\n');
+
+registry.history_test_prompt = {
+  latest: '2.0.0',
+  versions: {
+    '1.0.0': {
+      description: 'Summarizes meeting notes',
+      prompt: 'Summarize these meeting notes:\n\n{{notes}}',
+      category: 'content',
+      tags: ['meetings'],
+      version: '1.0.0',
+      author: 'Dana',
+      releasedAt: '2024-03-01T09:00:00Z',
+      deprecated: 'Use 2.x for action items'
+    },
+    '1.1.0': {
+      description: 'Summarizes meeting notes',
+      prompt: 'Summarize these meeting notes in {{style}} style:\n\n{{notes}}',
+      category: 'content',
+      tags: ['meetings'],
+      variables: { notes: { type: 'string' }, style: { type: 'string', default: 'bullet' } },
+      version: '1.1.0'
+    },
+    '2.0.0': {
+      description: 'Summarizes meeting notes with action items',
+      prompt: 'Summarize these meeting notes and list action items with owners:\n\n{{notes}}',
+      category: 'content',
+      tags: ['meetings', 'productivity'],
+      version: '2.0.0',
+      changelog: '- Lists action items with owners\n- Dropped the style option',
+      author: 'Sam',
+      releasedAt: '2024-06-15'
+    }
+  }
+};
+
+// Test history
+console.log('1. Testing getHistory():');
+getHistory('history_test_prompt').forEach(release => {
+  console.log(`  ${release.version} ${release.releasedAt} ${release.author} latest=${release.latest} generated=${release.generated} deprecated=${Boolean(release.deprecated)}`);
+  release.changelog.forEach(note => console.log(`    - ${note}`));
+});
+try {
+  getHistory('missing_prompt');
+} catch (error) {
+  console.log(`  ${error.message}`);
+}
+console.log(`  Array notes kept: ${buildPromptHistory({ latest: '1.0.0', versions: { '1.0.0': { prompt: 'x', changelog: ['First'] } } })[0].changelog}`);
+
+// Test rendering
+console.log('\n2. Testing per-prompt Markdown:');
+console.log(renderPromptChangelog('history_test_prompt', registry.history_test_prompt));
+
+console.log('3. Testing registry changelog:');
+const subset = { history_test_prompt: registry.history_test_prompt, other_prompt: { latest: '1.0.0', versions: { '1.0.0': { prompt: 'Hi', version: '1.0.0' } } } };
+console.log(renderRegistryChangelog(subset));
+const changelogPath = path.join(os.tmpdir(), `prompt-registry-test-${process.pid}-CHANGELOG.md`);
+writeRegistryChangelog(subset, changelogPath);
+console.log(`  Regenerated file matches: ${fs.readFileSync(changelogPath, 'utf8') === renderRegistryChangelog(subset)}`);
+fs.unlinkSync(changelogPath);
+delete registry.history_test_prompt;
+
+// Test validation of history fields
+console.log('\n4. Testing validation:');
+const result = validatePrompt({
+  id: 'history_check',
+  description: 'Checks history field validation',
+  prompt: 'Summarize {{text}} in a few sentences for a busy reader.',
+  category: 'content',
+  tags: ['test'],
+  version: '1.0.0',
+  changelog: [42],
+  author: '',
+  releasedAt: 'last tuesday'
+});
+result.errors.forEach(error => console.log(`  Error: ${error}`));
+
+console.log('\n✅ All tests completed successfully!');
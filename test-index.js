@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the embedded prompt index
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createPromptIndex, fingerprintPrompts } from './prompt-index.js';
+import { createRegistry, createMemoryStorage, createJsonFileStorage, semanticSearch, advancedFilter } from './index.mjs';
+
+console.log('Testing the prompt index...\n');
+
+const registryFile = new URL('./registry.json', import.meta.url).pathname;
+const prompts = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+const workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-registry-index-'));
+const indexFile = path.join(workDirectory, 'registry.index.json');
+
+const scanned = createRegistry({ storage: createMemoryStorage(prompts) });
+const indexed = createRegistry({ storage: createMemoryStorage(prompts), config: { index: { enabled: true } } });
+
+/**
+ * Compares the results of a query on the indexed and the scanned registry
+ * @param {string} label - Query label
+ * @param {Function} query - Runs the query on a registry instance
+ */
+function compare(label, query) {
+  const expected = JSON.stringify(query(scanned));
+  const actual = JSON.stringify(query(indexed));
+  console.log(`  ${label}: ${actual === expected ? 'same' : 'DIFFERENT'} (${JSON.parse(actual).length} results)`);
+}
+
+// Indexed queries return what scanning the registry returns
+console.log('1. Testing indexed queries:');
+compare('search("sql")', registry => registry.search('sql'));
+compare('search("co")', registry => registry.search('co'));
+compare('search("review code")', registry => registry.search('review code'));
+compare('search("REVIEW")', registry => registry.search('REVIEW'));
+compare('search({ category })', registry => registry.search({ category: 'development' }));
+compare('search({ tags })', registry => registry.search({ tags: ['sql', 'database'] }));
+compare('search({ id })', registry => registry.search({ id: 'bug_fix' }));
+compare('search("sql@^1")', registry => registry.search('sql@^1'));
+compare('semanticSearch()', registry => semanticSearch(registry.registry, 'generate a sql query from a request', 10));
+compare('semanticSearch(deprecated)', registry => semanticSearch(registry.registry, 'code', 50, { includeDeprecated: true }));
+compare('advancedFilter()', registry => advancedFilter(registry.registry, { minVariables: 2, maxLength: 400, category: 'development' }));
+console.log(`  Info: ${JSON.stringify(indexed.getRegistryInfo().index)}, unindexed: ${scanned.getRegistryInfo().index}`);
+
+// Changes are indexed as they are made
+console.log('\n2. Testing incremental updates:');
+const summarize = { description: 'Condenses meeting notes', prompt: 'Summarize {{notes}}', category: 'writing', tags: ['meetings'], version: '1.0.0' };
+indexed.add('meeting_notes', summarize);
+console.log(`  Added: ${indexed.search('meeting').map(p => p.id).join(', ')}; documents=${indexed.getRegistryInfo().index.documents}`);
+indexed.add('meeting_notes', { ...summarize, description: 'Condenses standup notes', version: '1.1.0' });
+console.log(`  Updated: ${JSON.stringify(indexed.search('meeting'))}, ${indexed.search('standup').map(p => p.version).join(', ')}`);
+indexed.remove('meeting_notes');
+console.log(`  Removed: ${indexed.search('standup').length}; documents=${indexed.getRegistryInfo().index.documents}`);
+
+// Prompts put into the registry object directly are indexed when queried
+indexed.registry.direct_entry = { latest: '1.0.0', versions: { '1.0.0': { ...summarize, description: 'Condenses standup notes' } } };
+console.log(`  Direct entry: search=${indexed.search('standup').length} semanticSearch=${semanticSearch(indexed.registry, 'standup notes').length}`);
+delete indexed.registry.direct_entry;
+
+// Test the index file
+console.log('\n3. Testing the index file:');
+fs.writeFileSync(path.join(workDirectory, 'registry.json'), JSON.stringify(prompts), 'utf8');
+const storage = createJsonFileStorage(path.join(workDirectory, 'registry.json'));
+const persisted = createRegistry({ storage, config: { index: { enabled: true, file: indexFile } } });
+console.log(`  Written: ${fs.existsSync(indexFile)}, documents=${persisted.getRegistryInfo().index.documents}`);
+const reopened = createPromptIndex({ file: indexFile });
+const changedPrompts = JSON.parse(JSON.stringify(prompts));
+changedPrompts.bug_fix.versions[changedPrompts.bug_fix.latest].description = 'Fixes bugs';
+delete changedPrompts.code_explanation;
+console.log(`  Same fingerprint, entries not checked: ${JSON.stringify(reopened.updateSource('local', changedPrompts, { fingerprint: fingerprintPrompts(prompts) }))}`);
+console.log(`  Reopened: ${reopened.count()} documents, ${JSON.stringify(reopened.updateSource('local', prompts))} on update`);
+console.log(`  Full-text index kept: ${reopened.getSearchIndex('local').size} prompts, query("sql")=${reopened.getSearchIndex('local').query('sql').length}`);
+console.log(`  Changed ids only: ${JSON.stringify(reopened.updateSource('local', changedPrompts, { ids: ['bug_fix'] }))}, code_explanation=${Boolean(reopened.getDocument('local', 'code_explanation'))}`);
+console.log(`  Changed registry: ${JSON.stringify(reopened.updateSource('local', changedPrompts))}, fixes=${reopened.getSearchIndex('local').query('fixes').map(result => result.id).join(', ')}`);
+
+const savedAt = fs.statSync(indexFile).mtimeMs;
+const reloaded = createRegistry({ storage, config: { index: { enabled: true, file: indexFile } } });
+console.log(`  Reloaded unchanged registry: rewritten=${fs.statSync(indexFile).mtimeMs !== savedAt}, search("sql")=${reloaded.search('sql').length}`);
+reloaded.add('meeting_notes', summarize);
+const afterAdd = createPromptIndex({ file: indexFile });
+console.log(`  Saved after add(): document=${Boolean(afterAdd.getDocument('local', 'meeting_notes'))}, full-text=${afterAdd.getSearchIndex('local').query('meeting').map(result => result.id).join(', ')}`);
+reloaded.remove('meeting_notes');
+console.log(`  Saved after remove(): full-text=${createPromptIndex({ file: indexFile }).getSearchIndex('local').query('meeting').length}`);
+console.log(`  Tables kept: ${reopened.matchTags('local', ['sql']).size} prompts tagged "sql"`);
+
+fs.writeFileSync(indexFile, '{ not json', 'utf8');
+console.log(`  Corrupt file: ${createPromptIndex({ file: indexFile }).count()} documents`);
+const rebuilt = createRegistry({ storage, config: { index: { enabled: true, file: indexFile } } });
+console.log(`  Rebuilt: documents=${rebuilt.getRegistryInfo().index.documents}, search("sql")=${rebuilt.search('sql').length}`);
+
+// Test the lookup tables
+console.log('\n4. Testing lookup tables:');
+const index = createPromptIndex();
+index.updateSource('local', prompts);
+console.log(`  matchText("REVIEW"): ${[...index.matchText('local', 'REVIEW')].join(', ')}`);
+console.log(`  matchTags(["sql"]): ${[...index.matchTags('local', ['sql'])].join(', ')}`);
+console.log(`  matchCategory("content"): ${index.matchCategory('local', 'content').size} prompts`);
+console.log(`  Other source: ${index.matchText('team', 'sql').size} prompts`);
+console.log(`  save() without a file: ${index.save()}`);
+
+fs.rmSync(workDirectory, { recursive: true, force: true });
+
+console.log('\n✅ All tests completed successfully!');
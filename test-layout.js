@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the directory registry layout (prompts/<id>/<version>.yaml|json|md)
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { canonicalJson } from './lockfile.js';
+import {
+  resolveRegistryLocation, readRegistryTree, writeRegistryTree, loadRegistry, saveRegistry, splitRegistry, bundleRegistry
+} from './registry-layout.js';
+
+console.log('Testing directory registry layout...\n');
+
+const registryFile = new URL('./registry.json', import.meta.url).pathname;
+const registry = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+const workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-registry-layout-'));
+
+/**
+ * Lists the files of a directory tree
+ * @param {string} directory - Directory
+ * @returns {string[]} Relative file paths
+ */
+function listFiles(directory) {
+  return fs.readdirSync(directory, { recursive: true })
+    .filter(file => fs.statSync(path.join(directory, file)).isFile())
+    .sort();
+}
+
+// Test split and bundle round trips in each format
+console.log('1. Testing split and bundle:');
+for (const format of ['yaml', 'json', 'md']) {
+  const directory = path.join(workDirectory, format, 'prompts');
+  const split = splitRegistry(registryFile, directory, { format });
+  const bundled = path.join(workDirectory, format, 'registry.json');
+  bundleRegistry(directory, bundled);
+  const same = canonicalJson(JSON.parse(fs.readFileSync(bundled, 'utf8'))) === canonicalJson(registry);
+  console.log(`  ${format}: ${split.prompts} prompts, ${split.written.length} files, round trip identical: ${same}`);
+}
+const yamlDirectory = path.join(workDirectory, 'yaml', 'prompts');
+console.log(`  bug_fix files: ${fs.readdirSync(path.join(yamlDirectory, 'bug_fix')).join(', ')}`);
+console.log(`  Rewrite unchanged: ${writeRegistryTree(yamlDirectory, registry).written.length} files written`);
+console.log(`  Resolved location: ${path.basename(resolveRegistryLocation(path.join(workDirectory, 'yaml')))}, ${path.basename(resolveRegistryLocation(workDirectory))}`);
+
+// Namespaced ids (composition fragments, source namespaces) are nested directories
+const fragment = { latest: '1.0.0', versions: { '1.0.0': { description: 'JSON output instructions', prompt: 'Reply with JSON only.', category: 'development', tags: [], version: '1.0.0' } } };
+const namespacedRegistry = { ...registry, shared: registry.bug_fix, 'shared/json_output': fragment, 'acme/tools/lint': fragment };
+const namespacedFile = path.join(workDirectory, 'namespaced.json');
+fs.writeFileSync(namespacedFile, JSON.stringify(namespacedRegistry), 'utf8');
+const namespacedDirectory = path.join(workDirectory, 'namespaced', 'prompts');
+splitRegistry(namespacedFile, namespacedDirectory);
+console.log(`  Namespaced files: ${listFiles(path.join(namespacedDirectory, 'shared')).join(', ')}; ${listFiles(path.join(namespacedDirectory, 'acme')).join(', ')}`);
+const namespacedBundle = path.join(workDirectory, 'namespaced', 'registry.json');
+bundleRegistry(namespacedDirectory, namespacedBundle);
+console.log(`  Namespaced round trip identical: ${canonicalJson(JSON.parse(fs.readFileSync(namespacedBundle, 'utf8'))) === canonicalJson(namespacedRegistry)}`);
+const { shared, ...withoutShared } = namespacedRegistry;
+writeRegistryTree(namespacedDirectory, withoutShared);
+console.log(`  Prompt removed, namespace kept: ${listFiles(path.join(namespacedDirectory, 'shared')).join(', ')}`);
+delete withoutShared['acme/tools/lint'];
+writeRegistryTree(namespacedDirectory, withoutShared);
+console.log(`  Namespace removed: ${fs.existsSync(path.join(namespacedDirectory, 'acme'))}, same as read back: ${canonicalJson(readRegistryTree(namespacedDirectory)) === canonicalJson(withoutShared)}`);
+
+// Directories and files that are not prompts are left alone
+for (const [file, content] of [['assets/logo.svg', '<svg/>'], ['drafts/ideas/README.md', '# Ideas'], ['.git/config', '[core]'], ['bug_fix/README.md', '# Bug fix']]) {
+  fs.mkdirSync(path.dirname(path.join(namespacedDirectory, file)), { recursive: true });
+  fs.writeFileSync(path.join(namespacedDirectory, file), content, 'utf8');
+}
+const { bug_fix: removedPrompt, ...withoutBugFix } = withoutShared;
+writeRegistryTree(namespacedDirectory, withoutBugFix);
+console.log(`  Kept: ${['assets/logo.svg', 'drafts/ideas/README.md', '.git/config', 'bug_fix/README.md'].filter(file => fs.existsSync(path.join(namespacedDirectory, file))).join(', ')}; bug_fix versions left: ${fs.readdirSync(path.join(namespacedDirectory, 'bug_fix')).length - 1}`);
+
+// Test hand-written files
+console.log('\n2. Testing hand-written files:');
+const handDirectory = path.join(workDirectory, 'hand');
+const promptDirectory = path.join(handDirectory, 'summarize');
+fs.mkdirSync(promptDirectory, { recursive: true });
+fs.writeFileSync(path.join(promptDirectory, '1.0.0.yaml'), 'description: Summarizes text\nprompt: |\n  Summarize {{text}}\ncategory: writing\ntags: [summary]\n', 'utf8');
+fs.writeFileSync(path.join(promptDirectory, '1.1.0.md'), '---\ndescription: Summarizes text in bullets\ncategory: writing\ntags:\n  - summary\n---\nSummarize {{text}}\n\nUse bullet points.\n', 'utf8');
+fs.writeFileSync(path.join(promptDirectory, '2.0.0-beta.1.json'), JSON.stringify({ description: 'Beta', prompt: 'TL;DR {{text}}', category: 'writing', tags: [] }), 'utf8');
+fs.writeFileSync(path.join(promptDirectory, 'README.txt'), 'Ignored', 'utf8');
+fs.writeFileSync(path.join(promptDirectory, 'README.md'), '# Summarize\n\nNotes for reviewers.\n', 'utf8');
+fs.writeFileSync(path.join(promptDirectory, 'latest.yaml'), 'prompt: x\n', 'utf8');
+let loaded = loadRegistry(handDirectory);
+console.log(`  Versions: ${Object.keys(loaded.summarize.versions).join(', ')}; latest=${loaded.summarize.latest}`);
+console.log(`  Version field from file name: ${loaded.summarize.versions['1.0.0'].version}`);
+console.log(`  Markdown template: ${JSON.stringify(loaded.summarize.versions['1.1.0'].prompt)}`);
+
+fs.writeFileSync(path.join(promptDirectory, 'index.yaml'), 'latest: 1.0.0\ndistTags:\n  next: 2.0.0-beta.1\n', 'utf8');
+loaded = loadRegistry(handDirectory);
+console.log(`  index.yaml: latest=${loaded.summarize.latest} distTags=${JSON.stringify(loaded.summarize.distTags)}`);
+
+// Test malformed trees
+for (const [label, file, content] of [
+  ['Version mismatch', '3.0.0.yaml', 'prompt: x\nversion: 3.0.1\n'],
+  ['Duplicate version', '1.0.0.json', '{"prompt": "x"}'],
+  ['Invalid YAML', '3.0.0.yaml', 'prompt: [unclosed\n']
+]) {
+  const filePath = path.join(promptDirectory, file);
+  fs.writeFileSync(filePath, content, 'utf8');
+  try {
+    readRegistryTree(handDirectory);
+    console.log(`  ${label}: accepted`);
+  } catch (error) {
+    console.log(`  ${label}: ${error.name} in ${path.basename(error.details.file)}`);
+  }
+  fs.rmSync(filePath);
+}
+
+// Test writes to a directory registry
+console.log('\n3. Testing saveRegistry():');
+const base = loadRegistry(handDirectory);
+const ours = JSON.parse(JSON.stringify(base));
+ours.summarize.versions['1.2.0'] = { ...ours.summarize.versions['1.1.0'], version: '1.2.0' };
+ours.translate = { latest: '1.0.0', versions: { '1.0.0': { description: 'Translates text', prompt: 'Translate {{text}}', category: 'writing', tags: [], version: '1.0.0' } } };
+let result = saveRegistry(handDirectory, ours, { base });
+console.log(`  merged=${result.merged} files=${listFiles(handDirectory).join(', ')}`);
+
+// Another process removes a prompt meanwhile: the change is merged in
+const saved = JSON.parse(JSON.stringify(result.data));
+fs.rmSync(path.join(handDirectory, 'translate', '1.0.0.yaml'));
+delete ours.summarize.distTags;
+result = saveRegistry(handDirectory, ours, { base: saved });
+console.log(`  merged=${result.merged} prompts=${Object.keys(result.data).join(', ')}`);
+console.log(`  index.yaml without dist-tags: ${JSON.stringify(fs.readFileSync(path.join(promptDirectory, 'index.yaml'), 'utf8'))}`);
+for (const id of ['acme/../sql', 'acme//sql', '.hidden', 'c:sql']) {
+  try {
+    saveRegistry(handDirectory, { [id]: ours.summarize });
+  } catch (error) {
+    console.log(`  ${error.name}: ${error.message}`);
+  }
+}
+
+// Test the CLI
+console.log('\n4. Testing convert-registry.js:');
+const cli = new URL('./convert-registry.js', import.meta.url).pathname;
+const cliDirectory = path.join(workDirectory, 'cli');
+fs.mkdirSync(cliDirectory);
+fs.copyFileSync(registryFile, path.join(cliDirectory, 'registry.json'));
+const run = (...args) => execFileSync(process.execPath, [cli, ...args], { cwd: cliDirectory, encoding: 'utf8', stdio: 'pipe', timeout: 30000 }).split('\n')[0];
+console.log(`  ${run('split')}`);
+try {
+  run('split');
+} catch (error) {
+  console.log(`  Split again: exit ${error.status}`);
+}
+console.log(`  ${run('bundle', '--registry', 'dist/registry.json')}`);
+fs.writeFileSync(path.join(cliDirectory, 'namespaced.json'), JSON.stringify(namespacedRegistry), 'utf8');
+console.log(`  ${run('split', '--registry', 'namespaced.json', '--dir', 'namespaced')}`);
+const validation = execFileSync(process.execPath, [new URL('./validate-registry.js', import.meta.url).pathname], { cwd: cliDirectory, encoding: 'utf8', timeout: 30000 });
+console.log(`  validate-registry.js: ${validation.split('\n')[0]} ${validation.trim().split('\n').pop()}`);
+
+fs.rmSync(workDirectory, { recursive: true, force: true });
+
+console.log('\n✅ All tests completed successfully!');
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the prompt lockfile
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  createLockfile,
+  readLockfile,
+  writeLockfile,
+  lockPrompt,
+  updateLockfile,
+  verifyLockfile,
+  hashPromptContent
+} from './lockfile.js';
+import { get, registry, useLockfile } from './index.mjs';
+
+console.log('Testing prompt lockfile...\n');
+
+/**
+ * Builds a prompt version for the test entries
+ * @param {string} version - Version string
+ * @param {string} prompt - Prompt template
+ * @returns {object} Prompt version data
+ */
+function version(version, prompt) {
+  return { description: 'Lockfile test prompt', prompt, category: 'development', tags: ['test'], version };
+}
+
+registry['shared/lock_footer'] = {
+  latest: '1.0.0',
+  versions: { '1.0.0': version('1.0.0', 'Answer in {{language}}.') }
+};
+registry.lock_test_prompt = {
+  latest: '1.1.0',
+  versions: {
+    '1.0.0': version('1.0.0', 'Summarize {{text}}. {{> shared/lock_footer@^1}}'),
+    '1.1.0': version('1.1.0', 'Summarize {{text}} briefly. {{> shared/lock_footer@^1}}')
+  }
+};
+
+// Test content hashing
+console.log('1. Testing content hashing:');
+const hash = hashPromptContent(registry.lock_test_prompt.versions['1.0.0']);
+console.log(`  Hash: ${hash}`);
+console.log(`  Key order independent: ${hash === hashPromptContent({ prompt: 'Summarize {{text}}. {{> shared/lock_footer@^1}}', version: '9.9.9' })}`);
+console.log(`  Metadata ignored, content not: ${hash !== hashPromptContent(registry.lock_test_prompt.versions['1.1.0'])}`);
+
+// Test locking
+console.log('\n2. Testing locking:');
+const lock = createLockfile();
+console.log(`  Locked: ${lockPrompt(lock, registry, 'lock_test_prompt@~1.0').join(', ')}`);
+console.log('  Entry:', lock.prompts.lock_test_prompt);
+try {
+  lockPrompt(lock, registry, 'lock_test_prompt@^2');
+} catch (error) {
+  console.log(`  ${error.name}: ${error.message}`);
+}
+
+// Test get() honoring the lock
+console.log('\n3. Testing get() with the lock:');
+const values = { text: 'the report', language: 'French' };
+console.log(`  Without lock: ${get('lock_test_prompt', values).id}`);
+useLockfile(lock);
+console.log(`  With lock: ${get('lock_test_prompt', values).id}`);
+console.log(`  Explicit other version: ${get('lock_test_prompt@1.1.0', values).id}`);
+console.log(`  ignoreLock: ${get('lock_test_prompt', values, { ignoreLock: true }).id}`);
+
+// Test content changes underneath the lock
+console.log('\n4. Testing changed content:');
+registry['shared/lock_footer'].versions['1.0.0'].prompt = 'Answer in {{language}}, in one line.';
+console.log('  Verify:', verifyLockfile(lock, registry));
+try {
+  get('lock_test_prompt', values);
+} catch (error) {
+  console.log(`  ${error.name}: ${error.message}`);
+}
+
+// Test updating and round-tripping the lockfile
+console.log('\n5. Testing update and file round-trip:');
+console.log('  Changes:', updateLockfile(lock, registry));
+console.log(`  Valid after update: ${verifyLockfile(lock, registry).valid}`);
+const lockPath = path.join(os.tmpdir(), `prompt-registry-test-${process.pid}.lock.json`);
+writeLockfile(lockPath, lock);
+console.log(`  Round-trip equal: ${JSON.stringify(readLockfile(lockPath)) === JSON.stringify(lock)}`);
+console.log(`  Loaded from path: ${Object.keys(useLockfile(lockPath).prompts).join(', ')}`);
+fs.unlinkSync(lockPath);
+console.log(`  Missing file: ${readLockfile(lockPath)}`);
+
+useLockfile(null);
+delete registry.lock_test_prompt;
+delete registry['shared/lock_footer'];
+
+console.log('\n✅ All tests completed successfully!');
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for Markdown prompt files (.prompt.md)
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import {
+  parsePromptMarkdown, formatPromptMarkdown, canFormatAsMarkdown, readPromptFile
+} from './prompt-markdown.js';
+import { loadRegistry, writeRegistryTree } from './registry-layout.js';
+import { canonicalJson } from './lockfile.js';
+
+console.log('Testing Markdown prompts...\n');
+
+const workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-registry-markdown-'));
+
+const source = `---
+description: Generates SQL queries from natural language requests
+category: development
+tags: [sql, database]
+version: 1.1.0
+variables:
+  request:
+    type: string
+    required: true
+---
+Translate this request into an SQL query:
+
+Request: {{request}}
+
+## variant: claude
+
+Convert the following request into an efficient SQL query.
+
+Request: {{request}}
+
+## variant: gpt-4
+Write a secure SQL query for: {{request}}
+`;
+
+// Test parsing
+console.log('1. Testing parsePromptMarkdown():');
+const parsed = parsePromptMarkdown(source);
+console.log(`  Fields: ${Object.keys(parsed).join(', ')}`);
+console.log(`  Template: ${JSON.stringify(parsed.prompt)}`);
+Object.entries(parsed.variants).forEach(([name, variant]) => console.log(`  Variant ${name}: ${JSON.stringify(variant)}`));
+console.log(`  Variable schema: ${JSON.stringify(parsed.variables)}`);
+console.log(`  Without frontmatter: ${JSON.stringify(parsePromptMarkdown('Summarize {{text}}\n'))}`);
+console.log(`  Chat prompt: ${JSON.stringify(parsePromptMarkdown('---\nmessages:\n  - role: user\n    content: "{{question}}"\n---\n'))}`);
+for (const [label, text] of [
+  ['Repeated variant', 'Hi\n\n## variant: claude\n\nA\n\n## variant: claude\n\nB\n'],
+  ['Template in frontmatter', '---\nprompt: Hi\n---\nHello\n'],
+  ['Frontmatter list', '---\n- a\n---\nHi\n'],
+  ['Invalid frontmatter', '---\ntags: [a\n---\nHi\n']
+]) {
+  try {
+    parsePromptMarkdown(text);
+    console.log(`  ${label}: accepted`);
+  } catch (error) {
+    console.log(`  ${label}: ${error.name}: ${error.message.split(':')[0]}`);
+  }
+}
+
+// Test formatting
+console.log('\n2. Testing formatPromptMarkdown():');
+const formatted = formatPromptMarkdown(parsed);
+console.log(`  Round trip: ${JSON.stringify(parsePromptMarkdown(formatted)) === JSON.stringify(parsed)}`);
+console.log(formatted.split('\n').slice(-8).map(line => `  | ${line}`).join('\n'));
+const registry = JSON.parse(fs.readFileSync(new URL('./registry-with-variants.json', import.meta.url), 'utf8'));
+const versions = Object.values(registry).flatMap(entry => Object.values(entry.versions));
+const identical = versions.filter(version => canonicalJson(parsePromptMarkdown(formatPromptMarkdown(version))) === canonicalJson(version));
+console.log(`  registry-with-variants.json: ${identical.length}/${versions.length} versions round trip`);
+const edgeCases = { prompt: '\nIndented start\n\n', variants: { claude: '' } };
+console.log(`  Edge whitespace round trip: ${JSON.stringify(parsePromptMarkdown(formatPromptMarkdown(edgeCases))) === JSON.stringify(edgeCases)}`);
+console.log(`  Chat prompt: ${canFormatAsMarkdown({ messages: [{ role: 'user', content: 'Hi' }] })}`);
+console.log(`  Heading inside the template: ${canFormatAsMarkdown({ prompt: 'Intro\n## variant: claude\n' })}`);
+try {
+  formatPromptMarkdown({ id: 'chat', messages: [] });
+} catch (error) {
+  console.log(`  ${error.name}: ${error.message}`);
+}
+
+// Test prompt files
+console.log('\n3. Testing prompt files:');
+const filePath = path.join(workDirectory, 'sql_query_generation.prompt.md');
+fs.writeFileSync(filePath, source, 'utf8');
+console.log(`  Id from file name: ${readPromptFile(filePath).id}`);
+fs.writeFileSync(path.join(workDirectory, 'named.prompt.md'), '---\nid: custom_id\n---\nHi\n', 'utf8');
+console.log(`  Id from frontmatter: ${readPromptFile(path.join(workDirectory, 'named.prompt.md')).id}`);
+
+const validator = new URL('./validate-prompt.js', import.meta.url).pathname;
+const validation = execFileSync(process.execPath, [validator, filePath], { encoding: 'utf8', timeout: 30000 });
+console.log(`  validate-prompt.js file: ${validation.includes('Validation successful')}`);
+const piped = execFileSync(process.execPath, [validator], { input: source.replace('---\n', '---\nid: sql_query_generation\n'), encoding: 'utf8', timeout: 30000 });
+console.log(`  validate-prompt.js stdin: ${piped.includes('Validation successful')}`);
+
+// Test the directory layout
+console.log('\n4. Testing the directory layout:');
+const directory = path.join(workDirectory, 'prompts');
+const entry = { latest: '1.1.0', versions: { '1.1.0': parsed } };
+const chat = { latest: '1.0.0', versions: { '1.0.0': { description: 'Chat', messages: [{ role: 'user', content: '{{question}}' }], category: 'analysis', tags: [], version: '1.0.0' } } };
+writeRegistryTree(directory, { sql_query_generation: entry, chat }, { format: 'md' });
+console.log(`  Files: ${['sql_query_generation', 'chat'].flatMap(id => fs.readdirSync(path.join(directory, id)).map(file => `${id}/${file}`)).join(', ')}`);
+console.log(`  Variants loaded: ${Object.keys(loadRegistry(directory).sql_query_generation.versions['1.1.0'].variants).join(', ')}`);
+
+// A Markdown version that becomes a chat prompt is rewritten as YAML
+const { prompt, variants, ...fields } = parsed;
+const converted = { ...fields, messages: [{ role: 'user', content: prompt }] };
+writeRegistryTree(directory, { sql_query_generation: { ...entry, versions: { '1.1.0': converted } }, chat });
+console.log(`  Became a chat prompt: ${fs.readdirSync(path.join(directory, 'sql_query_generation')).join(', ')}`);
+
+fs.rmSync(workDirectory, { recursive: true, force: true });
+
+console.log('\n✅ All tests completed successfully!');
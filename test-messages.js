@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for chat-message prompts
+ */
+
+import { validateMessages, flattenMessages, renderMessages } from './messages.js';
+import { getPromptVariant, getMessagesVariant, generateAllVariants } from './multi-llm-variants.js';
+import { analyzePrompt } from './quality-analysis.js';
+import { validatePrompt } from './validate-prompt.js';
+import { get, registry } from './index.mjs';
+
+console.log('Testing chat-message prompts...\n');
+
+const chatPrompt = {
+  id: 'code_explainer_chat',
+  description: 'Explains code snippets with few-shot examples',
+  messages: [
+    { role: 'system', content: 'You are a senior {{language}} engineer. Explain code clearly and concisely.' },
+    { role: 'user', content: 'Explain this code:\nx = x + 1' },
+    { role: 'assistant', content: 'It increments x by one.' },
+    { role: 'user', content: 'Explain this code:\n{{code}}' }
+  ],
+  category: 'development',
+  tags: ['code', 'explanation'],
+  version: '1.0.0',
+  variables: {
+    language: { type: 'string', default: 'Python' },
+    code: { type: 'string' }
+  },
+  variants: {
+    llama: 'Explain the following {{language}} code in simple terms:\n{{code}}',
+    claude: [
+      { role: 'system', content: 'You are a patient {{language}} mentor.' },
+      { role: 'user', content: 'Please explain this code:\n{{code}}' }
+    ]
+  }
+};
+
+// Test message validation
+console.log('1. Testing message validation:');
+console.log(`  Valid messages errors: ${validateMessages(chatPrompt.messages).length}`);
+validateMessages([{ role: 'bot', content: 'Hi' }, { role: 'user', content: '' }, 'text'])
+  .forEach(error => console.log(`  - ${error}`));
+validateMessages([]).forEach(error => console.log(`  - ${error}`));
+
+// Test rendering and flattening
+console.log('\n2. Testing rendering and flattening:');
+const rendered = renderMessages(chatPrompt.messages, { language: 'Go', code: 'i++' });
+console.log(flattenMessages(rendered));
+console.log(`  Single user message: ${flattenMessages([{ role: 'user', content: 'Plain prompt' }])}`);
+try {
+  renderMessages([{ role: 'system', content: '{{persona}}' }, { role: 'user', content: '{{question}}' }], {});
+} catch (error) {
+  console.log(`  ${error.name}: ${error.message}`);
+}
+
+// Test variants
+console.log('\n3. Testing chat variants:');
+console.log('  GPT (default messages):', getMessagesVariant(chatPrompt, 'gpt-4').length, 'messages');
+console.log('  Claude (chat variant):', getMessagesVariant(chatPrompt, 'claude-3-opus').map(message => message.role).join(', '));
+console.log('  Llama (string variant):', JSON.stringify(getMessagesVariant(chatPrompt, 'llama-3')));
+console.log('  Flattened Claude variant:', JSON.stringify(getPromptVariant(chatPrompt, 'claude-3-opus')));
+const generated = generateAllVariants({ ...chatPrompt, variants: {} });
+console.log('  Generated mistral variant:', JSON.stringify(generated.variants.mistral[3]));
+
+// Test get() integration
+console.log('\n4. Testing get() integration:');
+registry.code_explainer_chat = { latest: '1.0.0', versions: { '1.0.0': chatPrompt } };
+const result = get('code_explainer_chat', { code: 'print(len(items))' });
+result.messages.forEach(message => console.log(`  [${message.role}] ${JSON.stringify(message.content)}`));
+console.log(`  Flattened prompt starts with: ${JSON.stringify(result.prompt.slice(0, 40))}`);
+console.log(`  Claude messages: ${get('code_explainer_chat', { code: 'x' }, { model: 'claude-3-haiku' }).messages.length}`);
+const legacy = get('sql_query_generation', { request: 'Show all users' });
+console.log(`  Legacy prompt as messages: ${legacy.messages.length} (${legacy.messages[0].role}), prompt unchanged: ${legacy.prompt === legacy.messages[0].content}`);
+delete registry.code_explainer_chat;
+
+// Test validator and quality analysis
+console.log('\n5. Testing validator and quality analysis:');
+const validation = validatePrompt(chatPrompt);
+console.log(`  Valid: ${validation.isValid}, variables: ${validation.metadata.variables.join(', ')}`);
+const invalid = validatePrompt({
+  ...chatPrompt,
+  prompt: 'Legacy text',
+  messages: [...chatPrompt.messages, { role: 'assistant', content: 'Sure, {{name}}!' }, { role: 'system', content: 'Be brief.' }],
+  variants: { gpt: [{ role: 'narrator', content: 'x' }] }
+});
+invalid.errors.forEach(error => console.log(`  Error: ${error}`));
+invalid.warnings.forEach(warning => console.log(`  Warning: ${warning}`));
+const analysis = analyzePrompt(chatPrompt);
+console.log(`  Quality: ${analysis.quality}, messages: ${analysis.metrics.messages}, length: ${analysis.metrics.length}`);
+
+console.log('\n✅ All tests completed successfully!');
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for structured prompt diffs
+ */
+
+import { diffWords, diffLines, diffPromptVersions, summarizePromptDiff, formatPromptDiff } from './prompt-diff.js';
+
+console.log('Testing prompt diffs...\n');
+
+// Test text diffs
+console.log('1. Testing word and line diffs:');
+const words = diffWords('Summarize the report in English.', 'Summarize the quarterly report in {{language}}.');
+console.log('  Words:', words);
+console.log(`  Round-trips: ${words.filter(op => op.type !== 'insert').map(op => op.value).join('') === 'Summarize the report in English.'}`);
+console.log('  Lines:', diffLines('a\nb\nc', 'a\nB\nc\nd').map(op => `${op.type}:${op.value}`).join(' '));
+
+// Test a structured diff of two versions
+console.log('\n2. Testing version diff:');
+const oldPrompt = {
+  description: 'Reviews code for bugs',
+  prompt: 'Review this {{language}} code for bugs:\n\n{{code}}\n\nList each issue.',
+  category: 'development',
+  tags: ['code', 'review', 'legacy'],
+  variables: {
+    language: { type: 'string', default: 'JavaScript' },
+    code: { type: 'string' },
+    strictness: { type: 'string', enum: ['low', 'high'], default: 'low' }
+  },
+  variants: {
+    'gpt-4': 'Act as a senior engineer. Review this {{language}} code:\n\n{{code}}',
+    'claude-3': 'Review the code below.\n\n{{code}}'
+  },
+  version: '1.0.0'
+};
+const newPrompt = {
+  description: 'Reviews code for bugs and security issues',
+  prompt: 'Review this {{language}} code for bugs and security issues:\n\n{{code}}\n\nList each issue with a severity of {{severity}}.',
+  category: 'security',
+  tags: ['code', 'review', 'security'],
+  variables: {
+    language: { type: 'string' },
+    code: { type: 'string', maxLength: 20000 },
+    severity: { type: 'string', enum: ['low', 'medium', 'high'], default: 'medium' }
+  },
+  variants: {
+    'gpt-4': 'Act as a senior security engineer. Review this {{language}} code:\n\n{{code}}',
+    'llama-3': 'Review this code for bugs and security issues:\n\n{{code}}'
+  },
+  version: '2.0.0'
+};
+const diff = diffPromptVersions(oldPrompt, newPrompt, { id: 'code_review' });
+console.log(`  Changed: ${diff.changed} (${diff.from} -> ${diff.to})`);
+console.log('  Metadata:', diff.metadata);
+console.log('  Variables:', JSON.stringify(diff.variables));
+console.log(`  Variants: added ${diff.variants.added}, removed ${diff.variants.removed}, changed ${Object.keys(diff.variants.changed)}`);
+console.log(`  Template stats: ${JSON.stringify(diff.template.stats)}`);
+console.log(`  Changed by a version bump alone: ${diffPromptVersions(oldPrompt, { ...oldPrompt, version: '1.0.1' }).changed}`);
+
+// Test chat messages
+console.log('\n3. Testing chat message diff:');
+const chatDiff = diffPromptVersions(
+  { prompt: 'Explain {{topic}}.' },
+  { messages: [{ role: 'system', content: 'You are a teacher.' }, { role: 'user', content: 'Explain {{topic}}.' }] }
+);
+console.log(chatDiff.template.lines.map(op => `  ${op.type}: ${op.value}`).join('\n'));
+
+// Test changelog summary
+console.log('\n4. Testing summary:');
+const changes = summarizePromptDiff(diff);
+['breaking', 'features', 'fixes'].forEach(kind => {
+  console.log(`  ${kind}:`);
+  changes[kind].forEach(change => console.log(`    - ${change}`));
+});
+
+// Test output formats
+console.log('\n5. Testing output formats:');
+console.log(formatPromptDiff(diff, 'unified'));
+console.log(formatPromptDiff(diff, 'terminal', { color: false }));
+console.log(`JSON round-trips: ${JSON.parse(formatPromptDiff(diff, 'json')).id === 'code_review'}`);
+try {
+  formatPromptDiff(diff, 'html');
+} catch (error) {
+  console.log(`  ${error.message}`);
+}
+
+console.log('\n✅ All tests completed successfully!');
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the search query language
+ */
+
+import fs from 'node:fs';
+import {
+  parseSearchQuery, formatSearchQuery, filtersToSearchQuery, createQueryTarget, matchesSearchQuery,
+  isStructuredQuery, getQueryText, SearchQueryError
+} from './search-query.js';
+import { advancedFilter } from './advanced-search.js';
+import { createRegistry, createMemoryStorage, search } from './index.mjs';
+
+console.log('Testing the search query language...\n');
+
+const registry = JSON.parse(fs.readFileSync(new URL('./registry.json', import.meta.url), 'utf8'));
+
+// Test parsing
+console.log('1. Testing parseSearchQuery():');
+for (const query of [
+  'tag:sql OR tag:database, category:development, vars<=2, -is:deprecated',
+  '(tag:sql | tag:database) NOT model:claude "code review"',
+  'a b OR c d',
+  'tag:"machine learning" id=bug_fix vars:>1 version:^2 cat:writing',
+  'error: handling http://example.com follow-up',
+  'sql or database and not deprecated, NOT "deprecated"',
+  ''
+]) {
+  const tree = parseSearchQuery(query);
+  console.log(`  ${JSON.stringify(query)} -> ${formatSearchQuery(tree) || '(everything)'}; structured=${isStructuredQuery(tree)} text=${JSON.stringify(getQueryText(tree))}`);
+}
+
+console.log('\n  Errors:');
+for (const query of ['(tag:sql', 'tag:sql)', 'a OR', 'OR a', 'vars<=many', 'version:>>2', 'tag<3', 'is:old', '"open', 'tag:']) {
+  try {
+    parseSearchQuery(query);
+    console.log(`  ${JSON.stringify(query)}: parsed`);
+  } catch (error) {
+    console.log(`  ${JSON.stringify(query)}: ${error instanceof SearchQueryError} ${error.message}`);
+  }
+}
+
+// Test matching
+console.log('\n2. Testing matchesSearchQuery():');
+const version = {
+  description: 'Reviews code for a language',
+  prompt: 'Review this {{language}} code:\n{{code}}',
+  category: 'development',
+  tags: ['code', 'Review'],
+  version: '2.1.0',
+  author: 'Alice Smith',
+  variants: { 'claude-3-opus': 'Review {{code}}' },
+  deprecated: 'Use code_review@3'
+};
+const target = createQueryTarget('code_review', version);
+for (const query of ['tag:review', 'tag:security', 'category:Development', 'id:review', 'id=review', 'author:alice',
+  'var:language', 'var:missing', 'vars=2', 'vars>2', 'length<100', 'model:claude', 'model:claude-3-haiku', 'model:gpt',
+  'version:^2', 'version:>=3', 'is:deprecated', 'is:yanked', 'reviews', '"this {{language}}"', 'tag:code -is:deprecated',
+  'tag:security OR var:code', 'NOT (tag:security OR tag:sql)']) {
+  console.log(`  ${query}: ${matchesSearchQuery(parseSearchQuery(query), target)}`);
+}
+console.log(`  Precomputed counts: ${matchesSearchQuery(parseSearchQuery('vars=7 length=10'), createQueryTarget('x', version, { variables: 7, length: 10 }))}`);
+console.log(`  Filter object: ${formatSearchQuery(filtersToSearchQuery({ category: 'development', tags: ['sql', 'database'], minVariables: 1, maxLength: 400 }))}`);
+console.log(`  Empty filter object: ${filtersToSearchQuery({})}`);
+
+// Test search()
+console.log('\n3. Testing search():');
+const ids = results => results.map(result => result.id).join(', ') || 'none';
+console.log(`  Request example: ${ids(search('tag:sql OR tag:database, category:development, vars<=2, -is:deprecated'))}`);
+console.log(`  Written out: ${ids(search('tag:sql OR tag:database, category:development, vars<=2, not deprecated'))}`);
+console.log(`  Same tree: ${formatSearchQuery(parseSearchQuery('tag:sql or tag:database, category:development, vars<=2, not deprecated')) === formatSearchQuery(parseSearchQuery('tag:sql OR tag:database, category:development, vars<=2, -is:deprecated'))}`);
+console.log(`  Ranked text with filters: ${search('generating queries category:development').map(result => `${result.id}=${result.score.toFixed(1)}`).join(', ')}`);
+console.log(`  Stemmed text term: ${ids(search('generating -tag:database'))}`);
+console.log(`  Phrase: ${ids(search('"natural language requests"'))}`);
+console.log(`  Filters only, unranked: ${'score' in search('tag:sql')[0]}`);
+console.log(`  Fuzzy text term: ${ids(search('sumarize category:analysis', { fuzzy: true }))}`);
+console.log(`  Plain text unchanged: ${ids(search('sql'))}`);
+console.log(`  Filter object limits: ${ids(search({ category: 'development', maxVariables: 1, minLength: 150 }))}`);
+for (const query of ['"natural language', 'tag:', '(tag:sql', 'OR', 'sql OR']) {
+  console.log(`  Malformed ${JSON.stringify(query)} as plain text: ${ids(search(query)).split(', ').slice(0, 3).join(', ')}`);
+}
+console.log(`  Same as the words: ${JSON.stringify(search('(tag:sql')) === JSON.stringify(search('tag sql'))}`);
+try {
+  search('tag:(sql', { strict: true });
+} catch (error) {
+  console.log(`  Malformed, strict: ${error.name}: ${error.message}`);
+}
+
+const instance = createRegistry({ storage: createMemoryStorage() });
+instance.add('old_review', { ...version, version: '1.0.0' });
+instance.add('new_review', { ...version, deprecated: undefined, version: '3.0.0', variants: { gpt: 'Review {{code}}' } });
+console.log(`  Deprecated hidden: ${ids(instance.search('tag:code'))}; is:deprecated: ${ids(instance.search('is:deprecated'))}; -is:deprecated: ${ids(instance.search('tag:code -is:deprecated'))}`);
+console.log(`  model:gpt-4: ${ids(instance.search('model:gpt-4'))}; version:>=2: ${ids(instance.search('version:>=2', { includeDeprecated: true }))}`);
+
+// Test advancedFilter()
+console.log('\n4. Testing advancedFilter():');
+console.log(`  Query: ${ids(advancedFilter(registry, 'tag:sql OR tag:database, vars<=2'))}`);
+console.log(`  Filter object: ${ids(advancedFilter(registry, { tags: ['sql'], maxVariables: 2 }))}`);
+console.log(`  Same results: ${JSON.stringify(advancedFilter(registry, 'category:development vars>=2 length<=400')) === JSON.stringify(advancedFilter(registry, { category: 'development', minVariables: 2, maxLength: 400 }))}`);
+
+console.log('\n✅ All tests completed successfully!');
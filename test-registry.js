@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for registry instances (createRegistry) and storage adapters
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  createRegistry, createMemoryStorage, createJsonFileStorage, createDirectoryStorage,
+  registry as defaultRegistry, get, getRegistryInfo
+} from './index.mjs';
+
+console.log('Testing registry instances...\n');
+
+const workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-registry-instances-'));
+// Snapshots of the file-backed registries below go to the work directory
+const config = { snapshots: { directory: path.join(workDirectory, 'snapshots') } };
+
+/**
+ * Builds version data
+ * @param {string} version - Version
+ * @param {string} text - Template text
+ * @returns {object} Version data
+ */
+function promptVersion(version, text = 'Summarize {{text}}') {
+  return { description: 'Summarizes text', prompt: text, category: 'writing', tags: ['summary'], version };
+}
+
+// Test isolated in-memory registries
+console.log('1. Testing in-memory registries:');
+const first = createRegistry({ storage: createMemoryStorage({ summarize: { latest: '1.0.0', versions: { '1.0.0': promptVersion('1.0.0') } } }) });
+const second = createRegistry({ storage: createMemoryStorage() });
+console.log(`  First: ${first.get('summarize', { text: 'the report' }).prompt}`);
+try {
+  second.get('summarize', { text: 'the report' });
+} catch (error) {
+  console.log(`  Second: ${error.message}`);
+}
+console.log(`  Search: ${first.search('summarize').length} in first, ${second.search('summarize').length} in second`);
+console.log(`  Storage: ${JSON.stringify(first.getRegistryInfo().storage)}, snapshots: ${first.listSnapshots().length}`);
+try {
+  first.rollback('missing');
+} catch (error) {
+  console.log(`  Rollback: ${error.name}: ${error.message}`);
+}
+
+// Test add() and remove()
+console.log('\n2. Testing add() and remove():');
+first.add('summarize', promptVersion('1.1.0', 'Summarize {{text}} in bullets'));
+first.add('summarize', promptVersion('1.0.1'));
+console.log(`  Versions: ${Object.keys(first.registry.summarize.versions).join(', ')}; latest=${first.registry.summarize.latest}`);
+console.log(`  Rendered: ${first.get('summarize', { text: 'the report' }).prompt}`);
+for (const [label, args] of [['Existing version', ['summarize', promptVersion('1.1.0')]], ['Invalid version', ['summarize', promptVersion('next')]]]) {
+  try {
+    first.add(...args);
+  } catch (error) {
+    console.log(`  ${label}: ${error.message}`);
+  }
+}
+first.add('summarize', promptVersion('1.1.0', 'TL;DR {{text}}'), { overwrite: true });
+console.log(`  Overwritten: ${first.get('summarize', { text: 'the report' }).prompt}`);
+first.registry.summarize.distTags = { beta: '1.1.0', stable: '1.0.1' };
+console.log(`  Remove 1.1.0: ${first.remove('summarize', '1.1.0')}; latest=${first.registry.summarize.latest} distTags=${JSON.stringify(first.registry.summarize.distTags)}`);
+console.log(`  Remove missing version: ${first.remove('summarize', '9.9.9')}`);
+console.log(`  Remove prompt: ${first.remove('summarize')}; prompts=${Object.keys(first.registry).length}`);
+
+// Registries sharing a storage merge each other's writes
+console.log('\n3. Testing a shared storage:');
+const shared = createMemoryStorage();
+const writerA = createRegistry({ storage: shared });
+const writerB = createRegistry({ storage: shared });
+writerA.add('translate', promptVersion('1.0.0', 'Translate {{text}}'));
+writerB.add('summarize', promptVersion('1.0.0'));
+console.log(`  Writer B sees: ${Object.keys(writerB.registry).sort().join(', ')}`);
+console.log(`  Stored: ${Object.keys(shared.load()).sort().join(', ')}`);
+
+// Test file-backed storage
+console.log('\n4. Testing file storage:');
+const registryFile = path.join(workDirectory, 'registry.json');
+fs.writeFileSync(registryFile, '{}', 'utf8');
+const fileRegistry = createRegistry({ storage: createJsonFileStorage(registryFile), config });
+fileRegistry.add('summarize', promptVersion('1.0.0'));
+console.log(`  registry.json: ${Object.keys(JSON.parse(fs.readFileSync(registryFile, 'utf8'))).join(', ')}`);
+console.log(`  Reloaded: ${createRegistry({ storage: createJsonFileStorage(registryFile), config }).get('summarize', { text: 'the report' }).prompt}`);
+
+const directory = path.join(workDirectory, 'prompts');
+const directoryRegistry = createRegistry({ storage: createDirectoryStorage(directory, { format: 'md' }), config });
+console.log(`  Empty directory: ${Object.keys(directoryRegistry.registry).length} prompts`);
+directoryRegistry.add('summarize', promptVersion('1.0.0'));
+directoryRegistry.add('summarize', promptVersion('1.1.0', 'Summarize {{text}} in bullets'));
+console.log(`  Files: ${fs.readdirSync(path.join(directory, 'summarize')).join(', ')}`);
+directoryRegistry.remove('summarize', '1.1.0');
+console.log(`  After remove: ${fs.readdirSync(path.join(directory, 'summarize')).join(', ')}`);
+console.log(`  Storage: ${directoryRegistry.getRegistryInfo().storage.type}`);
+try {
+  createRegistry({ storage: createJsonFileStorage(path.join(workDirectory, 'missing.json')) });
+} catch (error) {
+  console.log(`  Missing file: ${error.name}`);
+}
+
+// Test custom adapters
+console.log('\n5. Testing custom adapters:');
+const saves = [];
+const custom = createRegistry({
+  storage: {
+    type: 'custom',
+    persistent: false,
+    load: () => ({}),
+    save(data) {
+      saves.push(Object.keys(data));
+      return { data, merged: false };
+    }
+  }
+});
+custom.add('summarize', promptVersion('1.0.0'));
+console.log(`  Saves: ${JSON.stringify(saves)}; info: ${JSON.stringify(custom.getRegistryInfo().storage)}`);
+try {
+  createRegistry({ storage: { load: () => ({}) } });
+} catch (error) {
+  console.log(`  Without save(): ${error.name}: ${error.message}`);
+}
+
+// The top-level exports are the default registry
+console.log('\n6. Testing the default registry:');
+const defaultInfo = getRegistryInfo();
+console.log(`  Storage: ${defaultInfo.storage.type} ${path.basename(defaultInfo.storage.location)}`);
+console.log(`  Prompts: ${Object.keys(defaultRegistry).length > 0}; get(): ${get('bug_fix', { code: 'x', error: 'y', language: 'js' }).id}`);
+
+fs.rmSync(workDirectory, { recursive: true, force: true });
+
+console.log('\n✅ All tests completed successfully!');
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for BM25 full-text search
+ */
+
+import fs from 'node:fs';
+import { stemWord, tokenize, createSearchIndex, getSearchIndex, trackSearchIndex, refreshSearchIndex } from './search-index.js';
+import { semanticSearch } from './advanced-search.js';
+import { createRegistry, createMemoryStorage, search } from './index.mjs';
+
+console.log('Testing full-text search...\n');
+
+const registry = JSON.parse(fs.readFileSync(new URL('./registry.json', import.meta.url), 'utf8'));
+
+/**
+ * Builds a prompt entry
+ * @param {object} fields - Version fields
+ * @returns {object} Registry entry
+ */
+function entry(fields) {
+  return { latest: '1.0.0', versions: { '1.0.0': { description: '', prompt: '', category: 'content', tags: [], version: '1.0.0', ...fields } } };
+}
+
+// Test tokenizing
+console.log('1. Testing tokenize():');
+console.log(`  Stems: ${['generate', 'generating', 'generation', 'queries', 'query', 'summarization', 'running', 'ai'].map(word => `${word}=${stemWord(word)}`).join(' ')}`);
+console.log(`  Terms: ${tokenize('Translate the user\'s SQL_query into an API-call, with {{dialect}}').map(({ term }) => term).join(' ')}`);
+
+// Test ranking
+console.log('\n2. Testing BM25 ranking:');
+const index = createSearchIndex();
+const prompts = {
+  in_template: entry({ description: 'Writes emails', prompt: 'Write an email about {{topic}}. Mention the invoice.' }),
+  in_description: entry({ description: 'Drafts invoice reminders', prompt: 'Write a reminder for {{customer}}' }),
+  invoice_reminder: entry({ description: 'Follows up on payments', prompt: 'Remind {{customer}} to pay' }),
+  repeated: entry({ description: 'Invoice invoice invoice', prompt: 'Invoices for {{customer}}' }),
+  unrelated: entry({ description: 'Writes poems', prompt: 'Write a poem about {{topic}}' })
+};
+console.log(`  Indexed: ${JSON.stringify(index.updatePrompts(prompts))}, size=${index.size}`);
+for (const { id, score, matches } of index.query('invoices')) {
+  console.log(`  ${id}: ${score.toFixed(2)} (${matches.map(match => `${match.field}: ${match.terms.join(', ')}`).join('; ')})`);
+}
+console.log(`  Stop words only: ${index.query('the and of').length} results`);
+console.log(`  Unknown word: ${index.query('zebra').length} results`);
+
+// Test updates
+console.log('\n3. Testing updates:');
+console.log(`  Unchanged: ${JSON.stringify(index.updatePrompts(prompts))}`);
+prompts.unrelated = entry({ description: 'Writes invoice poems', prompt: 'Write a poem' });
+delete prompts.repeated;
+console.log(`  Changed: ${JSON.stringify(index.updatePrompts(prompts))}; invoices -> ${index.query('invoices').map(result => result.id).join(', ')}`);
+prompts.yanked = entry({ description: 'Invoice', yanked: true });
+console.log(`  Yanked: indexed=${index.updatePrompt('yanked', prompts.yanked)} has=${index.has('yanked')}`);
+const restored = createSearchIndex(JSON.parse(JSON.stringify(index.toJSON())));
+console.log(`  Restored from JSON: same results=${JSON.stringify(restored.query('invoices')) === JSON.stringify(index.query('invoices'))}, unchanged=${JSON.stringify(restored.updatePrompts(prompts))}`);
+
+// Collections whose owner reports changes are only checked for added and removed prompts
+const tracked = { poem: entry({ description: 'Writes poems' }) };
+trackSearchIndex(tracked);
+console.log(`  Tracked: ${getSearchIndex(tracked).query('poems').length} result`);
+tracked.poem.versions['1.0.0'].description = 'Writes haiku';
+console.log(`  Edited in place: haiku=${getSearchIndex(tracked).query('haiku').length}, after refresh=${(refreshSearchIndex(tracked), getSearchIndex(tracked).query('haiku').length)}`);
+tracked.limerick = entry({ description: 'Writes limericks' });
+console.log(`  Added: limericks=${getSearchIndex(tracked).query('limericks').length}`);
+tracked.poem.versions['1.0.0'].description = 'Writes sonnets';
+tracked.limerick.versions['1.0.0'].description = 'Writes odes';
+refreshSearchIndex(tracked, ['poem']);
+console.log(`  Refreshed ids only: sonnets=${getSearchIndex(tracked).query('sonnets').length} odes=${getSearchIndex(tracked).query('odes').length}`);
+const untracked = { poem: entry({ description: 'Writes poems' }) };
+getSearchIndex(untracked);
+untracked.poem.versions['1.0.0'].description = 'Writes haiku';
+console.log(`  Untracked edit: haiku=${getSearchIndex(untracked).query('haiku').length}`);
+
+// Test semanticSearch()
+console.log('\n4. Testing semanticSearch():');
+for (const result of semanticSearch(registry, 'turn requests into database queries', 3)) {
+  console.log(`  ${result.id}: ${result.score.toFixed(2)} matched ${result.matches.map(match => match.field).join(', ')}`);
+}
+const deprecatedRegistry = { ...registry, old_sql: entry({ description: 'Database queries', deprecated: 'Use sql_query_generation' }) };
+console.log(`  Deprecated hidden: ${semanticSearch(deprecatedRegistry, 'database queries', 100).some(result => result.id === 'old_sql')}`);
+console.log(`  Deprecated included: ${semanticSearch(deprecatedRegistry, 'database queries', 100, { includeDeprecated: true }).some(result => result.id === 'old_sql')}`);
+
+// Test search()
+console.log('\n5. Testing search():');
+const results = search('generating sql queries');
+results.slice(0, 3).forEach(result => {
+  console.log(`  ${result.id}: ${result.score.toFixed(2)} (${result.matches.map(match => `${match.field}: ${match.terms.join(', ')}`).join('; ')})`);
+});
+const partial = search('_qu');
+console.log(`  Substring only: ${partial.map(result => `${result.id}=${result.score}`).join(', ')}`);
+console.log(`  Sorted by score: ${search('code review').every((result, i, all) => i === 0 || all[i - 1].score >= result.score)}`);
+console.log(`  Filter object unranked: ${'score' in search({ category: 'development' })[0]}`);
+
+const instance = createRegistry({ storage: createMemoryStorage() });
+instance.add('meeting_minutes', entry({ description: 'Summarizes meetings' }).versions['1.0.0']);
+console.log(`  After add(): ${instance.search('summarizing').map(result => result.id).join(', ')}`);
+instance.add('meeting_minutes', { ...entry({ description: 'Lists action items' }).versions['1.0.0'], version: '1.1.0' });
+console.log(`  After update: summarizing=${instance.search('summarizing').length} actions=${instance.search('actions').length}`);
+instance.remove('meeting_minutes');
+console.log(`  After remove(): ${instance.search('actions').length}`);
+
+console.log('\n✅ All tests completed successfully!');
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for semver ranges and dist-tags
+ */
+
+import { compareVersions, sortVersions, satisfies, maxSatisfying, isValidRange } from './semver.js';
+import { resolvePromptVersion } from './version-utils.js';
+import { get, search, registry } from './index.mjs';
+
+console.log('Testing semver ranges and dist-tags...\n');
+
+// Test pre-release aware comparison
+console.log('1. Testing version comparison:');
+console.log(`  compareVersions('2.0.0-beta.1', '2.0.0'): ${compareVersions('2.0.0-beta.1', '2.0.0')}`); // -1
+console.log(`  compareVersions('2.0.0-beta.11', '2.0.0-beta.2'): ${compareVersions('2.0.0-beta.11', '2.0.0-beta.2')}`); // 1
+console.log(`  compareVersions('1.10.0', '1.9.0'): ${compareVersions('1.10.0', '1.9.0')}`); // 1
+console.log(`  Sorted: ${sortVersions(['1.0.0', '1.0.0-rc.1', '1.0.0-alpha', '1.0.0-alpha.1', '0.9.0']).join(' < ')}`);
+
+// Test range matching
+console.log('\n2. Testing range matching:');
+const versions = ['1.0.0', '1.2.0', '1.2.5', '1.3.0', '2.0.0-beta.1', '2.0.0', '2.1.0', '3.0.0-rc.1'];
+['^1', '~1.2', '1.x', '^2.0.0', '>=1.2.0 <2.0.0', '^1.2 || ^2', '>=2.0.0-beta', '^3.0.0-rc', '^4'].forEach(range => {
+  console.log(`  ${range.padEnd(15)} -> ${maxSatisfying(versions, range)}`);
+});
+console.log(`  2.0.0-beta.1 satisfies ^2.0.0: ${satisfies('2.0.0-beta.1', '^2.0.0')}`);
+console.log(`  2.0.0-beta.1 satisfies >=2.0.0-beta.1: ${satisfies('2.0.0-beta.1', '>=2.0.0-beta.1')}`);
+console.log(`  2.1.0-rc.1 satisfies ^2 (includePrerelease): ${satisfies('2.1.0-rc.1', '^2', { includePrerelease: true })}`);
+console.log(`  Invalid ranges: ${['^a', '1.2.3.4', 'next'].filter(range => !isValidRange(range)).join(', ')}`);
+
+// Test version resolution for registry entries
+console.log('\n3. Testing version resolution:');
+registry.semver_test_prompt = {
+  latest: '2.1.0',
+  distTags: { next: '3.0.0-rc.1', stable: '2.0.0' },
+  versions: Object.fromEntries(versions.map(version => [version, {
+    description: `Semver test prompt ${version}`,
+    prompt: `Version ${version} of the prompt for {{topic}}`,
+    category: 'development',
+    tags: ['test'],
+    version
+  }]))
+};
+const entry = registry.semver_test_prompt;
+['', 'latest', '1.2.0', 'next', 'stable', '^1', '~1.2', 'beta', '^5'].forEach(spec => {
+  console.log(`  ${JSON.stringify(spec).padEnd(10)} -> ${resolvePromptVersion(entry, spec)}`);
+});
+
+// Test get() and search()
+console.log('\n4. Testing get() and search():');
+['semver_test_prompt', 'semver_test_prompt@^1', 'semver_test_prompt@~1.2', 'semver_test_prompt@next', 'semver_test_prompt@stable'].forEach(id => {
+  console.log(`  get('${id}') -> ${get(id, { topic: 'tests' }).id}`);
+});
+try {
+  get('semver_test_prompt@^9', { topic: 'tests' });
+} catch (error) {
+  console.log(`  ${error.message}`);
+}
+console.log(`  search('semver_test@^1'): ${search('semver_test@^1').map(p => `${p.id}@${p.version}`).join(', ')}`);
+console.log(`  search({ id: 'semver_test_prompt', version: 'next' }): ${search({ id: 'semver_test_prompt', version: 'next' }).map(p => p.version).join(', ')}`);
+console.log(`  search('sql@^9'): ${search('sql@^9').length} results`);
+delete registry.semver_test_prompt;
+
+console.log('\n✅ All tests completed successfully!');
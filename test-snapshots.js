@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for registry snapshots and rollback
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  computeRegistryChanges, isEmptyChange, createSnapshot, listSnapshots, readSnapshot, pruneSnapshots
+} from './snapshots.js';
+
+// The snapshot directory is read when index.mjs loads, so set it before importing
+const workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-registry-snapshots-'));
+const snapshotDirectory = path.join(workDirectory, 'snapshots');
+process.env.PROMPT_REGISTRY_SNAPSHOT_DIR = snapshotDirectory;
+const { registry, rollback, getRegistryInfo, listSnapshots: listRegistrySnapshots } = await import('./index.mjs');
+
+console.log('Testing snapshots and rollback...\n');
+
+/**
+ * Builds a prompt entry
+ * @param {string} latest - Latest version
+ * @param {string[]} versions - Versions
+ * @param {string} text - Template text
+ * @returns {object} Registry entry
+ */
+function entry(latest, versions, text = 'Summarize {{text}}') {
+  return {
+    latest,
+    versions: Object.fromEntries(versions.map(version => [version, { prompt: text, version }]))
+  };
+}
+
+// Test change records
+console.log('1. Testing change records:');
+const before = { kept: entry('1.0.0', ['1.0.0']), bumped: entry('1.0.0', ['1.0.0']), edited: entry('1.0.0', ['1.0.0']), dropped: entry('1.0.0', ['1.0.0']) };
+const after = {
+  kept: entry('1.0.0', ['1.0.0']),
+  bumped: entry('1.1.0', ['1.0.0', '1.1.0']),
+  edited: entry('1.0.0', ['1.0.0'], 'Summarize {{text}} briefly'),
+  added: entry('1.0.0', ['1.0.0'])
+};
+const changes = computeRegistryChanges(before, after);
+console.log(`  Added: ${changes.added.join(', ')}; removed: ${changes.removed.join(', ')}`);
+changes.updated.forEach(update => console.log(`  Updated ${update.id}: latest=${JSON.stringify(update.latest)} added=[${update.addedVersions}] changed=[${update.changedVersions}]`));
+console.log(`  Unchanged registry is empty: ${isEmptyChange(computeRegistryChanges(before, before))}`);
+
+// Test snapshot files
+console.log('\n2. Testing snapshot files:');
+const scratch = path.join(workDirectory, 'scratch');
+const first = createSnapshot(scratch, before, { reason: 'sync', source: 'https://example.com/registry.json', changes });
+const second = createSnapshot(scratch, after, { reason: 'rollback', source: first.id, changes: computeRegistryChanges(after, before) });
+console.log(`  Ids sortable: ${/^\d{8}T\d{9}Z(-\d+)?$/.test(first.id)}, distinct: ${first.id !== second.id}`);
+console.log(`  Listed newest first: ${listSnapshots(scratch).map(snapshot => snapshot.reason).join(', ')}`);
+console.log(`  Read back: ${Object.keys(readSnapshot(scratch, first.id).registry).join(', ')}`);
+for (const id of ['../registry', '20240101T000000000Z']) {
+  try {
+    readSnapshot(scratch, id);
+  } catch (error) {
+    console.log(`  ${error.name}: ${error.message}`);
+  }
+}
+console.log(`  Pruned to 1: removed ${pruneSnapshots(scratch, 1).length}, left ${listSnapshots(scratch).map(snapshot => snapshot.reason)}`);
+console.log(`  Missing directory: ${listSnapshots(path.join(workDirectory, 'missing')).length} snapshots`);
+
+// Test rollback() against a snapshot of registry.json as it is on disk
+console.log('\n3. Testing rollback():');
+const onDisk = JSON.parse(fs.readFileSync(new URL('./registry.json', import.meta.url), 'utf8'));
+const snapshot = createSnapshot(snapshotDirectory, onDisk, { reason: 'sync', source: 'test', changes: { added: ['snapshot_test_prompt'], removed: [], updated: [] } });
+registry.snapshot_test_prompt = entry('1.0.0', ['1.0.0']);
+
+const result = rollback(snapshot.id);
+console.log(`  Restored requested snapshot: ${result.snapshotId === snapshot.id}, removed=${result.changes.removed.join(', ')} undo=${Boolean(result.snapshot)}`);
+console.log(`  Test prompt gone: ${!registry.snapshot_test_prompt}`);
+console.log(`  Undo snapshot keeps it: ${Boolean(readSnapshot(snapshotDirectory, result.snapshot).registry.snapshot_test_prompt)}`);
+const again = rollback(snapshot.id);
+console.log(`  Rolling back again changes nothing: snapshot=${again.snapshot}`);
+try {
+  rollback('20240101T000000000Z');
+} catch (error) {
+  console.log(`  ${error.name}: ${error.message}`);
+}
+
+console.log('\n4. Testing getRegistryInfo():');
+getRegistryInfo().snapshots.forEach(info => {
+  console.log(`  ${info.reason} from ${info.source === snapshot.id ? '<snapshot>' : info.source}: +${info.added} ~${info.updated} -${info.removed}`);
+});
+console.log(`  listSnapshots(): ${listRegistrySnapshots().length}`);
+
+fs.rmSync(workDirectory, { recursive: true, force: true });
+
+console.log('\n✅ All tests completed successfully!');
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for named upstream sources (uses a stubbed fetch, no network access)
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+console.log('Testing upstream sources...\n');
+
+const TEAM_URL = 'https://raw.githubusercontent.com/acme/prompts/main/registry.json';
+const COMMUNITY_URL = 'https://cdn.jsdelivr.net/gh/community/prompts@main/registry.json';
+const payload = JSON.parse(fs.readFileSync(new URL('./registry.json', import.meta.url), 'utf8'));
+
+/**
+ * Builds a one-version prompt entry
+ * @param {string} prompt - Template text
+ * @returns {object} Registry entry
+ */
+function entry(prompt) {
+  return {
+    latest: '1.0.0',
+    versions: { '1.0.0': { description: prompt, prompt, category: 'coding', tags: ['test'], version: '1.0.0' } }
+  };
+}
+
+// Sources are read from prompt-registry.config.json in the working directory on import
+const workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-registry-sources-'));
+fs.writeFileSync(path.join(workDirectory, 'prompt-registry.config.json'), JSON.stringify({
+  sources: [
+    { name: 'team', url: TEAM_URL, namespace: 'acme', headers: { Authorization: 'Bearer ${SOURCES_TEST_TOKEN}' } },
+    { name: 'local' },
+    { name: 'community', url: COMMUNITY_URL, trustedDomains: ['jsdelivr.net'] }
+  ],
+  cache: { directory: path.join(workDirectory, 'cache') }
+}), 'utf8');
+process.env.SOURCES_TEST_TOKEN = 'team-secret';
+const originalDirectory = process.cwd();
+process.chdir(workDirectory);
+const { sync, get, search, getRegistryInfo } = await import('./index.mjs');
+process.chdir(originalDirectory);
+
+let communityDown = false;
+globalThis.fetch = async (url, init) => {
+  const json = body => new Response(JSON.stringify(body), { status: 200, headers: { 'content-type': 'application/json' } });
+  if (url.endsWith('.sig')) {
+    return new Response('', { status: 404, statusText: 'Not Found' });
+  }
+  if (url === TEAM_URL) {
+    if (init.headers.Authorization !== 'Bearer team-secret') {
+      return new Response('', { status: 401, statusText: 'Unauthorized' });
+    }
+    return json({ schemaVersion: '2.0', prompts: { review_checklist: entry('Team checklist for {{code}}') } });
+  }
+  if (communityDown) {
+    return new Response('', { status: 503, statusText: 'Service Unavailable' });
+  }
+  return json({
+    schemaVersion: '2.0',
+    prompts: { bug_fix: entry('Community bug fix for {{code}}'), haiku: entry('Write a haiku about {{topic}}') }
+  });
+};
+
+// Test syncing every source
+console.log('1. Testing sync():');
+const result = await sync();
+console.log(`  success=${result.success} new=${result.newPrompts}`);
+for (const [name, state] of Object.entries(result.sources)) {
+  console.log(`  ${name}: transfer=${state.transfer} error=${state.error}`);
+}
+
+// Test priority resolution and explicit sources
+console.log('\n2. Testing lookups:');
+for (const id of ['acme/review_checklist', 'bug_fix', 'community:bug_fix', 'haiku']) {
+  const prompt = get(id, { code: 'x = 1', topic: 'autumn' });
+  console.log(`  ${id} -> ${prompt.id} from ${prompt.source}: ${prompt.prompt.split('\n')[0].slice(0, 40)}`);
+}
+console.log(`  local:bug_fix matches registry.json: ${get('local:bug_fix', { code: 'x' }).version === payload.bug_fix.latest}`);
+for (const id of ['missing:bug_fix', 'team:haiku']) {
+  try {
+    get(id, { topic: 'x' });
+  } catch (error) {
+    console.log(`  ${id}: ${error.message}`);
+  }
+}
+const sources = search('haiku').concat(search('checklist')).map(prompt => `${prompt.id} (${prompt.source})`);
+console.log(`  Search: ${sources.join(', ')}`);
+
+// Test per-source state, including a failing source
+console.log('\n3. Testing getRegistryInfo():');
+communityDown = true;
+const failed = await sync({ force: true, errorPolicy: 'silent' });
+console.log(`  Sync with community down: success=${failed.success} errors=${failed.errors.map(error => `${error.details.source}/${error.code}`).join(', ')}`);
+getRegistryInfo().sources.forEach(source => {
+  console.log(`  ${source.priority}. ${source.name} prompts=${source.prompts} namespace=${source.namespace} synced=${Boolean(source.lastSync)} error=${source.error}`);
+});
+console.log(`  haiku still available: ${get('haiku', { topic: 'rain' }).source}`);
+
+fs.rmSync(workDirectory, { recursive: true, force: true });
+
+console.log('\n✅ All tests completed successfully!');
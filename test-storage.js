@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for atomic writes, file locks and registry merges
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import {
+  writeFileAtomic, acquireLock, withFileLock, mergeRegistryData, writeRegistryFile
+} from './storage.js';
+
+console.log('Testing storage...\n');
+
+const workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-registry-storage-'));
+const registryPath = path.join(workDirectory, 'registry.json');
+
+/**
+ * Builds a prompt entry
+ * @param {string} latest - Latest version
+ * @param {string[]} versions - Versions
+ * @returns {object} Registry entry
+ */
+function entry(latest, versions) {
+  return {
+    latest,
+    versions: Object.fromEntries(versions.map(version => [version, { prompt: `Version ${version}`, version }]))
+  };
+}
+
+// Test atomic writes
+console.log('1. Testing writeFileAtomic():');
+writeFileAtomic(registryPath, '{}');
+writeFileAtomic(registryPath, JSON.stringify({ a: 1 }));
+console.log(`  Content: ${fs.readFileSync(registryPath, 'utf8')}`);
+console.log(`  Files left: ${fs.readdirSync(workDirectory).join(', ')}`);
+const keyPath = path.join(workDirectory, 'nested', 'secret.key');
+writeFileAtomic(keyPath, 'secret', { mode: 0o600 });
+console.log(`  Mode: ${(fs.statSync(keyPath).mode & 0o777).toString(8)}`);
+try {
+  writeFileAtomic(path.join(registryPath, 'inside-a-file.json'), 'x');
+} catch (error) {
+  console.log(`  ${error.name}: ${error.message.startsWith('Failed to write')}`);
+}
+
+// Test locks
+console.log('\n2. Testing locks:');
+const release = acquireLock(registryPath);
+console.log(`  Lock file: ${path.basename(registryPath)}.lock ${fs.existsSync(`${registryPath}.lock`)}`);
+try {
+  acquireLock(registryPath, { timeout: 100 });
+} catch (error) {
+  console.log(`  ${error.name}: ${error.message.startsWith('Timed out')}`);
+}
+release();
+release();
+console.log(`  Released: ${!fs.existsSync(`${registryPath}.lock`)}`);
+console.log(`  withFileLock() result: ${withFileLock(registryPath, () => 'done')}, released: ${!fs.existsSync(`${registryPath}.lock`)}`);
+
+// Locks left behind by a crashed process are taken over
+const holders = [
+  ['Dead process', { pid: 999999, hostname: os.hostname(), createdAt: new Date().toISOString() }],
+  ['Old lock', { pid: process.ppid, hostname: 'other-host', createdAt: new Date(Date.now() - 60000).toISOString() }]
+];
+for (const [label, holder] of holders) {
+  fs.writeFileSync(`${registryPath}.lock`, JSON.stringify(holder), 'utf8');
+  acquireLock(registryPath, { timeout: 100 })();
+  console.log(`  ${label}: taken over`);
+}
+
+// A live process's lock is not taken over, however old (a slow save still holds it)
+fs.writeFileSync(`${registryPath}.lock`, JSON.stringify({ pid: process.ppid, hostname: os.hostname(), createdAt: new Date(Date.now() - 60000).toISOString() }), 'utf8');
+try {
+  acquireLock(registryPath, { timeout: 100, staleAfter: 1000 })();
+  console.log('  Old lock of a live process: taken over');
+} catch (error) {
+  console.log(`  Old lock of a live process: ${error.name}: ${error.message.startsWith('Timed out')}`);
+}
+fs.rmSync(`${registryPath}.lock`);
+
+// A lock held by another live process is waited for
+const script = `
+  import { acquireLock } from ${JSON.stringify(new URL('./storage.js', import.meta.url).href)};
+  const release = acquireLock(${JSON.stringify(registryPath)});
+  console.log('locked');
+  setTimeout(release, 300);
+`;
+const child = execFile(process.execPath, ['--input-type=module', '-e', script], { timeout: 10000 });
+await new Promise(resolve => child.stdout.once('data', resolve));
+const started = Date.now();
+acquireLock(registryPath, { timeout: 5000, staleAfter: 50 })();
+console.log(`  Waited for another process: ${Date.now() - started >= 100}`);
+await new Promise(resolve => child.once('exit', resolve));
+
+// Processes taking over the same stale lock at once get it one after the other
+const logPath = path.join(workDirectory, 'holders.log');
+const contender = `
+  import fs from 'node:fs';
+  import { acquireLock } from ${JSON.stringify(new URL('./storage.js', import.meta.url).href)};
+  const pause = ms => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+  pause(Math.max(0, Number(process.argv[1]) - Date.now()));
+  const release = acquireLock(${JSON.stringify(registryPath)}, { timeout: 5000 });
+  fs.appendFileSync(${JSON.stringify(logPath)}, 'enter\\n');
+  pause(200);
+  fs.appendFileSync(${JSON.stringify(logPath)}, 'exit\\n');
+  release();
+`;
+fs.writeFileSync(`${registryPath}.lock`, JSON.stringify(holders[0][1]), 'utf8');
+const startAt = String(Date.now() + 500);
+const contenders = [1, 2].map(() => execFile(process.execPath, ['--input-type=module', '-e', contender, startAt], { timeout: 10000 }));
+await Promise.all(contenders.map(contending => new Promise(resolve => contending.once('exit', resolve))));
+const log = fs.readFileSync(logPath, 'utf8').trim().split('\n').join(' ');
+console.log(`  Contended stale lock: ${log === 'enter exit enter exit' ? 'held by one process at a time' : log}`);
+console.log(`  Left behind: ${fs.readdirSync(workDirectory).filter(file => file.startsWith(`${path.basename(registryPath)}.lock`)).length} lock files`);
+fs.rmSync(logPath);
+
+// Test three-way merges
+console.log('\n3. Testing mergeRegistryData():');
+const base = { edited: entry('1.0.0', ['1.0.0']), both: entry('1.0.0', ['1.0.0']), dropped: entry('1.0.0', ['1.0.0']) };
+const ours = { edited: entry('1.0.0', ['1.0.0']), both: entry('1.1.0', ['1.0.0', '1.1.0']), ours_new: entry('1.0.0', ['1.0.0']) };
+const theirs = {
+  edited: entry('2.0.0', ['1.0.0', '2.0.0']),
+  both: entry('1.0.1', ['1.0.0', '1.0.1']),
+  dropped: entry('1.0.0', ['1.0.0']),
+  theirs_new: entry('1.0.0', ['1.0.0'])
+};
+const merged = mergeRegistryData(base, ours, theirs);
+console.log(`  Prompts: ${Object.keys(merged).sort().join(', ')}`);
+console.log(`  Changed only by them: ${merged.edited.latest}`);
+console.log(`  Changed by both: latest=${merged.both.latest} versions=${Object.keys(merged.both.versions).join(', ')}`);
+
+// Test registry writes
+console.log('\n4. Testing writeRegistryFile():');
+writeFileAtomic(registryPath, JSON.stringify(base, null, 2));
+let result = writeRegistryFile(registryPath, ours, { base });
+console.log(`  Unchanged on disk: merged=${result.merged}`);
+writeFileAtomic(registryPath, JSON.stringify(theirs, null, 2));
+result = writeRegistryFile(registryPath, ours, { base });
+const written = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+console.log(`  Changed on disk: merged=${result.merged} prompts=${Object.keys(written).sort().join(', ')}`);
+console.log(`  Files left: ${fs.readdirSync(workDirectory).sort().join(', ')}`);
+
+fs.rmSync(workDirectory, { recursive: true, force: true });
+
+console.log('\n✅ All tests completed successfully!');
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for conditional and delta sync (uses a stubbed fetch, no network access)
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// The cache directory is read when index.mjs loads, so set it before importing
+const cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-registry-sync-'));
+process.env.PROMPT_REGISTRY_CACHE_DIR = cacheDirectory;
+const { sync, registry } = await import('./index.mjs');
+
+console.log('Testing conditional and delta sync...\n');
+
+const REGISTRY_URL = 'https://raw.githubusercontent.com/prompt-registry/test/main/registry.json';
+const DELTA_URL = 'https://raw.githubusercontent.com/prompt-registry/test/main/changes.json';
+const baseEntry = JSON.parse(JSON.stringify(registry.bug_fix));
+
+// Stubbed server: full registry with validators, conditional 304s and a delta endpoint
+const requests = [];
+let deltaStatus = 200;
+let revision = 1;
+globalThis.fetch = async (url, init) => {
+  requests.push({ url, headers: init.headers });
+  const json = (body, headers = {}) => new Response(JSON.stringify(body), {
+    status: 200,
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+
+  if (url.startsWith(DELTA_URL)) {
+    if (deltaStatus !== 200) {
+      return new Response('', { status: deltaStatus, statusText: 'Gone' });
+    }
+    const entry = JSON.parse(JSON.stringify(baseEntry));
+    entry.versions['9.0.0'] = { ...entry.versions[entry.latest], version: '9.0.0' };
+    entry.latest = '9.0.0';
+    return json({ revision: ++revision, prompts: { bug_fix: entry }, removed: ['retired_prompt'] });
+  }
+
+  if (init.headers['If-None-Match'] === `"rev-${revision}"`) {
+    return new Response(null, { status: 304 });
+  }
+  return json(
+    { schemaVersion: '2.0', revision, deltaUrl: DELTA_URL, prompts: { bug_fix: baseEntry } },
+    { etag: `"rev-${revision}"`, 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' }
+  );
+};
+
+/**
+ * Expires the cached copy so the next sync contacts the server
+ */
+function expireCache() {
+  for (const file of fs.readdirSync(cacheDirectory)) {
+    const cacheFile = path.join(cacheDirectory, file);
+    const entry = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    fs.writeFileSync(cacheFile, JSON.stringify({ ...entry, timestamp: 0 }), 'utf8');
+  }
+}
+
+/**
+ * Runs a sync and prints what was transferred
+ * @param {string} label - Step description
+ * @param {object} options - Sync options
+ */
+async function step(label, options = {}) {
+  requests.length = 0;
+  const result = await sync({ url: REGISTRY_URL, ...options });
+  console.log(`  ${label}: transfer=${result.transfer} revision=${result.revision} success=${result.success}`);
+  requests.forEach(request => {
+    const conditional = ['If-None-Match', 'If-Modified-Since'].filter(header => request.headers[header]);
+    console.log(`    GET ${request.url.replace('https://raw.githubusercontent.com/prompt-registry/test/main/', '')}${conditional.length > 0 ? ` (${conditional.join(', ')})` : ''}`);
+  });
+  result.warnings.forEach(warning => console.log(`    Warning: ${warning}`));
+}
+
+console.log('1. Testing conditional requests:');
+await step('First sync');
+await step('Within cache TTL');
+expireCache();
+await step('Expired, unchanged', { delta: false });
+
+console.log('\n2. Testing delta updates:');
+expireCache();
+await step('Expired, delta available');
+console.log(`    Local bug_fix versions: ${Object.keys(registry.bug_fix.versions).join(', ')}`);
+expireCache();
+deltaStatus = 410;
+await step('Delta endpoint gone, full download');
+await step('Forced', { force: true });
+
+delete registry.bug_fix.versions['9.0.0'];
+fs.rmSync(cacheDirectory, { recursive: true, force: true });
+
+console.log('\n✅ All tests completed successfully!');
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the template engine
+ */
+
+import { renderTemplate, parseTemplate, extractTemplateVariables, listTemplateReferences, registerFilter } from './template-engine.js';
+import { executeWorkflowStep } from './workflows.js';
+import { get } from './index.mjs';
+
+console.log('Testing template engine...\n');
+
+// Test plain interpolation (existing syntax)
+console.log('1. Testing plain interpolation:');
+console.log(`  ${renderTemplate('Translate {{request}} into SQL', { request: 'all users' })}`);
+try {
+  renderTemplate('Hello {{name}} from {{city}}', {});
+} catch (error) {
+  console.log(`  Missing variables error: ${error.message}`);
+}
+
+// Test conditional blocks
+console.log('\n2. Testing conditional blocks:');
+const conditional = 'Review this code.\n{{#if context}}\nContext: {{context}}\n{{else}}\nNo extra context.\n{{/if}}\nDone.';
+console.log(`  With context: ${JSON.stringify(renderTemplate(conditional, { context: 'legacy service' }))}`);
+console.log(`  Without context: ${JSON.stringify(renderTemplate(conditional, {}))}`);
+console.log(`  Unless: ${renderTemplate('{{#unless formal}}Keep it casual.{{/unless}}', { formal: false })}`);
+
+// Test loops
+console.log('\n3. Testing loops:');
+const loop = 'Examples:\n{{#each examples}}\n{{@index}}. {{input}} -> {{output}}\n{{else}}\n(none)\n{{/each}}';
+console.log(renderTemplate(loop, {
+  examples: [
+    { input: 'hi', output: 'hello' },
+    { input: 'bye', output: 'goodbye' }
+  ]
+}));
+console.log(renderTemplate(loop, { examples: [] }));
+console.log(`  Join with @last: ${renderTemplate('{{#each tags}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}', { tags: ['a', 'b', 'c'] })}`);
+
+// Test filters
+console.log('\n4. Testing filters:');
+console.log(renderTemplate('Code:\n{{code | trim | indent 4}}', { code: '\n  const a = 1;\nreturn a;\n' }));
+console.log(`  upper/default: ${renderTemplate('{{tone | default "neutral" | upper}}', {})}`);
+console.log(`  join: ${renderTemplate('{{tags | join " / "}}', { tags: ['sql', 'db'] })}`);
+console.log(`  truncate: ${renderTemplate('{{text | truncate 10}}', { text: 'A very long sentence indeed' })}`);
+console.log(`  json: ${renderTemplate('{{data | json}}', { data: { a: 1 } })}`);
+registerFilter('reverse', value => String(value).split('').reverse().join(''));
+console.log(`  custom filter: ${renderTemplate('{{word | reverse}}', { word: 'prompt' })}`);
+
+// Test syntax errors
+console.log('\n5. Testing syntax errors:');
+['{{#if}}x{{/if}}', '{{#if a}}open', '{{/each}}', '{{a | unknown}}', '{{a | constructor}}', '{{a | toString}}', '{{a b}}'].forEach(template => {
+  try {
+    renderTemplate(template, { a: 1 });
+    console.log(`  No error for ${template}`);
+  } catch (error) {
+    console.log(`  ${template} -> ${error.name}: ${error.message}`);
+  }
+});
+
+// Test variable extraction
+console.log('\n6. Testing variable extraction:');
+const template = '{{#if context}}Context: {{context}}{{/if}}{{#each items}}{{name}}{{/each}}{{code | default fallback}}';
+console.log(`  Variables: ${extractTemplateVariables(template).join(', ')}`);
+console.log(`  References: ${listTemplateReferences(template).map(ref => `${ref.name}(${ref.kind}${ref.loop ? ` in ${ref.loop}` : ''})`).join(', ')}`);
+console.log(`  Nested loops: ${listTemplateReferences('{{#each groups}}{{#each members}}{{name}} {{this}} {{@index}}{{/each}}{{else}}{{empty}}{{/each}}').map(ref => `${ref.name}(${ref.loop || '-'})`).join(', ')}`);
+console.log(`  AST nodes: ${parseTemplate(template).length}`);
+
+// Test workflow step resolution
+console.log('\n7. Testing workflow step resolution:');
+const step = { id: 'outline', prompt: 'blog_post_outline', variables: { topic: '{{topic | upper}}', notes: '{{unknown}}' } };
+const stepResult = await executeWorkflowStep(step, { topic: 'ai ethics' }, () => '');
+console.log(`  ${stepResult}`);
+
+// Test get() integration
+console.log('\n8. Testing get() integration:');
+const result = get('sql_query_generation', { request: 'Show all users' });
+console.log(`  ${result.id}: ${result.prompt.slice(0, 60)}...`);
+try {
+  get('blog_post_outline');
+} catch (error) {
+  console.log(`  Missing variables: ${error.message}`);
+}
+
+console.log('\n✅ All tests completed successfully!');
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for file:, dir: and git: sync transports (uses temporary files, no network access)
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { pathToFileURL } from 'node:url';
+import { fileTransport, dirTransport, gitTransport } from './transports.js';
+
+console.log('Testing sync transports...\n');
+
+/**
+ * Builds a one-version prompt entry
+ * @param {string} prompt - Template text
+ * @returns {object} Registry entry
+ */
+function entry(prompt) {
+  return {
+    latest: '1.0.0',
+    versions: { '1.0.0': { description: prompt, prompt, category: 'testing', tags: ['transport'], version: '1.0.0' } }
+  };
+}
+
+const workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-registry-transports-'));
+const tmp = text => String(text).split(workDirectory).join('<tmp>');
+
+// A registry file, a tarball containing one, a directory of entry files and a git repository
+const registryPath = path.join(workDirectory, 'registry.json');
+fs.writeFileSync(registryPath, JSON.stringify({ schemaVersion: '2.0', prompts: { file_prompt: entry('From a file: {{text}}') } }), 'utf8');
+
+fs.mkdirSync(path.join(workDirectory, 'package'));
+fs.writeFileSync(path.join(workDirectory, 'package', 'registry.json'), JSON.stringify({ schemaVersion: '2.0', prompts: { tar_prompt: entry('From a tarball: {{text}}') } }), 'utf8');
+execFileSync('tar', ['-czf', path.join(workDirectory, 'prompts-1.0.0.tgz'), '-C', workDirectory, 'package'], { timeout: 10000 });
+
+const promptsDirectory = path.join(workDirectory, 'prompts');
+fs.mkdirSync(promptsDirectory);
+fs.writeFileSync(path.join(promptsDirectory, 'dir_prompt.json'), JSON.stringify(entry('From a directory: {{text}}')), 'utf8');
+
+const repoPath = path.join(workDirectory, 'repo');
+const git = (...args) => execFileSync('git', ['-C', repoPath, ...args], { timeout: 10000, stdio: 'pipe' });
+fs.mkdirSync(path.join(repoPath, 'prompts'), { recursive: true });
+git('init', '-q', '-b', 'main');
+fs.writeFileSync(path.join(repoPath, 'prompts', 'git_prompt.json'), JSON.stringify(entry('From git: {{text}}')), 'utf8');
+git('add', '.');
+git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'Add prompt');
+
+const urls = {
+  file: pathToFileURL(registryPath).href,
+  tarball: pathToFileURL(path.join(workDirectory, 'prompts-1.0.0.tgz')).href,
+  dir: `dir:${promptsDirectory}`,
+  git: `git:${repoPath}?path=prompts#main`
+};
+
+// Test the transports directly
+console.log('1. Testing transports:');
+for (const [label, transport, url] of [
+  ['file', fileTransport, urls.file],
+  ['tarball', fileTransport, urls.tarball],
+  ['dir', dirTransport, urls.dir],
+  ['git', gitTransport, urls.git]
+]) {
+  const result = await transport.read(url);
+  const again = await transport.read(url, { etag: result.etag });
+  console.log(`  ${label}: prompts=${Object.keys(result.data.prompts).join(', ')} etag=${Boolean(result.etag)} unchanged=${again.notModified === true}`);
+}
+fs.writeFileSync(path.join(promptsDirectory, 'broken.json'), '{ "latest": ', 'utf8');
+for (const [label, transport, url] of [
+  ['Missing file', fileTransport, pathToFileURL(path.join(workDirectory, 'missing.json')).href],
+  ['Missing tarball entry', fileTransport, `${urls.tarball}?path=other.json`],
+  ['Invalid entry file', dirTransport, urls.dir],
+  ['Unknown ref', gitTransport, `git:${repoPath}?path=prompts#release`],
+  ['Option as ref', gitTransport, `git:${repoPath}?path=prompts#--output=${encodeURIComponent(path.join(workDirectory, 'out'))}`],
+  ['Control character in ref', gitTransport, `git:${repoPath}?path=prompts#main%0A`]
+]) {
+  try {
+    await transport.read(url);
+  } catch (error) {
+    console.log(`  ${label}: ${error.name} status=${error.details.status} - ${tmp(error.message)}`);
+  }
+}
+fs.unlinkSync(path.join(promptsDirectory, 'broken.json'));
+
+// Test sync() through configured sources (read from prompt-registry.config.json in the working directory on import)
+console.log('\n2. Testing sync():');
+fs.writeFileSync(path.join(workDirectory, 'prompt-registry.config.json'), JSON.stringify({
+  sources: Object.entries(urls).map(([name, url]) => ({ name, url })),
+  cache: { directory: path.join(workDirectory, 'cache') }
+}), 'utf8');
+const originalDirectory = process.cwd();
+process.chdir(workDirectory);
+const { sync, get, registerTransport } = await import('./index.mjs');
+process.chdir(originalDirectory);
+
+/**
+ * Expires the cached copies so the next sync reads the sources again
+ */
+function expireCache() {
+  const cacheDirectory = path.join(workDirectory, 'cache');
+  for (const file of fs.readdirSync(cacheDirectory)) {
+    const cacheFile = path.join(cacheDirectory, file);
+    fs.writeFileSync(cacheFile, JSON.stringify({ ...JSON.parse(fs.readFileSync(cacheFile, 'utf8')), timestamp: 0 }), 'utf8');
+  }
+}
+
+/**
+ * Runs a sync and prints how each source was read
+ * @param {string} label - Step description
+ * @param {object} options - Sync options
+ */
+async function step(label, options = {}) {
+  try {
+    const result = await sync(options);
+    const transfers = Object.entries(result.sources || {}).map(([name, state]) => `${name}=${state.transfer}`);
+    console.log(`  ${label}: new=${result.newPrompts} ${transfers.join(' ') || `transfer=${result.transfer}`}`);
+  } catch (error) {
+    console.log(`  ${label}: ${error.code} - ${tmp(error.message)}`);
+  }
+}
+
+await step('First sync');
+console.log(`  ${['file_prompt', 'tar_prompt', 'dir_prompt', 'git_prompt'].map(id => get(id, { text: 'x' }).source).join(', ')}`);
+expireCache();
+await step('Expired, unchanged');
+fs.writeFileSync(path.join(promptsDirectory, 'dir_prompt_2.json'), JSON.stringify(entry('Another prompt: {{text}}')), 'utf8');
+expireCache();
+await step('Expired, directory changed');
+
+// Test trust settings and custom transports
+console.log('\n3. Testing custom transports:');
+await step('Unregistered scheme', { url: 's3://bucket/registry.json' });
+registerTransport('s3', {
+  async read() {
+    return { data: { schemaVersion: '2.0', prompts: {} }, etag: null };
+  }
+});
+await step('Registered but not allowed', { url: 's3://bucket/registry.json' });
+try {
+  registerTransport('ftp', {});
+} catch (error) {
+  console.log(`  Invalid transport: ${error.message}`);
+}
+
+fs.rmSync(workDirectory, { recursive: true, force: true });
+
+console.log('\n✅ All tests completed successfully!');
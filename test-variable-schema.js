@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for typed variable schemas
+ */
+
+import { applyVariableSchema, validateSchemaDefinition, resolveVariables } from './variable-schema.js';
+import { validatePrompt } from './validate-prompt.js';
+import { get, registry } from './index.mjs';
+
+console.log('Testing variable schemas...\n');
+
+const schema = {
+  text: { type: 'string', required: true, minLength: 5, description: 'Text to translate' },
+  language: { type: 'string', default: 'English' },
+  tone: { type: 'string', enum: ['formal', 'casual'], default: 'formal' },
+  max_words: { type: 'integer', required: false },
+  glossary: { type: 'array', required: false, maxLength: 3 }
+};
+
+// Test schema definition validation
+console.log('1. Testing schema definition validation:');
+console.log(`  Valid schema errors: ${validateSchemaDefinition(schema).length}`);
+const badSchema = {
+  tone: { type: 'text', enum: [] },
+  'bad-name': { type: 'string' },
+  count: { type: 'integer', default: 'ten', minLength: 4, maxLength: 2, extra: true }
+};
+validateSchemaDefinition(badSchema).forEach(error => console.log(`  - ${error}`));
+
+// Test applying defaults and coercion
+console.log('\n2. Testing defaults and coercion:');
+const applied = applyVariableSchema(schema, { text: 'Hello world', max_words: '50' });
+console.log('  Values:', applied.values);
+console.log(`  Errors: ${applied.errors.length}`);
+
+// Test validation failures
+console.log('\n3. Testing validation failures:');
+const failed = applyVariableSchema(schema, { text: 'Hi', tone: 'angry', max_words: 'many', glossary: ['a', 'b', 'c', 'd'] });
+failed.errors.forEach(error => console.log(`  - ${error}`));
+try {
+  resolveVariables(schema, {}, 'translation@1.0.0');
+} catch (error) {
+  console.log(`  ${error.name}: ${error.message}`);
+}
+
+// Test get() enforcement
+console.log('\n4. Testing get() enforcement:');
+registry.schema_test_prompt = {
+  latest: '1.0.0',
+  versions: {
+    '1.0.0': {
+      description: 'Translates text with a typed variable schema',
+      prompt: 'Translate the following text into {{language}} using a {{tone}} tone.{{#if max_words}} Use at most {{max_words}} words.{{/if}}\n\n{{text}}',
+      category: 'content',
+      tags: ['translation'],
+      version: '1.0.0',
+      variables: schema
+    }
+  }
+};
+console.log(`  ${JSON.stringify(get('schema_test_prompt', { text: 'Bonjour tout le monde' }).prompt)}`);
+console.log(`  ${JSON.stringify(get('schema_test_prompt', { text: 'Bonjour tout le monde', tone: 'casual', max_words: '20' }).prompt)}`);
+try {
+  get('schema_test_prompt', { text: 'Bonjour', tone: 'sarcastic' });
+} catch (error) {
+  console.log(`  ${error.name}: ${error.message}`);
+}
+delete registry.schema_test_prompt;
+
+// Test validator cross-check
+console.log('\n5. Testing validator cross-check:');
+const promptData = {
+  id: 'schema_check_prompt',
+  description: 'Checks that the schema matches the template placeholders',
+  prompt: 'Write a {{tone}} summary of the following document in {{language}}:\n\n{{document}}',
+  category: 'content',
+  tags: ['summary'],
+  version: '1.0.0',
+  variables: {
+    tone: { type: 'string', enum: ['formal', 'casual'] },
+    language: { type: 'string', default: 'English' },
+    audience: { type: 'string', required: false }
+  }
+};
+const result = validatePrompt(promptData);
+console.log(`  Valid: ${result.isValid}`);
+result.errors.forEach(error => console.log(`  Error: ${error}`));
+result.warnings.forEach(warning => console.log(`  Warning: ${warning}`));
+
+// Variables used only inside a loop count; undeclared names there are fields of the loop item
+const loopResult = validatePrompt({
+  ...promptData,
+  prompt: '{{#each documents}}Summarize {{title}} ({{@index}}) in {{language}}: {{this.body}}{{/each}}',
+  variables: { documents: { type: 'array' }, language: { type: 'string' }, audience: { type: 'string', required: false } }
+});
+console.log(`  Loop body: valid=${loopResult.isValid} errors=${JSON.stringify(loopResult.errors)} warnings=${JSON.stringify(loopResult.warnings)}`);
+
+console.log('\n✅ All tests completed successfully!');
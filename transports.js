@@ -0,0 +1,331 @@
+/**
+ * Prompt Template Registry - Sync Transports
+ *
+ * sync() downloads HTTP(S) registries itself; every other URL scheme is read by a
+ * transport registered here. Built-in transports:
+ *
+ * - file:///shared/prompts/registry.json   A registry file, or a .tgz/.tar.gz containing
+ *                                          one (?path=package/registry.json to pick the entry)
+ * - dir:/shared/prompts                    A directory with one <id>.json registry entry per prompt
+ * - git:/srv/prompts.git#main              A file or directory (?path=, default registry.json)
+ *                                          at a ref of a local git repository
+ *
+ * A transport reads a URL and reports validators, so unchanged sources are skipped
+ * the same way as an HTTP 304:
+ *
+ * {
+ *   read(url, { etag, timeout }) -> { data, etag, lastModified } | { notModified: true }
+ *   readSignature(url, { timeout }) -> detached signature object, or null if there is none
+ * }
+ *
+ * Missing files are reported as a TransportError with `details.status` 404, so an absent
+ * delta file falls back to a full read like a missing HTTP endpoint.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import crypto from 'node:crypto';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+/** Custom Error Class **/
+export class TransportError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'TransportError';
+    this.details = details;
+  }
+}
+
+// Transports keyed by URL scheme (without the colon)
+const transports = new Map();
+
+/**
+ * Registers a transport for a URL scheme, replacing any existing one
+ * @param {string} scheme - URL scheme ("s3", or "s3:")
+ * @param {object} transport - Transport ({read, readSignature})
+ */
+export function registerTransport(scheme, transport) {
+  if (!transport || typeof transport.read !== 'function') {
+    throw new TypeError(`Transport for "${scheme}" must implement read(url, options)`);
+  }
+  transports.set(scheme.replace(/:$/, ''), transport);
+}
+
+/**
+ * Gets the transport for a URL
+ * @param {string} url - Registry URL
+ * @returns {object|null} Transport, or null for HTTP(S) and unknown schemes
+ */
+export function getTransport(url) {
+  const match = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+  return match ? transports.get(match[1].toLowerCase()) || null : null;
+}
+
+/**
+ * Gets the URL scheme ("file:///x" -> "file")
+ * @param {string} url - Registry URL
+ * @returns {string} Scheme, lowercased
+ */
+export function getUrlScheme(url) {
+  const match = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Parses a transport URL into a path, query parameters and fragment.
+ * "dir:prompts" and "dir:./prompts" are relative to the working directory.
+ * @param {string} url - Transport URL
+ * @returns {{path: string, params: URLSearchParams, ref: string}} Parsed URL
+ */
+function parseTransportUrl(url) {
+  const parsed = new URL(url);
+  const location = parsed.protocol === 'file:' ?
+    fileURLToPath(new URL(parsed.pathname, 'file://')) :
+    decodeURIComponent(parsed.pathname);
+  return {
+    path: path.resolve(location),
+    params: parsed.searchParams,
+    ref: decodeURIComponent(parsed.hash.slice(1))
+  };
+}
+
+/**
+ * Parses a JSON document read by a transport
+ * @param {string|Buffer} text - File content
+ * @param {string} location - Where it was read from (for errors)
+ * @returns {object} Parsed document
+ */
+function parseJson(text, location) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new TransportError(`Invalid JSON in ${location}: ${error.message}`, { location });
+  }
+}
+
+/**
+ * Builds a registry document from per-prompt entry files
+ * @param {Array<{name: string, content: string|Buffer}>} files - Files named <id>.json
+ * @param {string} location - Directory they were read from (for errors)
+ * @returns {object} Registry document ({schemaVersion, prompts})
+ */
+function assembleRegistry(files, location) {
+  const prompts = {};
+  for (const file of files.filter(candidate => candidate.name.endsWith('.json'))) {
+    prompts[path.basename(file.name, '.json')] = parseJson(file.content, `${location}/${file.name}`);
+  }
+  return { schemaVersion: '2.0', prompts };
+}
+
+/**
+ * Reads a file, mapping a missing file to a 404 TransportError
+ * @param {string} filePath - File path
+ * @returns {Buffer} File content
+ */
+function readLocalFile(filePath) {
+  try {
+    return fs.readFileSync(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new TransportError(`File not found: ${filePath}`, { location: filePath, status: 404 });
+    }
+    throw new TransportError(`Cannot read ${filePath}: ${error.message}`, { location: filePath });
+  }
+}
+
+/**
+ * Finds an entry in an uncompressed tar archive
+ * @param {Buffer} archive - Tar archive
+ * @param {string} name - Entry name; also matches "<top-level dir>/<name>" (as in npm pack output)
+ * @returns {Buffer|null} Entry content, or null if absent
+ */
+function readTarEntry(archive, name) {
+  let offset = 0;
+  while (offset + 512 <= archive.length && archive[offset] !== 0) {
+    const header = archive.subarray(offset, offset + 512);
+    const field = (start, length) => header.subarray(start, start + length).toString('utf8').replace(/\0.*$/s, '');
+    const prefix = field(345, 155);
+    const entryName = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+    const size = parseInt(field(124, 12).trim() || '0', 8);
+    const type = field(156, 1);
+
+    if ((type === '0' || type === '') && (entryName === name || entryName.replace(/^[^/]+\//, '') === name)) {
+      return archive.subarray(offset + 512, offset + 512 + size);
+    }
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return null;
+}
+
+/**
+ * Builds a validator from file metadata
+ * @param {fs.Stats} stats - File stats
+ * @returns {string} Entity tag
+ */
+function statsTag(stats) {
+  return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/** Built-in Transports **/
+export const fileTransport = {
+  async read(url, options = {}) {
+    const { path: filePath, params } = parseTransportUrl(url);
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch (error) {
+      throw new TransportError(`File not found: ${filePath}`, { location: filePath, status: 404 });
+    }
+    const etag = statsTag(stats);
+    if (options.etag === etag) {
+      return { notModified: true };
+    }
+
+    let content = readLocalFile(filePath);
+    if (/\.(tgz|tar\.gz|tar)$/.test(filePath)) {
+      const entry = params.get('path') || 'registry.json';
+      content = readTarEntry(filePath.endsWith('.tar') ? content : zlib.gunzipSync(content), entry);
+      if (!content) {
+        throw new TransportError(`${entry} not found in ${filePath}`, { location: filePath, status: 404 });
+      }
+    }
+
+    return { data: parseJson(content, filePath), etag, lastModified: stats.mtime.toUTCString() };
+  },
+
+  async readSignature(url) {
+    const { path: filePath } = parseTransportUrl(url);
+    return fs.existsSync(`${filePath}.sig`) ? parseJson(readLocalFile(`${filePath}.sig`), `${filePath}.sig`) : null;
+  }
+};
+
+export const dirTransport = {
+  async read(url, options = {}) {
+    const { path: directory } = parseTransportUrl(url);
+    let names;
+    try {
+      names = fs.readdirSync(directory).filter(name => name.endsWith('.json')).sort();
+    } catch (error) {
+      throw new TransportError(`Directory not found: ${directory}`, { location: directory, status: 404 });
+    }
+
+    // A change to any entry file changes the tag
+    const hash = crypto.createHash('sha1');
+    names.forEach(name => hash.update(`${name}:${statsTag(fs.statSync(path.join(directory, name)))}\n`));
+    const etag = `"${hash.digest('hex')}"`;
+    if (options.etag === etag) {
+      return { notModified: true };
+    }
+
+    const files = names.map(name => ({ name, content: readLocalFile(path.join(directory, name)) }));
+    return { data: assembleRegistry(files, directory), etag, lastModified: null };
+  },
+
+  async readSignature(url) {
+    const { path: directory } = parseTransportUrl(url);
+    return fs.existsSync(`${directory}.sig`) ? parseJson(readLocalFile(`${directory}.sig`), `${directory}.sig`) : null;
+  }
+};
+
+/**
+ * Runs a git command in a repository
+ * @param {string} repository - Repository path (bare or working copy)
+ * @param {string[]} args - Git arguments
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<string>} Standard output
+ */
+function runGit(repository, args, timeout) {
+  return new Promise((resolve, reject) => {
+    execFile('git', ['--git-dir', resolveGitDir(repository), ...args],
+      { timeout, maxBuffer: 256 * 1024 * 1024, encoding: 'utf8' },
+      (error, stdout, stderr) => {
+        if (error) {
+          const missing = /does not exist|Needed a single revision|not a valid object|unknown revision|bad revision|exists on disk, but not in/i.test(stderr);
+          reject(new TransportError(`git ${args[0]} failed in ${repository}: ${(stderr || error.message).trim()}`,
+            { location: repository, status: missing ? 404 : undefined }));
+        } else {
+          resolve(stdout);
+        }
+      });
+  });
+}
+
+/**
+ * Gets the git directory of a repository (the repository itself if it is bare)
+ * @param {string} repository - Repository path
+ * @returns {string} Git directory
+ */
+function resolveGitDir(repository) {
+  const dotGit = path.join(repository, '.git');
+  return fs.existsSync(dotGit) ? dotGit : repository;
+}
+
+/**
+ * Gets the repository of a git: URL and the revision (<ref>:<path>) of its registry
+ * @param {string} url - git: URL
+ * @param {string} suffix - Suffix of the path (".sig" for the signature)
+ * @returns {{repository: string, revision: string}} Repository path and revision
+ * @throws {TransportError} If the ref starts with "-" (git would read it as an option) or
+ *   contains control characters
+ */
+function parseGitUrl(url, suffix = '') {
+  const { path: repository, params, ref } = parseTransportUrl(url);
+  if (ref.startsWith('-') || /[\u0000-\u001f\u007f]/.test(ref)) {
+    throw new TransportError(`Invalid git ref ${JSON.stringify(ref)} for ${repository}`, { location: repository });
+  }
+  return { repository, revision: `${ref || 'HEAD'}:${params.get('path') || 'registry.json'}${suffix}` };
+}
+
+export const gitTransport = {
+  async read(url, options = {}) {
+    const { repository, revision } = parseGitUrl(url);
+    const timeout = options.timeout || 30000;
+
+    // The object id of the file or tree changes exactly when its content does
+    const objectId = (await runGit(repository, ['rev-parse', '--verify', revision], timeout)).trim();
+    const etag = `"${objectId}"`;
+    if (options.etag === etag) {
+      return { notModified: true };
+    }
+
+    const type = (await runGit(repository, ['cat-file', '-t', objectId], timeout)).trim();
+    if (type !== 'tree') {
+      return { data: parseJson(await runGit(repository, ['cat-file', 'blob', objectId], timeout), revision), etag, lastModified: null };
+    }
+
+    const names = (await runGit(repository, ['ls-tree', '--name-only', objectId], timeout)).split('\n').filter(name => name.endsWith('.json'));
+    const files = [];
+    for (const name of names) {
+      files.push({ name, content: await runGit(repository, ['cat-file', 'blob', `${objectId}:${name}`], timeout) });
+    }
+    return { data: assembleRegistry(files, revision), etag, lastModified: null };
+  },
+
+  async readSignature(url, options = {}) {
+    const { repository, revision } = parseGitUrl(url, '.sig');
+    try {
+      return parseJson(await runGit(repository, ['cat-file', 'blob', revision], options.timeout || 30000), revision);
+    } catch (error) {
+      if (error.details && error.details.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+};
+
+registerTransport('file', fileTransport);
+registerTransport('dir', dirTransport);
+registerTransport('git', gitTransport);
+
+export default {
+  TransportError,
+  registerTransport,
+  getTransport,
+  getUrlScheme,
+  fileTransport,
+  dirTransport,
+  gitTransport
+};
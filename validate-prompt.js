@@ -4,12 +4,17 @@
  * Prompt Template Registry - Validation CLI Tool
  *
  * Validates new prompt submissions against the registry schema
- * Usage: node validate-prompt.js [prompt-file.json]
+ * Usage: node validate-prompt.js [prompt-file.json|prompt-file.prompt.md]
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { analyzePrompt } from './quality-analysis.js';
+import { listTemplateReferences } from './template-engine.js';
+import { validateSchemaDefinition, normalizeVariableSchema } from './variable-schema.js';
+import { validateMessages, getPromptText } from './messages.js';
+import { isValidVersion, compareVersions } from './semver.js';
+import { readPromptFile, parsePromptMarkdown } from './prompt-markdown.js';
 
 // CLI Tool Version
 const CLI_VERSION = '1.0.0';
@@ -34,43 +39,24 @@ function isValidSnakeCase(id) {
 }
 
 /**
- * Validates semantic version format
- * @param {string} version - Version string to validate
- * @returns {boolean} True if valid semantic version
+ * Validates a prompt ID: snake_case, optionally namespaced for shared fragments
+ * @param {string} id - The prompt ID to validate (e.g. "code_review" or "shared/json_output")
+ * @returns {boolean} True if every "/"-separated segment is valid snake_case
  */
-function isValidVersion(version) {
-  return /^[0-9]+\.[0-9]+\.[0-9]+$/.test(version);
+function isValidPromptId(id) {
+  return id.split('/').every(isValidSnakeCase);
 }
 
 /**
- * Compares semantic versions
- * @param {string} a - Version string A
- * @param {string} b - Version string B
- * @returns {number} -1 if a < b, 0 if equal, 1 if a > b
- */
-function compareVersions(a, b) {
-  const aParts = a.split('.').map(Number);
-  const bParts = b.split('.').map(Number);
-
-  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
-    const aPart = aParts[i] || 0;
-    const bPart = bParts[i] || 0;
-
-    if (aPart > bPart) return 1;
-    if (aPart < bPart) return -1;
-  }
-
-  return 0;
-}
-
-/**
- * Extracts variables from prompt template
+ * Extracts interpolated variables from prompt template
  * @param {string} prompt - The prompt template
- * @returns {string[]} Array of variable names
+ * @returns {string[]} Array of variable names (one entry per {{variable}} output outside loops)
+ * @throws {TemplateError} If the template syntax is invalid
  */
 function extractVariables(prompt) {
-  const matches = prompt.match(/\{\{([^}]+)\}\}/g) || [];
-  return matches.map(match => match.slice(2, -2));
+  return listTemplateReferences(prompt)
+    .filter(ref => ref.kind === 'output' && !ref.loop)
+    .map(ref => ref.name);
 }
 
 /**
@@ -92,8 +78,12 @@ function validatePrompt(promptData, registry = null) {
     errors.push('Missing or invalid "description" field (must be string)');
   }
 
-  if (!promptData.prompt || typeof promptData.prompt !== 'string') {
-    errors.push('Missing or invalid "prompt" field (must be string)');
+  // Chat prompts define "messages" instead of a single "prompt" string
+  const isChat = promptData.messages !== undefined;
+  if (isChat) {
+    errors.push(...validateMessages(promptData.messages));
+  } else if (!promptData.prompt || typeof promptData.prompt !== 'string') {
+    errors.push('Missing or invalid "prompt" field (must be string, or define "messages")');
   }
 
   if (!('category' in promptData) || typeof promptData.category !== 'string') {
@@ -114,13 +104,13 @@ function validatePrompt(promptData, registry = null) {
   }
 
   // Validate ID format
-  if (!isValidSnakeCase(promptData.id)) {
-    errors.push(`Invalid ID format "${promptData.id}". Must be lowercase snake_case (e.g., "blog_post_writer")`);
+  if (!isValidPromptId(promptData.id)) {
+    errors.push(`Invalid ID format "${promptData.id}". Must be lowercase snake_case, optionally namespaced (e.g., "blog_post_writer" or "shared/json_output")`);
   }
 
   // Validate version format
   if (!isValidVersion(promptData.version)) {
-    errors.push(`Invalid version format "${promptData.version}". Must follow semantic versioning (e.g., "1.0.0")`);
+    errors.push(`Invalid version format "${promptData.version}". Must follow semantic versioning (e.g., "1.0.0" or "2.0.0-beta.1")`);
   }
 
   // Validate category
@@ -162,8 +152,32 @@ function validatePrompt(promptData, registry = null) {
     warnings.push('Description is quite long (over 200 characters), consider making it more concise');
   }
 
-  // Validate prompt content
-  const prompt = promptData.prompt;
+  // Validate prompt content (chat prompts are checked on their flattened messages)
+  const prompt = getPromptText(promptData);
+  const templates = isChat ? promptData.messages.map(message => message.content) : [prompt];
+
+  if (isChat) {
+    if (promptData.prompt !== undefined) {
+      warnings.push('"prompt" is ignored when "messages" is defined; get() flattens the messages instead');
+    }
+
+    const roles = promptData.messages.map(message => message.role);
+    if (roles.lastIndexOf('system') > 0) {
+      warnings.push('System messages should come first');
+    }
+    if (roles[roles.length - 1] !== 'user') {
+      warnings.push('Chat prompts should end with a user message');
+    }
+  }
+
+  // Chat variants must be valid message lists too
+  for (const [model, variant] of Object.entries(promptData.variants || {})) {
+    if (Array.isArray(variant)) {
+      validateMessages(variant).forEach(error => errors.push(`Variant "${model}": ${error}`));
+    } else if (typeof variant !== 'string') {
+      errors.push(`Variant "${model}" must be a prompt string or a list of messages`);
+    }
+  }
 
   if (prompt.length < 50) {
     errors.push('Prompt too short (minimum 50 characters) - must be a complete, useful template');
@@ -176,11 +190,23 @@ function validatePrompt(promptData, registry = null) {
     errors.push('Unbalanced variable braces in prompt ({{ and }} must appear in pairs)');
   }
 
-  // Extract and validate variables
-  const variables = extractVariables(prompt);
-  const uniqueVariables = [...new Set(variables)];
+  // Extract and validate variables (block conditions and loops count as variables too)
+  const variables = [];
+  const references = [];
+  templates.forEach((template, index) => {
+    try {
+      references.push(...listTemplateReferences(template));
+      variables.push(...extractVariables(template));
+    } catch (error) {
+      errors.push(`Invalid template syntax${isChat ? ` in message ${index + 1}` : ''}: ${error.message}`);
+    }
+  });
+  const uniqueVariables = [...new Set(references.filter(ref => !ref.loop).map(ref => ref.name))];
+  // Names inside {{#each}} bodies are variables if declared, and fields of the loop item otherwise
+  const loopNames = [...new Set(references.filter(ref => ref.loop).map(ref => ref.name))];
 
-  if (variables.length !== uniqueVariables.length) {
+  // Reusing a variable in several chat messages is expected, so only repeats within one template count
+  if (!isChat && variables.length !== new Set(variables).size) {
     errors.push('Prompt contains duplicate variable names');
   }
 
@@ -190,6 +216,57 @@ function validatePrompt(promptData, registry = null) {
     errors.push(`Invalid variable names: ${invalidVariables.join(', ')}. Use letters, numbers, and underscores only`);
   }
 
+  // Cross-check the declared variable schema against the template
+  if (promptData.variables !== undefined) {
+    const schemaErrors = validateSchemaDefinition(promptData.variables);
+    errors.push(...schemaErrors);
+
+    if (schemaErrors.length === 0) {
+      const declared = Object.keys(normalizeVariableSchema(promptData.variables));
+      const undeclared = uniqueVariables.filter(v => !declared.includes(v));
+      if (undeclared.length > 0) {
+        errors.push(`Template uses variables missing from the "variables" schema: ${undeclared.join(', ')}`);
+      }
+
+      const unused = declared.filter(v => !uniqueVariables.includes(v) && !loopNames.includes(v));
+      if (unused.length > 0) {
+        warnings.push(`Schema declares variables not used in the template: ${unused.join(', ')}`);
+      }
+    }
+  }
+
+  // Validate deprecation and yank metadata
+  const deprecated = promptData.deprecated;
+  if (deprecated !== undefined && typeof deprecated !== 'string') {
+    if (!deprecated || typeof deprecated !== 'object' || typeof deprecated.message !== 'string') {
+      errors.push('"deprecated" must be a message string or { "message": string, "replacement": string }');
+    } else if (deprecated.replacement !== undefined && typeof deprecated.replacement !== 'string') {
+      errors.push('"deprecated.replacement" must be a prompt reference such as "my_prompt@2.0.0"');
+    }
+  }
+
+  const yanked = promptData.yanked;
+  if (yanked !== undefined && typeof yanked !== 'boolean' &&
+      !(yanked && typeof yanked === 'object' && typeof yanked.reason === 'string')) {
+    errors.push('"yanked" must be true or { "reason": string }');
+  }
+
+  // Validate release history metadata
+  const changelog = promptData.changelog;
+  if (changelog !== undefined && typeof changelog !== 'string' &&
+      !(Array.isArray(changelog) && changelog.every(item => typeof item === 'string'))) {
+    errors.push('"changelog" must be a string or an array of strings');
+  }
+
+  if (promptData.author !== undefined && (typeof promptData.author !== 'string' || promptData.author.trim() === '')) {
+    errors.push('"author" must be a non-empty string');
+  }
+
+  if (promptData.releasedAt !== undefined &&
+      (typeof promptData.releasedAt !== 'string' || isNaN(Date.parse(promptData.releasedAt)))) {
+    errors.push('"releasedAt" must be an ISO 8601 date (e.g. "2024-05-01" or "2024-05-01T12:00:00Z")');
+  }
+
   // Quality checks
   if (prompt.length > 2000) {
     warnings.push('Prompt is very long (over 2000 characters), consider breaking into smaller templates');
@@ -231,29 +308,29 @@ function validatePrompt(promptData, registry = null) {
 
 /**
  * Loads prompt data from file or stdin
- * @param {string} filePath - Path to JSON file (optional, uses stdin if not provided)
+ * @param {string} filePath - Path to a JSON or .prompt.md file (optional, uses stdin if not provided)
  * @returns {object} Parsed prompt data
  */
 function loadPromptData(filePath) {
   try {
-    let data;
     if (filePath) {
       if (!fs.existsSync(filePath)) {
         console.error(`Error: File '${filePath}' not found`);
         process.exit(1);
       }
-      data = fs.readFileSync(filePath, 'utf8');
-    } else {
-      // Read from stdin
-      if (process.stdin.isTTY) {
-        console.error('Error: No file specified and no data piped from stdin');
-        printUsage();
-        process.exit(1);
-      }
-      data = fs.readFileSync(0, 'utf8');
+      return readPromptFile(filePath);
     }
 
-    return JSON.parse(data);
+    // Read from stdin
+    if (process.stdin.isTTY) {
+      console.error('Error: No file specified and no data piped from stdin');
+      printUsage();
+      process.exit(1);
+    }
+    const data = fs.readFileSync(0, 'utf8');
+
+    // Piped Markdown prompts start with their frontmatter
+    return data.startsWith('---') ? parsePromptMarkdown(data) : JSON.parse(data);
   } catch (error) {
     console.error(`Error loading prompt data: ${error.message}`);
     process.exit(1);
@@ -269,7 +346,7 @@ Prompt Template Registry Validator v${CLI_VERSION}
 Usage: node validate-prompt.js [options] [file]
 
 Arguments:
-  file              Path to JSON file containing prompt data (optional, uses stdin if not provided)
+  file              Path to a JSON or .prompt.md file containing prompt data (optional, uses stdin if not provided)
 
 Options:
   -h, --help        Show this help message
@@ -277,6 +354,7 @@ Options:
 
 Examples:
   node validate-prompt.js prompt.json
+  node validate-prompt.js my_prompt.prompt.md
   cat prompt.json | node validate-prompt.js
   node validate-prompt.js < prompt.json
 
@@ -289,6 +367,15 @@ The JSON file should contain prompt data matching the registry schema:
   "tags": ["tag1", "tag2"],
   "version": "1.0.0"
 }
+
+An optional "variables" object can declare a typed schema for each template variable:
+  "variables": { "tone": { "type": "string", "enum": ["formal", "casual"], "default": "formal" } }
+
+Chat prompts replace "prompt" with a list of role-tagged messages (system, user, assistant):
+  "messages": [{ "role": "system", "content": "You are..." }, { "role": "user", "content": "{{question}}" }]
+
+A .prompt.md file holds the same fields as YAML frontmatter, with the template as the body
+and optional "## variant: <model>" sections (the id defaults to the file name).
 `);
 }
 
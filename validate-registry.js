@@ -1,18 +1,22 @@
 #!/usr/bin/env node
 
 /**
- * Batch validation script for registry.json
+ * Batch validation script for the registry (registry.json or a prompts/ directory)
+ * Usage: node validate-registry.js [registry.json|prompts]
  */
 
-import fs from 'node:fs';
+import path from 'node:path';
 import { validatePrompt } from './validate-prompt.js';
+import { checkIncludes, parsePromptReference } from './composition.js';
+import { resolvePromptVersion, getDeprecation, isYanked } from './version-utils.js';
+import { resolveRegistryLocation, loadRegistry } from './registry-layout.js';
 
-const registryPath = './registry.json';
+const registryPath = process.argv[2] || resolveRegistryLocation(process.cwd());
 
 try {
-  console.log('🔍 Starting batch validation of registry.json...\n');
+  console.log(`🔍 Starting batch validation of ${path.relative(process.cwd(), registryPath) || registryPath}...\n`);
 
-  const registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  const registry = loadRegistry(registryPath);
   const promptIds = Object.keys(registry);
 
   console.log(`Registry has ${promptIds.length} prompt entries (top-level keys)\n`);
@@ -34,6 +38,30 @@ try {
       continue;
     }
 
+    // Latest must stay resolvable, and deprecation replacements must exist
+    if (isYanked(latestVersion)) {
+      console.log(`❌ ${promptId}: latest version ${promptData.latest} is yanked; point "latest" at another version`);
+      totalErrors++;
+    }
+    for (const [version, versionData] of Object.entries(promptData.versions)) {
+      const deprecation = getDeprecation(versionData);
+      if (deprecation && deprecation.replacement) {
+        const { id, range } = parsePromptReference(deprecation.replacement);
+        if (!registry[id] || !resolvePromptVersion(registry[id], range)) {
+          console.log(`❌ ${promptId}@${version}: deprecation replacement "${deprecation.replacement}" does not exist`);
+          totalErrors++;
+        }
+      }
+    }
+
+    // Dist-tags must point at existing versions
+    const danglingTags = Object.entries(promptData.distTags || {})
+      .filter(([, version]) => !promptData.versions[version]);
+    if (danglingTags.length > 0) {
+      console.log(`❌ ${promptId}: Dist-tags point to missing versions: ${danglingTags.map(([tag, version]) => `${tag} -> ${version}`).join(', ')}`);
+      totalErrors++;
+    }
+
     const fullPromptData = {
       id: promptId,
       ...latestVersion
@@ -67,6 +95,14 @@ try {
     }
   }
 
+  // Check includes across all versions (dangling references and cycles)
+  const includeErrors = checkIncludes(registry);
+  if (includeErrors.length > 0) {
+    console.log('\n❌ Include errors:');
+    includeErrors.forEach(error => console.log(`  • ${error}`));
+    totalErrors += includeErrors.length;
+  }
+
   console.log('\n📊 Validation Summary:');
   console.log(`Total prompts: ${totalPrompts}`);
   console.log(`Errors: ${totalErrors}`);
@@ -87,6 +123,6 @@ try {
   }
 
 } catch (error) {
-  console.error(`❌ Error reading registry.json: ${error.message}`);
+  console.error(`❌ Error reading ${registryPath}: ${error.message}`);
   process.exit(1);
 }
\ No newline at end of file
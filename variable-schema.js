@@ -0,0 +1,251 @@
+/**
+ * Prompt Template Registry - Variable Schemas
+ *
+ * Typed variable declarations for prompt versions: types, defaults, enums and length limits.
+ *
+ * Older entries declare variables as a plain list of names ("variables": ["code", "language"]).
+ * The validator and change analysis accept that form; get() only enforces the typed object form.
+ *
+ * Example (inside a version in registry.json):
+ * "variables": {
+ *   "language": { "type": "string", "default": "English", "description": "Output language" },
+ *   "tone": { "type": "string", "enum": ["formal", "casual"], "required": true },
+ *   "max_words": { "type": "integer", "required": false }
+ * }
+ */
+
+// Supported variable types
+export const VARIABLE_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+
+// Keys allowed in a variable definition
+const DEFINITION_KEYS = ['type', 'required', 'default', 'enum', 'description', 'minLength', 'maxLength'];
+
+/** Custom Error Class **/
+export class VariableSchemaError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'VariableSchemaError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Checks whether a variable is required (defaults to true unless a default is declared)
+ * @param {object} definition - Variable definition
+ * @returns {boolean} True if the caller must provide the variable
+ */
+export function isRequired(definition) {
+  if (typeof definition.required === 'boolean') {
+    return definition.required;
+  }
+  return !('default' in definition);
+}
+
+/**
+ * Normalizes a schema to the object form, converting the legacy list of names
+ * @param {object|string[]} schema - Variables schema or list of variable names
+ * @returns {object} Schema keyed by variable name
+ */
+export function normalizeVariableSchema(schema) {
+  if (Array.isArray(schema)) {
+    return Object.fromEntries(schema.map(name => [name, {}]));
+  }
+  return schema || {};
+}
+
+/**
+ * Coerces string input to the declared type where it is unambiguous
+ * ("42" for integers, "true" for booleans) so CLI and form input can be used directly
+ * @param {*} value - Provided value
+ * @param {string} type - Declared type
+ * @returns {*} Coerced value
+ */
+function coerce(value, type) {
+  if (typeof value !== 'string') return value;
+
+  const trimmed = value.trim();
+  if ((type === 'number' || type === 'integer') && trimmed !== '' && !isNaN(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  if (type === 'boolean' && (trimmed === 'true' || trimmed === 'false')) {
+    return trimmed === 'true';
+  }
+  return value;
+}
+
+/**
+ * Checks a value against a declared type
+ * @param {*} value - Value to check
+ * @param {string} type - Declared type
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && !isNaN(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+/**
+ * Validates a single value against its definition
+ * @param {string} name - Variable name
+ * @param {*} value - Value to check
+ * @param {object} definition - Variable definition
+ * @returns {string[]} Validation errors
+ */
+function checkValue(name, value, definition) {
+  const errors = [];
+
+  if (definition.type && !matchesType(value, definition.type)) {
+    errors.push(`"${name}" must be of type ${definition.type}`);
+    return errors;
+  }
+
+  if (Array.isArray(definition.enum) && !definition.enum.includes(value)) {
+    errors.push(`"${name}" must be one of: ${definition.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string' || Array.isArray(value)) {
+    const unit = typeof value === 'string' ? 'characters' : 'items';
+    if (typeof definition.minLength === 'number' && value.length < definition.minLength) {
+      errors.push(`"${name}" must have at least ${definition.minLength} ${unit}`);
+    }
+    if (typeof definition.maxLength === 'number' && value.length > definition.maxLength) {
+      errors.push(`"${name}" must have at most ${definition.maxLength} ${unit}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates the schema definition itself (used by the validator)
+ * @param {object|string[]} schema - Variables schema keyed by variable name (or legacy list of names)
+ * @returns {string[]} Definition errors
+ */
+export function validateSchemaDefinition(schema) {
+  const errors = [];
+
+  if (Array.isArray(schema)) {
+    const invalid = schema.filter(name => typeof name !== 'string');
+    if (invalid.length > 0) {
+      return ['"variables" list must only contain variable names'];
+    }
+  } else if (!schema || typeof schema !== 'object') {
+    return ['"variables" must be an object keyed by variable name'];
+  }
+
+  for (const [name, definition] of Object.entries(normalizeVariableSchema(schema))) {
+    if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(name)) {
+      errors.push(`Invalid variable name "${name}" in schema`);
+    }
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      errors.push(`Variable "${name}" definition must be an object`);
+      continue;
+    }
+
+    const unknownKeys = Object.keys(definition).filter(key => !DEFINITION_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      errors.push(`Variable "${name}" has unknown keys: ${unknownKeys.join(', ')}`);
+    }
+
+    if (definition.type !== undefined && !VARIABLE_TYPES.includes(definition.type)) {
+      errors.push(`Variable "${name}" has invalid type "${definition.type}". Must be one of: ${VARIABLE_TYPES.join(', ')}`);
+    }
+
+    if (definition.required !== undefined && typeof definition.required !== 'boolean') {
+      errors.push(`Variable "${name}" "required" must be a boolean`);
+    }
+
+    if (definition.description !== undefined && typeof definition.description !== 'string') {
+      errors.push(`Variable "${name}" "description" must be a string`);
+    }
+
+    if (definition.enum !== undefined && (!Array.isArray(definition.enum) || definition.enum.length === 0)) {
+      errors.push(`Variable "${name}" "enum" must be a non-empty array`);
+    }
+
+    for (const key of ['minLength', 'maxLength']) {
+      if (definition[key] !== undefined && (!Number.isInteger(definition[key]) || definition[key] < 0)) {
+        errors.push(`Variable "${name}" "${key}" must be a non-negative integer`);
+      }
+    }
+
+    if (Number.isInteger(definition.minLength) && Number.isInteger(definition.maxLength) &&
+        definition.minLength > definition.maxLength) {
+      errors.push(`Variable "${name}" "minLength" is greater than "maxLength"`);
+    }
+
+    if ('default' in definition && definition.default !== null) {
+      checkValue(name, definition.default, definition)
+        .forEach(error => errors.push(`Default value invalid: ${error}`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Applies a schema to caller-provided variables: fills defaults, coerces
+ * simple string input and validates types, enums and lengths.
+ * Optional variables without a default are set to null so they render empty.
+ * @param {object} schema - Variables schema keyed by variable name
+ * @param {object} variables - Caller-provided variables
+ * @returns {{values: object, errors: string[]}} Resolved values and validation errors
+ */
+export function applyVariableSchema(schema, variables = {}) {
+  const values = { ...variables };
+  const errors = [];
+
+  for (const [name, definition] of Object.entries(schema || {})) {
+    const provided = values[name] !== undefined && values[name] !== null;
+
+    if (!provided) {
+      if ('default' in definition) {
+        values[name] = definition.default;
+      } else if (isRequired(definition)) {
+        errors.push(`"${name}" is required`);
+      } else {
+        values[name] = null;
+      }
+      continue;
+    }
+
+    values[name] = coerce(values[name], definition.type);
+    errors.push(...checkValue(name, values[name], definition));
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Applies a schema and throws if the variables do not satisfy it
+ * @param {object} schema - Variables schema keyed by variable name
+ * @param {object} variables - Caller-provided variables
+ * @param {string} promptRef - Prompt reference used in the error message (id@version)
+ * @returns {object} Resolved variable values
+ * @throws {VariableSchemaError} If validation fails
+ */
+export function resolveVariables(schema, variables, promptRef) {
+  const { values, errors } = applyVariableSchema(schema, variables);
+  if (errors.length > 0) {
+    throw new VariableSchemaError(`Invalid variables for "${promptRef}": ${errors.join('; ')}`, errors);
+  }
+  return values;
+}
+
+export default {
+  VARIABLE_TYPES,
+  VariableSchemaError,
+  isRequired,
+  normalizeVariableSchema,
+  validateSchemaDefinition,
+  applyVariableSchema,
+  resolveVariables
+};
@@ -7,28 +7,84 @@
  * Includes version comparison, suggestion, and changelog generation
  */
 
-import fs from 'node:fs';
-import path from 'node:path';
+import { diffPromptVersions, summarizePromptDiff } from './prompt-diff.js';
+import { compareVersions, isValidRange, maxSatisfying } from './semver.js';
+
+// Re-exported for existing callers (add-prompt.js, changelog-generator.js)
+export { compareVersions };
+
+/**
+ * Gets the deprecation notice of a version
+ * @param {object} promptData - Prompt version data
+ * @returns {{message: string, replacement: string|null}|null} Deprecation, or null if not deprecated
+ */
+export function getDeprecation(promptData) {
+  const deprecated = promptData && promptData.deprecated;
+  if (!deprecated) {
+    return null;
+  }
+  if (typeof deprecated === 'string') {
+    return { message: deprecated, replacement: null };
+  }
+  return {
+    message: deprecated.message || 'This version is deprecated',
+    replacement: deprecated.replacement || null
+  };
+}
+
+/**
+ * Checks whether a version has been yanked
+ * @param {object} promptData - Prompt version data
+ * @returns {boolean} True if the version is yanked
+ */
+export function isYanked(promptData) {
+  return Boolean(promptData && promptData.yanked);
+}
+
+/**
+ * Describes why a version is unusable or discouraged, for warnings and errors
+ * @param {string} ref - Prompt reference (id@version)
+ * @param {object} promptData - Prompt version data
+ * @returns {string|null} Notice, or null if the version is neither yanked nor deprecated
+ */
+export function describeVersionStatus(ref, promptData) {
+  if (isYanked(promptData)) {
+    const reason = typeof promptData.yanked === 'object' && promptData.yanked.reason;
+    return `"${ref}" has been yanked${reason ? `: ${reason}` : ''}`;
+  }
+
+  const deprecation = getDeprecation(promptData);
+  if (deprecation) {
+    return `"${ref}" is deprecated: ${deprecation.message}${deprecation.replacement ? ` (use "${deprecation.replacement}" instead)` : ''}`;
+  }
+  return null;
+}
 
 /**
- * Compares semantic versions
- * @param {string} a - Version string A
- * @param {string} b - Version string B
- * @returns {number} -1 if a < b, 0 if equal, 1 if a > b
+ * Resolves a version specifier for a registry entry.
+ * Accepts an exact version, a dist-tag ("latest", "next", "stable") or an npm-style range ("^2", "~1.3").
+ * Yanked versions are only returned when pinned exactly; if `latest` was yanked the
+ * highest remaining release is used instead.
+ * @param {object} promptEntry - Prompt entry from registry
+ * @param {string} spec - Version specifier (defaults to the latest version)
+ * @returns {string|null} Resolved version, or null if nothing matches
  */
-export function compareVersions(a, b) {
-  const aParts = a.split('.').map(Number);
-  const bParts = b.split('.').map(Number);
+export function resolvePromptVersion(promptEntry, spec) {
+  const available = Object.keys(promptEntry.versions).filter(version => !isYanked(promptEntry.versions[version]));
 
-  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
-    const aPart = aParts[i] || 0;
-    const bPart = bParts[i] || 0;
+  if (!spec || spec === 'latest') {
+    return available.includes(promptEntry.latest) ? promptEntry.latest : maxSatisfying(available, '*');
+  }
+  if (promptEntry.versions[spec]) {
+    return spec;
+  }
 
-    if (aPart > bPart) return 1;
-    if (aPart < bPart) return -1;
+  const taggedVersion = promptEntry.distTags && promptEntry.distTags[spec];
+  if (taggedVersion) {
+    return available.includes(taggedVersion) ? taggedVersion : null;
   }
 
-  return 0;
+  return isValidRange(spec) ? maxSatisfying(available, spec) : null;
 }
 
 /**
@@ -41,7 +97,8 @@ export function compareVersions(a, b) {
  * @returns {string} Suggested next version
  */
 export function suggestNextVersion(currentVersion, changes = {}, hasBreakingChanges = false, hasNewFeatures = false, hasBugFixes = false) {
-  const [major, minor, patch] = currentVersion.split('.').map(Number);
+  // Pre-release tags are dropped ("2.0.0-beta.1" bumps from 2.0.0)
+  const [major, minor, patch] = currentVersion.split('-')[0].split('.').map(Number);
   
   // Default suggestion based on semantic versioning principles
   if (hasBreakingChanges) {
@@ -110,67 +167,10 @@ export function generateChangelogEntry(version, changes = {}, changeTypes = [])
  * Analyzes changes between prompt versions
  * @param {object} oldPrompt - Old prompt data
  * @param {object} newPrompt - New prompt data
- * @returns {object} Analysis of changes
+ * @returns {object} Analysis of changes (see summarizePromptDiff() in prompt-diff.js)
  */
 export function analyzePromptChanges(oldPrompt, newPrompt) {
-  const changes = {
-    hasBreakingChanges: false,
-    hasNewFeatures: false,
-    hasBugFixes: false,
-    breaking: [],
-    features: [],
-    fixes: []
-  };
-  
-  // Check for breaking changes (removed variables)
-  const oldVariables = extractVariables(oldPrompt.prompt);
-  const newVariables = extractVariables(newPrompt.prompt);
-  
-  const removedVariables = oldVariables.filter(v => !newVariables.includes(v));
-  if (removedVariables.length > 0) {
-    changes.hasBreakingChanges = true;
-    changes.breaking.push(`Removed variables: ${removedVariables.join(', ')}`);
-  }
-  
-  // Check for new features (added variables)
-  const addedVariables = newVariables.filter(v => !oldVariables.includes(v));
-  if (addedVariables.length > 0) {
-    changes.hasNewFeatures = true;
-    changes.features.push(`Added new variables: ${addedVariables.join(', ')}`);
-  }
-  
-  // Check for prompt text changes
-  if (oldPrompt.prompt !== newPrompt.prompt) {
-    // If we didn't identify specific changes, it might be a fix or improvement
-    if (!changes.hasBreakingChanges && !changes.hasNewFeatures) {
-      changes.hasBugFixes = true;
-      changes.fixes.push('Improved prompt clarity and effectiveness');
-    }
-  }
-  
-  // Check for category changes (breaking)
-  if (oldPrompt.category !== newPrompt.category) {
-    changes.hasBreakingChanges = true;
-    changes.breaking.push(`Changed category from ${oldPrompt.category} to ${newPrompt.category}`);
-  }
-  
-  // Check for description changes (likely improvements)
-  if (oldPrompt.description !== newPrompt.description && !changes.hasBreakingChanges && !changes.hasNewFeatures) {
-    changes.hasBugFixes = true;
-    changes.fixes.push('Updated description for clarity');
-  }
-  
-  return changes;
-}
-
-/**
- * Extracts variables from prompt template
- * @param {string} prompt - The prompt template
- * @returns {string[]} Array of variable names
- */
-function extractVariables(prompt) {
-  const matches = prompt.match(/\\{\\{([^}]+)\\}\\}/g) || [];
-  return matches.map(match => match.slice(2, -2));
+  return summarizePromptDiff(diffPromptVersions(oldPrompt, newPrompt));
 }
 
 /**
@@ -209,6 +209,10 @@ export function createVersionTree(promptEntry) {
 
 export default {
   compareVersions,
+  getDeprecation,
+  isYanked,
+  describeVersionStatus,
+  resolvePromptVersion,
   suggestNextVersion,
   generateChangelogEntry,
   analyzePromptChanges,
@@ -4,6 +4,65 @@ const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
 
+/**
+ * Reads the prompt data of a document: a .prompt.json file, or the frontmatter id of a
+ * .prompt.md file (the file name when it has none)
+ * @param {vscode.TextDocument} document
+ * @returns {object} Prompt data
+ */
+function parsePromptDocument(document) {
+	const text = document.getText();
+	if (!document.fileName.endsWith('.prompt.md')) {
+		return JSON.parse(text);
+	}
+
+	const frontmatter = text.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+	const id = frontmatter && frontmatter[1].match(/^id:[ \t]*(.+?)[ \t]*$/m);
+	return { id: id ? id[1] : path.basename(document.fileName, '.prompt.md') };
+}
+
+/**
+ * Reads the prompt entries of the workspace's registry.json
+ * @returns {Promise<object>} Registry entries keyed by prompt id (none without a registry)
+ */
+async function readWorkspaceRegistry() {
+	const [file] = await vscode.workspace.findFiles('**/registry.json', '**/node_modules/**', 1);
+	if (!file) {
+		return {};
+	}
+	return JSON.parse(Buffer.from(await vscode.workspace.fs.readFile(file)).toString('utf8'));
+}
+
+/**
+ * Completes prompt ids in {{> id}} includes, ranked by fuzzy matching so mistyped ids
+ * still find their prompt
+ * @type {vscode.CompletionItemProvider}
+ */
+const includeCompletionProvider = {
+	async provideCompletionItems(document, position) {
+		const typed = document.lineAt(position).text.slice(0, position.character).match(/\{\{>\s*([\w./:-]*)$/);
+		if (!typed) {
+			return undefined;
+		}
+
+		const { fuzzySearchPrompts } = await import('prompt-registry/fuzzy-match.js');
+		const prompts = await readWorkspaceRegistry();
+		const ids = typed[1] ? fuzzySearchPrompts(prompts, typed[1]).map(result => result.id) : Object.keys(prompts);
+		const range = new vscode.Range(position.translate(0, -typed[1].length), position);
+
+		return ids.map((id, rank) => {
+			const item = new vscode.CompletionItem(id, vscode.CompletionItemKind.Reference);
+			const latest = prompts[id].versions[prompts[id].latest];
+			item.detail = latest && latest.description;
+			item.range = range;
+			// Keep the fuzzy ranking, and stop VS Code from filtering out ids that differ from the typed text
+			item.sortText = String(rank).padStart(5, '0');
+			item.filterText = typed[1];
+			return item;
+		});
+	}
+};
+
 // This method is called when your extension is activated
 // Your extension is activated the very first time the command is executed
 
@@ -29,14 +88,13 @@ function activate(context) {
 		const editor = vscode.window.activeTextEditor;
 		if (editor) {
 			const document = editor.document;
-			const text = document.getText();
 			
 			try {
-				const promptData = JSON.parse(text);
+				const promptData = parsePromptDocument(document);
 				// Here you would call your validation logic
 				vscode.window.showInformationMessage(`Prompt "${promptData.id}" validation complete!`);
 			} catch (error) {
-				vscode.window.showErrorMessage(`Invalid JSON: ${error.message}`);
+				vscode.window.showErrorMessage(`Invalid prompt file: ${error.message}`);
 			}
 		}
 	});
@@ -51,19 +109,21 @@ function activate(context) {
 		const editor = vscode.window.activeTextEditor;
 		if (editor) {
 			const document = editor.document;
-			const text = document.getText();
 			
 			try {
-				const promptData = JSON.parse(text);
+				const promptData = parsePromptDocument(document);
 				// Here you would call your quality analysis logic
 				vscode.window.showInformationMessage(`Quality analysis for "${promptData.id}" complete!`);
 			} catch (error) {
-				vscode.window.showErrorMessage(`Invalid JSON: ${error.message}`);
+				vscode.window.showErrorMessage(`Invalid prompt file: ${error.message}`);
 			}
 		}
 	});
 
 	context.subscriptions.push(qualityDisposable);
+
+	// Complete prompt ids in includes
+	context.subscriptions.push(vscode.languages.registerCompletionItemProvider('prompt-template', includeCompletionProvider, '>'));
 }
 
 // This method is called when your extension is deactivated
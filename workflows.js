@@ -4,6 +4,8 @@
  * Implements prompt chaining and workflow execution capabilities
  */
 
+import { renderTemplate } from './template-engine.js';
+
 /**
  * Workflow definition schema
  * 
@@ -90,12 +92,10 @@ export async function executeWorkflowStep(step, context, getPrompt) {
   // Resolve variables with context
   const resolvedVariables = {};
   for (const [key, value] of Object.entries(step.variables)) {
-    // Replace context variables in the value
-    let resolvedValue = value;
-    for (const [contextKey, contextValue] of Object.entries(context)) {
-      resolvedValue = resolvedValue.replace(new RegExp(`\\{\\{${contextKey}\\}\\}`, 'g'), contextValue || '');
-    }
-    resolvedVariables[key] = resolvedValue;
+    // Render context variables into the value, leaving unknown placeholders untouched
+    resolvedVariables[key] = typeof value === 'string'
+      ? renderTemplate(value, context, { onMissing: 'keep' })
+      : value;
   }
   
   // Get the prompt template